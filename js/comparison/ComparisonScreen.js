@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The 'Comparison' screen. Conforms to the contract specified in joist/Screen.
+ *
+ * @author agent
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import molarityStrings from '../molarity-strings.js';
+import molarity from '../molarity.js';
+import ComparisonModel from './model/ComparisonModel.js';
+import ComparisonScreenView from './view/ComparisonScreenView.js';
+
+const screenComparisonString = molarityStrings.screen.comparison;
+
+/**
+ * @param {SoluteCatalog} soluteCatalog
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function ComparisonScreen( soluteCatalog, tandem ) {
+
+  const options = {
+    name: screenComparisonString,
+    tandem: tandem
+  };
+
+  Screen.call( this,
+    function() { return new ComparisonModel( soluteCatalog, tandem.createTandem( 'model' ) ); },
+    function( model ) { return new ComparisonScreenView( model, tandem.createTandem( 'view' ) ); },
+    options
+  );
+}
+
+molarity.register( 'ComparisonScreen', ComparisonScreen );
+
+inherit( Screen, ComparisonScreen );
+export default ComparisonScreen;
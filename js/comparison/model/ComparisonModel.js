@@ -0,0 +1,64 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model container for the 'Comparison' screen.
+ *
+ * Two solutions, in beakers A and B, are made independently, each with its own solute, amount of solute and volume.
+ * Nothing is shared between them except the solvent, so the same amount of solute in different volumes, or different
+ * solutes at the same concentration, can be compared side by side.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import MolaritySolvents from '../../molarity/model/MolaritySolvents.js';
+import Solution from '../../molarity/model/Solution.js';
+
+class ComparisonModel {
+
+  /**
+   * @param {SoluteCatalog} soluteCatalog
+   * @param {Tandem} tandem
+   */
+  constructor( soluteCatalog, tandem ) {
+
+    // @public
+    this.solutes = soluteCatalog.createSolutes( tandem );
+
+    // @public (read-only) both solutions are made with water, the only solvent on this screen
+    this.water = MolaritySolvents.createWater( tandem );
+
+    // @public the solution in beaker A
+    this.solutionA = createSolution( this.water, this.solutes, tandem.createTandem( 'solutionA' ) );
+
+    // @public the solution in beaker B
+    this.solutionB = createSolution( this.water, this.solutes, tandem.createTandem( 'solutionB' ) );
+
+    // @public (read-only) BooleanProperty
+    this.resetInProgressProperty = new BooleanProperty( false );
+  }
+
+  // @public Resets all model elements
+  reset() {
+    this.resetInProgressProperty.set( true );
+    this.solutionA.reset();
+    this.solutionB.reset();
+    this.resetInProgressProperty.set( false );
+  }
+}
+
+/**
+ * Creates one of the solutions, which both start out the same as the solution on the Molarity screen.
+ * @param {Solvent} water
+ * @param {Solute[]} solutes
+ * @param {Tandem} tandem
+ * @returns {Solution}
+ */
+const createSolution = ( water, solutes, tandem ) => new Solution( water, solutes, solutes[ 0 ],
+  MolarityConstants.SOLUTE_AMOUNT_RANGE.defaultValue, MolarityConstants.SOLUTION_VOLUME_RANGE.defaultValue,
+  MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem );
+
+molarity.register( 'ComparisonModel', ComparisonModel );
+export default ComparisonModel;
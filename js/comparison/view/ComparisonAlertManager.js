@@ -0,0 +1,53 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ComparisonAlertManager is responsible for adding the Comparison screen's alerts to the utteranceQueue. It provides
+ * the alertSolutionQuantityChanged method that VerticalSlider expects of an alert manager.
+ *
+ * @author agent
+ */
+
+import ActivationUtterance from '../../../../utterance-queue/js/ActivationUtterance.js';
+import ValueChangeUtterance from '../../../../utterance-queue/js/ValueChangeUtterance.js';
+import molarity from '../../molarity.js';
+
+class ComparisonAlertManager {
+
+  /**
+   * @param {ComparisonModel} model
+   * @param {ComparisonDescriber} comparisonDescriber
+   */
+  constructor( model, comparisonDescriber ) {
+
+    // @private
+    this.comparisonDescriber = comparisonDescriber;
+
+    // @private - utterances with specific jobs so that duplicates are overwritten in the queue.
+    this.sliderUtterance = new ValueChangeUtterance();
+    this.soluteUtterance = new ActivationUtterance();
+
+    // An alert is read out when a solute is changed, but not when it is changed by Reset All.
+    [ model.solutionA, model.solutionB ].forEach( solution => {
+      solution.soluteProperty.lazyLink( () => {
+        if ( !model.resetInProgressProperty.value ) {
+          this.soluteUtterance.alert = this.comparisonDescriber.getSoluteChangedAlertString( solution );
+          phet.joist.sim.utteranceQueue.addToBack( this.soluteUtterance );
+        }
+      } );
+    } );
+  }
+
+  /**
+   * Alert when a slider on the Comparison screen has changed a value. The slider's value is in its aria-valuetext, so
+   * the alert describes how the two beakers now compare.
+   * @param {ComparisonDescriber} describer
+   * @public
+   */
+  alertSolutionQuantityChanged( describer ) {
+    this.sliderUtterance.alert = describer.getComparisonString();
+    phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
+  }
+}
+
+molarity.register( 'ComparisonAlertManager', ComparisonAlertManager );
+export default ComparisonAlertManager;
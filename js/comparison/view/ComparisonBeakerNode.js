@@ -0,0 +1,211 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * One of the two beakers on the Comparison screen, with everything that controls it: sliders for the amount of
+ * solute and the volume of solution, and a combo box for the solute. Laid out like the beaker on the Molarity screen,
+ * scaled down so that two of them fit side by side.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import BeakerNode from '../../molarity/view/BeakerNode.js';
+import PrecipitateNode from '../../molarity/view/PrecipitateNode.js';
+import SaturatedIndicator from '../../molarity/view/SaturatedIndicator.js';
+import SoluteComboBox from '../../molarity/view/SoluteComboBox.js';
+import SolutionNode from '../../molarity/view/SolutionNode.js';
+import VerticalSlider from '../../molarity/view/VerticalSlider.js';
+
+const fullString = molarityStrings.full;
+const litersString = molarityStrings.liters;
+const lotsString = molarityStrings.lots;
+const lowString = molarityStrings.low;
+const molesString = molarityStrings.moles;
+const noneString = molarityStrings.none;
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const soluteAmountString = molarityStrings.soluteAmount;
+const solutionVolumeString = molarityStrings.solutionVolume;
+const unitsLitersString = molarityStrings.units.liters;
+const unitsMolesString = molarityStrings.units.moles;
+
+// a11y strings
+const beakerControlsPatternString = molarityStrings.a11y.comparison.beakerControlsPattern;
+const sliderHelpTextString = molarityStrings.a11y.comparison.sliderHelpText;
+const soluteAmountNoNewlineString = molarityStrings.a11y.soluteAmountNoNewline;
+
+// constants
+const BEAKER_SCALE = 0.55; // both beakers are drawn smaller than on the Molarity screen, so that two of them fit
+const SLIDER_TRACK_WIDTH = 12;
+const CAPTION_FONT = new PhetFont( { size: 22, weight: 'bold' } );
+
+class ComparisonBeakerNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {string} beakerName - caption and PDOM heading for the beaker, e.g. "Beaker A"
+   * @param {Solute[]} solutes
+   * @param {ComparisonDescriber} comparisonDescriber
+   * @param {ComparisonAlertManager} alertManager
+   * @param {Node} soluteComboBoxListParent - parent for the solute combo box's popup list
+   * @param {Tandem} tandem
+   */
+  constructor( solution, beakerName, solutes, comparisonDescriber, alertManager, soluteComboBoxListParent, tandem ) {
+
+    super( { tandem: tandem } );
+
+    // Values are always visible on this screen, and descriptions are quantitative.
+    const valuesVisibleProperty = new BooleanProperty( true );
+    const useQuantitativeDescriptionsProperty = valuesVisibleProperty;
+
+    // beaker, with solution and precipitate inside of it, in a coordinate frame that is scaled as a group
+    const descriptionNode = new Node( { tagName: 'p' } );
+    Property.multilink( comparisonDescriber.getBeakerDescriptionDependencies( solution ), () => {
+      descriptionNode.innerContent = comparisonDescriber.getBeakerDescription( solution );
+    } );
+    const beakerNode = new BeakerNode( solution, MolarityConstants.SOLUTION_VOLUME_RANGE.max, valuesVisibleProperty,
+      tandem.createTandem( 'beakerNode' ), {
+        labelContent: beakerName,
+        descriptionNode: descriptionNode
+      } );
+    const cylinderSize = beakerNode.getCylinderSize();
+    const cylinderEndHeight = beakerNode.getCylinderEndHeight();
+    const scaledCylinderSize = cylinderSize.timesScalar( BEAKER_SCALE );
+    const solutionNode = new SolutionNode( cylinderSize, cylinderEndHeight, solution,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'solutionNode' ) );
+    const precipitateNode = new PrecipitateNode( solution, cylinderSize, cylinderEndHeight,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'precipitateNode' ) );
+    const beakerParent = new Node( {
+      children: [ solutionNode, beakerNode, precipitateNode ],
+      scale: BEAKER_SCALE
+    } );
+    const saturatedIndicator = new SaturatedIndicator( solution, tandem.createTandem( 'saturatedIndicator' ) );
+
+    // caption, above the beaker
+    const captionNode = new Text( beakerName, {
+      font: CAPTION_FONT,
+      maxWidth: scaledCylinderSize.width,
+      tandem: tandem.createTandem( 'captionNode' )
+    } );
+
+    // solute control
+    const soluteComboBox = new SoluteComboBox( solutes, solution.soluteProperty, soluteComboBoxListParent,
+      tandem.createTandem( 'soluteComboBox' ), {
+        maxWidth: scaledCylinderSize.width + 100
+      } );
+
+    // slider for controlling the amount of solute
+    const soluteAmountSlider = new VerticalSlider( soluteAmountString,
+      StringUtils.format( patternParentheses0TextString, molesString ),
+      noneString, lotsString,
+      solution.soluteAmountProperty,
+      MolarityConstants.SOLUTE_AMOUNT_RANGE,
+      MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES,
+      unitsMolesString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, comparisonDescriber, {
+        tandem: tandem.createTandem( 'soluteAmountSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: soluteAmountNoNewlineString,
+          a11yCreateAriaValueText: () => comparisonDescriber.getSoluteAmountValueText( solution )
+        }
+      } );
+
+    // slider for controlling the volume of solution, sized to match tick marks on the beaker
+    const volumeSliderHeight = ( MolarityConstants.SOLUTION_VOLUME_RANGE.getLength() /
+                                 MolarityConstants.SOLUTION_VOLUME_RANGE.max ) * scaledCylinderSize.height;
+    const solutionVolumeSlider = new VerticalSlider( solutionVolumeString,
+      StringUtils.format( patternParentheses0TextString, litersString ),
+      lowString, fullString,
+      solution.volumeProperty,
+      MolarityConstants.SOLUTION_VOLUME_RANGE,
+      MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES,
+      unitsLitersString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, comparisonDescriber, {
+        tandem: tandem.createTandem( 'solutionVolumeSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, volumeSliderHeight ),
+
+          // a11y
+          accessibleName: solutionVolumeString,
+          a11yCreateAriaValueText: () => comparisonDescriber.getVolumeValueText( solution )
+        }
+      } );
+
+    // a11y - heading and accessible order for slider controls section of PDOM
+    const controlsNode = new Node( {
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: StringUtils.fillIn( beakerControlsPatternString, { beaker: beakerName } ),
+      descriptionContent: sliderHelpTextString
+    } );
+    controlsNode.accessibleOrder = [ soluteAmountSlider, solutionVolumeSlider ];
+
+    // layout for things that don't have a location in the model
+    {
+      soluteAmountSlider.left = 0;
+      soluteAmountSlider.top = 0;
+      // to the right of the Solute Amount slider, bottom-aligned with it
+      solutionVolumeSlider.left = soluteAmountSlider.right + 5;
+      solutionVolumeSlider.bottom = soluteAmountSlider.bottom;
+      // to the right of the Solution Volume slider, with the cylinder aligned to the top of the slider track
+      beakerParent.left = solutionVolumeSlider.right - 10;
+      beakerParent.top = soluteAmountSlider.top - 6;
+      // centered above the beaker's cylinder
+      captionNode.centerX = beakerParent.x + ( scaledCylinderSize.width / 2 );
+      captionNode.bottom = beakerParent.top - 5;
+      // toward bottom of the beaker
+      const saturatedIndicatorVisible = saturatedIndicator.visible; // so we can layout an invisible node
+      saturatedIndicator.visible = true;
+      saturatedIndicator.centerX = beakerParent.x + ( scaledCylinderSize.width / 2 );
+      saturatedIndicator.bottom = beakerParent.bottom - ( 0.2 * scaledCylinderSize.height );
+      saturatedIndicator.visible = saturatedIndicatorVisible;
+      // centered below the beaker and sliders
+      soluteComboBox.centerX = ( soluteAmountSlider.left + beakerParent.right ) / 2;
+      soluteComboBox.top = Math.max( beakerParent.bottom, soluteAmountSlider.bottom ) + 20;
+    }
+
+    this.children = [
+      beakerParent,
+      saturatedIndicator,
+      captionNode,
+      soluteAmountSlider,
+      solutionVolumeSlider,
+      soluteComboBox,
+      controlsNode
+    ];
+
+    // a11y - the beaker, then its controls
+    this.accessibleOrder = [ beakerNode, controlsNode, soluteComboBox ];
+
+    // @private the precipitate is animated by the view, see step
+    this.precipitateNode = precipitateNode;
+
+    // @public (read-only) for aligning the concentration displays with the beakers
+    this.beakerParent = beakerParent;
+  }
+
+  /**
+   * Animates the precipitate as it settles.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.precipitateNode.step( dt );
+  }
+}
+
+molarity.register( 'ComparisonBeakerNode', ComparisonBeakerNode );
+export default ComparisonBeakerNode;
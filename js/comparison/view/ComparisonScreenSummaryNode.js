@@ -0,0 +1,70 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that holds the PDOM content for the screen summary in the Comparison screen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+// a11y strings
+const screenSummaryControlAreaString = molarityStrings.a11y.comparison.screenSummary.controlArea;
+const screenSummaryCurrentStateOfSimPatternString = molarityStrings.a11y.comparison.screenSummary.currentStateOfSimPattern;
+const screenSummaryPlayAreaPatternString = molarityStrings.a11y.comparison.screenSummary.playAreaPattern;
+const screenSummarySimInteractionHintString = molarityStrings.a11y.comparison.screenSummary.simInteractionHint;
+
+class ComparisonScreenSummaryNode extends Node {
+
+  /**
+   * @param {ComparisonModel} model
+   * @param {ComparisonDescriber} comparisonDescriber
+   */
+  constructor( model, comparisonDescriber ) {
+
+    super();
+
+    // First paragraph of the screen summary -- static regardless of state of sim, describes the play area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: StringUtils.fillIn( screenSummaryPlayAreaPatternString, {
+        numberOfSolutes: model.solutes.length
+      } )
+    } ) );
+
+    // Second paragraph of the screen summary -- static regardless of state of sim, describes the control area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummaryControlAreaString
+    } ) );
+
+    // Third paragraph of the screen summary -- dynamic depending on the state of the sim so keep a reference to it.
+    const stateOfSimNode = new Node( {
+      tagName: 'p'
+    } );
+    this.addChild( stateOfSimNode );
+
+    // Fourth paragraph of the screen summary -- static regardless of state of sim, gives the interaction hint
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummarySimInteractionHintString
+    } ) );
+
+    // Updates the third paragraph of the screen summary when sim Properties change.
+    Property.multilink( comparisonDescriber.getBeakerDescriptionDependencies( model.solutionA ).concat(
+      comparisonDescriber.getBeakerDescriptionDependencies( model.solutionB ) ), () => {
+      stateOfSimNode.innerContent = StringUtils.fillIn( screenSummaryCurrentStateOfSimPatternString, {
+        beakerA: comparisonDescriber.getBeakerDescription( model.solutionA ),
+        beakerB: comparisonDescriber.getBeakerDescription( model.solutionB ),
+        comparison: comparisonDescriber.getComparisonString()
+      } );
+    } );
+  }
+}
+
+molarity.register( 'ComparisonScreenSummaryNode', ComparisonScreenSummaryNode );
+export default ComparisonScreenSummaryNode;
@@ -0,0 +1,136 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for the 'Comparison' screen.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import ConcentrationDisplay from '../../molarity/view/ConcentrationDisplay.js';
+import ComparisonAlertManager from './ComparisonAlertManager.js';
+import ComparisonBeakerNode from './ComparisonBeakerNode.js';
+import ComparisonScreenSummaryNode from './ComparisonScreenSummaryNode.js';
+import ComparisonDescriber from './describers/ComparisonDescriber.js';
+
+const beakerAString = molarityStrings.beakerA;
+const beakerBString = molarityStrings.beakerB;
+
+class ComparisonScreenView extends ScreenView {
+
+  /**
+   * @param {ComparisonModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    // a11y - initializes the describer and alert manager to generate and update all PDOM and alert content.
+    const comparisonDescriber = new ComparisonDescriber( model );
+    const alertManager = new ComparisonAlertManager( model, comparisonDescriber );
+
+    super( {
+      layoutBounds: new Bounds2( 0, 0, 1100, 700 ),
+      tandem: tandem,
+      screenSummaryContent: new ComparisonScreenSummaryNode( model, comparisonDescriber )
+    } );
+
+    // the beakers, each with its own controls
+    const soluteComboBoxListParent = new Node();
+    const beakerANode = new ComparisonBeakerNode( model.solutionA, beakerAString, model.solutes, comparisonDescriber,
+      alertManager, soluteComboBoxListParent, tandem.createTandem( 'beakerANode' ) );
+    const beakerBNode = new ComparisonBeakerNode( model.solutionB, beakerBString, model.solutes, comparisonDescriber,
+      alertManager, soluteComboBoxListParent, tandem.createTandem( 'beakerBNode' ) );
+
+    // Concentration displays, side by side so that their bars can be compared. Both are in molarity, the units that
+    // the concentrations are compared in.
+    const valuesVisibleProperty = new BooleanProperty( true );
+    const concentrationBarSize = new Dimension2( 40, beakerANode.beakerParent.height + 20 );
+    const concentrationDisplayA = new ConcentrationDisplay( model.solutionA, MolarityConstants.CONCENTRATION_RANGE,
+      valuesVisibleProperty, concentrationBarSize, tandem.createTandem( 'concentrationDisplayA' ), {
+        title: beakerAString
+      } );
+    const concentrationDisplayB = new ConcentrationDisplay( model.solutionB, MolarityConstants.CONCENTRATION_RANGE,
+      valuesVisibleProperty, concentrationBarSize, tandem.createTandem( 'concentrationDisplayB' ), {
+        title: beakerBString
+      } );
+
+    // Reset All button
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+      },
+      scale: 1.32,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // a11y - heading and accessible order for play area section of PDOM
+    this.pdomPlayAreaNode.accessibleOrder = [
+      beakerANode,
+      beakerBNode,
+      soluteComboBoxListParent,
+      concentrationDisplayA,
+      concentrationDisplayB
+    ];
+
+    // a11y - contains PDOM heading for Control Area, and orders the PDOM for included elements
+    this.pdomControlAreaNode.accessibleOrder = [
+      resetAllButton
+    ];
+
+    // layout for things that don't have a location in the model
+    {
+      beakerANode.left = 0;
+      beakerANode.top = 0;
+      // to the right of beaker A
+      beakerBNode.left = beakerANode.right + 30;
+      beakerBNode.top = beakerANode.top;
+      // right of beaker B, bottom-aligned with the beakers
+      concentrationDisplayA.left = beakerBNode.right + 30;
+      concentrationDisplayA.bottom = beakerBNode.localToParentBounds( beakerBNode.beakerParent.bounds ).bottom;
+      // right of the concentration display for beaker A
+      concentrationDisplayB.left = concentrationDisplayA.right + 10;
+      concentrationDisplayB.bottom = concentrationDisplayA.bottom;
+      // below the concentration displays
+      resetAllButton.centerX = ( concentrationDisplayA.left + concentrationDisplayB.right ) / 2;
+      resetAllButton.bottom = Math.max( beakerANode.bottom, beakerBNode.bottom );
+    }
+
+    // center everything on the screen
+    this.addChild( new Node( {
+      children: [
+        beakerANode,
+        beakerBNode,
+        concentrationDisplayA,
+        concentrationDisplayB,
+        resetAllButton,
+        soluteComboBoxListParent
+      ],
+      center: this.layoutBounds.center
+    } ) );
+
+    // @private animated by the view, see step
+    this.beakerANode = beakerANode;
+    this.beakerBNode = beakerBNode;
+  }
+
+  /**
+   * Animates the precipitate in both beakers as it settles.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.beakerANode.step( dt );
+    this.beakerBNode.step( dt );
+  }
+}
+
+molarity.register( 'ComparisonScreenView', ComparisonScreenView );
+export default ComparisonScreenView;
@@ -0,0 +1,167 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ComparisonDescriber is responsible for generating strings about the Comparison screen: what each beaker holds, and
+ * how their concentrations compare. Descriptions on this screen are always quantitative, since the values are always
+ * shown. Concentrations are compared in molarity, which is what the concentration meters show.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import QuantitativeDescriber from '../../../molarity/view/describers/QuantitativeDescriber.js';
+
+const beakerAString = molarityStrings.beakerA;
+const beakerBString = molarityStrings.beakerB;
+
+// a11y strings
+const beakerNoSolutePatternString = molarityStrings.a11y.comparison.beakerNoSolutePattern;
+const beakerPatternString = molarityStrings.a11y.comparison.beakerPattern;
+const beakerSaturatedPatternString = molarityStrings.a11y.comparison.beakerSaturatedPattern;
+const bothPureWaterString = molarityStrings.a11y.comparison.bothPureWater;
+const equallyConcentratedPatternString = molarityStrings.a11y.comparison.equallyConcentratedPattern;
+const moreConcentratedPatternString = molarityStrings.a11y.comparison.moreConcentratedPattern;
+const pureWaterPatternString = molarityStrings.a11y.comparison.pureWaterPattern;
+const soluteChangedAlertPatternString = molarityStrings.a11y.comparison.soluteChangedAlertPattern;
+const timesPatternString = molarityStrings.a11y.comparison.timesPattern;
+const twiceString = molarityStrings.a11y.comparison.twice;
+
+// constants
+const RATIO_DECIMAL_PLACES = 1;
+
+class ComparisonDescriber {
+
+  /**
+   * @param {ComparisonModel} model
+   */
+  constructor( model ) {
+
+    // @private
+    this.solutionA = model.solutionA;
+    this.solutionB = model.solutionB;
+  }
+
+  /**
+   * Describes what one of the beakers holds.
+   * @param {Solution} solution - model.solutionA or model.solutionB
+   * @public
+   * @returns {string} - e.g. "Beaker A holds 0.500 liters of drink mix solution with 0.500 moles of solute, at 1.000
+   *                     molar."
+   */
+  getBeakerDescription( solution ) {
+    const volume = QuantitativeDescriber.getVolumeString( solution.volumeProperty.value );
+    if ( !solution.hasSolute() ) {
+      return StringUtils.fillIn( beakerNoSolutePatternString, {
+        beaker: this.getBeakerName( solution ),
+        volume: volume
+      } );
+    }
+    return StringUtils.fillIn( solution.isSaturated() ? beakerSaturatedPatternString : beakerPatternString, {
+      beaker: this.getBeakerName( solution ),
+      volume: volume,
+      solute: solution.soluteProperty.value.lowercaseName,
+      soluteAmount: QuantitativeDescriber.getSoluteAmountString( solution.soluteAmountProperty.value ),
+      concentration: QuantitativeDescriber.getConcentrationString( solution.concentrationProperty.value )
+    } );
+  }
+
+  /**
+   * Gets the Properties that a beaker's description depends on. Concentration is included since it is derived from
+   * the others, and may be updated after them.
+   * @param {Solution} solution
+   * @public
+   * @returns {Property[]}
+   */
+  getBeakerDescriptionDependencies( solution ) {
+    return [ solution.soluteProperty, solution.soluteAmountProperty, solution.volumeProperty,
+      solution.concentrationProperty ];
+  }
+
+  /**
+   * Describes how the concentrations of the two beakers compare.
+   * @public
+   * @returns {string} - e.g. "Beaker A is twice as concentrated as Beaker B."
+   */
+  getComparisonString() {
+    const concentrationA = this.solutionA.concentrationProperty.value;
+    const concentrationB = this.solutionB.concentrationProperty.value;
+    if ( concentrationA === 0 && concentrationB === 0 ) {
+      return bothPureWaterString;
+    }
+    else if ( concentrationA === 0 || concentrationB === 0 ) {
+      return StringUtils.fillIn( pureWaterPatternString, {
+        pureWater: concentrationA === 0 ? beakerAString : beakerBString,
+        other: concentrationA === 0 ? beakerBString : beakerAString
+      } );
+    }
+
+    // the ratio is rounded as it is described, so that beakers are equally concentrated if the ratio rounds to 1
+    const ratio = Utils.toFixedNumber( Math.max( concentrationA, concentrationB ) /
+                                       Math.min( concentrationA, concentrationB ), RATIO_DECIMAL_PLACES );
+    if ( ratio === 1 ) {
+      return StringUtils.fillIn( equallyConcentratedPatternString, {
+        beakerA: beakerAString,
+        beakerB: beakerBString,
+        concentration: QuantitativeDescriber.getConcentrationString( concentrationA )
+      } );
+    }
+    return StringUtils.fillIn( moreConcentratedPatternString, {
+      more: concentrationA > concentrationB ? beakerAString : beakerBString,
+      less: concentrationA > concentrationB ? beakerBString : beakerAString,
+      ratio: ratio === 2 ? twiceString : StringUtils.fillIn( timesPatternString, {
+        ratio: Utils.toFixed( ratio, RATIO_DECIMAL_PLACES )
+      } )
+    } );
+  }
+
+  /**
+   * Creates the alert for when the solute in one of the beakers has changed.
+   * @param {Solution} solution - model.solutionA or model.solutionB
+   * @public
+   * @returns {string} - e.g. "Beaker B now holds copper sulfate. Beaker A and Beaker B are equally concentrated, at
+   *                     1.000 molar."
+   */
+  getSoluteChangedAlertString( solution ) {
+    return StringUtils.fillIn( soluteChangedAlertPatternString, {
+      beaker: this.getBeakerName( solution ),
+      solute: solution.soluteProperty.value.lowercaseName,
+      comparison: this.getComparisonString()
+    } );
+  }
+
+  /**
+   * Gets the aria-valuetext for a slider that controls the amount of solute in one of the beakers.
+   * @param {Solution} solution
+   * @public
+   * @returns {string} - e.g. "0.500 moles"
+   */
+  getSoluteAmountValueText( solution ) {
+    return QuantitativeDescriber.getSoluteAmountString( solution.soluteAmountProperty.value );
+  }
+
+  /**
+   * Gets the aria-valuetext for a slider that controls the volume of one of the beakers.
+   * @param {Solution} solution
+   * @public
+   * @returns {string} - e.g. "0.500 liters"
+   */
+  getVolumeValueText( solution ) {
+    return QuantitativeDescriber.getVolumeString( solution.volumeProperty.value );
+  }
+
+  /**
+   * @param {Solution} solution - model.solutionA or model.solutionB
+   * @returns {string}
+   * @private
+   */
+  getBeakerName( solution ) {
+    assert && assert( solution === this.solutionA || solution === this.solutionB, 'unrecognized solution' );
+    return solution === this.solutionA ? beakerAString : beakerBString;
+  }
+}
+
+molarity.register( 'ComparisonDescriber', ComparisonDescriber );
+export default ComparisonDescriber;
@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The 'Dilution' screen. Conforms to the contract specified in joist/Screen.
+ *
+ * @author agent
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import molarityStrings from '../molarity-strings.js';
+import molarity from '../molarity.js';
+import DilutionModel from './model/DilutionModel.js';
+import DilutionScreenView from './view/DilutionScreenView.js';
+
+const screenDilutionString = molarityStrings.screen.dilution;
+
+/**
+ * @param {SoluteCatalog} soluteCatalog
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function DilutionScreen( soluteCatalog, tandem ) {
+
+  const options = {
+    name: screenDilutionString,
+    tandem: tandem
+  };
+
+  Screen.call( this,
+    function() { return new DilutionModel( soluteCatalog, tandem.createTandem( 'model' ) ); },
+    function( model ) { return new DilutionScreenView( model, tandem.createTandem( 'view' ) ); },
+    options
+  );
+}
+
+molarity.register( 'DilutionScreen', DilutionScreen );
+
+inherit( Screen, DilutionScreen );
+export default DilutionScreen;
@@ -0,0 +1,135 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model container for the 'Dilution' screen.
+ *
+ * A volume of the stock solution is transferred to a second beaker and diluted with water. The amount of solute is
+ * conserved by the transfer, so the concentrations and volumes satisfy M1V1 = M2V2, where M1 is the concentration of
+ * the stock solution, V1 is the volume transferred, M2 is the concentration of the diluted solution, and V2 is the
+ * volume of the diluted solution. Precipitate stays in the stock beaker, so only dissolved solute is transferred.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import MolaritySolvents from '../../molarity/model/MolaritySolvents.js';
+import Solution from '../../molarity/model/Solution.js';
+
+class DilutionModel {
+
+  /**
+   * @param {SoluteCatalog} soluteCatalog
+   * @param {Tandem} tandem
+   */
+  constructor( soluteCatalog, tandem ) {
+
+    // @public
+    this.solutes = soluteCatalog.createSolutes( tandem );
+
+    // @public (read-only) both solutions are made with water, the only solvent on this screen
+    this.water = MolaritySolvents.createWater( tandem );
+
+    // @public concentration of the stock solution, before any is transferred
+    this.stockConcentrationProperty = new NumberProperty( MolarityConstants.STOCK_CONCENTRATION_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'stockConcentrationProperty' ),
+      units: 'moles/liter',
+      range: MolarityConstants.STOCK_CONCENTRATION_RANGE
+    } );
+
+    // @public volume of stock solution that is transferred to the diluted solution, V1
+    this.transferVolumeProperty = new NumberProperty( MolarityConstants.TRANSFER_VOLUME_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'transferVolumeProperty' ),
+      units: 'liters',
+      range: MolarityConstants.TRANSFER_VOLUME_RANGE
+    } );
+
+    // @public volume of water that is added to the diluted solution
+    this.waterVolumeProperty = new NumberProperty( MolarityConstants.WATER_VOLUME_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'waterVolumeProperty' ),
+      units: 'liters',
+      range: MolarityConstants.WATER_VOLUME_RANGE
+    } );
+
+    // @public (read-only) the stock solution, what remains of it after the transfer. Its solute amount and volume are
+    // derived from the Properties above, so only its solute is set directly.
+    this.stockSolution = new Solution( this.water, this.solutes, this.solutes[ 0 ], 0, MolarityConstants.STOCK_VOLUME,
+      MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem.createTandem( 'stockSolution' ) );
+
+    // @public (read-only) the diluted solution, everything in it is derived from the stock solution and the Properties above
+    this.dilutedSolution = new Solution( this.water, this.solutes, this.solutes[ 0 ], 0,
+      MolarityConstants.TRANSFER_VOLUME_RANGE.defaultValue + MolarityConstants.WATER_VOLUME_RANGE.defaultValue,
+      MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem.createTandem( 'dilutedSolution' ) );
+
+    // @public (read-only) BooleanProperty
+    this.resetInProgressProperty = new BooleanProperty( false );
+
+    // The diluted solution is made from the stock solution, so it has the same solute. Linked before the update below,
+    // so that both solutions have the new solute when the update happens.
+    this.stockSolution.soluteProperty.link( solute => {
+      this.dilutedSolution.soluteProperty.value = solute;
+    } );
+
+    // Both solutions are consistent with any saved state, so this is safe when PhET-iO state is set.
+    Property.multilink( [ this.stockConcentrationProperty, this.transferVolumeProperty, this.waterVolumeProperty,
+      this.stockSolution.soluteProperty ], () => this.updateSolutions() );
+  }
+
+  /**
+   * Transfers stock solution to the diluted solution.
+   * @private
+   */
+  updateSolutions() {
+    const transferVolume = this.transferVolumeProperty.value;
+    const stockAmount = this.stockConcentrationProperty.value * MolarityConstants.STOCK_VOLUME;
+
+    // concentration of what is transferred, limited by saturation since the precipitate is left behind
+    const transferConcentration = Solution.computeConcentration( MolarityConstants.STOCK_VOLUME, stockAmount,
+      this.stockSolution.saturatedConcentrationProperty.value );
+    const transferAmount = transferConcentration * transferVolume;
+
+    this.stockSolution.volumeProperty.value = MolarityConstants.STOCK_VOLUME - transferVolume;
+    this.stockSolution.soluteAmountProperty.value = stockAmount - transferAmount;
+    this.dilutedSolution.volumeProperty.value = transferVolume + this.waterVolumeProperty.value;
+    this.dilutedSolution.soluteAmountProperty.value = transferAmount;
+  }
+
+  /**
+   * Gets the amount of solute that was transferred, which is the same on both sides of M1V1 = M2V2.
+   * @returns {number} moles
+   * @public
+   */
+  getTransferredSoluteAmount() {
+    return this.dilutedSolution.soluteAmountProperty.value;
+  }
+
+  /**
+   * Gets the dilution factor, the ratio of the diluted volume to the transferred volume. This is also how many times
+   * less concentrated the diluted solution is, M1/M2.
+   * @returns {number}
+   * @public
+   */
+  getDilutionFactor() {
+    return this.dilutedSolution.volumeProperty.value / this.transferVolumeProperty.value;
+  }
+
+  // @public Resets all model elements
+  reset() {
+    this.resetInProgressProperty.set( true );
+    this.stockSolution.reset();
+    this.dilutedSolution.reset();
+    this.stockConcentrationProperty.reset();
+    this.transferVolumeProperty.reset();
+    this.waterVolumeProperty.reset();
+
+    // resetting the solutions undoes the transfer, and the Properties above may not have changed
+    this.updateSolutions();
+    this.resetInProgressProperty.set( false );
+  }
+}
+
+molarity.register( 'DilutionModel', DilutionModel );
+export default DilutionModel;
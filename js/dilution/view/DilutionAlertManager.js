@@ -0,0 +1,51 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DilutionAlertManager is responsible for adding the Dilution screen's alerts to the utteranceQueue. It provides the
+ * alertSolutionQuantityChanged method that VerticalSlider expects of an alert manager.
+ *
+ * @author agent
+ */
+
+import ActivationUtterance from '../../../../utterance-queue/js/ActivationUtterance.js';
+import ValueChangeUtterance from '../../../../utterance-queue/js/ValueChangeUtterance.js';
+import molarity from '../../molarity.js';
+
+class DilutionAlertManager {
+
+  /**
+   * @param {DilutionModel} model
+   * @param {DilutionDescriber} dilutionDescriber
+   */
+  constructor( model, dilutionDescriber ) {
+
+    // @private
+    this.dilutionDescriber = dilutionDescriber;
+
+    // @private - utterances with specific jobs so that duplicates are overwritten in the queue.
+    this.sliderUtterance = new ValueChangeUtterance();
+    this.soluteUtterance = new ActivationUtterance();
+
+    // An alert is read out when the solute is changed, but not when it is changed by Reset All.
+    model.stockSolution.soluteProperty.lazyLink( () => {
+      if ( !model.resetInProgressProperty.value ) {
+        this.soluteUtterance.alert = this.dilutionDescriber.getSoluteChangedAlertString();
+        phet.joist.sim.utteranceQueue.addToBack( this.soluteUtterance );
+      }
+    } );
+  }
+
+  /**
+   * Alert when a slider on the Dilution screen has changed a value. Every slider on this screen changes the diluted
+   * solution, so the alert always describes how the concentration fell.
+   * @param {DilutionDescriber} describer
+   * @public
+   */
+  alertSolutionQuantityChanged( describer ) {
+    this.sliderUtterance.alert = describer.getConcentrationChangeString();
+    phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
+  }
+}
+
+molarity.register( 'DilutionAlertManager', DilutionAlertManager );
+export default DilutionAlertManager;
@@ -0,0 +1,109 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Displays the dilution equation, M1V1 = M2V2, and the current values of its terms. Both sides of the equation are
+ * the amount of solute that was transferred, which is shown at the end.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+
+const dilutionEquationString = molarityStrings.dilutionEquation;
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const patternDilutionEquationValuesString = molarityStrings.pattern.dilutionEquationValues;
+const unitsLitersString = molarityStrings.units.liters;
+const unitsMolarityString = molarityStrings.units.molarity;
+const unitsMolesString = molarityStrings.units.moles;
+
+// a11y strings
+const equationHeadingString = molarityStrings.a11y.dilution.equationHeading;
+
+// constants
+const MAX_TEXT_WIDTH = 600; // constrain for i18n, determined empirically
+
+class DilutionEquationNode extends VBox {
+
+  /**
+   * @param {DilutionModel} model
+   * @param {DilutionDescriber} dilutionDescriber
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( model, dilutionDescriber, tandem, options ) {
+
+    options = merge( {
+      spacing: 8,
+      pickable: false,
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: equationHeadingString
+    }, options );
+
+    const equationNode = new RichText( dilutionEquationString, {
+      font: new PhetFont( { size: 24, weight: 'bold' } ),
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'equationNode' )
+    } );
+
+    const valuesNode = new Text( '?', {
+      font: new PhetFont( 20 ),
+      maxWidth: MAX_TEXT_WIDTH,
+      tandem: tandem.createTandem( 'valuesNode' )
+    } );
+
+    assert && assert( !options.children, 'DilutionEquationNode sets children' );
+    options.children = [ equationNode, valuesNode ];
+
+    super( options );
+
+    // Both solutions are derived from these Properties, and the model updates them first.
+    Property.multilink( [
+      model.stockConcentrationProperty,
+      model.transferVolumeProperty,
+      model.waterVolumeProperty,
+      model.stockSolution.soluteProperty
+    ], () => {
+      valuesNode.text = StringUtils.fillIn( patternDilutionEquationValuesString, {
+        stockConcentration: formatValue( model.stockSolution.concentrationProperty.value,
+          MolarityConstants.CONCENTRATION_DECIMAL_PLACES, unitsMolarityString ),
+        transferVolume: formatValue( model.transferVolumeProperty.value,
+          MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES, unitsLitersString ),
+        dilutedConcentration: formatValue( model.dilutedSolution.concentrationProperty.value,
+          MolarityConstants.CONCENTRATION_DECIMAL_PLACES, unitsMolarityString ),
+        dilutedVolume: formatValue( model.dilutedSolution.volumeProperty.value,
+          MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES, unitsLitersString ),
+        soluteAmount: formatValue( model.getTransferredSoluteAmount(),
+          MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES, unitsMolesString )
+      } );
+
+      // a11y
+      this.descriptionContent = dilutionDescriber.getEquationString();
+    } );
+  }
+}
+
+/**
+ * @param {number} value
+ * @param {number} decimalPlaces
+ * @param {string} units
+ * @returns {string}
+ */
+const formatValue = ( value, decimalPlaces, units ) =>
+  StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( value, decimalPlaces ), units );
+
+molarity.register( 'DilutionEquationNode', DilutionEquationNode );
+export default DilutionEquationNode;
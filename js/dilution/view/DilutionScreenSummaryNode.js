@@ -0,0 +1,74 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that holds the PDOM content for the screen summary in the Dilution screen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+// a11y strings
+const screenSummaryControlAreaString = molarityStrings.a11y.dilution.screenSummary.controlArea;
+const screenSummaryCurrentStateOfSimPatternString = molarityStrings.a11y.dilution.screenSummary.currentStateOfSimPattern;
+const screenSummaryPlayAreaPatternString = molarityStrings.a11y.dilution.screenSummary.playAreaPattern;
+const screenSummarySimInteractionHintString = molarityStrings.a11y.dilution.screenSummary.simInteractionHint;
+
+class DilutionScreenSummaryNode extends Node {
+
+  /**
+   * @param {DilutionModel} model
+   * @param {DilutionDescriber} dilutionDescriber
+   */
+  constructor( model, dilutionDescriber ) {
+
+    super();
+
+    // First paragraph of the screen summary -- static regardless of state of sim, describes the play area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: StringUtils.fillIn( screenSummaryPlayAreaPatternString, {
+        numberOfSolutes: model.solutes.length
+      } )
+    } ) );
+
+    // Second paragraph of the screen summary -- static regardless of state of sim, describes the control area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummaryControlAreaString
+    } ) );
+
+    // Third paragraph of the screen summary -- dynamic depending on the state of the sim so keep a reference to it.
+    const stateOfSimNode = new Node( {
+      tagName: 'p'
+    } );
+    this.addChild( stateOfSimNode );
+
+    // Fourth paragraph of the screen summary -- static regardless of state of sim, gives the interaction hint
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummarySimInteractionHintString
+    } ) );
+
+    // Updates the third paragraph of the screen summary when sim Properties change. Both solutions are derived from
+    // these Properties, and the model updates them first.
+    Property.multilink( [
+      model.stockConcentrationProperty,
+      model.transferVolumeProperty,
+      model.waterVolumeProperty,
+      model.stockSolution.soluteProperty
+    ], () => {
+      stateOfSimNode.innerContent = StringUtils.fillIn( screenSummaryCurrentStateOfSimPatternString, {
+        equation: dilutionDescriber.getEquationString(),
+        concentrationChange: dilutionDescriber.getConcentrationChangeString()
+      } );
+    } );
+  }
+}
+
+molarity.register( 'DilutionScreenSummaryNode', DilutionScreenSummaryNode );
+export default DilutionScreenSummaryNode;
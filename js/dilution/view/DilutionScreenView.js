@@ -0,0 +1,372 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for the 'Dilution' screen.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import ConcentrationUnits from '../../molarity/model/ConcentrationUnits.js';
+import Solution from '../../molarity/model/Solution.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import BeakerNode from '../../molarity/view/BeakerNode.js';
+import ConcentrationDisplay from '../../molarity/view/ConcentrationDisplay.js';
+import ConcentrationFormatter from '../../molarity/view/ConcentrationFormatter.js';
+import PrecipitateNode from '../../molarity/view/PrecipitateNode.js';
+import SaturatedIndicator from '../../molarity/view/SaturatedIndicator.js';
+import SoluteComboBox from '../../molarity/view/SoluteComboBox.js';
+import SolutionNode from '../../molarity/view/SolutionNode.js';
+import VerticalSlider from '../../molarity/view/VerticalSlider.js';
+import DilutionAlertManager from './DilutionAlertManager.js';
+import DilutionEquationNode from './DilutionEquationNode.js';
+import DilutionScreenSummaryNode from './DilutionScreenSummaryNode.js';
+import DilutionDescriber from './describers/DilutionDescriber.js';
+
+const dilutedSolutionString = molarityStrings.dilutedSolution;
+const fullString = molarityStrings.full;
+const highString = molarityStrings.high;
+const litersString = molarityStrings.liters;
+const lotsString = molarityStrings.lots;
+const lowString = molarityStrings.low;
+const molarityLabelString = molarityStrings.molarity.label;
+const noneString = molarityStrings.none;
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const stockConcentrationString = molarityStrings.stockConcentration;
+const stockSolutionString = molarityStrings.stockSolution;
+const transferVolumeString = molarityStrings.transferVolume;
+const unitsLitersString = molarityStrings.units.liters;
+const unitsMolarityString = molarityStrings.units.molarity;
+const waterVolumeString = molarityStrings.waterVolume;
+const zeroString = molarityStrings.zero;
+
+// a11y strings
+const dilutedBeakerString = molarityStrings.a11y.dilution.dilutedBeaker;
+const dilutionControlsString = molarityStrings.a11y.dilution.dilutionControls;
+const sliderHelpTextString = molarityStrings.a11y.dilution.sliderHelpText;
+const stockBeakerString = molarityStrings.a11y.dilution.stockBeaker;
+
+// constants
+const BEAKER_SCALE = 0.55; // both beakers are drawn smaller than on the Molarity screen, so that two of them fit
+const SLIDER_TRACK_WIDTH = 12;
+const CAPTION_FONT = new PhetFont( { size: 22, weight: 'bold' } );
+
+class DilutionScreenView extends ScreenView {
+
+  /**
+   * @param {DilutionModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    // Units that concentration is displayed in. The model is always in molarity, and so is the equation.
+    const concentrationUnitsProperty = new EnumerationProperty( ConcentrationUnits, ConcentrationUnits.MOLARITY, {
+      tandem: tandem.createTandem( 'concentrationUnitsProperty' )
+    } );
+
+    // a11y - initializes the describer and alert manager to generate and update all PDOM and alert content.
+    const dilutionDescriber = new DilutionDescriber( model, concentrationUnitsProperty );
+    const alertManager = new DilutionAlertManager( model, dilutionDescriber );
+
+    super( {
+      layoutBounds: new Bounds2( 0, 0, 1100, 700 ),
+      tandem: tandem,
+      screenSummaryContent: new DilutionScreenSummaryNode( model, dilutionDescriber )
+    } );
+
+    // M1V1 = M2V2 is about the values, so they are always visible on this screen, and descriptions are quantitative.
+    const valuesVisibleProperty = new BooleanProperty( true );
+    const useQuantitativeDescriptionsProperty = valuesVisibleProperty;
+
+    // Properties that both solutions are derived from, for updating descriptions
+    const descriptionDependencies = [
+      model.stockConcentrationProperty,
+      model.transferVolumeProperty,
+      model.waterVolumeProperty,
+      model.stockSolution.soluteProperty
+    ];
+
+    // beakers, with solution (and for the stock solution, precipitate) inside of them
+    const stockBeakerNode = createBeakerNode( model.stockSolution, valuesVisibleProperty, concentrationUnitsProperty,
+      stockBeakerString, () => dilutionDescriber.getStockBeakerDescription(), descriptionDependencies,
+      tandem.createTandem( 'stockBeakerNode' ) );
+    const dilutedBeakerNode = createBeakerNode( model.dilutedSolution, valuesVisibleProperty, concentrationUnitsProperty,
+      dilutedBeakerString, () => dilutionDescriber.getDilutedBeakerDescription(), descriptionDependencies,
+      tandem.createTandem( 'dilutedBeakerNode' ) );
+
+    const cylinderSize = stockBeakerNode.getCylinderSize();
+    const cylinderEndHeight = stockBeakerNode.getCylinderEndHeight();
+    const scaledCylinderSize = cylinderSize.timesScalar( BEAKER_SCALE );
+
+    const stockSolutionNode = new SolutionNode( cylinderSize, cylinderEndHeight, model.stockSolution,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'stockSolutionNode' ) );
+    const precipitateNode = new PrecipitateNode( model.stockSolution, cylinderSize, cylinderEndHeight,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'precipitateNode' ) );
+    const dilutedSolutionNode = new SolutionNode( cylinderSize, cylinderEndHeight, model.dilutedSolution,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'dilutedSolutionNode' ) );
+    const saturatedIndicator = new SaturatedIndicator( model.stockSolution, tandem.createTandem( 'saturatedIndicator' ) );
+
+    // Each beaker and its contents share a coordinate frame, scaled as a group.
+    const stockBeakerParent = new Node( {
+      children: [ stockSolutionNode, stockBeakerNode, precipitateNode ],
+      scale: BEAKER_SCALE
+    } );
+    const dilutedBeakerParent = new Node( {
+      children: [ dilutedSolutionNode, dilutedBeakerNode ],
+      scale: BEAKER_SCALE
+    } );
+
+    // captions, above the beakers
+    const stockCaptionNode = new Text( stockSolutionString, {
+      font: CAPTION_FONT,
+      maxWidth: scaledCylinderSize.width,
+      tandem: tandem.createTandem( 'stockCaptionNode' )
+    } );
+    const dilutedCaptionNode = new Text( dilutedSolutionString, {
+      font: CAPTION_FONT,
+      maxWidth: scaledCylinderSize.width,
+      tandem: tandem.createTandem( 'dilutedCaptionNode' )
+    } );
+
+    // solute control
+    const soluteComboBoxListParent = new Node();
+    const soluteComboBox = new SoluteComboBox( model.solutes, model.stockSolution.soluteProperty, soluteComboBoxListParent,
+      tandem.createTandem( 'soluteComboBox' ), {
+        maxWidth: 500
+      } );
+
+    // slider for controlling the concentration of the stock solution, M1
+    const stockConcentrationSlider = new VerticalSlider( stockConcentrationString,
+      StringUtils.format( patternParentheses0TextString, molarityLabelString ),
+      zeroString, highString,
+      model.stockConcentrationProperty,
+      MolarityConstants.STOCK_CONCENTRATION_RANGE,
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES,
+      unitsMolarityString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, dilutionDescriber, {
+        tandem: tandem.createTandem( 'stockConcentrationSlider' ),
+
+        // follows the units of the concentration display
+        displayUnits: {
+          unitsProperty: concentrationUnitsProperty,
+          getSubtitle: units => StringUtils.format( patternParentheses0TextString, ConcentrationFormatter.getName( units ) ),
+          getUnits: units => ConcentrationFormatter.getUnits( units ),
+          getDecimalPlaces: units => ConcentrationFormatter.getDecimalPlaces( units ),
+          convert: ( concentration, units ) => Solution.convertSingleSoluteConcentration( concentration,
+            model.stockSolution.soluteProperty.value, model.stockSolution.solventProperty.value.density, units ),
+          convertDependencies: [ model.stockSolution.soluteProperty ]
+        },
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: stockConcentrationString,
+          a11yCreateAriaValueText: () => dilutionDescriber.getConcentrationValueText( model.stockConcentrationProperty.value ),
+          a11yDependencies: [ concentrationUnitsProperty, model.stockSolution.soluteProperty ]
+        }
+      } );
+
+    // slider for controlling the volume of stock solution that is transferred, V1
+    const transferVolumeSlider = new VerticalSlider( transferVolumeString,
+      StringUtils.format( patternParentheses0TextString, litersString ),
+      lowString, fullString,
+      model.transferVolumeProperty,
+      MolarityConstants.TRANSFER_VOLUME_RANGE,
+      MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES,
+      unitsLitersString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, dilutionDescriber, {
+        tandem: tandem.createTandem( 'transferVolumeSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: transferVolumeString,
+          a11yCreateAriaValueText: () => dilutionDescriber.getVolumeValueText( model.transferVolumeProperty.value )
+        }
+      } );
+
+    // slider for controlling the volume of water that is added to the diluted solution
+    const waterVolumeSlider = new VerticalSlider( waterVolumeString,
+      StringUtils.format( patternParentheses0TextString, litersString ),
+      noneString, lotsString,
+      model.waterVolumeProperty,
+      MolarityConstants.WATER_VOLUME_RANGE,
+      MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES,
+      unitsLitersString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, dilutionDescriber, {
+        tandem: tandem.createTandem( 'waterVolumeSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: waterVolumeString,
+          a11yCreateAriaValueText: () => dilutionDescriber.getVolumeValueText( model.waterVolumeProperty.value )
+        }
+      } );
+
+    // concentration display for the diluted solution, which is never more concentrated than the stock solution
+    const concentrationUnitsListParent = new Node();
+    const concentrationDisplay = new ConcentrationDisplay( model.dilutedSolution,
+      MolarityConstants.STOCK_CONCENTRATION_RANGE, valuesVisibleProperty,
+      new Dimension2( 40, scaledCylinderSize.height + 50 ), tandem.createTandem( 'concentrationDisplay' ), {
+        concentrationUnitsProperty: concentrationUnitsProperty,
+        listParent: concentrationUnitsListParent
+      } );
+
+    // M1V1 = M2V2, with values
+    const equationNode = new DilutionEquationNode( model, dilutionDescriber, tandem.createTandem( 'equationNode' ) );
+
+    // Reset All button
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        concentrationUnitsProperty.reset();
+        model.reset();
+      },
+      scale: 1.32,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // a11y - heading and accessible order for slider controls section of PDOM
+    const dilutionControlsNode = new Node( {
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: dilutionControlsString,
+      descriptionContent: sliderHelpTextString
+    } );
+    dilutionControlsNode.accessibleOrder = [ stockConcentrationSlider, transferVolumeSlider, waterVolumeSlider ];
+
+    // a11y - heading and accessible order for play area section of PDOM
+    this.pdomPlayAreaNode.accessibleOrder = [
+      stockBeakerNode,
+      dilutedBeakerNode,
+      equationNode,
+      dilutionControlsNode,
+      soluteComboBox,
+      soluteComboBoxListParent,
+      concentrationDisplay,
+      concentrationUnitsListParent
+    ];
+
+    // a11y - contains PDOM heading for Control Area, and orders the PDOM for included elements
+    this.pdomControlAreaNode.accessibleOrder = [
+      resetAllButton
+    ];
+
+    // layout for things that don't have a location in the model
+    {
+      stockConcentrationSlider.left = 0;
+      stockConcentrationSlider.top = 0;
+      // to the right of the Stock Concentration slider, with the cylinder aligned to the top of the slider tracks
+      stockBeakerParent.left = stockConcentrationSlider.right - 10;
+      stockBeakerParent.top = stockConcentrationSlider.top - 6;
+      // to the right of the stock beaker
+      transferVolumeSlider.left = stockBeakerParent.right + 10;
+      transferVolumeSlider.top = stockConcentrationSlider.top;
+      // to the right of the Stock Transferred slider
+      waterVolumeSlider.left = transferVolumeSlider.right + 5;
+      waterVolumeSlider.top = stockConcentrationSlider.top;
+      // to the right of the Water Added slider
+      dilutedBeakerParent.left = waterVolumeSlider.right - 10;
+      dilutedBeakerParent.top = stockBeakerParent.top;
+      // centered above the beaker cylinders
+      stockCaptionNode.centerX = stockBeakerParent.x + ( scaledCylinderSize.width / 2 );
+      stockCaptionNode.bottom = stockBeakerParent.top - 5;
+      dilutedCaptionNode.centerX = dilutedBeakerParent.x + ( scaledCylinderSize.width / 2 );
+      dilutedCaptionNode.bottom = dilutedBeakerParent.top - 5;
+      // toward bottom of the stock beaker
+      const saturatedIndicatorVisible = saturatedIndicator.visible; // so we can layout an invisible node
+      saturatedIndicator.visible = true;
+      saturatedIndicator.centerX = stockBeakerParent.x + ( scaledCylinderSize.width / 2 );
+      saturatedIndicator.bottom = stockBeakerParent.bottom - ( 0.2 * scaledCylinderSize.height );
+      saturatedIndicator.visible = saturatedIndicatorVisible;
+      // right of the diluted beaker
+      concentrationDisplay.left = dilutedBeakerParent.right + 30;
+      concentrationDisplay.bottom = dilutedBeakerParent.bottom;
+      // centered below the sliders between the beakers
+      equationNode.centerX = ( transferVolumeSlider.left + waterVolumeSlider.right ) / 2;
+      equationNode.top = Math.max( stockBeakerParent.bottom, dilutedBeakerParent.bottom, waterVolumeSlider.bottom ) + 30;
+      // below the equation
+      soluteComboBox.centerX = equationNode.centerX;
+      soluteComboBox.top = equationNode.bottom + 30;
+      // right of combo box
+      resetAllButton.left = Math.max( soluteComboBox.right + 10, concentrationDisplay.centerX - ( resetAllButton.width / 2 ) );
+      resetAllButton.centerY = soluteComboBox.centerY;
+    }
+
+    // center everything on the screen
+    this.addChild( new Node( {
+      children: [
+        stockBeakerParent,
+        dilutedBeakerParent,
+        saturatedIndicator,
+        stockCaptionNode,
+        dilutedCaptionNode,
+        stockConcentrationSlider,
+        transferVolumeSlider,
+        waterVolumeSlider,
+        concentrationDisplay,
+        equationNode,
+        resetAllButton,
+        soluteComboBox,
+        soluteComboBoxListParent,
+        concentrationUnitsListParent,
+        dilutionControlsNode
+      ],
+      center: this.layoutBounds.center
+    } ) );
+
+    // @private the precipitate is animated by the view, see step
+    this.precipitateNode = precipitateNode;
+  }
+
+  /**
+   * Animates the precipitate as it settles.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.precipitateNode.step( dt );
+  }
+}
+
+/**
+ * Creates a beaker whose PDOM description is provided by the Dilution screen's describer.
+ * @param {Solution} solution
+ * @param {Property.<boolean>} valuesVisibleProperty
+ * @param {EnumerationProperty.<ConcentrationUnits>} concentrationUnitsProperty - units of the concentration on the label
+ * @param {string} labelContent - PDOM heading for the beaker
+ * @param {function():string} getDescription
+ * @param {Property[]} descriptionDependencies - Properties that the description depends on
+ * @param {Tandem} tandem
+ * @returns {BeakerNode}
+ */
+const createBeakerNode = ( solution, valuesVisibleProperty, concentrationUnitsProperty, labelContent, getDescription,
+                           descriptionDependencies, tandem ) => {
+  const descriptionNode = new Node( { tagName: 'p' } );
+  Property.multilink( descriptionDependencies, () => {
+    descriptionNode.innerContent = getDescription();
+  } );
+  return new BeakerNode( solution, MolarityConstants.SOLUTION_VOLUME_RANGE.max, valuesVisibleProperty, tandem, {
+    labelContent: labelContent,
+    descriptionNode: descriptionNode,
+    concentrationUnitsProperty: concentrationUnitsProperty
+  } );
+};
+
+molarity.register( 'DilutionScreenView', DilutionScreenView );
+export default DilutionScreenView;
@@ -0,0 +1,162 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * DilutionDescriber is responsible for generating strings about the Dilution screen: the two beakers, the M1V1 = M2V2
+ * bookkeeping, and how much the concentration fell when the stock solution was diluted. Descriptions on this screen
+ * are always quantitative, since the values are always shown. M1V1 = M2V2 only holds for molarity, so everything but
+ * the stock concentration slider is described in molarity, whatever units the concentration is displayed in.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import Solution from '../../../molarity/model/Solution.js';
+import ConcentrationFormatter from '../../../molarity/view/ConcentrationFormatter.js';
+import QuantitativeDescriber from '../../../molarity/view/describers/QuantitativeDescriber.js';
+
+// a11y strings
+const concentrationFellPatternString = molarityStrings.a11y.dilution.concentrationFellPattern;
+const concentrationUnchangedPatternString = molarityStrings.a11y.dilution.concentrationUnchangedPattern;
+const dilutedBeakerNoSolutePatternString = molarityStrings.a11y.dilution.dilutedBeakerNoSolutePattern;
+const dilutedBeakerPatternString = molarityStrings.a11y.dilution.dilutedBeakerPattern;
+const equationPatternString = molarityStrings.a11y.dilution.equationPattern;
+const noSoluteString = molarityStrings.a11y.dilution.noSolute;
+const soluteChangedAlertPatternString = molarityStrings.a11y.dilution.soluteChangedAlertPattern;
+const stockBeakerNoSolutePatternString = molarityStrings.a11y.dilution.stockBeakerNoSolutePattern;
+const stockBeakerPatternString = molarityStrings.a11y.dilution.stockBeakerPattern;
+const stockBeakerSaturatedPatternString = molarityStrings.a11y.dilution.stockBeakerSaturatedPattern;
+
+// constants
+const DILUTION_FACTOR_DECIMAL_PLACES = 1;
+
+class DilutionDescriber {
+
+  /**
+   * @param {DilutionModel} model
+   * @param {EnumerationProperty.<ConcentrationUnits>} concentrationUnitsProperty - units of the stock concentration slider
+   */
+  constructor( model, concentrationUnitsProperty ) {
+
+    // @private
+    this.model = model;
+    this.concentrationUnitsProperty = concentrationUnitsProperty;
+    this.stockSolution = model.stockSolution;
+    this.dilutedSolution = model.dilutedSolution;
+  }
+
+  /**
+   * Describes the stock solution that is left after the transfer.
+   * @public
+   * @returns {string} - e.g. "Holds 0.750 liters of drink mix solution at 0.500 molar."
+   */
+  getStockBeakerDescription() {
+    const volume = QuantitativeDescriber.getVolumeString( this.stockSolution.volumeProperty.value );
+    if ( !this.stockSolution.hasSolute() ) {
+      return StringUtils.fillIn( stockBeakerNoSolutePatternString, { volume: volume } );
+    }
+    return StringUtils.fillIn( this.stockSolution.isSaturated() ? stockBeakerSaturatedPatternString : stockBeakerPatternString, {
+      volume: volume,
+      solute: this.stockSolution.soluteProperty.value.lowercaseName,
+      concentration: QuantitativeDescriber.getConcentrationString( this.stockSolution.concentrationProperty.value )
+    } );
+  }
+
+  /**
+   * Describes the diluted solution, and what it was made from.
+   * @public
+   * @returns {string} - e.g. "Holds 0.250 liters of stock solution and 0.250 liters of water, 0.500 liters of drink mix
+   *                     solution at 0.250 molar."
+   */
+  getDilutedBeakerDescription() {
+    const patternString = this.dilutedSolution.hasSolute() ? dilutedBeakerPatternString : dilutedBeakerNoSolutePatternString;
+    return StringUtils.fillIn( patternString, {
+      transferVolume: QuantitativeDescriber.getVolumeString( this.model.transferVolumeProperty.value ),
+      waterVolume: QuantitativeDescriber.getVolumeString( this.model.waterVolumeProperty.value ),
+      volume: QuantitativeDescriber.getVolumeString( this.dilutedSolution.volumeProperty.value ),
+      solute: this.dilutedSolution.soluteProperty.value.lowercaseName,
+      concentration: QuantitativeDescriber.getConcentrationString( this.dilutedSolution.concentrationProperty.value )
+    } );
+  }
+
+  /**
+   * Describes M1V1 = M2V2 with the current values.
+   * @public
+   * @returns {string} - e.g. "0.500 molar times 0.250 liters equals 0.250 molar times 0.500 liters, 0.125 moles of
+   *                     drink mix on both sides."
+   */
+  getEquationString() {
+    const stockConcentration = this.stockSolution.concentrationProperty.value;
+    const dilutedConcentration = this.dilutedSolution.concentrationProperty.value;
+    return StringUtils.fillIn( equationPatternString, {
+      stockConcentration: QuantitativeDescriber.getConcentrationString( stockConcentration ),
+      transferVolume: QuantitativeDescriber.getVolumeString( this.model.transferVolumeProperty.value ),
+      dilutedConcentration: QuantitativeDescriber.getConcentrationString( dilutedConcentration ),
+      dilutedVolume: QuantitativeDescriber.getVolumeString( this.dilutedSolution.volumeProperty.value ),
+      soluteAmount: QuantitativeDescriber.getSoluteAmountString( this.model.getTransferredSoluteAmount() ),
+      solute: this.dilutedSolution.soluteProperty.value.lowercaseName
+    } );
+  }
+
+  /**
+   * Describes how the concentration fell when the stock solution was diluted.
+   * @public
+   * @returns {string} - e.g. "Concentration fell from 0.500 molar to 0.250 molar, 2.0 times less concentrated than the
+   *                     stock solution."
+   */
+  getConcentrationChangeString() {
+    const stockConcentrationString =
+      QuantitativeDescriber.getConcentrationString( this.stockSolution.concentrationProperty.value );
+    if ( !this.dilutedSolution.hasSolute() ) {
+      return noSoluteString;
+    }
+    else if ( this.model.waterVolumeProperty.value === 0 ) {
+      return StringUtils.fillIn( concentrationUnchangedPatternString, { concentration: stockConcentrationString } );
+    }
+    return StringUtils.fillIn( concentrationFellPatternString, {
+      stockConcentration: stockConcentrationString,
+      dilutedConcentration:
+        QuantitativeDescriber.getConcentrationString( this.dilutedSolution.concentrationProperty.value ),
+      dilutionFactor: Utils.toFixed( this.model.getDilutionFactor(), DILUTION_FACTOR_DECIMAL_PLACES )
+    } );
+  }
+
+  /**
+   * Creates the alert for when the solute has changed.
+   * @public
+   * @returns {string} - e.g. "Now copper sulfate. Concentration fell from ..."
+   */
+  getSoluteChangedAlertString() {
+    return StringUtils.fillIn( soluteChangedAlertPatternString, {
+      solute: this.stockSolution.soluteProperty.value.lowercaseName,
+      concentrationChange: this.getConcentrationChangeString()
+    } );
+  }
+
+  /**
+   * Gets the aria-valuetext for a slider that controls the stock concentration, in the displayed units.
+   * @param {number} concentration - M
+   * @public
+   * @returns {string} - e.g. "0.500 molar" or "8.2 percent by mass"
+   */
+  getConcentrationValueText( concentration ) {
+    const units = this.concentrationUnitsProperty.value;
+    return ConcentrationFormatter.getDescription( Solution.convertSingleSoluteConcentration( concentration,
+      this.stockSolution.soluteProperty.value, this.stockSolution.solventProperty.value.density, units ), units );
+  }
+
+  /**
+   * Gets the aria-valuetext for a slider that controls a volume.
+   * @param {number} volume - liters
+   * @public
+   * @returns {string} - e.g. "0.250 liters"
+   */
+  getVolumeValueText( volume ) {
+    return QuantitativeDescriber.getVolumeString( volume );
+  }
+}
+
+molarity.register( 'DilutionDescriber', DilutionDescriber );
+export default DilutionDescriber;
@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The 'Game' screen. Conforms to the contract specified in joist/Screen.
+ *
+ * @author agent
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import molarityStrings from '../molarity-strings.js';
+import molarity from '../molarity.js';
+import GameModel from './model/GameModel.js';
+import GameScreenView from './view/GameScreenView.js';
+
+const screenGameString = molarityStrings.screen.game;
+
+/**
+ * @param {SoluteCatalog} soluteCatalog
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function GameScreen( soluteCatalog, tandem ) {
+
+  const options = {
+    name: screenGameString,
+    tandem: tandem
+  };
+
+  Screen.call( this,
+    function() { return new GameModel( soluteCatalog, tandem.createTandem( 'model' ) ); },
+    function( model ) { return new GameScreenView( model, tandem.createTandem( 'view' ) ); },
+    options
+  );
+}
+
+molarity.register( 'GameScreen', GameScreen );
+
+inherit( Screen, GameScreen );
+export default GameScreen;
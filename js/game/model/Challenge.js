@@ -0,0 +1,118 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A challenge in the game. Every challenge is about a solution of one solute in water, described by its amount of
+ * solute and its volume. Depending on the type of challenge, some of these are given, and the others are the answer,
+ * see ChallengeType. Challenges are created by ChallengeFactory.
+ *
+ * @author agent
+ */
+
+import molarity from '../../molarity.js';
+import Solution from '../../molarity/model/Solution.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import ChallengeType from './ChallengeType.js';
+
+// constants
+const ANSWER_TOLERANCE = 0.02; // answers within 2% of the answer are correct, so that answers can be made by dragging
+
+class Challenge {
+
+  /**
+   * @param {ChallengeType} type
+   * @param {Solute} solute
+   * @param {number} soluteAmount - moles, given or the answer, depending on type
+   * @param {number} volume - liters, given or the answer, depending on type
+   * @param {number} saturatedConcentration - M, of the solute in the solution
+   */
+  constructor( type, solute, soluteAmount, volume, saturatedConcentration ) {
+    assert && assert( ChallengeType.includes( type ), 'invalid type: ' + type );
+    assert && assert( MolarityConstants.SOLUTE_AMOUNT_RANGE.contains( soluteAmount ),
+      'soluteAmount out of range: ' + soluteAmount );
+    assert && assert( MolarityConstants.SOLUTION_VOLUME_RANGE.contains( volume ), 'volume out of range: ' + volume );
+
+    // @public (read-only)
+    this.type = type;
+    this.solute = solute;
+    this.soluteAmount = soluteAmount;
+    this.volume = volume;
+
+    // @public (read-only) {number} M, the target concentration of the solution
+    this.concentration = Solution.computeConcentration( volume, soluteAmount, saturatedConcentration );
+
+    // @public (read-only) {boolean} whether the solution is saturated, the answer to a PREDICT_SATURATION challenge
+    this.isSaturated = Solution.computePrecipitateAmount( volume, soluteAmount, saturatedConcentration ) !== 0;
+
+    assert && assert( type === ChallengeType.PREDICT_SATURATION || !this.isSaturated,
+      'the target of a challenge must not be saturated' );
+  }
+
+  /**
+   * Is the amount of solute part of the answer, so that it can be changed?
+   * @returns {boolean}
+   * @public
+   */
+  isSoluteAmountAdjustable() {
+    return this.type === ChallengeType.TARGET_CONCENTRATION || this.type === ChallengeType.TARGET_SOLUTE_AMOUNT;
+  }
+
+  /**
+   * Is the volume part of the answer, so that it can be changed?
+   * @returns {boolean}
+   * @public
+   */
+  isVolumeAdjustable() {
+    return this.type === ChallengeType.TARGET_CONCENTRATION || this.type === ChallengeType.TARGET_VOLUME;
+  }
+
+  /**
+   * Gets the amount of solute that the solution starts with. Amounts that are part of the answer start at the minimum.
+   * @returns {number} moles
+   * @public
+   */
+  getInitialSoluteAmount() {
+    return this.isSoluteAmountAdjustable() ? MolarityConstants.SOLUTE_AMOUNT_RANGE.min : this.soluteAmount;
+  }
+
+  /**
+   * Gets the volume that the solution starts with. Volumes that are part of the answer start at the minimum.
+   * @returns {number} liters
+   * @public
+   */
+  getInitialVolume() {
+    return this.isVolumeAdjustable() ? MolarityConstants.SOLUTION_VOLUME_RANGE.min : this.volume;
+  }
+
+  /**
+   * Is an answer correct?
+   * @param {Solution} solution - the solution that was made, for all but PREDICT_SATURATION challenges
+   * @param {boolean|null} isSaturatedPrediction - the prediction, for PREDICT_SATURATION challenges
+   * @returns {boolean}
+   * @public
+   */
+  isCorrect( solution, isSaturatedPrediction ) {
+    if ( this.type === ChallengeType.TARGET_CONCENTRATION ) {
+      return isClose( solution.concentrationProperty.value, this.concentration );
+    }
+    else if ( this.type === ChallengeType.TARGET_SOLUTE_AMOUNT ) {
+      return isClose( solution.soluteAmountProperty.value, this.soluteAmount );
+    }
+    else if ( this.type === ChallengeType.TARGET_VOLUME ) {
+      return isClose( solution.volumeProperty.value, this.volume );
+    }
+    else {
+      return isSaturatedPrediction === this.isSaturated;
+    }
+  }
+}
+
+/**
+ * Is a value close enough to the answer to be correct?
+ * @param {number} value
+ * @param {number} answer
+ * @returns {boolean}
+ */
+const isClose = ( value, answer ) => Math.abs( value - answer ) <= ANSWER_TOLERANCE * answer;
+
+molarity.register( 'Challenge', Challenge );
+export default Challenge;
@@ -0,0 +1,202 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Creates the challenges for a level of the game. Challenges are generated, not authored. Their values are chosen
+ * from grids within the ranges of the sliders (see MolarityConstants), and checked with the same computations that
+ * Solution uses, so that every challenge can be answered in the beaker. Each level has the same number of
+ * challenges, and higher levels use finer grids, so that their values are harder to compute.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import molarity from '../../molarity.js';
+import Solution from '../../molarity/model/Solution.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import Challenge from './Challenge.js';
+import ChallengeType from './ChallengeType.js';
+
+// constants
+const DECIMAL_PLACES = MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES; // for values on a grid, as on the sliders
+const TEMPERATURE = MolarityConstants.TEMPERATURE_RANGE.defaultValue; // challenges are at room temperature
+
+// The levels of the game. For each, the types of its challenges, and the grids that their values are chosen from.
+const LEVELS = [
+
+  // Level 1: round numbers, and no volumes to compute
+  {
+    challengeTypes: [ ChallengeType.TARGET_CONCENTRATION, ChallengeType.TARGET_CONCENTRATION,
+      ChallengeType.TARGET_SOLUTE_AMOUNT, ChallengeType.TARGET_SOLUTE_AMOUNT, ChallengeType.PREDICT_SATURATION ],
+    soluteAmountInterval: 0.1, // moles
+    volumeInterval: 0.1, // liters
+    concentrationInterval: 0.5 // M
+  },
+
+  // Level 2: every type of challenge
+  {
+    challengeTypes: [ ChallengeType.TARGET_CONCENTRATION, ChallengeType.TARGET_SOLUTE_AMOUNT,
+      ChallengeType.TARGET_VOLUME, ChallengeType.TARGET_VOLUME, ChallengeType.PREDICT_SATURATION ],
+    soluteAmountInterval: 0.05,
+    volumeInterval: 0.05,
+    concentrationInterval: 0.25
+  },
+
+  // Level 3: values to two decimal places, and more predictions
+  {
+    challengeTypes: [ ChallengeType.TARGET_SOLUTE_AMOUNT, ChallengeType.TARGET_VOLUME, ChallengeType.TARGET_VOLUME,
+      ChallengeType.PREDICT_SATURATION, ChallengeType.PREDICT_SATURATION ],
+    soluteAmountInterval: 0.01,
+    volumeInterval: 0.01,
+    concentrationInterval: 0.1
+  }
+];
+const CHALLENGES_PER_LEVEL = LEVELS[ 0 ].challengeTypes.length;
+assert && assert( _.every( LEVELS, level => level.challengeTypes.length === CHALLENGES_PER_LEVEL ),
+  'every level must have the same number of challenges' );
+
+const ChallengeFactory = {
+
+  // number of levels in the game
+  NUMBER_OF_LEVELS: LEVELS.length,
+
+  // number of challenges in each level
+  CHALLENGES_PER_LEVEL: CHALLENGES_PER_LEVEL,
+
+  /**
+   * Creates the challenges for a level, in random order, each with a different solute if there are enough of them.
+   * A solute catalog (see SoluteCatalog) may have no solute that can be used for some type of challenge, e.g. if every
+   * solute is too insoluble to make a target concentration. Such a challenge is replaced by a PREDICT_SATURATION
+   * challenge, which can be made from any solute, so that every level has the same number of challenges.
+   * @param {number} level - 1-based
+   * @param {Solute[]} solutes - the solutes that challenges can be about
+   * @param {Solvent} solvent - the solvent of every solution
+   * @returns {Challenge[]}
+   * @public
+   */
+  createChallenges: function( level, solutes, solvent ) {
+    assert && assert( level >= 1 && level <= LEVELS.length, 'invalid level: ' + level );
+    const levelDescription = LEVELS[ level - 1 ];
+    const usedSolutes = [];
+    return phet.joist.random.shuffle( levelDescription.challengeTypes ).map( type => {
+      const challenge = ( type === ChallengeType.PREDICT_SATURATION ) ?
+                        createSaturationChallenge( levelDescription, solutes, solvent, usedSolutes ) :
+                        createTargetChallenge( type, levelDescription, solutes, solvent, usedSolutes ) ||
+                        createSaturationChallenge( levelDescription, solutes, solvent, usedSolutes );
+      assert && assert( challenge, 'no solute can be used for a challenge of type ' + type );
+      usedSolutes.push( challenge.solute );
+      return challenge;
+    } );
+  }
+};
+
+/**
+ * Creates a challenge to make a solution with a target concentration. The volume and the concentration are chosen
+ * from their grids, and the amount of solute that they need must be one that the slider can make. The solution must
+ * not be saturated, since a saturated solution has the same concentration whatever the amount of solute.
+ * @param {ChallengeType} type
+ * @param {Object} levelDescription - see LEVELS
+ * @param {Solute[]} solutes
+ * @param {Solvent} solvent
+ * @param {Solute[]} usedSolutes - solutes of the level's other challenges, which are avoided
+ * @returns {Challenge|null} null if no solute can make a target concentration
+ */
+const createTargetChallenge = ( type, levelDescription, solutes, solvent, usedSolutes ) => {
+  const volumes = getGridValues( MolarityConstants.SOLUTION_VOLUME_RANGE, levelDescription.volumeInterval );
+  const concentrations = getGridValues( MolarityConstants.CONCENTRATION_RANGE, levelDescription.concentrationInterval );
+
+  // Gets the combinations of amount of solute and volume that make a target concentration of a solute.
+  const getCombinations = solute => {
+    const saturatedConcentration = Solution.computeSaturatedConcentration( solute, solvent, TEMPERATURE );
+    const combinations = [];
+    volumes.forEach( volume => {
+      concentrations.forEach( concentration => {
+        const soluteAmount = Utils.toFixedNumber( concentration * volume, DECIMAL_PLACES );
+        if ( concentration < saturatedConcentration &&
+             Math.abs( soluteAmount - concentration * volume ) < 1E-9 &&
+             soluteAmount > MolarityConstants.SOLUTE_AMOUNT_RANGE.min &&
+             soluteAmount <= MolarityConstants.SOLUTE_AMOUNT_RANGE.max ) {
+          combinations.push( { soluteAmount: soluteAmount, volume: volume } );
+        }
+      } );
+    } );
+    return combinations;
+  };
+
+  return createChallenge( type, solutes, solvent, usedSolutes, getCombinations );
+};
+
+/**
+ * Creates a challenge to predict whether a solution will be saturated. Whether it will be is chosen first, so that
+ * the answers are not biased by how many of the combinations are saturated. Any amount of solute and volume on their
+ * grids can be chosen, and only the solutes that can make the chosen answer are used. Every combination is either
+ * saturated or not, so there is always a solute that can make one of the answers.
+ * @param {Object} levelDescription - see LEVELS
+ * @param {Solute[]} solutes
+ * @param {Solvent} solvent
+ * @param {Solute[]} usedSolutes - solutes of the level's other challenges, which are avoided
+ * @returns {Challenge}
+ */
+const createSaturationChallenge = ( levelDescription, solutes, solvent, usedSolutes ) => {
+  const soluteAmounts = getGridValues( MolarityConstants.SOLUTE_AMOUNT_RANGE, levelDescription.soluteAmountInterval );
+  const volumes = getGridValues( MolarityConstants.SOLUTION_VOLUME_RANGE, levelDescription.volumeInterval );
+
+  // Gets the combinations of amount of solute and volume that are, or are not, saturated.
+  const getCombinations = ( solute, isSaturated ) => {
+    const saturatedConcentration = Solution.computeSaturatedConcentration( solute, solvent, TEMPERATURE );
+    const combinations = [];
+    soluteAmounts.forEach( soluteAmount => {
+      volumes.forEach( volume => {
+        const precipitateAmount = Solution.computePrecipitateAmount( volume, soluteAmount, saturatedConcentration );
+        if ( ( precipitateAmount !== 0 ) === isSaturated ) {
+          combinations.push( { soluteAmount: soluteAmount, volume: volume } );
+        }
+      } );
+    } );
+    return combinations;
+  };
+
+  // Some solutes are too soluble to be saturated in the beaker, so there may not be any saturated combinations.
+  let isSaturated = phet.joist.random.nextBoolean();
+  if ( !_.some( solutes, solute => getCombinations( solute, isSaturated ).length > 0 ) ) {
+    isSaturated = !isSaturated;
+  }
+  return createChallenge( ChallengeType.PREDICT_SATURATION, solutes, solvent, usedSolutes,
+    solute => getCombinations( solute, isSaturated ) );
+};
+
+/**
+ * Creates a challenge from a random solute and one of its combinations of amount of solute and volume.
+ * @param {ChallengeType} type
+ * @param {Solute[]} solutes
+ * @param {Solvent} solvent
+ * @param {Solute[]} usedSolutes - solutes of the level's other challenges, which are avoided
+ * @param {function(Solute):{soluteAmount:number, volume:number}[]} getCombinations
+ * @returns {Challenge|null} null if no solute has a combination
+ */
+const createChallenge = ( type, solutes, solvent, usedSolutes, getCombinations ) => {
+  const candidates = solutes.filter( solute => getCombinations( solute ).length > 0 );
+  if ( candidates.length === 0 ) {
+    return null;
+  }
+  const unusedCandidates = candidates.filter( solute => !_.includes( usedSolutes, solute ) );
+  const solute = phet.joist.random.sample( unusedCandidates.length > 0 ? unusedCandidates : candidates );
+  const combination = phet.joist.random.sample( getCombinations( solute ) );
+  return new Challenge( type, solute, combination.soluteAmount, combination.volume,
+    Solution.computeSaturatedConcentration( solute, solvent, TEMPERATURE ) );
+};
+
+/**
+ * Gets the values on a grid that are within a range, excluding the range's min. Values at the min are excluded since
+ * the sliders start there, see Challenge.getInitialSoluteAmount.
+ * @param {Range} range
+ * @param {number} interval - spacing of the grid
+ * @returns {number[]}
+ */
+const getGridValues = ( range, interval ) => {
+  const minIndex = Math.floor( Utils.toFixedNumber( range.min / interval, DECIMAL_PLACES ) ) + 1;
+  const maxIndex = Math.floor( Utils.toFixedNumber( range.max / interval, DECIMAL_PLACES ) );
+  return _.range( minIndex, maxIndex + 1 ).map( index => Utils.toFixedNumber( index * interval, DECIMAL_PLACES ) );
+};
+
+molarity.register( 'ChallengeFactory', ChallengeFactory );
+export default ChallengeFactory;
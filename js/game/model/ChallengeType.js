@@ -0,0 +1,20 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The kinds of challenges in the game, see Challenge.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const ChallengeType = Enumeration.byKeys( [
+  'TARGET_CONCENTRATION', // make a solution with some concentration, using any amount of solute and volume
+  'TARGET_SOLUTE_AMOUNT', // make a solution with some concentration and volume, by choosing the amount of solute
+  'TARGET_VOLUME', // make a solution with some concentration from some amount of solute, by choosing the volume
+  'PREDICT_SATURATION' // predict whether some amount of solute in some volume of solution will be saturated
+] );
+
+molarity.register( 'ChallengeType', ChallengeType );
+export default ChallengeType;
@@ -0,0 +1,286 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model container for the 'Game' screen.
+ *
+ * The game has levels of challenges, see ChallengeFactory. In each challenge, the student makes a solution in the
+ * beaker, or predicts whether one will be saturated, see Challenge. Each challenge can be answered twice, for
+ * POINTS_FIRST_ATTEMPT or POINTS_SECOND_ATTEMPT points, and after the second wrong answer, the answer can be shown.
+ * The best score for each level is kept, and so is the best time for a perfect score, when the timer is on.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import GameTimer from '../../../../vegas/js/GameTimer.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import MolaritySolvents from '../../molarity/model/MolaritySolvents.js';
+import Solution from '../../molarity/model/Solution.js';
+import ChallengeFactory from './ChallengeFactory.js';
+import GamePhase from './GamePhase.js';
+import PlayState from './PlayState.js';
+
+// constants
+const POINTS_FIRST_ATTEMPT = 2;
+const POINTS_SECOND_ATTEMPT = 1;
+
+class GameModel {
+
+  /**
+   * @param {SoluteCatalog} soluteCatalog
+   * @param {Tandem} tandem
+   */
+  constructor( soluteCatalog, tandem ) {
+
+    // @public
+    this.solutes = soluteCatalog.createSolutes( tandem );
+
+    // @public (read-only) every challenge is a solution in water
+    this.water = MolaritySolvents.createWater( tandem );
+
+    // @public (read-only) the solution in the beaker, which is set up for each challenge, see setChallenge
+    this.solution = new Solution( this.water, this.solutes, this.solutes[ 0 ],
+      MolarityConstants.SOLUTE_AMOUNT_RANGE.min, MolarityConstants.SOLUTION_VOLUME_RANGE.min,
+      MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem.createTandem( 'solution' ), {
+
+        // Excess solute always precipitates, even after the student has dissolved all of it and then lowered the
+        // volume or added more, since the challenges do not cover supersaturation.
+        isAlwaysNucleated: true
+      } );
+    assert && this.solution.isSupersaturatedProperty.link( isSupersaturated => {
+      assert( !isSupersaturated, 'the solution in the game should never be supersaturated' );
+    } );
+
+    // @public (read-only)
+    this.numberOfLevels = ChallengeFactory.NUMBER_OF_LEVELS;
+    this.challengesPerLevel = ChallengeFactory.CHALLENGES_PER_LEVEL;
+    this.perfectScore = ChallengeFactory.CHALLENGES_PER_LEVEL * POINTS_FIRST_ATTEMPT;
+
+    // @public
+    this.gamePhaseProperty = new EnumerationProperty( GamePhase, GamePhase.SETTINGS, {
+      tandem: tandem.createTandem( 'gamePhaseProperty' )
+    } );
+
+    // @public (read-only) the level that is being played, 1-based
+    this.levelProperty = new NumberProperty( 1, {
+      numberType: 'Integer',
+      range: new Range( 1, this.numberOfLevels ),
+      tandem: tandem.createTandem( 'levelProperty' )
+    } );
+
+    // @public whether the time to complete a level is shown, and a best time is kept
+    this.timerEnabledProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'timerEnabledProperty' )
+    } );
+
+    // @public (read-only) times how long a level takes
+    this.timer = new GameTimer();
+
+    // @public (read-only) score for the level that is being played
+    this.scoreProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, this.perfectScore ),
+      tandem: tandem.createTandem( 'scoreProperty' )
+    } );
+
+    // @public (read-only) index of the challenge that is being played, in the level's challenges
+    this.challengeIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, this.challengesPerLevel - 1 ),
+      tandem: tandem.createTandem( 'challengeIndexProperty' )
+    } );
+
+    // @public (read-only) {Property.<Challenge|null>} the challenge that is being played, null before a level is played
+    this.challengeProperty = new Property( null );
+
+    // @public (read-only)
+    this.playStateProperty = new EnumerationProperty( PlayState, PlayState.FIRST_ATTEMPT, {
+      tandem: tandem.createTandem( 'playStateProperty' )
+    } );
+
+    // @public {Property.<boolean|null>} the answer to a PREDICT_SATURATION challenge, null until one is chosen
+    this.isSaturatedPredictionProperty = new Property( null, {
+      validValues: [ null, true, false ]
+    } );
+
+    // @public (read-only) best score for each level, indexed by level - 1
+    this.bestScoreProperties = _.range( 1, this.numberOfLevels + 1 ).map( level => new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, this.perfectScore ),
+      tandem: tandem.createTandem( 'bestScoreLevel' + level + 'Property' )
+    } ) );
+
+    // @public (read-only) {Property.<number|null>[]} best time for a perfect score for each level, in seconds,
+    // indexed by level - 1, null if there is none
+    this.bestTimeProperties = _.range( 1, this.numberOfLevels + 1 ).map( () => new Property( null ) );
+
+    // @public (read-only) whether the level that was just completed was completed in a new best time
+    this.isNewBestTime = false;
+
+    // @public emits when an answer has been checked, with whether it was correct and the points that it earned
+    this.checkedEmitter = new Emitter( {
+      parameters: [ { valueType: 'boolean' }, { valueType: 'number' } ]
+    } );
+
+    // @public (read-only) BooleanProperty
+    this.resetInProgressProperty = new BooleanProperty( false );
+
+    // @private {Challenge[]} the challenges of the level that is being played
+    this.challenges = [];
+  }
+
+  /**
+   * Starts playing a level, with new challenges.
+   * @param {number} level - 1-based
+   * @public
+   */
+  startLevel( level ) {
+    this.levelProperty.value = level;
+    this.scoreProperty.reset();
+    this.challenges = ChallengeFactory.createChallenges( level, this.solutes, this.water );
+    this.challengeIndexProperty.reset();
+    this.setChallenge( this.challenges[ 0 ] );
+    this.isNewBestTime = false;
+    this.timer.restart();
+    this.gamePhaseProperty.value = GamePhase.PLAY;
+  }
+
+  /**
+   * Sets up the solution for a challenge, and makes it the challenge that is being played.
+   * @param {Challenge} challenge
+   * @private
+   */
+  setChallenge( challenge ) {
+    this.playStateProperty.value = PlayState.FIRST_ATTEMPT;
+    this.isSaturatedPredictionProperty.reset();
+
+    this.solution.reset();
+    this.solution.soluteProperty.value = challenge.solute;
+    this.solution.soluteAmountProperty.value = challenge.getInitialSoluteAmount();
+    this.solution.volumeProperty.value = challenge.getInitialVolume();
+
+    // set last, so that the solution is ready for the challenge when it is observed
+    this.challengeProperty.value = challenge;
+  }
+
+  /**
+   * Checks the answer to the challenge that is being played, and scores it.
+   * @public
+   */
+  check() {
+    const playState = this.playStateProperty.value;
+    assert && assert( playState === PlayState.FIRST_ATTEMPT || playState === PlayState.SECOND_ATTEMPT,
+      'unexpected playState: ' + playState );
+
+    const isFirstAttempt = ( playState === PlayState.FIRST_ATTEMPT );
+    const isCorrect = this.challengeProperty.value.isCorrect( this.solution, this.isSaturatedPredictionProperty.value );
+    let points = 0;
+    if ( isCorrect ) {
+      points = isFirstAttempt ? POINTS_FIRST_ATTEMPT : POINTS_SECOND_ATTEMPT;
+      this.scoreProperty.value += points;
+      this.playStateProperty.value = PlayState.NEXT;
+    }
+    else {
+      this.playStateProperty.value = isFirstAttempt ? PlayState.TRY_AGAIN : PlayState.SHOW_ANSWER;
+    }
+    this.checkedEmitter.emit( isCorrect, points );
+  }
+
+  /**
+   * Answers the challenge that is being played again, after a wrong first answer.
+   * @public
+   */
+  tryAgain() {
+    assert && assert( this.playStateProperty.value === PlayState.TRY_AGAIN, 'unexpected playState' );
+    this.playStateProperty.value = PlayState.SECOND_ATTEMPT;
+  }
+
+  /**
+   * Shows the answer to the challenge that is being played, after two wrong answers. The solution is set to the
+   * answer, and nothing is scored.
+   * @public
+   */
+  showAnswer() {
+    assert && assert( this.playStateProperty.value === PlayState.SHOW_ANSWER, 'unexpected playState' );
+    const challenge = this.challengeProperty.value;
+    this.solution.soluteAmountProperty.value = challenge.soluteAmount;
+    this.solution.volumeProperty.value = challenge.volume;
+    this.isSaturatedPredictionProperty.value = challenge.isSaturated;
+    this.playStateProperty.value = PlayState.NEXT;
+  }
+
+  /**
+   * Goes on to the next challenge, or to the results if this was the level's last challenge.
+   * @public
+   */
+  next() {
+    assert && assert( this.playStateProperty.value === PlayState.NEXT, 'unexpected playState' );
+    if ( this.challengeIndexProperty.value < this.challenges.length - 1 ) {
+      this.challengeIndexProperty.value++;
+      this.setChallenge( this.challenges[ this.challengeIndexProperty.value ] );
+    }
+    else {
+      this.completeLevel();
+    }
+  }
+
+  /**
+   * Completes the level that is being played, keeping its best score and best time.
+   * @private
+   */
+  completeLevel() {
+    this.timer.stop();
+    const score = this.scoreProperty.value;
+    const bestScoreProperty = this.bestScoreProperties[ this.levelProperty.value - 1 ];
+    bestScoreProperty.value = Math.max( bestScoreProperty.value, score );
+
+    // Best times are only kept for perfect scores, so that a fast time can't be had by guessing.
+    if ( this.timerEnabledProperty.value && score === this.perfectScore ) {
+      const bestTimeProperty = this.bestTimeProperties[ this.levelProperty.value - 1 ];
+      const elapsedTime = this.timer.elapsedTimeProperty.value;
+      this.isNewBestTime = ( bestTimeProperty.value === null || elapsedTime < bestTimeProperty.value );
+      if ( this.isNewBestTime ) {
+        bestTimeProperty.value = elapsedTime;
+      }
+    }
+    this.gamePhaseProperty.value = GamePhase.RESULTS;
+  }
+
+  /**
+   * Stops playing the level, and goes back to choosing one. Nothing is kept for a level that is not completed.
+   * @public
+   */
+  startOver() {
+    this.timer.stop();
+    this.gamePhaseProperty.value = GamePhase.SETTINGS;
+  }
+
+  // @public Resets all model elements
+  reset() {
+    this.resetInProgressProperty.set( true );
+    this.startOver();
+    this.gamePhaseProperty.reset();
+    this.levelProperty.reset();
+    this.timerEnabledProperty.reset();
+    this.scoreProperty.reset();
+    this.challengeIndexProperty.reset();
+    this.challengeProperty.reset();
+    this.playStateProperty.reset();
+    this.isSaturatedPredictionProperty.reset();
+    this.bestScoreProperties.forEach( property => property.reset() );
+    this.bestTimeProperties.forEach( property => property.reset() );
+    this.isNewBestTime = false;
+    this.challenges = [];
+    this.solution.reset();
+    this.resetInProgressProperty.set( false );
+  }
+}
+
+molarity.register( 'GameModel', GameModel );
+export default GameModel;
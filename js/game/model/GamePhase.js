@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Phases of the game, see GameModel.gamePhaseProperty.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const GamePhase = Enumeration.byKeys( [
+  'SETTINGS', // choosing a level, and whether the timer is on
+  'PLAY', // playing the challenges of a level
+  'RESULTS' // the level is completed, and its results are shown
+] );
+
+molarity.register( 'GamePhase', GamePhase );
+export default GamePhase;
@@ -0,0 +1,21 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * States of play for a challenge, see GameModel.playStateProperty. Each challenge can be answered twice.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const PlayState = Enumeration.byKeys( [
+  'FIRST_ATTEMPT', // the challenge has not been answered
+  'TRY_AGAIN', // the first answer was wrong
+  'SECOND_ATTEMPT', // the challenge is being answered again
+  'SHOW_ANSWER', // the second answer was wrong too, so the answer can be shown
+  'NEXT' // the challenge was answered correctly, or its answer was shown
+] );
+
+molarity.register( 'PlayState', PlayState );
+export default PlayState;
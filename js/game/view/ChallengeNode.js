@@ -0,0 +1,422 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The Game screen's user interface for playing a challenge: the challenge, a beaker with sliders for the amount of
+ * solute and the volume of solution, buttons for answering, and feedback on the answer. Laid out like the beaker on
+ * the Molarity screen, scaled down to leave room for the challenge. Only the quantities that are part of the answer
+ * have sliders. The concentration is hidden until the challenge has been answered, since it would give the answer
+ * away, and so is the beaker of a PREDICT_SATURATION challenge.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import FaceWithPointsNode from '../../../../scenery-phet/js/FaceWithPointsNode.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import vegasStrings from '../../../../vegas/js/vegas-strings.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import BeakerNode from '../../molarity/view/BeakerNode.js';
+import ConcentrationDisplay from '../../molarity/view/ConcentrationDisplay.js';
+import PrecipitateNode from '../../molarity/view/PrecipitateNode.js';
+import SaturatedIndicator from '../../molarity/view/SaturatedIndicator.js';
+import SolutionNode from '../../molarity/view/SolutionNode.js';
+import VerticalSlider from '../../molarity/view/VerticalSlider.js';
+import ChallengeType from '../model/ChallengeType.js';
+import PlayState from '../model/PlayState.js';
+
+const checkString = vegasStrings.check;
+const fullString = molarityStrings.full;
+const litersString = molarityStrings.liters;
+const lotsString = molarityStrings.lots;
+const lowString = molarityStrings.low;
+const molesString = molarityStrings.moles;
+const nextString = vegasStrings.next;
+const noneString = molarityStrings.none;
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const predictionNotSaturatedString = molarityStrings.prediction.notSaturated;
+const predictionSaturatedString = molarityStrings.prediction.saturated;
+const predictSaturationPatternString = molarityStrings.challenge.predictSaturationPattern;
+const showAnswerString = vegasStrings.showAnswer;
+const solutePatternString = molarityStrings.challenge.solutePattern;
+const soluteAmountString = molarityStrings.soluteAmount;
+const solutionConcentrationString = molarityStrings.solutionConcentration;
+const solutionVolumeString = molarityStrings.solutionVolume;
+const targetConcentrationPatternString = molarityStrings.challenge.targetConcentrationPattern;
+const targetSoluteAmountPatternString = molarityStrings.challenge.targetSoluteAmountPattern;
+const targetVolumePatternString = molarityStrings.challenge.targetVolumePattern;
+const tryAgainString = vegasStrings.tryAgain;
+const unitsLitersString = molarityStrings.units.liters;
+const unitsMolarityString = molarityStrings.units.molarity;
+const unitsMolesString = molarityStrings.units.moles;
+
+// a11y strings
+const predictionHelpTextString = molarityStrings.a11y.game.predictionHelpText;
+const sliderHelpTextString = molarityStrings.a11y.game.sliderHelpText;
+const soluteAmountNoNewlineString = molarityStrings.a11y.soluteAmountNoNewline;
+
+// constants
+const BEAKER_SCALE = 0.75; // the beaker is drawn smaller than on the Molarity screen, to leave room for the challenge
+const SLIDER_TRACK_WIDTH = 15;
+const PROMPT_FONT = new PhetFont( 22 );
+const SOLUTE_FONT = new PhetFont( { size: 22, weight: 'bold' } );
+const RADIO_BUTTON_FONT = new PhetFont( 20 );
+const BUTTON_FONT = new PhetFont( 22 );
+
+// the pattern for the prompt of each type of challenge
+const PROMPT_PATTERN_STRINGS = {
+  TARGET_CONCENTRATION: targetConcentrationPatternString,
+  TARGET_SOLUTE_AMOUNT: targetSoluteAmountPatternString,
+  TARGET_VOLUME: targetVolumePatternString,
+  PREDICT_SATURATION: predictSaturationPatternString
+};
+
+class ChallengeNode extends Node {
+
+  /**
+   * @param {GameModel} model
+   * @param {GameDescriber} gameDescriber
+   * @param {GameAlertManager} alertManager
+   * @param {SoluteAmountDescriber} soluteAmountDescriber
+   * @param {VolumeDescriber} volumeDescriber
+   * @param {GameAudioPlayer} audioPlayer
+   * @param {Tandem} tandem
+   */
+  constructor( model, gameDescriber, alertManager, soluteAmountDescriber, volumeDescriber, audioPlayer, tandem ) {
+
+    super( {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3'
+    } );
+
+    const solution = model.solution;
+
+    // Values are always visible on this screen, and descriptions are quantitative, like the challenges.
+    const valuesVisibleProperty = new BooleanProperty( true );
+    const useQuantitativeDescriptionsProperty = valuesVisibleProperty;
+
+    // the challenge, with its solute and the values that are given
+    const soluteNode = new Text( '', {
+      font: SOLUTE_FONT,
+      maxWidth: 600,
+      tandem: tandem.createTandem( 'soluteNode' )
+    } );
+    const promptNode = new Text( '', {
+      font: PROMPT_FONT,
+      maxWidth: 600,
+      tandem: tandem.createTandem( 'promptNode' )
+    } );
+    const promptPanel = new Panel( new VBox( {
+      children: [ soluteNode, promptNode ],
+      align: 'left',
+      spacing: 8
+    } ), {
+      fill: 'white',
+      xMargin: 15,
+      yMargin: 10,
+      tandem: tandem.createTandem( 'promptPanel' )
+    } );
+
+    // beaker, with solution and precipitate inside of it, in a coordinate frame that is scaled as a group
+    const descriptionNode = new Node( { tagName: 'p' } );
+    Property.multilink( gameDescriber.getBeakerDescriptionDependencies(), () => {
+      descriptionNode.innerContent = gameDescriber.getBeakerDescription();
+    } );
+    const beakerNode = new BeakerNode( solution, MolarityConstants.SOLUTION_VOLUME_RANGE.max, valuesVisibleProperty,
+      tandem.createTandem( 'beakerNode' ), {
+        descriptionNode: descriptionNode
+      } );
+    const cylinderSize = beakerNode.getCylinderSize();
+    const cylinderEndHeight = beakerNode.getCylinderEndHeight();
+    const scaledCylinderSize = cylinderSize.timesScalar( BEAKER_SCALE );
+    const solutionNode = new SolutionNode( cylinderSize, cylinderEndHeight, solution,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'solutionNode' ) );
+    const precipitateNode = new PrecipitateNode( solution, cylinderSize, cylinderEndHeight,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'precipitateNode' ) );
+    const beakerParent = new Node( {
+      children: [ solutionNode, beakerNode, precipitateNode ],
+      scale: BEAKER_SCALE
+    } );
+    const saturatedIndicator = new SaturatedIndicator( solution, tandem.createTandem( 'saturatedIndicator' ) );
+
+    // SaturatedIndicator controls its own visibility, so it is hidden with its parent
+    const saturatedIndicatorParent = new Node( { children: [ saturatedIndicator ] } );
+
+    // Whether the answer can be changed, which is only while answering. This disables the controls for the answer,
+    // so that they can't be changed with the keyboard or a screen reader either, see playStateProperty.
+    const answerEnabledProperty = new BooleanProperty( true );
+
+    // slider for controlling the amount of solute
+    const soluteAmountSlider = new VerticalSlider( soluteAmountString,
+      StringUtils.format( patternParentheses0TextString, molesString ),
+      noneString, lotsString,
+      solution.soluteAmountProperty,
+      MolarityConstants.SOLUTE_AMOUNT_RANGE,
+      MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES,
+      unitsMolesString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, soluteAmountDescriber, {
+        tandem: tandem.createTandem( 'soluteAmountSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+          enabledProperty: answerEnabledProperty,
+
+          // a11y
+          accessibleName: soluteAmountNoNewlineString,
+          a11yCreateAriaValueText: () => soluteAmountDescriber.getSoluteAmountValueText()
+        }
+      } );
+
+    // slider for controlling the volume of solution, sized to match tick marks on the beaker
+    const volumeSliderHeight = ( MolarityConstants.SOLUTION_VOLUME_RANGE.getLength() /
+                                 MolarityConstants.SOLUTION_VOLUME_RANGE.max ) * scaledCylinderSize.height;
+    const solutionVolumeSlider = new VerticalSlider( solutionVolumeString,
+      StringUtils.format( patternParentheses0TextString, litersString ),
+      lowString, fullString,
+      solution.volumeProperty,
+      MolarityConstants.SOLUTION_VOLUME_RANGE,
+      MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES,
+      unitsLitersString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, volumeDescriber, {
+        tandem: tandem.createTandem( 'solutionVolumeSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, volumeSliderHeight ),
+          enabledProperty: answerEnabledProperty,
+
+          // a11y
+          accessibleName: solutionVolumeString,
+          a11yCreateAriaValueText: () => volumeDescriber.getVolumeAriaValueText()
+        }
+      } );
+
+    // concentration of the solution, shown once the challenge has been answered
+    const concentrationDisplay = new ConcentrationDisplay( solution, MolarityConstants.CONCENTRATION_RANGE,
+      valuesVisibleProperty, new Dimension2( 40, scaledCylinderSize.height + 20 ),
+      tandem.createTandem( 'concentrationDisplay' ), {
+        title: solutionConcentrationString
+      } );
+
+    // radio buttons for predicting whether the solution will be saturated
+    const predictionRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.isSaturatedPredictionProperty, [
+      {
+        value: true,
+        node: new Text( predictionSaturatedString, { font: RADIO_BUTTON_FONT, maxWidth: 250 } ),
+        tandemName: 'saturatedRadioButton',
+        labelContent: predictionSaturatedString
+      },
+      {
+        value: false,
+        node: new Text( predictionNotSaturatedString, { font: RADIO_BUTTON_FONT, maxWidth: 250 } ),
+        tandemName: 'notSaturatedRadioButton',
+        labelContent: predictionNotSaturatedString
+      }
+    ], {
+      spacing: 15,
+      radioButtonOptions: {
+        enabledProperty: answerEnabledProperty
+      },
+      tandem: tandem.createTandem( 'predictionRadioButtonGroup' )
+    } );
+
+    // buttons for answering the challenge, one of which is visible at a time, see playStateProperty
+    const buttonOptions = {
+      font: BUTTON_FONT,
+      baseColor: PhetColorScheme.BUTTON_YELLOW,
+      maxWidth: 200
+    };
+    const checkButton = new TextPushButton( checkString, merge( {
+      listener: () => model.check(),
+      tandem: tandem.createTandem( 'checkButton' )
+    }, buttonOptions ) );
+    const tryAgainButton = new TextPushButton( tryAgainString, merge( {
+      listener: () => model.tryAgain(),
+      tandem: tandem.createTandem( 'tryAgainButton' )
+    }, buttonOptions ) );
+    const showAnswerButton = new TextPushButton( showAnswerString, merge( {
+      listener: () => {
+        model.showAnswer();
+        alertManager.alertAnswerShown();
+      },
+      tandem: tandem.createTandem( 'showAnswerButton' )
+    }, buttonOptions ) );
+    const nextButton = new TextPushButton( nextString, merge( {
+      listener: () => model.next(),
+      tandem: tandem.createTandem( 'nextButton' )
+    }, buttonOptions ) );
+    const buttonsParent = new Node( {
+      children: [ checkButton, tryAgainButton, showAnswerButton, nextButton ]
+    } );
+
+    // feedback on an answer, with the points that it earned
+    const faceNode = new FaceWithPointsNode( {
+      faceDiameter: 100,
+      pointsAlignment: 'rightCenter',
+      pointsFont: new PhetFont( { size: 26, weight: 'bold' } ),
+      visible: false
+    } );
+    model.checkedEmitter.addListener( ( isCorrect, points ) => {
+      if ( isCorrect ) {
+        faceNode.smile();
+        audioPlayer.correctAnswer();
+      }
+      else {
+        faceNode.frown();
+        audioPlayer.wrongAnswer();
+      }
+      faceNode.setPoints( points );
+      faceNode.visible = true;
+    } );
+
+    // a11y - accessible order for the controls that answer the challenge, with help text for the type of challenge
+    const controlsNode = new Node( { tagName: 'div' } );
+    controlsNode.accessibleOrder = [ soluteAmountSlider, solutionVolumeSlider, predictionRadioButtonGroup ];
+
+    // layout for things that don't have a location in the model
+    {
+      promptPanel.left = 0;
+      promptPanel.top = 0;
+      // below the prompt
+      soluteAmountSlider.left = 0;
+      soluteAmountSlider.top = promptPanel.bottom + 40;
+      // to the right of the Solute Amount slider, bottom-aligned with it
+      solutionVolumeSlider.left = soluteAmountSlider.right + 5;
+      solutionVolumeSlider.bottom = soluteAmountSlider.bottom;
+      // to the right of the Solution Volume slider, with the cylinder aligned to the top of the slider track
+      beakerParent.left = solutionVolumeSlider.right - 10;
+      beakerParent.top = soluteAmountSlider.top - 8;
+      // toward bottom of the beaker
+      const saturatedIndicatorVisible = saturatedIndicator.visible; // so we can layout an invisible node
+      saturatedIndicator.visible = true;
+      saturatedIndicator.centerX = beakerParent.x + ( scaledCylinderSize.width / 2 );
+      saturatedIndicator.bottom = beakerParent.bottom - ( 0.2 * scaledCylinderSize.height );
+      saturatedIndicator.visible = saturatedIndicatorVisible;
+      // right of beaker, bottom-aligned with it
+      concentrationDisplay.left = beakerParent.right + 40;
+      concentrationDisplay.bottom = beakerParent.bottom;
+      // right of the concentration display, vertically centered on the beaker
+      predictionRadioButtonGroup.left = concentrationDisplay.right + 40;
+      predictionRadioButtonGroup.centerY = beakerParent.centerY;
+      // below the radio buttons, all at the same location
+      buttonsParent.children.forEach( button => {
+        button.left = predictionRadioButtonGroup.left;
+        button.top = predictionRadioButtonGroup.bottom + 40;
+      } );
+      // below the buttons
+      faceNode.left = predictionRadioButtonGroup.left;
+      faceNode.top = checkButton.bottom + 20;
+    }
+
+    this.children = [
+      promptPanel,
+      beakerParent,
+      saturatedIndicatorParent,
+      soluteAmountSlider,
+      solutionVolumeSlider,
+      concentrationDisplay,
+      predictionRadioButtonGroup,
+      buttonsParent,
+      faceNode,
+      controlsNode
+    ];
+
+    // a11y - the challenge, the beaker, its controls, then the buttons for answering
+    this.accessibleOrder = [ promptPanel, beakerNode, controlsNode, buttonsParent ];
+
+    // Update for each challenge. The challenge is null before a level is played, and after the game is reset.
+    model.challengeProperty.link( challenge => {
+      if ( challenge ) {
+        soluteNode.text = StringUtils.fillIn( solutePatternString, { solute: challenge.solute.name } );
+        promptNode.text = StringUtils.fillIn( PROMPT_PATTERN_STRINGS[ challenge.type.name ], {
+          soluteAmount: formatValue( challenge.soluteAmount, MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES,
+            unitsMolesString ),
+          volume: formatValue( challenge.volume, MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES, unitsLitersString ),
+          concentration: formatValue( challenge.concentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES,
+            unitsMolarityString )
+        } );
+        this.labelContent = gameDescriber.getChallengeHeading();
+        this.descriptionContent = gameDescriber.getChallengeDescription();
+        controlsNode.descriptionContent = ( challenge.type === ChallengeType.PREDICT_SATURATION ) ?
+                                          predictionHelpTextString : sliderHelpTextString;
+      }
+    } );
+
+    // Update for each step of playing a challenge. The beaker of a PREDICT_SATURATION challenge is hidden until the
+    // challenge has been answered.
+    Property.multilink( [ model.challengeProperty, model.playStateProperty ], ( challenge, playState ) => {
+      const isAnswering = ( playState === PlayState.FIRST_ATTEMPT || playState === PlayState.SECOND_ATTEMPT );
+      const isAnswered = ( playState === PlayState.NEXT );
+      const isPrediction = !!challenge && challenge.type === ChallengeType.PREDICT_SATURATION;
+
+      soluteAmountSlider.visible = !!challenge && challenge.isSoluteAmountAdjustable();
+      solutionVolumeSlider.visible = !!challenge && challenge.isVolumeAdjustable();
+      predictionRadioButtonGroup.visible = isPrediction;
+      solutionNode.visible = !isPrediction || isAnswered;
+      precipitateNode.visible = !isPrediction || isAnswered;
+      saturatedIndicatorParent.visible = !isPrediction || isAnswered;
+      concentrationDisplay.visible = isAnswered;
+
+      checkButton.visible = isAnswering;
+      tryAgainButton.visible = ( playState === PlayState.TRY_AGAIN );
+      showAnswerButton.visible = ( playState === PlayState.SHOW_ANSWER );
+      nextButton.visible = isAnswered;
+
+      // the answer can only be changed while answering
+      answerEnabledProperty.value = isAnswering;
+
+      // the face is shown from when an answer is checked, until the challenge is answered again
+      if ( isAnswering ) {
+        faceNode.visible = false;
+      }
+    } );
+
+    // A prediction must be chosen before it can be checked.
+    Property.multilink( [ model.challengeProperty, model.isSaturatedPredictionProperty ],
+      ( challenge, isSaturatedPrediction ) => {
+        checkButton.enabled = !challenge || challenge.type !== ChallengeType.PREDICT_SATURATION ||
+                              isSaturatedPrediction !== null;
+      } );
+
+    // @private the precipitate is animated by the view, see step
+    this.precipitateNode = precipitateNode;
+  }
+
+  /**
+   * Animates the precipitate as it settles.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.precipitateNode.step( dt );
+  }
+}
+
+/**
+ * Formats a value with its units, for the prompt.
+ * @param {number} value
+ * @param {number} decimalPlaces
+ * @param {string} units
+ * @returns {string} - e.g. "0.500 mol"
+ */
+const formatValue = ( value, decimalPlaces, units ) => StringUtils.format( pattern0Value1UnitsString,
+  Utils.toFixed( value, decimalPlaces ), units );
+
+molarity.register( 'ChallengeNode', ChallengeNode );
+export default ChallengeNode;
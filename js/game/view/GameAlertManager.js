@@ -0,0 +1,88 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * GameAlertManager is responsible for adding the Game screen's alerts to the utteranceQueue. It provides the
+ * alertSolutionQuantityChanged method that VerticalSlider expects of an alert manager.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ActivationUtterance from '../../../../utterance-queue/js/ActivationUtterance.js';
+import ValueChangeUtterance from '../../../../utterance-queue/js/ValueChangeUtterance.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import GamePhase from '../model/GamePhase.js';
+
+// a11y strings
+const qualitativeSliderAlertPatternString = molarityStrings.a11y.qualitative.sliderAlertPattern;
+
+class GameAlertManager {
+
+  /**
+   * @param {GameModel} model
+   * @param {GameDescriber} gameDescriber
+   */
+  constructor( model, gameDescriber ) {
+
+    // @private
+    this.gameDescriber = gameDescriber;
+
+    // @private - utterances with specific jobs so that duplicates are overwritten in the queue.
+    this.answerUtterance = new ActivationUtterance();
+    this.challengeUtterance = new ActivationUtterance();
+    this.sliderUtterance = new ValueChangeUtterance();
+
+    // An alert is read out when there is a new challenge, but not when the game is reset.
+    model.challengeProperty.lazyLink( challenge => {
+      if ( challenge && !model.resetInProgressProperty.value ) {
+        this.challengeUtterance.alert = gameDescriber.getChallengeHeading() + '. ' +
+                                        gameDescriber.getChallengeDescription();
+        phet.joist.sim.utteranceQueue.addToBack( this.challengeUtterance );
+      }
+    } );
+
+    // An alert is read out when an answer has been checked.
+    model.checkedEmitter.addListener( isCorrect => {
+      this.answerUtterance.alert = gameDescriber.getCheckedAlertString( isCorrect );
+      phet.joist.sim.utteranceQueue.addToBack( this.answerUtterance );
+    } );
+
+    // An alert is read out when a level has been completed.
+    model.gamePhaseProperty.lazyLink( gamePhase => {
+      if ( gamePhase === GamePhase.RESULTS ) {
+        this.answerUtterance.alert = gameDescriber.getLevelCompletedString();
+        phet.joist.sim.utteranceQueue.addToBack( this.answerUtterance );
+      }
+    } );
+  }
+
+  /**
+   * Alert when the answer to a challenge has been shown.
+   * @public
+   */
+  alertAnswerShown() {
+    this.answerUtterance.alert = this.gameDescriber.getAnswerAlertString();
+    phet.joist.sim.utteranceQueue.addToBack( this.answerUtterance );
+  }
+
+  /**
+   * Alert when a slider on the Game screen has changed a value. The slider's value is in its aria-valuetext, and the
+   * concentration would give the answer away, so the alert describes the change qualitatively, as on the Molarity
+   * screen when values are hidden.
+   * @param {{getStringsFromSliderChange:function():StringsFromSliderChange}} describer
+   * @public
+   */
+  alertSolutionQuantityChanged( describer ) {
+    const stringsFromSliderChange = describer.getStringsFromSliderChange();
+    this.sliderUtterance.alert = StringUtils.fillIn( qualitativeSliderAlertPatternString, {
+      quantityChange: stringsFromSliderChange.quantityChangeString,
+      colorChange: stringsFromSliderChange.colorChangeString,
+      stateInfo: ''
+    } );
+    phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
+  }
+}
+
+molarity.register( 'GameAlertManager', GameAlertManager );
+export default GameAlertManager;
@@ -0,0 +1,65 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that holds the PDOM content for the screen summary in the Game screen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+// a11y strings
+const screenSummaryControlAreaString = molarityStrings.a11y.game.screenSummary.controlArea;
+const screenSummaryPlayAreaPatternString = molarityStrings.a11y.game.screenSummary.playAreaPattern;
+const screenSummarySimInteractionHintString = molarityStrings.a11y.game.screenSummary.simInteractionHint;
+
+class GameScreenSummaryNode extends Node {
+
+  /**
+   * @param {GameModel} model
+   * @param {GameDescriber} gameDescriber
+   */
+  constructor( model, gameDescriber ) {
+
+    super();
+
+    // First paragraph of the screen summary -- static regardless of state of sim, describes the play area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: StringUtils.fillIn( screenSummaryPlayAreaPatternString, {
+        numberOfLevels: model.numberOfLevels,
+        numberOfChallenges: model.challengesPerLevel
+      } )
+    } ) );
+
+    // Second paragraph of the screen summary -- static regardless of state of sim, describes the control area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummaryControlAreaString
+    } ) );
+
+    // Third paragraph of the screen summary -- dynamic depending on the state of the sim so keep a reference to it.
+    const stateOfSimNode = new Node( {
+      tagName: 'p'
+    } );
+    this.addChild( stateOfSimNode );
+
+    // Fourth paragraph of the screen summary -- static regardless of state of sim, gives the interaction hint
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummarySimInteractionHintString
+    } ) );
+
+    // Updates the third paragraph of the screen summary when the game changes.
+    Property.multilink( gameDescriber.getCurrentStateDependencies(), () => {
+      stateOfSimNode.innerContent = gameDescriber.getCurrentStateString();
+    } );
+  }
+}
+
+molarity.register( 'GameScreenSummaryNode', GameScreenSummaryNode );
+export default GameScreenSummaryNode;
@@ -0,0 +1,197 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for the 'Game' screen. Shows the user interface for the phase of the game, see GamePhase: choosing a level,
+ * playing a challenge, or the results of a level.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import TimerToggleButton from '../../../../scenery-phet/js/buttons/TimerToggleButton.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import FiniteStatusBar from '../../../../vegas/js/FiniteStatusBar.js';
+import GameAudioPlayer from '../../../../vegas/js/GameAudioPlayer.js';
+import LevelCompletedNode from '../../../../vegas/js/LevelCompletedNode.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import ConcentrationDescriber from '../../molarity/view/describers/ConcentrationDescriber.js';
+import PrecipitateAmountDescriber from '../../molarity/view/describers/PrecipitateAmountDescriber.js';
+import SoluteAmountDescriber from '../../molarity/view/describers/SoluteAmountDescriber.js';
+import SoluteDescriber from '../../molarity/view/describers/SoluteDescriber.js';
+import VolumeDescriber from '../../molarity/view/describers/VolumeDescriber.js';
+import SoluteAmountUnits from '../../molarity/view/SoluteAmountUnits.js';
+import GamePhase from '../model/GamePhase.js';
+import ChallengeNode from './ChallengeNode.js';
+import GameDescriber from './describers/GameDescriber.js';
+import GameAlertManager from './GameAlertManager.js';
+import GameScreenSummaryNode from './GameScreenSummaryNode.js';
+import LevelSelectionNode from './LevelSelectionNode.js';
+
+// constants
+const SCREEN_MARGIN = 20; // margin for the buttons in the bottom corners of the screen
+
+class GameScreenView extends ScreenView {
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    // a11y - initializes the describer and alert manager to generate and update all PDOM and alert content.
+    const gameDescriber = new GameDescriber( model );
+    const alertManager = new GameAlertManager( model, gameDescriber );
+
+    super( {
+      layoutBounds: new Bounds2( 0, 0, 1100, 700 ),
+      tandem: tandem,
+      screenSummaryContent: new GameScreenSummaryNode( model, gameDescriber )
+    } );
+
+    // a11y - describers for the sliders, which are always quantitative and in moles, like the challenges
+    const useQuantitativeDescriptionsProperty = new BooleanProperty( true );
+    const soluteAmountUnitsProperty = new EnumerationProperty( SoluteAmountUnits, SoluteAmountUnits.MOLES );
+    const concentrationDescriber = new ConcentrationDescriber( model.solution, useQuantitativeDescriptionsProperty );
+    const precipitateAmountDescriber = new PrecipitateAmountDescriber( model.solution, concentrationDescriber,
+      useQuantitativeDescriptionsProperty );
+    const soluteDescriber = new SoluteDescriber( model.solution, concentrationDescriber, precipitateAmountDescriber );
+    const soluteAmountDescriber = new SoluteAmountDescriber( model.solution.soluteAmountProperty, soluteDescriber,
+      useQuantitativeDescriptionsProperty, model.solution.soluteProperty, soluteAmountUnitsProperty );
+    const volumeDescriber = new VolumeDescriber( model.solution.volumeProperty, useQuantitativeDescriptionsProperty );
+
+    const audioPlayer = new GameAudioPlayer();
+
+    // choosing a level
+    const levelSelectionNode = new LevelSelectionNode( model, tandem.createTandem( 'levelSelectionNode' ) );
+    const timerToggleButton = new TimerToggleButton( model.timerEnabledProperty, {
+      tandem: tandem.createTandem( 'timerToggleButton' )
+    } );
+
+    // Reset All button
+    const resetAllButton = new ResetAllButton( {
+      listener: () => {
+        model.reset();
+      },
+      scale: 1.32,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // playing a challenge, with the status of the level across the top of the screen
+    const statusBar = new FiniteStatusBar( this.layoutBounds, this.visibleBoundsProperty, model.scoreProperty, {
+      challengeIndexProperty: model.challengeIndexProperty,
+      numberOfChallengesProperty: new Property( model.challengesPerLevel ),
+      levelProperty: model.levelProperty,
+      elapsedTimeProperty: model.timer.elapsedTimeProperty,
+      timerEnabledProperty: model.timerEnabledProperty,
+      startOverButtonOptions: {
+        listener: () => model.startOver()
+      },
+      tandem: tandem.createTandem( 'statusBar' )
+    } );
+    const challengeNode = new ChallengeNode( model, gameDescriber, alertManager, soluteAmountDescriber,
+      volumeDescriber, audioPlayer, tandem.createTandem( 'challengeNode' ) );
+
+    // the results of a level, created when the level is completed, see gamePhaseProperty
+    const levelCompletedParent = new Node();
+
+    // layout for things that don't have a location in the model
+    {
+      // centered on the screen
+      levelSelectionNode.center = this.layoutBounds.center;
+      // centered below the status bar
+      challengeNode.centerX = this.layoutBounds.centerX;
+      challengeNode.top = statusBar.bottom + 30;
+      // bottom corners of the screen
+      timerToggleButton.left = this.layoutBounds.left + SCREEN_MARGIN;
+      timerToggleButton.bottom = this.layoutBounds.bottom - SCREEN_MARGIN;
+      resetAllButton.right = this.layoutBounds.right - SCREEN_MARGIN;
+      resetAllButton.bottom = this.layoutBounds.bottom - SCREEN_MARGIN;
+    }
+
+    const settingsNode = new Node( {
+      children: [ levelSelectionNode, timerToggleButton, resetAllButton ]
+    } );
+    const playNode = new Node( {
+      children: [ statusBar, challengeNode ]
+    } );
+    this.addChild( settingsNode );
+    this.addChild( playNode );
+    this.addChild( levelCompletedParent );
+
+    // a11y - heading and accessible order for play area section of PDOM
+    this.pdomPlayAreaNode.accessibleOrder = [
+      levelSelectionNode,
+      statusBar,
+      challengeNode,
+      levelCompletedParent
+    ];
+
+    // a11y - contains PDOM heading for Control Area, and orders the PDOM for included elements
+    this.pdomControlAreaNode.accessibleOrder = [
+      timerToggleButton,
+      resetAllButton
+    ];
+
+    // Show the user interface for the phase of the game. The results of a level are created for the level, since
+    // LevelCompletedNode can't be updated, and disposed when they are no longer shown.
+    let levelCompletedNode = null;
+    model.gamePhaseProperty.link( gamePhase => {
+      settingsNode.visible = ( gamePhase === GamePhase.SETTINGS );
+      playNode.visible = ( gamePhase === GamePhase.PLAY );
+
+      if ( levelCompletedNode ) {
+        levelCompletedParent.removeChild( levelCompletedNode );
+        levelCompletedNode.dispose();
+        levelCompletedNode = null;
+      }
+
+      if ( gamePhase === GamePhase.RESULTS ) {
+        const score = model.scoreProperty.value;
+        if ( score === model.perfectScore ) {
+          audioPlayer.gameOverPerfectScore();
+        }
+        else if ( score === 0 ) {
+          audioPlayer.gameOverZeroScore();
+        }
+        else {
+          audioPlayer.gameOverImperfectScore();
+        }
+
+        levelCompletedNode = new LevelCompletedNode(
+          model.levelProperty.value,
+          score,
+          model.perfectScore,
+          MolarityConstants.GAME_NUMBER_OF_STARS,
+          model.timerEnabledProperty.value,
+          model.timer.elapsedTimeProperty.value,
+          model.bestTimeProperties[ model.levelProperty.value - 1 ].value,
+          model.isNewBestTime,
+          () => model.startOver(), {
+            center: this.layoutBounds.center
+          } );
+        levelCompletedParent.addChild( levelCompletedNode );
+      }
+    } );
+
+    // @private animated by the view, see step
+    this.challengeNode = challengeNode;
+  }
+
+  /**
+   * Animates the precipitate as it settles.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    this.challengeNode.step( dt );
+  }
+}
+
+molarity.register( 'GameScreenView', GameScreenView );
+export default GameScreenView;
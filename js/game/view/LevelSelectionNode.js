@@ -0,0 +1,115 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The Game screen's user interface for choosing a level. There is a button for each level, which shows the best score
+ * for the level, and the best time when the timer is on.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
+import LevelSelectionButton from '../../../../vegas/js/LevelSelectionButton.js';
+import ScoreDisplayStars from '../../../../vegas/js/ScoreDisplayStars.js';
+import vegasStrings from '../../../../vegas/js/vegas-strings.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import BeakerImageNode from '../../molarity/view/BeakerImageNode.js';
+
+const chooseYourLevelString = vegasStrings.chooseYourLevel;
+const labelLevelString = vegasStrings.label.level;
+
+// a11y strings
+const levelButtonDescriptionPatternString = molarityStrings.a11y.game.levelButtonDescriptionPattern;
+const levelsHelpTextString = molarityStrings.a11y.game.levelsHelpText;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 40, weight: 'bold' } );
+const LEVEL_FONT = new PhetFont( { size: 24, weight: 'bold' } );
+const BUTTON_SIZE = 175;
+
+class LevelSelectionNode extends Node {
+
+  /**
+   * @param {GameModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    super( {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: chooseYourLevelString,
+      descriptionContent: levelsHelpTextString
+    } );
+
+    const titleNode = new Text( chooseYourLevelString, {
+      font: TITLE_FONT,
+      maxWidth: 700, // constrain for i18n, determined empirically
+      tandem: tandem.createTandem( 'titleNode' )
+    } );
+
+    // a button for each level, with a beaker for each level on its icon
+    const levelButtons = _.range( 1, model.numberOfLevels + 1 ).map( level => {
+      const levelString = StringUtils.format( labelLevelString, level );
+      const bestScoreProperty = model.bestScoreProperties[ level - 1 ];
+      const button = new LevelSelectionButton( createLevelIcon( levelString, level ), bestScoreProperty, {
+        listener: () => model.startLevel( level ),
+        buttonWidth: BUTTON_SIZE,
+        buttonHeight: BUTTON_SIZE,
+        scoreDisplayConstructor: ScoreDisplayStars,
+        scoreDisplayOptions: {
+          numberOfStars: MolarityConstants.GAME_NUMBER_OF_STARS,
+          perfectScore: model.perfectScore
+        },
+        bestTimeProperty: model.bestTimeProperties[ level - 1 ],
+        bestTimeVisibleProperty: model.timerEnabledProperty,
+        tandem: tandem.createTandem( 'level' + level + 'Button' ),
+
+        // a11y
+        innerContent: levelString
+      } );
+      bestScoreProperty.link( bestScore => {
+        button.descriptionContent = StringUtils.fillIn( levelButtonDescriptionPatternString, {
+          score: bestScore,
+          perfectScore: model.perfectScore
+        } );
+      } );
+      return button;
+    } );
+
+    this.children = [ new VBox( {
+      children: [ titleNode, new HBox( { children: levelButtons, spacing: 40 } ) ],
+      spacing: 60
+    } ) ];
+  }
+}
+
+/**
+ * Creates the icon for a level's button: the level, above a beaker for each level.
+ * @param {string} levelString - e.g. "Level 2"
+ * @param {number} level - 1-based
+ * @returns {Node}
+ */
+const createLevelIcon = ( levelString, level ) => new VBox( {
+  children: [
+    new Text( levelString, { font: LEVEL_FONT, maxWidth: 0.8 * BUTTON_SIZE } ),
+    new HBox( {
+      children: _.range( 0, level ).map( () => new BeakerImageNode( Tandem.OPTIONAL, { scale: 0.1 } ) ),
+      spacing: 4
+    } )
+  ],
+  spacing: 10
+} );
+
+molarity.register( 'LevelSelectionNode', LevelSelectionNode );
+export default LevelSelectionNode;
@@ -0,0 +1,220 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * GameDescriber is responsible for generating strings about the Game screen: the challenge, the beaker, and how the
+ * answers were scored. Descriptions on this screen are always quantitative, like the challenges. Until a challenge
+ * has been answered, the beaker is described without its concentration, which would give the answer away, and the
+ * beaker of a PREDICT_SATURATION challenge is not described at all.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import QuantitativeDescriber from '../../../molarity/view/describers/QuantitativeDescriber.js';
+import ChallengeType from '../../model/ChallengeType.js';
+import GamePhase from '../../model/GamePhase.js';
+import PlayState from '../../model/PlayState.js';
+
+// a11y strings
+const answerNotSaturatedPatternString = molarityStrings.a11y.game.answerNotSaturatedPattern;
+const answerPatternString = molarityStrings.a11y.game.answerPattern;
+const answerSaturatedPatternString = molarityStrings.a11y.game.answerSaturatedPattern;
+const beakerCheckedPatternString = molarityStrings.a11y.game.beakerCheckedPattern;
+const beakerHiddenString = molarityStrings.a11y.game.beakerHidden;
+const beakerPatternString = molarityStrings.a11y.game.beakerPattern;
+const beakerSaturatedPatternString = molarityStrings.a11y.game.beakerSaturatedPattern;
+const challengeHeadingPatternString = molarityStrings.a11y.game.challengeHeadingPattern;
+const correctPatternString = molarityStrings.a11y.game.correctPattern;
+const incorrectShowAnswerString = molarityStrings.a11y.game.incorrectShowAnswer;
+const incorrectTryAgainString = molarityStrings.a11y.game.incorrectTryAgain;
+const levelCompletedPatternString = molarityStrings.a11y.game.levelCompletedPattern;
+const newBestTimePatternString = molarityStrings.a11y.game.newBestTimePattern;
+const predictSaturationPatternString = molarityStrings.a11y.game.predictSaturationPattern;
+const screenSummaryChooseLevelString = molarityStrings.a11y.game.screenSummary.chooseLevel;
+const screenSummaryCurrentChallengePatternString = molarityStrings.a11y.game.screenSummary.currentChallengePattern;
+const targetConcentrationPatternString = molarityStrings.a11y.game.targetConcentrationPattern;
+const targetSoluteAmountPatternString = molarityStrings.a11y.game.targetSoluteAmountPattern;
+const targetVolumePatternString = molarityStrings.a11y.game.targetVolumePattern;
+const timePatternString = molarityStrings.a11y.game.timePattern;
+
+// constants
+const TIME_DECIMAL_PLACES = 0;
+
+// the pattern that describes each type of challenge
+const CHALLENGE_PATTERN_STRINGS = {
+  TARGET_CONCENTRATION: targetConcentrationPatternString,
+  TARGET_SOLUTE_AMOUNT: targetSoluteAmountPatternString,
+  TARGET_VOLUME: targetVolumePatternString,
+  PREDICT_SATURATION: predictSaturationPatternString
+};
+
+class GameDescriber {
+
+  /**
+   * @param {GameModel} model
+   */
+  constructor( model ) {
+
+    // @private
+    this.model = model;
+    this.solution = model.solution;
+  }
+
+  /**
+   * Gets the heading for the challenge that is being played.
+   * @public
+   * @returns {string} - e.g. "Challenge 2 of 5"
+   */
+  getChallengeHeading() {
+    return StringUtils.fillIn( challengeHeadingPatternString, {
+      challengeNumber: this.model.challengeIndexProperty.value + 1,
+      numberOfChallenges: this.model.challengesPerLevel
+    } );
+  }
+
+  /**
+   * Describes the challenge that is being played, with all of its given values.
+   * @public
+   * @returns {string} - e.g. "Make 0.400 liters of 1.250 molar drink mix solution, by changing the amount of solute."
+   */
+  getChallengeDescription() {
+    const challenge = this.model.challengeProperty.value;
+    assert && assert( challenge, 'there is no challenge to describe' );
+    return StringUtils.fillIn( CHALLENGE_PATTERN_STRINGS[ challenge.type.name ], {
+      solute: challenge.solute.lowercaseName,
+      soluteAmount: QuantitativeDescriber.getSoluteAmountString( challenge.soluteAmount ),
+      volume: QuantitativeDescriber.getVolumeString( challenge.volume ),
+      concentration: QuantitativeDescriber.getConcentrationString( challenge.concentration )
+    } );
+  }
+
+  /**
+   * Describes what the beaker holds. Its concentration is only described once the challenge has been answered.
+   * @public
+   * @returns {string} - e.g. "The beaker holds 0.400 liters of drink mix solution with 0.250 moles of solute."
+   */
+  getBeakerDescription() {
+    const challenge = this.model.challengeProperty.value;
+    const isAnswered = this.model.playStateProperty.value === PlayState.NEXT;
+    if ( !challenge ) {
+      return '';
+    }
+    else if ( challenge.type === ChallengeType.PREDICT_SATURATION && !isAnswered ) {
+      return beakerHiddenString;
+    }
+
+    let patternString = beakerPatternString;
+    if ( isAnswered ) {
+      patternString = this.solution.isSaturated() ? beakerSaturatedPatternString : beakerCheckedPatternString;
+    }
+    return StringUtils.fillIn( patternString, {
+      volume: QuantitativeDescriber.getVolumeString( this.solution.volumeProperty.value ),
+      solute: this.solution.soluteProperty.value.lowercaseName,
+      soluteAmount: QuantitativeDescriber.getSoluteAmountString( this.solution.soluteAmountProperty.value ),
+      concentration: QuantitativeDescriber.getConcentrationString( this.solution.concentrationProperty.value )
+    } );
+  }
+
+  /**
+   * Gets the Properties that the description of the beaker depends on.
+   * @public
+   * @returns {Property[]}
+   */
+  getBeakerDescriptionDependencies() {
+    return [ this.model.challengeProperty, this.model.playStateProperty, this.solution.soluteAmountProperty,
+      this.solution.volumeProperty, this.solution.concentrationProperty ];
+  }
+
+  /**
+   * Creates the alert for when an answer has been checked.
+   * @param {boolean} isCorrect
+   * @public
+   * @returns {string} - e.g. "Correct! Your score is 4."
+   */
+  getCheckedAlertString( isCorrect ) {
+    if ( isCorrect ) {
+      return StringUtils.fillIn( correctPatternString, { score: this.model.scoreProperty.value } );
+    }
+    return ( this.model.playStateProperty.value === PlayState.TRY_AGAIN ) ? incorrectTryAgainString :
+           incorrectShowAnswerString;
+  }
+
+  /**
+   * Creates the alert for when the answer to the challenge has been shown, describing the answer.
+   * @public
+   * @returns {string} - e.g. "An answer is 0.500 moles of solute in 0.400 liters of solution, at 1.250 molar."
+   */
+  getAnswerAlertString() {
+    const challenge = this.model.challengeProperty.value;
+    let patternString = answerPatternString;
+    if ( challenge.type === ChallengeType.PREDICT_SATURATION ) {
+      patternString = challenge.isSaturated ? answerSaturatedPatternString : answerNotSaturatedPatternString;
+    }
+    return StringUtils.fillIn( patternString, {
+      soluteAmount: QuantitativeDescriber.getSoluteAmountString( challenge.soluteAmount ),
+      volume: QuantitativeDescriber.getVolumeString( challenge.volume ),
+      concentration: QuantitativeDescriber.getConcentrationString( this.solution.concentrationProperty.value )
+    } );
+  }
+
+  /**
+   * Describes the results of the level that was just completed.
+   * @public
+   * @returns {string} - e.g. "Level 2 complete, with a score of 10 out of 10. Time 85 seconds, a new best time."
+   */
+  getLevelCompletedString() {
+    let timeString = '';
+    if ( this.model.timerEnabledProperty.value ) {
+      timeString = StringUtils.fillIn( this.model.isNewBestTime ? newBestTimePatternString : timePatternString, {
+        time: Utils.toFixed( this.model.timer.elapsedTimeProperty.value, TIME_DECIMAL_PLACES )
+      } );
+    }
+    return StringUtils.fillIn( levelCompletedPatternString, {
+      level: this.model.levelProperty.value,
+      score: this.model.scoreProperty.value,
+      perfectScore: this.model.perfectScore,
+      time: timeString
+    } ).trim();
+  }
+
+  /**
+   * Describes the current state of the game, for the screen summary.
+   * @public
+   * @returns {string} - e.g. "Currently, you are on challenge 2 of 5 in level 1, with a score of 2. Make a 1.500 molar
+   *                     drink mix solution, with any amount of solute and volume of solution."
+   */
+  getCurrentStateString() {
+    const gamePhase = this.model.gamePhaseProperty.value;
+    if ( gamePhase === GamePhase.SETTINGS ) {
+      return screenSummaryChooseLevelString;
+    }
+    else if ( gamePhase === GamePhase.PLAY ) {
+      return StringUtils.fillIn( screenSummaryCurrentChallengePatternString, {
+        challengeNumber: this.model.challengeIndexProperty.value + 1,
+        numberOfChallenges: this.model.challengesPerLevel,
+        level: this.model.levelProperty.value,
+        score: this.model.scoreProperty.value,
+        challenge: this.getChallengeDescription()
+      } );
+    }
+    else {
+      return this.getLevelCompletedString();
+    }
+  }
+
+  /**
+   * Gets the Properties that the description of the current state of the game depends on.
+   * @public
+   * @returns {Property[]}
+   */
+  getCurrentStateDependencies() {
+    return [ this.model.gamePhaseProperty, this.model.levelProperty, this.model.challengeIndexProperty,
+      this.model.challengeProperty, this.model.scoreProperty ];
+  }
+}
+
+molarity.register( 'GameDescriber', GameDescriber );
+export default GameDescriber;
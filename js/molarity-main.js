@@ -9,9 +9,15 @@
 import Sim from '../../joist/js/Sim.js';
 import SimLauncher from '../../joist/js/SimLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import ComparisonScreen from './comparison/ComparisonScreen.js';
+import DilutionScreen from './dilution/DilutionScreen.js';
+import GameScreen from './game/GameScreen.js';
 import molarityStrings from './molarity-strings.js';
+import SoluteCatalog from './molarity/model/SoluteCatalog.js';
+import MolarityQueryParameters from './molarity/MolarityQueryParameters.js';
 import MolarityScreen from './molarity/MolarityScreen.js';
 import MolarityKeyboardHelpContent from './molarity/view/MolarityKeyboardHelpContent.js';
+import TitrationScreen from './titration/TitrationScreen.js';
 
 const molarityTitleString = molarityStrings.molarity.title;
 
@@ -34,7 +40,17 @@ const options = {
 };
 
 SimLauncher.launch( function() {
-  const screens = [ new MolarityScreen( tandem.createTandem( 'molarityScreen' ) ) ];
-  const sim = new Sim( molarityTitleString, screens, options );
-  sim.start();
+
+  // the solute catalog may be loaded from a URL, so the sim is created when it is ready
+  SoluteCatalog.load( MolarityQueryParameters.soluteCatalog, function( soluteCatalog ) {
+    const screens = [
+      new MolarityScreen( soluteCatalog, tandem.createTandem( 'molarityScreen' ) ),
+      new DilutionScreen( soluteCatalog, tandem.createTandem( 'dilutionScreen' ) ),
+      new TitrationScreen( soluteCatalog, tandem.createTandem( 'titrationScreen' ) ),
+      new ComparisonScreen( soluteCatalog, tandem.createTandem( 'comparisonScreen' ) ),
+      new GameScreen( soluteCatalog, tandem.createTandem( 'gameScreen' ) )
+    ];
+    const sim = new Sim( molarityTitleString, screens, options );
+    sim.start();
+  } );
 } );
\ No newline at end of file
@@ -13,6 +13,11 @@ import molarity from '../molarity.js';
 // constants
 const SOLUTE_AMOUNT_RANGE = new RangeWithValue( 0, 1, 0.5 ); // moles
 const SOLUTION_VOLUME_RANGE = new RangeWithValue( 0.2, 1, 0.5 ); // liters
+const TEMPERATURE_RANGE = new RangeWithValue( 0, 100, 25 ); // degrees C, default is room temperature
+const EVAPORATION_RATE_RANGE = new RangeWithValue( 0, 0.02, 0 ); // liters per second, slow enough to watch
+const STOCK_VOLUME = SOLUTION_VOLUME_RANGE.max; // liters, volume of the stock solution before any is transferred
+const ANALYTE_VOLUME = 0.25; // liters, volume of the analyte before any titrant is added
+const BURETTE_VOLUME = 0.5; // liters, volume of titrant in a full burette
 
 const MolarityConstants = {
 
@@ -22,20 +27,86 @@ const MolarityConstants = {
   // liters
   SOLUTION_VOLUME_RANGE: SOLUTION_VOLUME_RANGE,
 
+  // degrees C
+  TEMPERATURE_RANGE: TEMPERATURE_RANGE,
+
+  // liters per second
+  EVAPORATION_RATE_RANGE: EVAPORATION_RATE_RANGE,
+
   // M
   CONCENTRATION_RANGE: new Range(
     SOLUTE_AMOUNT_RANGE.min / SOLUTION_VOLUME_RANGE.max,
     SOLUTE_AMOUNT_RANGE.max / SOLUTION_VOLUME_RANGE.min ),
 
+  // Dilution screen, liters
+  STOCK_VOLUME: STOCK_VOLUME,
+
+  // Dilution screen, M. The max fills the stock beaker with the max solute amount.
+  STOCK_CONCENTRATION_RANGE: new RangeWithValue( 0, SOLUTE_AMOUNT_RANGE.max / STOCK_VOLUME, 0.5 ),
+
+  // Dilution screen, liters. Together these keep the volume of both solutions within SOLUTION_VOLUME_RANGE.
+  TRANSFER_VOLUME_RANGE: new RangeWithValue( SOLUTION_VOLUME_RANGE.min, 0.5, 0.25 ),
+  WATER_VOLUME_RANGE: new RangeWithValue( 0, 0.5, 0.25 ),
+
+  // Titration screen, liters. The analyte and a full burette of titrant fit in the beaker, within SOLUTION_VOLUME_RANGE.
+  ANALYTE_VOLUME: ANALYTE_VOLUME,
+  TITRANT_VOLUME_RANGE: new RangeWithValue( 0, BURETTE_VOLUME, 0 ),
+
+  // Titration screen, M. Together these keep the equivalence point within a full burette of titrant.
+  ANALYTE_CONCENTRATION_RANGE: new RangeWithValue( 0, 0.2, 0.1 ),
+  TITRANT_CONCENTRATION_RANGE: new RangeWithValue( 0.1, 0.5, 0.1 ),
+
+  // Titration screen, liters per second
+  TITRANT_FLOW_RATE_RANGE: new RangeWithValue( 0, 0.01, 0 ),
+
+  // Game screen, number of stars in the displays of a level's score
+  GAME_NUMBER_OF_STARS: 3,
+
+  // nm, wavelengths of visible light that the spectrophotometer can measure at
+  WAVELENGTH_RANGE: new RangeWithValue( 380, 780, 500 ),
+
   // decimal places for solute amount, used in view
   SOLUTE_AMOUNT_DECIMAL_PLACES: 3,
 
+  // decimal places for solute mass, used in view
+  SOLUTE_MASS_DECIMAL_PLACES: 1,
+
   // decimal places for solution volume, used in view
   SOLUTION_VOLUME_DECIMAL_PLACES: 3,
 
+  // decimal places for evaporation rate, used in view
+  EVAPORATION_RATE_DECIMAL_PLACES: 3,
+
+  // decimal places for titrant flow rate, used in view
+  TITRANT_FLOW_RATE_DECIMAL_PLACES: 3,
+
   // decimal places for concentration, used in both model and view
   CONCENTRATION_DECIMAL_PLACES: 3,
 
+  // decimal places for concentration in units other than molarity, used in view
+  MOLALITY_DECIMAL_PLACES: 3,
+  PERCENT_DECIMAL_PLACES: 1,
+  PARTS_PER_MILLION_DECIMAL_PLACES: 0,
+
+  // decimal places for the spectrophotometer, used in view
+  WAVELENGTH_DECIMAL_PLACES: 0,
+  ABSORBANCE_DECIMAL_PLACES: 3,
+  TRANSMITTANCE_DECIMAL_PLACES: 1,
+  PATH_LENGTH_DECIMAL_PLACES: 1,
+
+  // decimal places for temperature, used in view
+  TEMPERATURE_DECIMAL_PLACES: 0,
+
+  // decimal places for colligative properties, used in view
+  COLLIGATIVE_TEMPERATURE_DECIMAL_PLACES: 2,
+  OSMOTIC_PRESSURE_DECIMAL_PLACES: 1,
+
+  // pH values that are shown on the pH meter's color scale
+  PH_RANGE: new Range( 0, 14 ),
+
+  // decimal places for pH, used in view
+  PH_DECIMAL_PLACES: 2,
+
   // decimal places for all min/max range values in the view
   RANGE_DECIMAL_PLACES: 1
 };
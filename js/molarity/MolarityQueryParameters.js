@@ -0,0 +1,42 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Query parameters supported by this simulation.
+ *
+ * @author agent
+ */
+
+import molarity from '../molarity.js';
+
+const MolarityQueryParameters = QueryStringMachine.getAll( {
+
+  // URL of a JSON solute catalog, used instead of the catalog that is bundled with the sim. See SoluteCatalog for
+  // the schema. If the catalog cannot be loaded or is malformed, a warning is shown and the bundled catalog is used.
+  // For external use.
+  soluteCatalog: {
+    type: 'string',
+    defaultValue: null,
+    public: true
+  },
+
+  // Number of particles of precipitate per gram. At higher densities, particles are smaller, so that the pile of
+  // precipitate stays the same size. For testing performance with thousands of particles, see PrecipitateNode.
+  // For internal use only, by developers.
+  particlesPerGram: {
+    type: 'number',
+    defaultValue: 1,
+    isValidValue: value => value > 0
+  },
+
+  // Number of particles to benchmark the painting of precipitate with, 0 to not benchmark. The precipitate is replaced
+  // by this many particles, in every ParticleShape, and the average paint and frame times are logged to the console.
+  // See PrecipitateNode and doc/implementation-notes.txt. For internal use only, by developers.
+  precipitateBenchmark: {
+    type: 'number',
+    defaultValue: 0,
+    isValidValue: value => Number.isInteger( value ) && value >= 0
+  }
+} );
+
+molarity.register( 'MolarityQueryParameters', MolarityQueryParameters );
+export default MolarityQueryParameters;
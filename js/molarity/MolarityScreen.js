@@ -8,22 +8,27 @@
 
 import Screen from '../../../joist/js/Screen.js';
 import inherit from '../../../phet-core/js/inherit.js';
+import molarityStrings from '../molarity-strings.js';
 import molarity from '../molarity.js';
 import MolarityModel from './model/MolarityModel.js';
 import MolarityScreenView from './view/MolarityScreenView.js';
 
+const screenMolarityString = molarityStrings.screen.molarity;
+
 /**
+ * @param {SoluteCatalog} soluteCatalog
  * @param {Tandem} tandem
  * @constructor
  */
-function MolarityScreen( tandem ) {
+function MolarityScreen( soluteCatalog, tandem ) {
 
   const options = {
+    name: screenMolarityString,
     tandem: tandem
   };
 
   Screen.call( this,
-    function() { return new MolarityModel( tandem.createTandem( 'model' ) ); },
+    function() { return new MolarityModel( soluteCatalog, tandem.createTandem( 'model' ) ); },
     function( model ) { return new MolarityScreenView( model, tandem.createTandem( 'view' ) ); },
     options
   );
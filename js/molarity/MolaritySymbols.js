@@ -7,26 +7,16 @@
  */
 
 import ChemUtils from '../../../nitroglycerin/js/ChemUtils.js';
-import molarityStrings from '../molarity-strings.js';
 import molarity from '../molarity.js';
 
-const drinkMixString = molarityStrings.drinkMix;
-
 // constants
 const toSubscript = ChemUtils.toSubscript;
 
+// Solute formulas are in the solute catalog, see SoluteCatalog. These are the solvents.
 const MolaritySymbols = {
-  COBALT_II_NITRATE: toSubscript( 'Co(NO3)2' ),
-  COBALT_CHLORIDE: toSubscript( 'CoCl2' ),
-  COPPER_SULFATE: toSubscript( 'CuSO4' ),
-  DRINK_MIX: drinkMixString,
-  GOLD_III_CHLORIDE: toSubscript( 'AuCl3' ),
-  NICKEL_II_CHLORIDE: toSubscript( 'NiCl2' ),
-  POTASSIUM_CHROMATE: toSubscript( 'K2CrO4' ),
-  POTASSIUM_DICHROMATE: toSubscript( 'K2Cr2O7' ),
-  POTASSIUM_PERMANGANATE: toSubscript( 'KMnO4' ),
   WATER: toSubscript( 'H2O' ),
-  CITRIC_ACID: toSubscript( 'C6H8O7' )
+  ETHANOL: toSubscript( 'C2H5OH' ),
+  ACETONE: toSubscript( '(CH3)2CO' )
 };
 
 molarity.register( 'MolaritySymbols', MolaritySymbols );
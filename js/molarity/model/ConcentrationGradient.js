@@ -0,0 +1,195 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of how well the solute is mixed into a solution, from the top of the solution to the bottom.
+ *
+ * The solution is modeled as a stack of horizontal layers. Each layer has a concentration relative to the solution's
+ * concentration, so the average of the layers is always 1, and the solution's concentration is the average of the
+ * layers' concentrations. When the solution is well mixed, every layer is 1.
+ *
+ * In unmixed mode, solute that is added to the solution dissolves into the top layers, creating a concentration
+ * gradient. The gradient diffuses slowly over time, and mixes much faster while the solution is being stirred, see
+ * step. Other changes (volume, temperature, solids dissolving or forming) affect every layer equally. Mixtures are
+ * always well mixed.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import ArrayIO from '../../../../tandem/js/types/ArrayIO.js';
+import NumberIO from '../../../../tandem/js/types/NumberIO.js';
+import molarity from '../../molarity.js';
+
+// constants
+const NUMBER_OF_LAYERS = 20;
+const NUMBER_OF_INPUT_LAYERS = 3; // added solute dissolves into this many layers at the top
+const DIFFUSION_RATE = 3; // 1/s, rate at which neighboring layers exchange solute, so that mixing takes about a minute
+const MAX_DIFFUSION_DT = 0.25 / DIFFUSION_RATE; // s, largest step for which the diffusion computation is stable
+const STIRRING_RATE = 2; // 1/s, rate at which every layer approaches the average while the solution is stirred
+
+// when no layer differs from the average by more than this, the solution is well mixed
+const MIXED_TOLERANCE = 0.01;
+
+class ConcentrationGradient {
+
+  /**
+   * @param {Solution} solution
+   * @param {Tandem} tandem
+   */
+  constructor( solution, tandem ) {
+
+    // @private
+    this.solution = solution;
+
+    // @public whether added solute forms a concentration gradient, instead of mixing instantly
+    this.isUnmixedProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isUnmixedProperty' )
+    } );
+
+    // @public whether the solution is being stirred, set by the view while the stirring rod is moved in the solution
+    this.isStirringProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isStirringProperty' )
+    } );
+
+    // @public (read-only) {Property.<number[]>} concentration of each layer relative to the solution's concentration,
+    // ordered from the top of the solution to the bottom
+    this.layersProperty = new Property( createMixedLayers(), {
+      tandem: tandem.createTandem( 'layersProperty' ),
+      phetioType: PropertyIO( ArrayIO( NumberIO ) ),
+      phetioReadOnly: true,
+      isValidValue: layers => layers.length === NUMBER_OF_LAYERS
+    } );
+
+    // @public (read-only) DerivedProperty.<boolean> whether the solution is well mixed
+    this.isMixedProperty = new DerivedProperty( [ this.layersProperty ], isMixed );
+
+    // @public emits when diffusion or stirring has evenly mixed the solution, see step
+    this.mixedEmitter = new Emitter();
+
+    // Solute amount at the time of the last change in concentration. Concentration is derived from solute amount, so
+    // it changes before soluteAmountProperty's other listeners are called, and comparing with this tells whether the
+    // change in concentration is the result of adding solute.
+    let previousSoluteAmount = solution.soluteAmountProperty.value;
+    solution.soluteAmountProperty.lazyLink( soluteAmount => {
+      previousSoluteAmount = soluteAmount;
+    } );
+
+    solution.concentrationProperty.lazyLink( ( concentration, previousConcentration ) => {
+      const isSoluteAdded = solution.soluteAmountProperty.value > previousSoluteAmount;
+      previousSoluteAmount = solution.soluteAmountProperty.value;
+      if ( concentration === 0 ) {
+        this.mix();
+      }
+      else if ( isSoluteAdded && concentration > previousConcentration && this.isUnmixedProperty.value &&
+                !solution.isMixtureProperty.value ) {
+
+        // Added solute dissolves into the top layers. Layers are relative to the solution's concentration, so the
+        // solute that was already dissolved is rescaled to the new concentration.
+        const addedConcentration = NUMBER_OF_LAYERS * ( concentration - previousConcentration ) /
+                                   NUMBER_OF_INPUT_LAYERS;
+        this.layersProperty.value = this.layersProperty.value.map( ( layer, index ) => {
+          const layerAddedConcentration = ( index < NUMBER_OF_INPUT_LAYERS ) ? addedConcentration : 0;
+          return ( previousConcentration * layer + layerAddedConcentration ) / concentration;
+        } );
+      }
+    } );
+
+    // Changing or redefining the solute replaces it, and mixtures are always well mixed.
+    const mixReplacedSolute = () => {
+      if ( !solution.isMixtureProperty.value ) {
+        this.mix();
+      }
+    };
+    solution.soluteProperty.lazyLink( mixReplacedSolute );
+    solution.soluteDefinitionProperty.lazyLink( mixReplacedSolute );
+    solution.isMixtureProperty.lazyLink( () => this.mix() );
+    this.isUnmixedProperty.lazyLink( () => this.mix() );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.isUnmixedProperty.reset();
+    this.isStirringProperty.reset();
+    this.mix();
+  }
+
+  /**
+   * Mixes the solution instantly, so that every layer has the solution's concentration.
+   * @private
+   */
+  mix() {
+    this.layersProperty.value = createMixedLayers();
+  }
+
+  /**
+   * Diffuses the gradient, or mixes it while the solution is being stirred. Solute only moves between neighboring
+   * layers, and no solute leaves the top or bottom layers, so the average of the layers stays 1.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( !this.isMixedProperty.value ) {
+      let layers = this.layersProperty.value.slice();
+
+      // diffusion, in steps that are small enough to be stable
+      const numberOfSteps = Math.ceil( dt / MAX_DIFFUSION_DT );
+      const stepDt = dt / numberOfSteps;
+      for ( let i = 0; i < numberOfSteps; i++ ) {
+        layers = layers.map( ( layer, index ) => {
+          const above = ( index === 0 ) ? layer : layers[ index - 1 ];
+          const below = ( index === layers.length - 1 ) ? layer : layers[ index + 1 ];
+          return layer + DIFFUSION_RATE * stepDt * ( above - 2 * layer + below );
+        } );
+      }
+
+      // stirring, which brings every layer toward the average
+      if ( this.isStirringProperty.value ) {
+        const stirredFraction = 1 - Math.exp( -STIRRING_RATE * dt );
+        layers = layers.map( layer => layer + ( 1 - layer ) * stirredFraction );
+      }
+
+      // Diffusion only approaches the average, so once the solution is well mixed, it is made exactly so.
+      if ( isMixed( layers ) ) {
+        this.mix();
+        this.mixedEmitter.emit();
+      }
+      else {
+        this.layersProperty.value = layers;
+      }
+    }
+  }
+
+  /**
+   * Gets the concentration at some depth in the solution.
+   * @param {number} depth - 0 (the top of the solution) to 1 (the bottom)
+   * @returns {number} M
+   * @public
+   */
+  getLocalConcentration( depth ) {
+    assert && assert( depth >= 0 && depth <= 1, 'invalid depth: ' + depth );
+    const index = Math.min( NUMBER_OF_LAYERS - 1, Math.floor( depth * NUMBER_OF_LAYERS ) );
+    return this.solution.concentrationProperty.value * this.layersProperty.value[ index ];
+  }
+}
+
+/**
+ * Creates the layers of a solution that is well mixed.
+ * @returns {number[]}
+ */
+const createMixedLayers = () => _.times( NUMBER_OF_LAYERS, () => 1 );
+
+/**
+ * Determines whether a solution is well mixed.
+ * @param {number[]} layers
+ * @returns {boolean}
+ */
+const isMixed = layers => _.every( layers, layer => Math.abs( layer - 1 ) <= MIXED_TOLERANCE );
+
+molarity.register( 'ConcentrationGradient', ConcentrationGradient );
+export default ConcentrationGradient;
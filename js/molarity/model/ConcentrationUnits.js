@@ -0,0 +1,23 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Units that the concentration of a solution can be expressed in. The model is always in molarity (moles/L), and the
+ * other units are computed using the molar mass of the solute and the density of the solution, see
+ * Solution.convertConcentration.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const ConcentrationUnits = Enumeration.byKeys( [
+  'MOLARITY', // moles of solute per liter of solution, M
+  'MOLALITY', // moles of solute per kilogram of solvent, m
+  'MASS_PERCENT', // grams of solute per 100 grams of solution, % (m/m)
+  'MASS_VOLUME_PERCENT', // grams of solute per 100 milliliters of solution, % (m/v)
+  'PARTS_PER_MILLION' // grams of solute per million grams of solution, ppm
+] );
+
+molarity.register( 'ConcentrationUnits', ConcentrationUnits );
+export default ConcentrationUnits;
@@ -0,0 +1,204 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A solute that is defined by the user, by entering its name, formula, saturated concentration, molar mass and colors.
+ * Unlike other solutes, it can be redefined while the sim is running, see setDefinition.
+ *
+ * Everything else about the solute is derived from its definition. Its saturated concentration does not change with
+ * temperature, it does not dissociate into ions, and its color word and absorption spectrum are chosen to match its
+ * saturated color.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import RangeWithValue from '../../../../dot/js/RangeWithValue.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import CustomSoluteDefinitionIO from './CustomSoluteDefinitionIO.js';
+import SolubilityCurve from './SolubilityCurve.js';
+import Solute from './Solute.js';
+import SoluteCatalog from './SoluteCatalog.js';
+
+const customSoluteString = molarityStrings.customSolute;
+
+// constants
+const SATURATED_CONCENTRATION_RANGE = new RangeWithValue( 0.2, 6, 2 ); // M
+const MOLAR_MASS_RANGE = new RangeWithValue( 10, 500, 100 ); // g/mol
+
+// absorbance of a saturated solution per cm of path length, about that of the other solutes, see defaultSoluteCatalog
+const SATURATED_ABSORBANCE_PER_CENTIMETER = 0.2;
+
+// Wavelengths (nm) of spectral hues (degrees), used to choose the wavelength of light that the solute absorbs.
+// Hues from violet to red are not spectral, and are treated as red.
+const HUES = [ 0, 60, 120, 180, 240, 270 ];
+const WAVELENGTHS = [ 650, 580, 530, 490, 450, 400 ];
+
+/**
+ * @typedef {Object} CustomSoluteDefinition
+ * @property {string} name - title case
+ * @property {string} formula
+ * @property {number} saturatedConcentration - M (moles/L)
+ * @property {number} molarMass - g/mol
+ * @property {Color} minColor - solution color for smallest non-zero concentration
+ * @property {Color} maxColor - solution color for saturated concentration
+ * @property {Color} particleColor - the solute's color as a particle
+ */
+const DEFAULT_DEFINITION = {
+  name: customSoluteString,
+  formula: 'X',
+  saturatedConcentration: SATURATED_CONCENTRATION_RANGE.defaultValue,
+  molarMass: MOLAR_MASS_RANGE.defaultValue,
+  minColor: new Color( 225, 245, 245 ),
+  maxColor: new Color( 0, 160, 160 ),
+  particleColor: new Color( 0, 160, 160 )
+};
+
+/**
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function CustomSolute( tandem ) {
+
+  const self = this;
+  const definition = DEFAULT_DEFINITION;
+
+  Solute.call( this, definition.name, definition.formula, definition.saturatedConcentration, definition.minColor,
+    definition.maxColor, getLowercaseName( definition ), SoluteCatalog.getColorStringPair( definition.maxColor ), {
+      tandem: tandem,
+      particleColor: definition.particleColor,
+      molarMass: definition.molarMass,
+      peakWavelength: getPeakWavelength( definition ),
+      molarAbsorptivity: getMolarAbsorptivity( definition )
+    } );
+
+  // @public (read-only) {Property.<CustomSoluteDefinition>} set via setDefinition, or when PhET-iO state is set
+  this.definitionProperty = new Property( definition, {
+    tandem: tandem.createTandem( 'definitionProperty' ),
+    phetioType: PropertyIO( CustomSoluteDefinitionIO )
+  } );
+
+  // Added before anything else can observe definitionProperty, so that the fields are updated first.
+  this.definitionProperty.lazyLink( function( definition ) {
+    self.applyDefinition( definition );
+  } );
+}
+
+molarity.register( 'CustomSolute', CustomSolute );
+
+inherit( Solute, CustomSolute, {
+
+  /**
+   * Redefines the solute. Because nothing else that is derived from the solute is notified of changes to individual
+   * fields, this is the only way that the solute should be changed.
+   * @param {CustomSoluteDefinition} definition
+   * @public
+   */
+  setDefinition: function( definition ) {
+    assert && assert( definition.name.length > 0, 'name is required' );
+    assert && assert( definition.formula.length > 0, 'formula is required' );
+    assert && assert( SATURATED_CONCENTRATION_RANGE.contains( definition.saturatedConcentration ),
+      'invalid saturatedConcentration: ' + definition.saturatedConcentration );
+    assert && assert( MOLAR_MASS_RANGE.contains( definition.molarMass ), 'invalid molarMass: ' + definition.molarMass );
+    this.definitionProperty.value = definition;
+  },
+
+  /**
+   * Updates the fields of the solute to match its definition.
+   * @param {CustomSoluteDefinition} definition
+   * @private
+   */
+  applyDefinition: function( definition ) {
+    this.name = definition.name;
+    this.formula = definition.formula;
+    this.saturatedConcentration = definition.saturatedConcentration;
+    this.minColor = definition.minColor;
+    this.maxColor = definition.maxColor;
+    this.lowercaseName = getLowercaseName( definition );
+    this.colorStringPair = SoluteCatalog.getColorStringPair( definition.maxColor );
+    this.particleColor = definition.particleColor;
+    this.molarMass = definition.molarMass;
+    this.peakWavelength = getPeakWavelength( definition );
+    this.molarAbsorptivity = getMolarAbsorptivity( definition );
+    this.solubilityCurve = SolubilityCurve.constant( definition.saturatedConcentration );
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.setDefinition( DEFAULT_DEFINITION );
+  }
+}, {
+
+  // @public (read-only) ranges of the values that the user can enter
+  SATURATED_CONCENTRATION_RANGE: SATURATED_CONCENTRATION_RANGE,
+  MOLAR_MASS_RANGE: MOLAR_MASS_RANGE
+} );
+
+/**
+ * Gets the name for interactive descriptions.
+ * @param {CustomSoluteDefinition} definition
+ * @returns {string}
+ */
+const getLowercaseName = function( definition ) {
+  return definition.name.toLowerCase();
+};
+
+/**
+ * Gets the wavelength of light that the solute absorbs most strongly. A solution looks like the light that it does not
+ * absorb, so this is the wavelength of the hue that is complementary to the saturated color.
+ * @param {CustomSoluteDefinition} definition
+ * @returns {number} nm
+ */
+const getPeakWavelength = function( definition ) {
+  const hue = ( getHue( definition.maxColor ) + 180 ) % 360;
+  if ( hue > HUES[ HUES.length - 1 ] ) {
+    return WAVELENGTHS[ 0 ];
+  }
+  const index = _.findIndex( HUES, function( h ) { return h >= hue; } );
+  return index === 0 ? WAVELENGTHS[ 0 ] :
+         Utils.linear( HUES[ index - 1 ], HUES[ index ], WAVELENGTHS[ index - 1 ], WAVELENGTHS[ index ], hue );
+};
+
+/**
+ * Gets the molar absorptivity at the peak wavelength.
+ * @param {CustomSoluteDefinition} definition
+ * @returns {number} L/(mol*cm)
+ */
+const getMolarAbsorptivity = function( definition ) {
+  return SATURATED_ABSORBANCE_PER_CENTIMETER / definition.saturatedConcentration;
+};
+
+/**
+ * Gets the hue of a color.
+ * @param {Color} color
+ * @returns {number} degrees, [0,360). Grays have a hue of 0.
+ */
+const getHue = function( color ) {
+  const red = color.red / 255;
+  const green = color.green / 255;
+  const blue = color.blue / 255;
+  const max = Math.max( red, green, blue );
+  const delta = max - Math.min( red, green, blue );
+  let hue;
+  if ( delta === 0 ) {
+    hue = 0;
+  }
+  else if ( max === red ) {
+    hue = 60 * ( ( green - blue ) / delta );
+  }
+  else if ( max === green ) {
+    hue = 60 * ( ( blue - red ) / delta + 2 );
+  }
+  else {
+    hue = 60 * ( ( red - green ) / delta + 4 );
+  }
+  return ( hue + 360 ) % 360;
+};
+
+export default CustomSolute;
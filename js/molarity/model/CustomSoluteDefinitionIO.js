@@ -0,0 +1,63 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * IO type for CustomSoluteDefinition, see CustomSolute. A definition is plain data, so it is serialized by value.
+ *
+ * @author agent
+ */
+
+import Color from '../../../../scenery/js/util/Color.js';
+import ColorIO from '../../../../scenery/js/util/ColorIO.js';
+import ObjectIO from '../../../../tandem/js/types/ObjectIO.js';
+import molarity from '../../molarity.js';
+
+class CustomSoluteDefinitionIO extends ObjectIO {
+
+  /**
+   * @param {CustomSoluteDefinition} definition
+   * @returns {Object}
+   * @public
+   * @override
+   */
+  static toStateObject( definition ) {
+    return {
+      name: definition.name,
+      formula: definition.formula,
+      saturatedConcentration: definition.saturatedConcentration,
+      molarMass: definition.molarMass,
+      minColor: ColorIO.toStateObject( definition.minColor ),
+      maxColor: ColorIO.toStateObject( definition.maxColor ),
+      particleColor: ColorIO.toStateObject( definition.particleColor )
+    };
+  }
+
+  /**
+   * @param {Object} stateObject
+   * @returns {CustomSoluteDefinition}
+   * @public
+   * @override
+   */
+  static fromStateObject( stateObject ) {
+    return {
+      name: stateObject.name,
+      formula: stateObject.formula,
+      saturatedConcentration: stateObject.saturatedConcentration,
+      molarMass: stateObject.molarMass,
+      minColor: ColorIO.fromStateObject( stateObject.minColor ),
+      maxColor: ColorIO.fromStateObject( stateObject.maxColor ),
+      particleColor: ColorIO.fromStateObject( stateObject.particleColor )
+    };
+  }
+}
+
+CustomSoluteDefinitionIO.documentation = 'The definition of a solute that is defined by the user';
+CustomSoluteDefinitionIO.validator = {
+  isValidValue: v => _.isPlainObject( v ) && typeof v.name === 'string' && typeof v.formula === 'string' &&
+                     typeof v.saturatedConcentration === 'number' && typeof v.molarMass === 'number' &&
+                     v.minColor instanceof Color && v.maxColor instanceof Color && v.particleColor instanceof Color
+};
+CustomSoluteDefinitionIO.typeName = 'CustomSoluteDefinitionIO';
+ObjectIO.validateSubtype( CustomSoluteDefinitionIO );
+
+molarity.register( 'CustomSoluteDefinitionIO', CustomSoluteDefinitionIO );
+export default CustomSoluteDefinitionIO;
@@ -0,0 +1,44 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of an ion, one of the particles that an ionic solute dissociates into when it dissolves.
+ * Like Solute, this is an immutable data structure.
+ *
+ * @author agent
+ */
+
+import ChemUtils from '../../../../nitroglycerin/js/ChemUtils.js';
+import molarity from '../../molarity.js';
+
+class Ion {
+
+  /**
+   * @param {string} formula - e.g. 'NO3'
+   * @param {number} charge - e.g. -1
+   * @param {string} lowercaseName - for interactive descriptions, e.g. 'nitrate'
+   */
+  constructor( formula, charge, lowercaseName ) {
+    assert && assert( Number.isInteger( charge ) && charge !== 0, 'invalid charge: ' + charge );
+
+    // @public
+    this.formula = formula;
+    this.charge = charge;
+    this.lowercaseName = lowercaseName;
+
+    // @public {string} RichText markup, with subscripts and the charge as a superscript, e.g. 'NO<sub>3</sub><sup>-</sup>'
+    this.symbol = ChemUtils.toSubscript( formula ) + '<sup>' + getChargeString( charge ) + '</sup>';
+  }
+}
+
+/**
+ * Gets the charge of an ion as it is written in a chemical symbol. A charge of 1 is written with the sign only.
+ * @param {number} charge
+ * @returns {string} - e.g. '2+' or '-'
+ */
+const getChargeString = charge => {
+  const sign = charge > 0 ? '+' : '-';
+  return Math.abs( charge ) === 1 ? sign : ( Math.abs( charge ) + sign );
+};
+
+molarity.register( 'Ion', Ion );
+export default Ion;
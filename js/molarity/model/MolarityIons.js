@@ -0,0 +1,47 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The ions that the solutes dissociate into. Ions are not PhET-iO instrumented, so they are shared by all screens.
+ *
+ * @author agent
+ */
+
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import Ion from './Ion.js';
+
+// a11y strings
+const ionsChlorideString = molarityStrings.a11y.ions.chloride;
+const ionsChromateString = molarityStrings.a11y.ions.chromate;
+const ionsCobaltString = molarityStrings.a11y.ions.cobalt;
+const ionsCopperString = molarityStrings.a11y.ions.copper;
+const ionsDichromateString = molarityStrings.a11y.ions.dichromate;
+const ionsGoldString = molarityStrings.a11y.ions.gold;
+const ionsHydrogenString = molarityStrings.a11y.ions.hydrogen;
+const ionsHydroxideString = molarityStrings.a11y.ions.hydroxide;
+const ionsNickelString = molarityStrings.a11y.ions.nickel;
+const ionsNitrateString = molarityStrings.a11y.ions.nitrate;
+const ionsPermanganateString = molarityStrings.a11y.ions.permanganate;
+const ionsPotassiumString = molarityStrings.a11y.ions.potassium;
+const ionsSodiumString = molarityStrings.a11y.ions.sodium;
+const ionsSulfateString = molarityStrings.a11y.ions.sulfate;
+
+const MolarityIons = {
+  CHLORIDE: new Ion( 'Cl', -1, ionsChlorideString ),
+  CHROMATE: new Ion( 'CrO4', -2, ionsChromateString ),
+  COBALT_II: new Ion( 'Co', 2, ionsCobaltString ),
+  COPPER_II: new Ion( 'Cu', 2, ionsCopperString ),
+  DICHROMATE: new Ion( 'Cr2O7', -2, ionsDichromateString ),
+  GOLD_III: new Ion( 'Au', 3, ionsGoldString ),
+  HYDROGEN: new Ion( 'H', 1, ionsHydrogenString ),
+  HYDROXIDE: new Ion( 'OH', -1, ionsHydroxideString ),
+  NICKEL_II: new Ion( 'Ni', 2, ionsNickelString ),
+  NITRATE: new Ion( 'NO3', -1, ionsNitrateString ),
+  PERMANGANATE: new Ion( 'MnO4', -1, ionsPermanganateString ),
+  POTASSIUM: new Ion( 'K', 1, ionsPotassiumString ),
+  SODIUM: new Ion( 'Na', 1, ionsSodiumString ),
+  SULFATE: new Ion( 'SO4', -2, ionsSulfateString )
+};
+
+molarity.register( 'MolarityIons', MolarityIons );
+export default MolarityIons;
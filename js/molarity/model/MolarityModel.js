@@ -7,133 +7,84 @@
  */
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Emitter from '../../../../axon/js/Emitter.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
-import StringCasingPair from '../../../../scenery-phet/js/accessibility/StringCasingPair.js';
-import Color from '../../../../scenery/js/util/Color.js';
-import molarityStrings from '../../molarity-strings.js';
 import molarity from '../../molarity.js';
 import MolarityConstants from '../MolarityConstants.js';
-import MolaritySymbols from '../MolaritySymbols.js';
-import Solute from './Solute.js';
+import ConcentrationGradient from './ConcentrationGradient.js';
+import CustomSolute from './CustomSolute.js';
+import MolaritySolvents from './MolaritySolvents.js';
 import Solution from './Solution.js';
-import Water from './Water.js';
-
-const cobaltChlorideString = molarityStrings.cobaltChloride;
-const cobaltIINitrateString = molarityStrings.cobaltIINitrate;
-const copperSulfateString = molarityStrings.copperSulfate;
-const drinkMixString = molarityStrings.drinkMix;
-const goldIIIChlorideString = molarityStrings.goldIIIChloride;
-const nickelIIChlorideString = molarityStrings.nickelIIChloride;
-const potassiumChromateString = molarityStrings.potassiumChromate;
-const potassiumDichromateString = molarityStrings.potassiumDichromate;
-const potassiumPermanganateString = molarityStrings.potassiumPermanganate;
-
-// a11y strings
-// color strings
-const soluteColorsLowercaseRedString = molarityStrings.a11y.soluteColors.lowercase.red;
-const soluteColorsLowercasePinkString = molarityStrings.a11y.soluteColors.lowercase.pink;
-const soluteColorsLowercaseOrangeString = molarityStrings.a11y.soluteColors.lowercase.orange;
-const soluteColorsLowercaseGoldString = molarityStrings.a11y.soluteColors.lowercase.gold;
-const soluteColorsLowercaseYellowString = molarityStrings.a11y.soluteColors.lowercase.yellow;
-const soluteColorsLowercaseGreenString = molarityStrings.a11y.soluteColors.lowercase.green;
-const soluteColorsLowercaseBlueString = molarityStrings.a11y.soluteColors.lowercase.blue;
-const soluteColorsLowercasePurpleString = molarityStrings.a11y.soluteColors.lowercase.purple;
-
-// capitalized color strings
-const soluteColorsCapitalizedRedString = molarityStrings.a11y.soluteColors.capitalized.red;
-const soluteColorsCapitalizedPinkString = molarityStrings.a11y.soluteColors.capitalized.pink;
-const soluteColorsCapitalizedOrangeString = molarityStrings.a11y.soluteColors.capitalized.orange;
-const soluteColorsCapitalizedGoldString = molarityStrings.a11y.soluteColors.capitalized.gold;
-const soluteColorsCapitalizedYellowString = molarityStrings.a11y.soluteColors.capitalized.yellow;
-const soluteColorsCapitalizedGreenString = molarityStrings.a11y.soluteColors.capitalized.green;
-const soluteColorsCapitalizedPurpleString = molarityStrings.a11y.soluteColors.capitalized.purple;
-const soluteColorsCapitalizedBlueString = molarityStrings.a11y.soluteColors.capitalized.blue;
-
-// Lowercase solute name strings
-const cobaltChlorideLowercaseString = molarityStrings.a11y.cobaltChlorideLowercase;
-const cobaltIINitrateLowercaseString = molarityStrings.a11y.cobaltIINitrateLowercase;
-const copperSulfateLowercaseString = molarityStrings.a11y.copperSulfateLowercase;
-const drinkMixLowercaseString = molarityStrings.a11y.drinkMixLowercase;
-const goldIIIChlorideLowercaseString = molarityStrings.a11y.goldIIIChlorideLowercase;
-const nickelIIChlorideLowercaseString = molarityStrings.a11y.nickelIIChlorideLowercase;
-const potassiumChromateLowercaseString = molarityStrings.a11y.potassiumChromateLowercase;
-const potassiumDichromateLowercaseString = molarityStrings.a11y.potassiumDichromateLowercase;
-const potassiumPermanganateLowercaseString = molarityStrings.a11y.potassiumPermanganateLowercase;
-
-// constants
-const blueStringPair = new StringCasingPair( soluteColorsLowercaseBlueString, soluteColorsCapitalizedBlueString );
-const redStringPair = new StringCasingPair( soluteColorsLowercaseRedString, soluteColorsCapitalizedRedString );
-const pinkStringPair = new StringCasingPair( soluteColorsLowercasePinkString, soluteColorsCapitalizedPinkString );
-const orangeStringPair = new StringCasingPair( soluteColorsLowercaseOrangeString, soluteColorsCapitalizedOrangeString );
-const goldStringPair = new StringCasingPair( soluteColorsLowercaseGoldString, soluteColorsCapitalizedGoldString );
-const yellowStringPair = new StringCasingPair( soluteColorsLowercaseYellowString, soluteColorsCapitalizedYellowString );
-const greenStringPair = new StringCasingPair( soluteColorsLowercaseGreenString, soluteColorsCapitalizedGreenString );
-const purpleStringPair = new StringCasingPair( soluteColorsLowercasePurpleString, soluteColorsCapitalizedPurpleString );
+
+const HEATING_RATE = 10; // degrees C per second, when the heater/cooler is at full heat (or full cool)
+const STEP_DT = 1 / 60; // seconds, how far the model is stepped by the step button
 
 /**
+ * @param {SoluteCatalog} soluteCatalog
  * @param {Tandem} tandem
  * @constructor
  */
-function MolarityModel( tandem ) {
+function MolarityModel( soluteCatalog, tandem ) {
   assert && assert( MolarityConstants.SOLUTION_VOLUME_RANGE.min > 0 ); // model doesn't work for zero volume
 
+  // @public a solute that is defined by the user, the last choice of solute
+  this.customSolute = new CustomSolute( tandem.createTandem( 'customSolute' ) );
+
   // @public
-  this.solutes = [
-    new Solute( drinkMixString, MolaritySymbols.DRINK_MIX, 5.95, new Color( 255, 225, 225 ), Color.RED,
-      drinkMixLowercaseString, redStringPair, {
-        tandem: tandem.createTandem( 'drinkMix' )
-      } ),
-    new Solute( cobaltIINitrateString, MolaritySymbols.COBALT_II_NITRATE, 5.65, new Color( 255, 225, 225 ),
-      Color.RED, cobaltIINitrateLowercaseString, redStringPair, {
-        tandem: tandem.createTandem( 'cobaltIINitrate' )
-      } ),
-    new Solute( cobaltChlorideString, MolaritySymbols.COBALT_CHLORIDE, 4.35, new Color( 255, 242, 242 ),
-      new Color( 255, 106, 106 ), cobaltChlorideLowercaseString, pinkStringPair, {
-        tandem: tandem.createTandem( 'cobaltChloride' )
-      } ),
-    new Solute( potassiumDichromateString, MolaritySymbols.POTASSIUM_DICHROMATE, 0.50, new Color( 255, 232, 210 ),
-      new Color( 255, 127, 0 ), potassiumDichromateLowercaseString, orangeStringPair, {
-        tandem: tandem.createTandem( 'potassiumDichromate' )
-      } ),
-    new Solute( goldIIIChlorideString, MolaritySymbols.GOLD_III_CHLORIDE, 2.25, new Color( 255, 255, 199 ),
-      new Color( 255, 215, 0 ), goldIIIChlorideLowercaseString, goldStringPair, {
-        tandem: tandem.createTandem( 'goldIIIChloride' )
-      } ),
-    new Solute( potassiumChromateString, MolaritySymbols.POTASSIUM_CHROMATE, 3.35, new Color( 255, 255, 199 ),
-      Color.YELLOW, potassiumChromateLowercaseString, yellowStringPair, {
-        tandem: tandem.createTandem( 'potassiumChromate' )
-      } ),
-    new Solute( nickelIIChlorideString, MolaritySymbols.NICKEL_II_CHLORIDE, 5.2, new Color( 234, 244, 234 ),
-      new Color( 0, 128, 0 ), nickelIIChlorideLowercaseString, greenStringPair, {
-        tandem: tandem.createTandem( 'nickelIIChloride' )
-      } ),
-    new Solute( copperSulfateString, MolaritySymbols.COPPER_SULFATE, 1.40, new Color( 222, 238, 255 ),
-      new Color( 30, 144, 255 ), copperSulfateLowercaseString, blueStringPair, {
-        tandem: tandem.createTandem( 'copperSulfate' )
-      } ),
-    new Solute( potassiumPermanganateString, MolaritySymbols.POTASSIUM_PERMANGANATE, 0.50, new Color( 255, 0, 255 ),
-      new Color( 139, 0, 139 ), potassiumPermanganateLowercaseString, purpleStringPair, {
-        tandem: tandem.createTandem( 'potassiumPermanganate' ),
-        particleColor: Color.BLACK
-      } )
-  ];
+  this.solutes = soluteCatalog.createSolutes( tandem ).concat( [ this.customSolute ] );
+
+  // @public the solvents that the solution can be made with, water first
+  this.solvents = MolaritySolvents.createSolvents( tandem );
 
   // @public
-  this.solution = new Solution( Water, this.solutes[ 0 ],
+  this.solution = new Solution( this.solvents[ 0 ], this.solutes, this.solutes[ 0 ],
     MolarityConstants.SOLUTE_AMOUNT_RANGE.defaultValue, MolarityConstants.SOLUTION_VOLUME_RANGE.defaultValue,
-    tandem.createTandem( 'solution' ) );
+    MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem.createTandem( 'solution' ) );
+
+  // @public how well the solute is mixed into the solution
+  this.concentrationGradient = new ConcentrationGradient( this.solution, tandem.createTandem( 'concentrationGradient' ) );
+
+  // @public amount of heating (positive) or cooling (negative) applied to the solution by the heater/cooler
+  this.heatCoolAmountProperty = new NumberProperty( 0, {
+    range: new Range( -1, 1 ),
+    tandem: tandem.createTandem( 'heatCoolAmountProperty' )
+  } );
+
+  // @public rate at which solvent evaporates from the solution
+  this.evaporationRateProperty = new NumberProperty( MolarityConstants.EVAPORATION_RATE_RANGE.defaultValue, {
+    range: MolarityConstants.EVAPORATION_RATE_RANGE,
+    units: 'liters/second',
+    tandem: tandem.createTandem( 'evaporationRateProperty' )
+  } );
+
+  // @public wavelength of the light that the spectrophotometer measures the solution with
+  this.wavelengthProperty = new NumberProperty( MolarityConstants.WAVELENGTH_RANGE.defaultValue, {
+    range: MolarityConstants.WAVELENGTH_RANGE,
+    units: 'nanometers',
+    tandem: tandem.createTandem( 'wavelengthProperty' )
+  } );
+
+  // @public whether time is passing. When paused, the solution is neither heated, cooled nor evaporated.
+  this.isPlayingProperty = new BooleanProperty( true, {
+    tandem: tandem.createTandem( 'isPlayingProperty' )
+  } );
+
+  // @public (read-only) DerivedProperty.<boolean> whether solvent is evaporating. Evaporation stops when the volume
+  // reaches its min, but this remains true, since no further changes are made.
+  this.isEvaporatingProperty = new DerivedProperty( [ this.isPlayingProperty, this.evaporationRateProperty ],
+    function( isPlaying, evaporationRate ) {
+      return isPlaying && evaporationRate > 0;
+    } );
+
+  // @public emits after stepModel has evaporated solvent from the solution, so that the change in volume can be told
+  // apart from changes that are made by the user
+  this.evaporatedEmitter = new Emitter();
 
   // @public (read-only) BooleanProperty
   this.resetInProgressProperty = new BooleanProperty( false );
-
-  // compute the max amount of precipitate, used by the view to create the precipitate particles
-  const minSaturateConcentration = _.minBy( this.solutes, function( solute ) {
-    return solute.saturatedConcentration;
-  } ).saturatedConcentration;
-
-  // @public
-  this.maxPrecipitateAmount = Solution.computePrecipitateAmount( MolarityConstants.SOLUTION_VOLUME_RANGE.min,
-    MolarityConstants.SOLUTE_AMOUNT_RANGE.max, minSaturateConcentration );
 }
 
 molarity.register( 'MolarityModel', MolarityModel );
@@ -143,8 +94,60 @@ inherit( Object, MolarityModel, {
   // @public Resets all model elements
   reset: function() {
     this.resetInProgressProperty.set( true );
+    this.customSolute.reset();
     this.solution.reset();
+    this.concentrationGradient.reset();
+    this.heatCoolAmountProperty.reset();
+    this.evaporationRateProperty.reset();
+    this.wavelengthProperty.reset();
+    this.isPlayingProperty.reset();
     this.resetInProgressProperty.set( false );
+  },
+
+  /**
+   * Steps the model when time is passing.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step: function( dt ) {
+    if ( this.isPlayingProperty.value ) {
+      this.stepModel( dt );
+    }
+  },
+
+  /**
+   * Steps the model by a fixed amount of time, used by the step button when paused.
+   * @public
+   */
+  stepOnce: function() {
+    this.stepModel( STEP_DT );
+  },
+
+  /**
+   * Heats or cools the solution, evaporates solvent from it, (in kinetic mode) dissolves or forms solids, and (in unmixed
+   * mode) mixes the solute into it. Evaporation lowers the volume while the amount of solute stays fixed, so the
+   * concentration rises until the solution saturates.
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  stepModel: function( dt ) {
+    const heatCoolAmount = this.heatCoolAmountProperty.value;
+    if ( heatCoolAmount !== 0 ) {
+      const temperatureProperty = this.solution.temperatureProperty;
+      temperatureProperty.value = MolarityConstants.TEMPERATURE_RANGE.constrainValue(
+        temperatureProperty.value + ( heatCoolAmount * HEATING_RATE * dt ) );
+    }
+
+    const evaporationRate = this.evaporationRateProperty.value;
+    const volumeProperty = this.solution.volumeProperty;
+    if ( evaporationRate > 0 && volumeProperty.value > MolarityConstants.SOLUTION_VOLUME_RANGE.min ) {
+      volumeProperty.value = MolarityConstants.SOLUTION_VOLUME_RANGE.constrainValue(
+        volumeProperty.value - ( evaporationRate * dt ) );
+      this.evaporatedEmitter.emit();
+    }
+
+    this.solution.stepDissolution( dt );
+    this.concentrationGradient.step( dt );
   }
 } );
 
@@ -0,0 +1,38 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The precipitation reactions that can occur between the ions of the solutes, when they are mixed. Of the ions that the
+ * solutes dissociate into, only these pairs form products that are insoluble. Like ions, reactions are not PhET-iO
+ * instrumented, so they are shared by all screens.
+ *
+ * Solubility products are approximate values at 25 degrees C, and are applied at all temperatures.
+ *
+ * @author agent
+ */
+
+import ChemUtils from '../../../../nitroglycerin/js/ChemUtils.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityIons from './MolarityIons.js';
+import ParticleShape from './ParticleShape.js';
+import PrecipitationReaction from './PrecipitationReaction.js';
+
+const cobaltIIChromateString = molarityStrings.cobaltIIChromate;
+const copperIIChromateString = molarityStrings.copperIIChromate;
+
+// a11y strings
+const cobaltIIChromateLowercaseString = molarityStrings.a11y.cobaltIIChromateLowercase;
+const copperIIChromateLowercaseString = molarityStrings.a11y.copperIIChromateLowercase;
+
+const MolarityReactions = {
+  COBALT_II_CHROMATE: new PrecipitationReaction( cobaltIIChromateString, cobaltIIChromateLowercaseString,
+    ChemUtils.toSubscript( 'CoCrO4' ), MolarityIons.COBALT_II, MolarityIons.CHROMATE, 7.1E-4, 174.93,
+    new Color( 120, 90, 50 ), ParticleShape.SQUARE ),
+  COPPER_II_CHROMATE: new PrecipitationReaction( copperIIChromateString, copperIIChromateLowercaseString,
+    ChemUtils.toSubscript( 'CuCrO4' ), MolarityIons.COPPER_II, MolarityIons.CHROMATE, 3.6E-6, 179.54,
+    new Color( 140, 70, 40 ), ParticleShape.SQUARE )
+};
+
+molarity.register( 'MolarityReactions', MolarityReactions );
+export default MolarityReactions;
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The solvents that are available in the sim. Solvents are PhET-iO instrumented, so each screen creates its own.
+ *
+ * Solubility factors are approximate ratios of each solute's solubility in the solvent to its solubility in water, at
+ * room temperature. They are applied at all temperatures. Ionic salts are generally much less soluble in these
+ * organic solvents than in water, with exceptions like the cobalt salts. Solutes that are liquids or gases, like acetic
+ * acid and ammonia, never saturate, in any solvent.
+ *
+ * Freezing and boiling points are at 1 atm, and the molal constants Kf and Kb are from standard tables.
+ *
+ * pH is only modeled in water, whose autoionization constant Kw is at 25 degrees C, and is applied at all temperatures.
+ *
+ * @author agent
+ */
+
+import StringCasingPair from '../../../../scenery-phet/js/accessibility/StringCasingPair.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolaritySymbols from '../MolaritySymbols.js';
+import Solvent from './Solvent.js';
+
+const acetoneString = molarityStrings.acetone;
+const ethanolString = molarityStrings.ethanol;
+const waterString = molarityStrings.water;
+
+// a11y strings
+const acetoneLowercaseString = molarityStrings.a11y.acetoneLowercase;
+const ethanolLowercaseString = molarityStrings.a11y.ethanolLowercase;
+const soluteColorsCapitalizedClearString = molarityStrings.a11y.soluteColors.capitalized.clear;
+const soluteColorsLowercaseClearString = molarityStrings.a11y.soluteColors.lowercase.clear;
+const waterLowercaseString = molarityStrings.a11y.waterLowercase;
+
+// constants
+const clearStringPair = new StringCasingPair( soluteColorsLowercaseClearString, soluteColorsCapitalizedClearString );
+
+const MolaritySolvents = {
+
+  /**
+   * Creates water, the solvent that the solutes' solubility curves are for.
+   * @param {Tandem} tandem - parent tandem of the solvent
+   * @returns {Solvent}
+   * @public
+   */
+  createWater: function( tandem ) {
+    return new Solvent( waterString, waterLowercaseString, MolaritySymbols.WATER, new Color( 224, 255, 255 ), 1000,
+      clearStringPair, {
+        tandem: tandem.createTandem( 'water' ),
+        freezingPoint: 0,
+        boilingPoint: 100,
+        freezingPointConstant: 1.86,
+        boilingPointConstant: 0.512,
+        autoionizationConstant: 1E-14
+      } );
+  },
+
+  /**
+   * Creates the solvents, in the order that they appear in the Solvent combo box. Water is first.
+   * @param {Tandem} tandem - parent tandem of the solvents
+   * @returns {Solvent[]}
+   * @public
+   */
+  createSolvents: function( tandem ) {
+    return [
+      MolaritySolvents.createWater( tandem ),
+      new Solvent( ethanolString, ethanolLowercaseString, MolaritySymbols.ETHANOL, new Color( 238, 250, 255 ), 789,
+        clearStringPair, {
+          tandem: tandem.createTandem( 'ethanol' ),
+          solubilityFactors: {
+            drinkMix: 0.003,
+            cobaltIINitrate: 0.5,
+            cobaltChloride: 1,
+            potassiumDichromate: 0.01,
+            goldIIIChloride: 0.8,
+            potassiumChromate: 0.01,
+            nickelIIChloride: 0.5,
+            copperSulfate: 0.01,
+            potassiumPermanganate: 0.05,
+            hydrochloricAcid: 1,
+            aceticAcid: 1,
+            citricAcid: 0.4,
+            sodiumHydroxide: 0.02,
+            ammonia: 1
+          },
+          defaultSolubilityFactor: 0.1,
+          freezingPoint: -114.1,
+          boilingPoint: 78.4,
+          freezingPointConstant: 1.99,
+          boilingPointConstant: 1.22
+        } ),
+      new Solvent( acetoneString, acetoneLowercaseString, MolaritySymbols.ACETONE, new Color( 245, 248, 255 ), 784,
+        clearStringPair, {
+          tandem: tandem.createTandem( 'acetone' ),
+          solubilityFactors: {
+            drinkMix: 0.002,
+            cobaltIINitrate: 0.3,
+            cobaltChloride: 0.15,
+            potassiumDichromate: 0.005,
+            goldIIIChloride: 0.3,
+            potassiumChromate: 0.005,
+            nickelIIChloride: 0.02,
+            copperSulfate: 0.005,
+            potassiumPermanganate: 0.4,
+            hydrochloricAcid: 1,
+            aceticAcid: 1,
+            citricAcid: 0.3,
+            sodiumHydroxide: 0.001,
+            ammonia: 1
+          },
+          defaultSolubilityFactor: 0.05,
+          freezingPoint: -94.7,
+          boilingPoint: 56.05,
+          freezingPointConstant: 2.40,
+          boilingPointConstant: 1.71
+        } )
+    ];
+  }
+};
+
+molarity.register( 'MolaritySolvents', MolaritySolvents );
+export default MolaritySolvents;
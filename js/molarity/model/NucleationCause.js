@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Ways that crystallization of a supersaturated solution can be started, see Solution.nucleate.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const NucleationCause = Enumeration.byKeys( [
+  'SEED_CRYSTAL', // the user dropped a seed crystal into the solution
+  'BUMP', // the user bumped the beaker
+  'SPONTANEOUS' // the solution was too far past saturation to stay supersaturated
+] );
+
+molarity.register( 'NucleationCause', NucleationCause );
+export default NucleationCause;
@@ -0,0 +1,16 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Shapes of a solute's particles of precipitate, see PrecipitateNode. The shapes are stylized, and are not meant to
+ * show the shapes of the solutes' crystals.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const ParticleShape = Enumeration.byKeys( [ 'SQUARE', 'CIRCLE', 'TRIANGLE', 'DIAMOND', 'HEXAGON', 'NEEDLE' ] );
+
+molarity.register( 'ParticleShape', ParticleShape );
+export default ParticleShape;
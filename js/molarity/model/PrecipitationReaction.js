@@ -0,0 +1,119 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of a precipitation reaction, in which a cation and an anion that come from different solutes combine to form
+ * an insoluble product, e.g. Co2+ + CrO4 2- -> CoCrO4(s). This is the precipitate of a double-replacement reaction,
+ * e.g. CoCl2 + K2CrO4 -> CoCrO4(s) + 2 KCl, where the other product (KCl) remains dissolved as spectator ions.
+ * Like Solute, this is an immutable data structure.
+ *
+ * The product forms until the ion product of what remains dissolved is equal to the product's solubility product
+ * (Ksp), or until one of the ions (the limiting reagent) is used up.
+ *
+ * @author agent
+ */
+
+import molarity from '../../molarity.js';
+import ParticleShape from './ParticleShape.js';
+
+// constants
+const BISECTION_ITERATIONS = 50; // enough to solve for the extent of the reaction to double precision
+
+class PrecipitationReaction {
+
+  /**
+   * @param {string} name - title case
+   * @param {string} lowercaseName - for interactive descriptions
+   * @param {string} formula
+   * @param {Ion} cation
+   * @param {Ion} anion
+   * @param {number} ksp - solubility product, with concentrations in M
+   * @param {number} molarMass - g/mol
+   * @param {Color} particleColor - the product's color as a particle of precipitate
+   * @param {ParticleShape} particleShape - the shape of the product's particles of precipitate
+   */
+  constructor( name, lowercaseName, formula, cation, anion, ksp, molarMass, particleColor, particleShape ) {
+    assert && assert( cation.charge > 0 && anion.charge < 0, 'invalid ions' );
+    assert && assert( ksp > 0, 'invalid ksp: ' + ksp );
+    assert && assert( molarMass > 0, 'invalid molarMass: ' + molarMass );
+    assert && assert( ParticleShape.includes( particleShape ), 'invalid particleShape: ' + particleShape );
+
+    // @public (read-only)
+    this.name = name;
+    this.lowercaseName = lowercaseName;
+    this.formula = formula;
+    this.cation = cation;
+    this.anion = anion;
+    this.ksp = ksp;
+    this.molarMass = molarMass; // g/mol
+    this.particleColor = particleColor;
+    this.particleShape = particleShape;
+
+    // @public (read-only) stoichiometry, the number of each ion in one formula unit of the product, which is neutral
+    const divisor = gcd( cation.charge, -anion.charge );
+    this.cationCount = -anion.charge / divisor;
+    this.anionCount = cation.charge / divisor;
+  }
+
+  /**
+   * Gets the ion product, which is equal to ksp when the solution is saturated with the product.
+   * @param {number} cationConcentration - M
+   * @param {number} anionConcentration - M
+   * @returns {number}
+   * @public
+   */
+  getIonProduct( cationConcentration, anionConcentration ) {
+    return Math.pow( cationConcentration, this.cationCount ) * Math.pow( anionConcentration, this.anionCount );
+  }
+
+  /**
+   * Gets the ion that limits how much product can form, the one that would be used up first.
+   * @param {number} cationConcentration - M
+   * @param {number} anionConcentration - M
+   * @returns {Ion}
+   * @public
+   */
+  getLimitingIon( cationConcentration, anionConcentration ) {
+    return ( cationConcentration / this.cationCount <= anionConcentration / this.anionCount ) ? this.cation : this.anion;
+  }
+
+  /**
+   * Computes how much product precipitates from a solution of the ions, at equilibrium. This is the extent of the
+   * reaction, which removes cationCount cations and anionCount anions from the solution for each formula unit.
+   * @param {number} cationConcentration - M, before the reaction
+   * @param {number} anionConcentration - M, before the reaction
+   * @returns {number} moles of product per liter of solution
+   * @public
+   */
+  computeProductConcentration( cationConcentration, anionConcentration ) {
+    if ( this.getIonProduct( cationConcentration, anionConcentration ) <= this.ksp ) {
+      return 0;
+    }
+
+    // The ion product decreases as the extent increases, and is zero when the limiting reagent is used up, so the
+    // extent at which it is equal to ksp is found by bisection.
+    let low = 0;
+    let high = Math.min( cationConcentration / this.cationCount, anionConcentration / this.anionCount );
+    for ( let i = 0; i < BISECTION_ITERATIONS; i++ ) {
+      const extent = ( low + high ) / 2;
+      if ( this.getIonProduct( cationConcentration - this.cationCount * extent,
+        anionConcentration - this.anionCount * extent ) > this.ksp ) {
+        low = extent;
+      }
+      else {
+        high = extent;
+      }
+    }
+    return ( low + high ) / 2;
+  }
+}
+
+/**
+ * Gets the greatest common divisor of two positive integers.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+const gcd = ( a, b ) => b === 0 ? a : gcd( b, a % b );
+
+molarity.register( 'PrecipitationReaction', PrecipitationReaction );
+export default PrecipitationReaction;
@@ -0,0 +1,80 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Solubility curve for a solute, the saturated concentration as a function of temperature.
+ * The curve is piecewise-linear between its sample points, and is constant beyond the first and last sample points.
+ * Like Solute, this is an immutable data structure.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import molarity from '../../molarity.js';
+
+class SolubilityCurve {
+
+  /**
+   * @param {number[]} temperatures - sample points, in increasing order, degrees C
+   * @param {number[]} saturatedConcentrations - saturated concentration at each sample point, M (moles/L)
+   */
+  constructor( temperatures, saturatedConcentrations ) {
+    assert && assert( temperatures.length > 0, 'a solubility curve requires at least one sample point' );
+    assert && assert( temperatures.length === saturatedConcentrations.length,
+      'temperatures and saturatedConcentrations must have the same length' );
+    assert && assert( _.every( temperatures, ( temperature, i ) => i === 0 || temperature > temperatures[ i - 1 ] ),
+      'temperatures must be in increasing order' );
+    assert && assert( _.every( saturatedConcentrations, saturatedConcentration => saturatedConcentration > 0 ),
+      'saturated concentrations must be positive' );
+
+    // @private
+    this.temperatures = temperatures;
+    this.saturatedConcentrations = saturatedConcentrations;
+  }
+
+  /**
+   * Gets the saturated concentration at some temperature.
+   * @param {number} temperature - degrees C
+   * @returns {number} M (moles/L)
+   * @public
+   */
+  getSaturatedConcentration( temperature ) {
+    const temperatures = this.temperatures;
+    const saturatedConcentrations = this.saturatedConcentrations;
+    const lastIndex = temperatures.length - 1;
+
+    if ( temperature <= temperatures[ 0 ] ) {
+      return saturatedConcentrations[ 0 ];
+    }
+    else if ( temperature >= temperatures[ lastIndex ] ) {
+      return saturatedConcentrations[ lastIndex ];
+    }
+    else {
+
+      // find the segment that contains temperature
+      let i = 1;
+      while ( temperature > temperatures[ i ] ) {
+        i++;
+      }
+
+      // return sample points exactly, to avoid floating-point error from interpolation
+      if ( temperature === temperatures[ i ] ) {
+        return saturatedConcentrations[ i ];
+      }
+      return Utils.linear( temperatures[ i - 1 ], temperatures[ i ],
+        saturatedConcentrations[ i - 1 ], saturatedConcentrations[ i ], temperature );
+    }
+  }
+
+  /**
+   * Creates a solubility curve whose saturated concentration does not vary with temperature.
+   * @param {number} saturatedConcentration - M (moles/L)
+   * @returns {SolubilityCurve}
+   * @public
+   */
+  static constant( saturatedConcentration ) {
+    return new SolubilityCurve( [ 0 ], [ saturatedConcentration ] );
+  }
+}
+
+molarity.register( 'SolubilityCurve', SolubilityCurve );
+export default SolubilityCurve;
@@ -4,6 +4,7 @@
  * Model of a solute, an immutable data structure.
  * This model is immutable in the sense that you should not change any of its fields after construction,
  * since they do not provide change notification. If you do change any field values, you will hose yourself.
+ * The one exception is CustomSolute, which changes its fields only via setDefinition, and notifies via definitionProperty.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -12,14 +13,20 @@ import inherit from '../../../../phet-core/js/inherit.js';
 import merge from '../../../../phet-core/js/merge.js';
 import PhetioObject from '../../../../tandem/js/PhetioObject.js';
 import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+import ParticleShape from './ParticleShape.js';
+import SolubilityCurve from './SolubilityCurve.js';
 import SoluteIO from './SoluteIO.js';
 
+// constants
+const ABSORPTION_BAND_WIDTH = 50; // nm, standard deviation of every solute's absorption band
+
 /**
  * @param {string} name - title case
  * @param {string} formula
- * @param {number} saturatedConcentration M (moles/L)
+ * @param {number} saturatedConcentration M (moles/L), at room temperature
  * @param {Color} minColor solution color for smallest non-zero concentration
- * @param {Color} maxColor solution color for saturated concentration
+ * @param {Color} maxColor solution color for saturated concentration, at room temperature
  * @param {string} lowercaseName - for interactive descriptions
  * @param {StringCasingPair} colorStringPair - lowercase/captialized color strings
  * @param {Object} [options]
@@ -29,9 +36,39 @@ function Solute( name, formula, saturatedConcentration, minColor, maxColor, lowe
 
   options = merge( {
     particleColor: maxColor, // the solute's color as a particle
+    particleShape: ParticleShape.SQUARE, // {ParticleShape} the shape of the solute's particles of precipitate
+    solubilityCurve: null, // {SolubilityCurve|null} saturated concentration vs temperature, null is constant
+    molarMass: null, // {number} g/mol, required
+    dissolutionRate: 0.5, // {number} 1/s, how quickly the precipitate approaches equilibrium in kinetic mode
+    ions: [], // {{ion:Ion, count:number}[]} ions that one formula unit dissociates into, empty if it does not dissociate
+    peakWavelength: null, // {number} nm, wavelength of light that the solute absorbs most strongly, required
+    molarAbsorptivity: null, // {number} L/(mol*cm), molar absorptivity at peakWavelength, required
+    vantHoffFactor: null, // {number|null} particles per formula unit in solution, null is the ideal factor
+    ka: null, // {number|null} acid dissociation constant, null if the solute is not an acid
+    kb: null, // {number|null} base dissociation constant, null if the solute is not a base
     phetioType: SoluteIO
   }, options );
 
+  assert && assert( typeof options.molarMass === 'number' && options.molarMass > 0, 'invalid molarMass: ' + options.molarMass );
+  assert && assert( ParticleShape.includes( options.particleShape ),
+    'invalid particleShape: ' + options.particleShape );
+  assert && assert( options.dissolutionRate > 0, 'invalid dissolutionRate: ' + options.dissolutionRate );
+  assert && assert( MolarityConstants.WAVELENGTH_RANGE.contains( options.peakWavelength ),
+    'invalid peakWavelength: ' + options.peakWavelength );
+  assert && assert( typeof options.molarAbsorptivity === 'number' && options.molarAbsorptivity > 0,
+    'invalid molarAbsorptivity: ' + options.molarAbsorptivity );
+  assert && assert( options.vantHoffFactor === null || options.vantHoffFactor > 0,
+    'invalid vantHoffFactor: ' + options.vantHoffFactor );
+  assert && assert( options.ka === null || options.ka > 0, 'invalid ka: ' + options.ka );
+  assert && assert( options.kb === null || options.kb > 0, 'invalid kb: ' + options.kb );
+  assert && assert( options.ka === null || options.kb === null, 'a solute cannot be both an acid and a base' );
+  assert && assert( _.sumBy( options.ions, function( entry ) { return entry.count * entry.ion.charge; } ) === 0,
+    'ions must be electrically neutral' );
+
+  const solubilityCurve = options.solubilityCurve || SolubilityCurve.constant( saturatedConcentration );
+  assert && assert( solubilityCurve.getSaturatedConcentration( MolarityConstants.TEMPERATURE_RANGE.defaultValue ) ===
+                    saturatedConcentration, 'solubilityCurve does not match saturatedConcentration at room temperature' );
+
   // @public
   this.name = name;
   this.formula = formula;
@@ -41,11 +78,96 @@ function Solute( name, formula, saturatedConcentration, minColor, maxColor, lowe
   this.lowercaseName = lowercaseName;
   this.colorStringPair = colorStringPair;
   this.particleColor = options.particleColor;
+  this.particleShape = options.particleShape;
+  this.molarMass = options.molarMass; // g/mol
+  this.dissolutionRate = options.dissolutionRate; // 1/s
+  this.ions = options.ions;
+  this.peakWavelength = options.peakWavelength; // nm
+  this.molarAbsorptivity = options.molarAbsorptivity; // L/(mol*cm)
+
+  // @public (read-only) {number} effective number of particles per formula unit, used for colligative properties.
+  // Ions pair in real solutions, so measured van 't Hoff factors are less than getParticlesPerFormulaUnit.
+  this.vantHoffFactor = ( options.vantHoffFactor === null ) ? this.getParticlesPerFormulaUnit() : options.vantHoffFactor;
+
+  // @public (read-only) {number|null} dissociation constants at 25 degrees C, see Solution.computePH. Strong acids and
+  // bases dissociate completely, and have constants that are much greater than 1.
+  this.ka = options.ka;
+  this.kb = options.kb;
+
+  // @public (read-only) {Property.<Object>|null} changes when the solute is redefined, null if it cannot be redefined.
+  // See CustomSolute.
+  this.definitionProperty = null;
+
+  // @protected
+  this.solubilityCurve = solubilityCurve;
 
   PhetioObject.call( this, options );
 }
 
 molarity.register( 'Solute', Solute );
 
-inherit( PhetioObject, Solute );
+inherit( PhetioObject, Solute, {
+
+  /**
+   * Gets the saturated concentration at some temperature.
+   * @param {number} temperature - degrees C
+   * @returns {number} M (moles/L)
+   * @public
+   */
+  getSaturatedConcentration: function( temperature ) {
+    return this.solubilityCurve.getSaturatedConcentration( temperature );
+  },
+
+  /**
+   * Converts an amount of this solute to mass.
+   * @param {number} moles
+   * @returns {number} grams
+   * @public
+   */
+  molesToGrams: function( moles ) {
+    return moles * this.molarMass;
+  },
+
+  /**
+   * Converts a mass of this solute to an amount.
+   * @param {number} grams
+   * @returns {number} moles
+   * @public
+   */
+  gramsToMoles: function( grams ) {
+    return grams / this.molarMass;
+  },
+
+  /**
+   * Does this solute dissociate into ions when it dissolves?
+   * @returns {boolean}
+   * @public
+   */
+  isIonic: function() {
+    return this.ions.length > 0;
+  },
+
+  /**
+   * Gets the number of particles that one formula unit becomes when it dissolves, assuming that it dissociates
+   * completely. This is the ideal van 't Hoff factor.
+   * @returns {number}
+   * @public
+   */
+  getParticlesPerFormulaUnit: function() {
+    return this.isIonic() ? _.sumBy( this.ions, function( entry ) { return entry.count; } ) : 1;
+  },
+
+  /**
+   * Gets the molar absorptivity at some wavelength. The solute's absorption spectrum is modeled as a single Gaussian
+   * band, centered on its peak wavelength.
+   * @param {number} wavelength - nm
+   * @returns {number} L/(mol*cm)
+   * @public
+   */
+  getMolarAbsorptivity: function( wavelength ) {
+    const x = ( wavelength - this.peakWavelength ) / ABSORPTION_BAND_WIDTH;
+    return this.molarAbsorptivity * Math.exp( -x * x / 2 );
+  }
+} );
+
 export default Solute;
\ No newline at end of file
@@ -0,0 +1,467 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A catalog of solutes, from which each screen creates its Solute instances. The bundled catalog is
+ * defaultSoluteCatalog. Another catalog can be loaded from a JSON file, whose URL is given by the soluteCatalog query
+ * parameter.
+ *
+ * A catalog is validated when it is created, and an Error that names the malformed field is thrown if it does not
+ * match this schema:
+ *
+ * {
+ *   solutes: [ {
+ *     tandemName: {string} camelCase, unique in the catalog, not reserved, see RESERVED_TANDEM_NAMES
+ *     nameKey: {string} key of a translated name, see TRANSLATED_NAMES. Either nameKey or name is required.
+ *     name: {string} title case, not translated
+ *     lowercaseName: {string} optional, for interactive descriptions, only with name. Default is name in lowercase.
+ *     formula: {string} optional, e.g. 'Co(NO3)2', subscripted automatically. Default is the name.
+ *     colorWord: {string} optional, describes maxColor, see COLOR_WORDS. Default is chosen to match maxColor.
+ *     saturatedConcentrations: {number[]} M, at each of SOLUBILITY_TEMPERATURES, not decreasing
+ *     minColor: {number[]} [r,g,b], solution color for smallest non-zero concentration
+ *     maxColor: {number[]} [r,g,b], solution color for saturated concentration, at room temperature
+ *     particleColor: {number[]} optional, [r,g,b]. Default is maxColor.
+ *     particleShape: {string} optional, a key of ParticleShape, e.g. 'HEXAGON'. Default is 'SQUARE'.
+ *     molarMass: {number} g/mol
+ *     dissolutionRate: {number} optional, 1/s
+ *     ions: {{ion:string, count:number}[]} optional, ion is a key of MolarityIons. Default is no ions.
+ *     peakWavelength: {number} nm
+ *     molarAbsorptivity: {number} L/(mol*cm)
+ *     vantHoffFactor: {number} optional, measured in dilute solution. Default is the number of ions, or 1 if none.
+ *     ka: {number} optional, acid dissociation constant, only for acids
+ *     kb: {number} optional, base dissociation constant, only for bases
+ *   }, ... ]
+ * }
+ *
+ * @author agent
+ */
+
+import ChemUtils from '../../../../nitroglycerin/js/ChemUtils.js';
+import StringCasingPair from '../../../../scenery-phet/js/accessibility/StringCasingPair.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+import defaultSoluteCatalog from './defaultSoluteCatalog.js';
+import MolarityIons from './MolarityIons.js';
+import ParticleShape from './ParticleShape.js';
+import SolubilityCurve from './SolubilityCurve.js';
+import Solute from './Solute.js';
+
+const aceticAcidString = molarityStrings.aceticAcid;
+const ammoniaString = molarityStrings.ammonia;
+const citricAcidString = molarityStrings.citricAcid;
+const cobaltChlorideString = molarityStrings.cobaltChloride;
+const cobaltIINitrateString = molarityStrings.cobaltIINitrate;
+const copperSulfateString = molarityStrings.copperSulfate;
+const drinkMixString = molarityStrings.drinkMix;
+const goldIIIChlorideString = molarityStrings.goldIIIChloride;
+const hydrochloricAcidString = molarityStrings.hydrochloricAcid;
+const nickelIIChlorideString = molarityStrings.nickelIIChloride;
+const potassiumChromateString = molarityStrings.potassiumChromate;
+const potassiumDichromateString = molarityStrings.potassiumDichromate;
+const potassiumPermanganateString = molarityStrings.potassiumPermanganate;
+const sodiumHydroxideString = molarityStrings.sodiumHydroxide;
+
+// a11y strings
+// color strings
+const soluteColorsLowercaseRedString = molarityStrings.a11y.soluteColors.lowercase.red;
+const soluteColorsLowercasePinkString = molarityStrings.a11y.soluteColors.lowercase.pink;
+const soluteColorsLowercaseOrangeString = molarityStrings.a11y.soluteColors.lowercase.orange;
+const soluteColorsLowercaseGoldString = molarityStrings.a11y.soluteColors.lowercase.gold;
+const soluteColorsLowercaseYellowString = molarityStrings.a11y.soluteColors.lowercase.yellow;
+const soluteColorsLowercaseGreenString = molarityStrings.a11y.soluteColors.lowercase.green;
+const soluteColorsLowercaseBlueString = molarityStrings.a11y.soluteColors.lowercase.blue;
+const soluteColorsLowercasePurpleString = molarityStrings.a11y.soluteColors.lowercase.purple;
+const soluteColorsLowercaseClearString = molarityStrings.a11y.soluteColors.lowercase.clear;
+
+// capitalized color strings
+const soluteColorsCapitalizedRedString = molarityStrings.a11y.soluteColors.capitalized.red;
+const soluteColorsCapitalizedPinkString = molarityStrings.a11y.soluteColors.capitalized.pink;
+const soluteColorsCapitalizedOrangeString = molarityStrings.a11y.soluteColors.capitalized.orange;
+const soluteColorsCapitalizedGoldString = molarityStrings.a11y.soluteColors.capitalized.gold;
+const soluteColorsCapitalizedYellowString = molarityStrings.a11y.soluteColors.capitalized.yellow;
+const soluteColorsCapitalizedGreenString = molarityStrings.a11y.soluteColors.capitalized.green;
+const soluteColorsCapitalizedPurpleString = molarityStrings.a11y.soluteColors.capitalized.purple;
+const soluteColorsCapitalizedBlueString = molarityStrings.a11y.soluteColors.capitalized.blue;
+const soluteColorsCapitalizedClearString = molarityStrings.a11y.soluteColors.capitalized.clear;
+
+// Lowercase solute name strings
+const aceticAcidLowercaseString = molarityStrings.a11y.aceticAcidLowercase;
+const ammoniaLowercaseString = molarityStrings.a11y.ammoniaLowercase;
+const citricAcidLowercaseString = molarityStrings.a11y.citricAcidLowercase;
+const cobaltChlorideLowercaseString = molarityStrings.a11y.cobaltChlorideLowercase;
+const cobaltIINitrateLowercaseString = molarityStrings.a11y.cobaltIINitrateLowercase;
+const copperSulfateLowercaseString = molarityStrings.a11y.copperSulfateLowercase;
+const drinkMixLowercaseString = molarityStrings.a11y.drinkMixLowercase;
+const goldIIIChlorideLowercaseString = molarityStrings.a11y.goldIIIChlorideLowercase;
+const hydrochloricAcidLowercaseString = molarityStrings.a11y.hydrochloricAcidLowercase;
+const nickelIIChlorideLowercaseString = molarityStrings.a11y.nickelIIChlorideLowercase;
+const potassiumChromateLowercaseString = molarityStrings.a11y.potassiumChromateLowercase;
+const potassiumDichromateLowercaseString = molarityStrings.a11y.potassiumDichromateLowercase;
+const potassiumPermanganateLowercaseString = molarityStrings.a11y.potassiumPermanganateLowercase;
+const sodiumHydroxideLowercaseString = molarityStrings.a11y.sodiumHydroxideLowercase;
+
+// Translated names that a catalog can refer to with nameKey. Strings are referenced here, rather than looked up by key,
+// so that the build includes them.
+const TRANSLATED_NAMES = {
+  aceticAcid: { name: aceticAcidString, lowercaseName: aceticAcidLowercaseString },
+  ammonia: { name: ammoniaString, lowercaseName: ammoniaLowercaseString },
+  citricAcid: { name: citricAcidString, lowercaseName: citricAcidLowercaseString },
+  cobaltChloride: { name: cobaltChlorideString, lowercaseName: cobaltChlorideLowercaseString },
+  cobaltIINitrate: { name: cobaltIINitrateString, lowercaseName: cobaltIINitrateLowercaseString },
+  copperSulfate: { name: copperSulfateString, lowercaseName: copperSulfateLowercaseString },
+  drinkMix: { name: drinkMixString, lowercaseName: drinkMixLowercaseString },
+  goldIIIChloride: { name: goldIIIChlorideString, lowercaseName: goldIIIChlorideLowercaseString },
+  hydrochloricAcid: { name: hydrochloricAcidString, lowercaseName: hydrochloricAcidLowercaseString },
+  nickelIIChloride: { name: nickelIIChlorideString, lowercaseName: nickelIIChlorideLowercaseString },
+  potassiumChromate: { name: potassiumChromateString, lowercaseName: potassiumChromateLowercaseString },
+  potassiumDichromate: { name: potassiumDichromateString, lowercaseName: potassiumDichromateLowercaseString },
+  potassiumPermanganate: { name: potassiumPermanganateString, lowercaseName: potassiumPermanganateLowercaseString },
+  sodiumHydroxide: { name: sodiumHydroxideString, lowercaseName: sodiumHydroxideLowercaseString }
+};
+
+// Color words that describe solutes, each with a reference color, see getColorStringPair.
+const COLOR_WORDS = {
+  red: {
+    color: Color.RED,
+    stringPair: new StringCasingPair( soluteColorsLowercaseRedString, soluteColorsCapitalizedRedString )
+  },
+  pink: {
+    color: new Color( 255, 106, 106 ),
+    stringPair: new StringCasingPair( soluteColorsLowercasePinkString, soluteColorsCapitalizedPinkString )
+  },
+  orange: {
+    color: new Color( 255, 127, 0 ),
+    stringPair: new StringCasingPair( soluteColorsLowercaseOrangeString, soluteColorsCapitalizedOrangeString )
+  },
+  gold: {
+    color: new Color( 255, 215, 0 ),
+    stringPair: new StringCasingPair( soluteColorsLowercaseGoldString, soluteColorsCapitalizedGoldString )
+  },
+  yellow: {
+    color: Color.YELLOW,
+    stringPair: new StringCasingPair( soluteColorsLowercaseYellowString, soluteColorsCapitalizedYellowString )
+  },
+  green: {
+    color: new Color( 0, 128, 0 ),
+    stringPair: new StringCasingPair( soluteColorsLowercaseGreenString, soluteColorsCapitalizedGreenString )
+  },
+  blue: {
+    color: new Color( 30, 144, 255 ),
+    stringPair: new StringCasingPair( soluteColorsLowercaseBlueString, soluteColorsCapitalizedBlueString )
+  },
+  purple: {
+    color: new Color( 139, 0, 139 ),
+    stringPair: new StringCasingPair( soluteColorsLowercasePurpleString, soluteColorsCapitalizedPurpleString )
+  },
+
+  // for colorless solutes, like most acids and bases
+  clear: {
+    color: Color.WHITE,
+    stringPair: new StringCasingPair( soluteColorsLowercaseClearString, soluteColorsCapitalizedClearString )
+  }
+};
+
+// Temperatures at which the solubility curves are sampled, degrees C. The middle sample is room temperature, where
+// each solute's saturated concentration is the value used by the original (temperature-independent) model.
+const SOLUBILITY_TEMPERATURES = [
+  MolarityConstants.TEMPERATURE_RANGE.min,
+  MolarityConstants.TEMPERATURE_RANGE.defaultValue,
+  MolarityConstants.TEMPERATURE_RANGE.max
+];
+const ROOM_TEMPERATURE_INDEX = 1;
+
+// the fields of a solute, see schema above
+const SOLUTE_FIELDS = [ 'tandemName', 'nameKey', 'name', 'lowercaseName', 'formula', 'colorWord',
+  'saturatedConcentrations', 'minColor', 'maxColor', 'particleColor', 'particleShape', 'molarMass', 'dissolutionRate',
+  'ions', 'peakWavelength', 'molarAbsorptivity', 'vantHoffFactor', 'ka', 'kb' ];
+
+const TANDEM_NAME_REGEX = /^[a-z][a-zA-Z0-9]*$/;
+
+// Solutes are children of the screen models, so that their PhET-iO IDs are the same as before there was a catalog.
+// These are the names of the other children of those models, which solutes must not use. Names that end with 'Property'
+// are reserved too, for the models' Properties.
+const RESERVED_TANDEM_NAMES = [ 'solution', 'solutionA', 'solutionB', 'stockSolution', 'dilutedSolution',
+  'customSolute', 'concentrationGradient', 'water', 'ethanol', 'acetone', 'phenolphthalein', 'bromothymolBlue',
+  'methylRed', 'acidTitrant', 'baseTitrant' ];
+
+class SoluteCatalog {
+
+  /**
+   * @param {Object} catalog - plain data, for example parsed from JSON, see the schema above
+   * @throws {Error} if catalog does not match the schema
+   */
+  constructor( catalog ) {
+    validateCatalog( catalog );
+
+    // @private
+    this.entries = catalog.solutes;
+  }
+
+  /**
+   * Creates the solutes, in the order that they appear in the catalog and the Solute combo box.
+   * @param {Tandem} tandem - parent tandem of the solutes
+   * @returns {Solute[]}
+   * @public
+   */
+  createSolutes( tandem ) {
+    return this.entries.map( entry => createSolute( entry, tandem.createTandem( entry.tandemName ) ) );
+  }
+
+  /**
+   * Creates the strongest acid or base in the catalog.
+   * @param {string} constant - 'ka' for the strongest acid, 'kb' for the strongest base
+   * @param {Tandem} tandem - tandem of the solute
+   * @returns {Solute|null} null if the catalog has no acid or base of that kind
+   * @public
+   */
+  createStrongest( constant, tandem ) {
+    assert && assert( constant === 'ka' || constant === 'kb', 'invalid constant: ' + constant );
+    const entries = this.entries.filter( entry => entry[ constant ] !== undefined );
+    return ( entries.length > 0 ) ? createSolute( _.maxBy( entries, entry => entry[ constant ] ), tandem ) : null;
+  }
+
+  /**
+   * Chooses the color word that describes a solute's saturated color, the word whose reference color is closest to it.
+   * @param {Color} color
+   * @returns {StringCasingPair}
+   * @public
+   */
+  static getColorStringPair( color ) {
+    return _.minBy( _.values( COLOR_WORDS ), colorWord => {
+      const red = colorWord.color.red - color.red;
+      const green = colorWord.color.green - color.green;
+      const blue = colorWord.color.blue - color.blue;
+      return red * red + green * green + blue * blue;
+    } ).stringPair;
+  }
+
+  /**
+   * Loads a catalog from a JSON file. If the file cannot be loaded or is malformed, a query parameter warning is
+   * added, and the bundled catalog is used instead.
+   * @param {string|null} url - null for the bundled catalog
+   * @param {function(SoluteCatalog)} callback - called when the catalog is ready
+   * @public
+   */
+  static load( url, callback ) {
+    if ( url === null ) {
+      callback( SoluteCatalog.DEFAULT );
+      return;
+    }
+
+    const useDefault = message => {
+      QueryStringMachine.addWarning( 'soluteCatalog', url, message );
+      callback( SoluteCatalog.DEFAULT );
+    };
+
+    const request = new XMLHttpRequest();
+    request.open( 'GET', url );
+    request.onload = () => {
+      if ( request.status !== 200 ) {
+        useDefault( 'failed to load ' + url + ', status ' + request.status );
+        return;
+      }
+      let catalog;
+      try {
+        catalog = new SoluteCatalog( JSON.parse( request.responseText ) );
+      }
+      catch( error ) {
+        useDefault( error.message );
+        return;
+      }
+      callback( catalog );
+    };
+    request.onerror = () => useDefault( 'failed to load ' + url );
+    request.send();
+  }
+}
+
+/**
+ * Throws an Error that names the malformed part of a catalog.
+ * @param {boolean} condition
+ * @param {string} path - e.g. 'solutes[2].molarMass'
+ * @param {string} requirement - e.g. 'must be a positive number'
+ * @throws {Error}
+ */
+const check = ( condition, path, requirement ) => {
+  if ( !condition ) {
+    throw new Error( 'invalid solute catalog: ' + path + ' ' + requirement );
+  }
+};
+
+/**
+ * @param {Object} catalog
+ * @throws {Error}
+ */
+const validateCatalog = catalog => {
+  check( _.isPlainObject( catalog ), 'catalog', 'must be an object' );
+  check( Array.isArray( catalog.solutes ) && catalog.solutes.length > 0, 'solutes', 'must be a non-empty array' );
+  catalog.solutes.forEach( ( entry, index ) => validateEntry( entry, 'solutes[' + index + ']' ) );
+  catalog.solutes.forEach( ( entry, index ) => {
+    check( _.findIndex( catalog.solutes, otherEntry => otherEntry.tandemName === entry.tandemName ) === index,
+      'solutes[' + index + '].tandemName', 'must be unique, "' + entry.tandemName + '" is used more than once' );
+  } );
+};
+
+/**
+ * @param {Object} entry - one solute in the catalog
+ * @param {string} path - e.g. 'solutes[2]'
+ * @throws {Error}
+ */
+const validateEntry = ( entry, path ) => {
+  check( _.isPlainObject( entry ), path, 'must be an object' );
+  Object.keys( entry ).forEach( key => {
+    check( SOLUTE_FIELDS.includes( key ), path + '.' + key, 'is not a solute field, expected one of ' + SOLUTE_FIELDS.join( ', ' ) );
+  } );
+
+  check( typeof entry.tandemName === 'string' && TANDEM_NAME_REGEX.test( entry.tandemName ), path + '.tandemName',
+    'must be camelCase, starting with a lowercase letter' );
+  check( !RESERVED_TANDEM_NAMES.includes( entry.tandemName ) && !entry.tandemName.endsWith( 'Property' ),
+    path + '.tandemName', 'is reserved, "' + entry.tandemName + '" is used by the sim' );
+
+  // name
+  check( ( entry.nameKey === undefined ) !== ( entry.name === undefined ), path, 'must have either nameKey or name' );
+  if ( entry.nameKey !== undefined ) {
+    check( TRANSLATED_NAMES.hasOwnProperty( entry.nameKey ), path + '.nameKey',
+      'must be one of ' + _.keys( TRANSLATED_NAMES ).join( ', ' ) );
+    check( entry.lowercaseName === undefined, path + '.lowercaseName', 'is only used with name' );
+  }
+  else {
+    check( isNonEmptyString( entry.name ), path + '.name', 'must be a non-empty string' );
+    check( entry.lowercaseName === undefined || isNonEmptyString( entry.lowercaseName ), path + '.lowercaseName',
+      'must be a non-empty string' );
+  }
+  check( entry.formula === undefined || isNonEmptyString( entry.formula ), path + '.formula', 'must be a non-empty string' );
+  check( entry.colorWord === undefined || COLOR_WORDS.hasOwnProperty( entry.colorWord ), path + '.colorWord',
+    'must be one of ' + _.keys( COLOR_WORDS ).join( ', ' ) );
+
+  // solubility
+  const saturatedConcentrations = entry.saturatedConcentrations;
+  check( Array.isArray( saturatedConcentrations ) &&
+         saturatedConcentrations.length === SOLUBILITY_TEMPERATURES.length &&
+         _.every( saturatedConcentrations, isPositiveNumber ),
+    path + '.saturatedConcentrations',
+    'must be ' + SOLUBILITY_TEMPERATURES.length + ' positive numbers, at ' + SOLUBILITY_TEMPERATURES.join( ', ' ) + ' degrees C' );
+  check( _.every( saturatedConcentrations, ( value, index ) => index === 0 || value >= saturatedConcentrations[ index - 1 ] ),
+    path + '.saturatedConcentrations', 'must not decrease as temperature increases' );
+
+  // colors
+  check( isRGB( entry.minColor ), path + '.minColor', 'must be [r,g,b], with integers from 0 to 255' );
+  check( isRGB( entry.maxColor ), path + '.maxColor', 'must be [r,g,b], with integers from 0 to 255' );
+  check( entry.particleColor === undefined || isRGB( entry.particleColor ), path + '.particleColor',
+    'must be [r,g,b], with integers from 0 to 255' );
+  check( entry.particleShape === undefined || ParticleShape.KEYS.includes( entry.particleShape ),
+    path + '.particleShape', 'must be one of ' + ParticleShape.KEYS.join( ', ' ) );
+
+  check( isPositiveNumber( entry.molarMass ), path + '.molarMass', 'must be a positive number' );
+  check( entry.dissolutionRate === undefined || isPositiveNumber( entry.dissolutionRate ), path + '.dissolutionRate',
+    'must be a positive number' );
+
+  // ions
+  if ( entry.ions !== undefined ) {
+    check( Array.isArray( entry.ions ), path + '.ions', 'must be an array' );
+    entry.ions.forEach( ( ionEntry, index ) => {
+      const ionPath = path + '.ions[' + index + ']';
+      check( _.isPlainObject( ionEntry ) && MolarityIons.hasOwnProperty( ionEntry.ion ), ionPath + '.ion',
+        'must be one of ' + _.keys( MolarityIons ).join( ', ' ) );
+      check( Number.isInteger( ionEntry.count ) && ionEntry.count > 0, ionPath + '.count', 'must be a positive integer' );
+    } );
+    check( _.sumBy( entry.ions, ionEntry => ionEntry.count * MolarityIons[ ionEntry.ion ].charge ) === 0,
+      path + '.ions', 'must be electrically neutral' );
+  }
+
+  // absorption
+  check( isPositiveNumber( entry.peakWavelength ) && MolarityConstants.WAVELENGTH_RANGE.contains( entry.peakWavelength ),
+    path + '.peakWavelength',
+    'must be a number from ' + MolarityConstants.WAVELENGTH_RANGE.min + ' to ' + MolarityConstants.WAVELENGTH_RANGE.max );
+  check( isPositiveNumber( entry.molarAbsorptivity ), path + '.molarAbsorptivity', 'must be a positive number' );
+
+  // colligative properties
+  check( entry.vantHoffFactor === undefined || isPositiveNumber( entry.vantHoffFactor ), path + '.vantHoffFactor',
+    'must be a positive number' );
+
+  // acids and bases
+  check( entry.ka === undefined || isPositiveNumber( entry.ka ), path + '.ka', 'must be a positive number' );
+  check( entry.kb === undefined || isPositiveNumber( entry.kb ), path + '.kb', 'must be a positive number' );
+  check( entry.ka === undefined || entry.kb === undefined, path, 'must not have both ka and kb' );
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPositiveNumber = value => typeof value === 'number' && isFinite( value ) && value > 0;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isRGB = value => Array.isArray( value ) && value.length === 3 &&
+                       _.every( value, component => Number.isInteger( component ) && component >= 0 && component <= 255 );
+
+/**
+ * @param {number[]} rgb - [r,g,b]
+ * @returns {Color}
+ */
+const toColor = rgb => new Color( rgb[ 0 ], rgb[ 1 ], rgb[ 2 ] );
+
+/**
+ * Creates a solute from a validated catalog entry.
+ * @param {Object} entry
+ * @param {Tandem} tandem - tandem of the solute
+ * @returns {Solute}
+ */
+const createSolute = ( entry, tandem ) => {
+
+  const translatedName = entry.nameKey ? TRANSLATED_NAMES[ entry.nameKey ] : null;
+  const name = translatedName ? translatedName.name : entry.name;
+  const lowercaseName = translatedName ? translatedName.lowercaseName : ( entry.lowercaseName || entry.name.toLowerCase() );
+  const maxColor = toColor( entry.maxColor );
+  const colorStringPair = entry.colorWord ? COLOR_WORDS[ entry.colorWord ].stringPair :
+                          SoluteCatalog.getColorStringPair( maxColor );
+
+  const options = {
+    tandem: tandem,
+    solubilityCurve: new SolubilityCurve( SOLUBILITY_TEMPERATURES, entry.saturatedConcentrations ),
+    molarMass: entry.molarMass,
+    ions: ( entry.ions || [] ).map( ionEntry => {
+      return { ion: MolarityIons[ ionEntry.ion ], count: ionEntry.count };
+    } ),
+    peakWavelength: entry.peakWavelength,
+    molarAbsorptivity: entry.molarAbsorptivity
+  };
+  if ( entry.particleColor ) {
+    options.particleColor = toColor( entry.particleColor );
+  }
+  if ( entry.particleShape ) {
+    options.particleShape = ParticleShape[ entry.particleShape ];
+  }
+  if ( entry.dissolutionRate !== undefined ) {
+    options.dissolutionRate = entry.dissolutionRate;
+  }
+  if ( entry.vantHoffFactor !== undefined ) {
+    options.vantHoffFactor = entry.vantHoffFactor;
+  }
+  if ( entry.ka !== undefined ) {
+    options.ka = entry.ka;
+  }
+  if ( entry.kb !== undefined ) {
+    options.kb = entry.kb;
+  }
+
+  return new Solute( name, entry.formula ? ChemUtils.toSubscript( entry.formula ) : name,
+    entry.saturatedConcentrations[ ROOM_TEMPERATURE_INDEX ], toColor( entry.minColor ), maxColor, lowercaseName,
+    colorStringPair, options );
+};
+
+// @public {SoluteCatalog} the catalog that is bundled with the sim
+SoluteCatalog.DEFAULT = new SoluteCatalog( defaultSoluteCatalog );
+
+molarity.register( 'SoluteCatalog', SoluteCatalog );
+export default SoluteCatalog;
@@ -3,34 +3,109 @@
 /**
  * Simple model of a solution.
  *
+ * In mixture mode, the solution holds several solutes at once. Each solute has a component (see SoluteComponent below)
+ * with its own amount, concentration and precipitate, and each component saturates independently of the others.
+ * The selected solute's component tracks soluteAmountProperty, so soluteAmountProperty, concentrationProperty and
+ * precipitateAmountProperty always describe the selected solute.
+ *
+ * In kinetic mode, the precipitate does not jump to its equilibrium amount when the solution changes. Instead it
+ * approaches equilibrium over time, at a rate that is set per solute, see stepDissolution. Until it gets there, the
+ * solution holds more (solids dissolving) or less (solids forming) precipitate than it would at equilibrium.
+ *
+ * Concentration is always modeled in molarity. To express it in units that are based on mass (molality, mass percent,
+ * ppm), the solution also has a density, which is computed from the solvent's density and the mass of what is
+ * dissolved in it, see computeDensity.
+ *
+ * In mixture mode, a cation and an anion from different solutes may react to form an insoluble product, see
+ * PrecipitationReaction. The product precipitates, and its ions are no longer dissolved. Components are not changed by
+ * reactions, so their concentrations describe the solute that was added, and reactions are reflected in the ion and
+ * particle concentrations, see getIonConcentrations.
+ *
+ * The solvent can be changed. Saturated concentrations depend on the solvent, see Solvent.getSaturatedConcentration,
+ * so changing it may cause solute to precipitate or dissolve, just as changing the temperature does.
+ *
+ * Excess solute only precipitates if there are solids in the solution for it to crystallize on. A solution that is
+ * taken past saturation without them (by cooling, evaporating or changing the solvent) becomes supersaturated, a
+ * metastable state in which the concentration exceeds the saturated concentration and the solution stays clear. A seed
+ * crystal or a bump starts crystallization (nucleation), and the excess solute then crystallizes rapidly, see nucleate.
+ * Mixtures are not modeled as supersaturated.
+ *
+ * Acids and bases determine the solution's pH, see computePH. Hydrogen and hydroxide ions from strong acids and bases
+ * neutralize each other, forming water, so they are not both in the ion and particle concentrations.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import DerivedPropertyIO from '../../../../axon/js/DerivedPropertyIO.js';
+import Emitter from '../../../../axon/js/Emitter.js';
 import NumberProperty from '../../../../axon/js/NumberProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import Range from '../../../../dot/js/Range.js';
 import Utils from '../../../../dot/js/Utils.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Color from '../../../../scenery/js/util/Color.js';
+import BooleanIO from '../../../../tandem/js/types/BooleanIO.js';
 import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import molarity from '../../molarity.js';
 import MolarityConstants from '../MolarityConstants.js';
+import ConcentrationUnits from './ConcentrationUnits.js';
+import MolarityIons from './MolarityIons.js';
+import MolarityReactions from './MolarityReactions.js';
+import NucleationCause from './NucleationCause.js';
 import SoluteIO from './SoluteIO.js';
+import SolventIO from './SolventIO.js';
+
+// constants
+const DISSOLUTION_EQUILIBRIUM_TOLERANCE = 1E-4; // moles, about 1/50 of a precipitate particle
+
+// ratio of concentration to saturated concentration, past which a supersaturated solution crystallizes on its own
+const SUPERSATURATION_LIMIT = 1.5;
+
+// 1/s, how quickly the excess solute of a nucleated supersaturated solution crystallizes, faster than any solute
+// dissolves in kinetic mode
+const CRYSTALLIZATION_RATE = 4;
+
+const GAS_CONSTANT = 0.08206; // L*atm/(mol*K), for osmotic pressure
+const ZERO_CELSIUS = 273.15; // K
+
+// pH is found by bisection within this range, which holds the pH of the most concentrated strong acids and bases
+const PH_SEARCH_RANGE = new Range( -2, 16 );
+const PH_SEARCH_ITERATIONS = 50;
+
+// Reactions that share an ion compete for it. The least soluble product forms first, from the ions that are available.
+const REACTIONS = _.sortBy( _.values( MolarityReactions ), function( reaction ) { return reaction.ksp; } );
 
 /**
- * @param {{color:ColorDef, formula:string, colorStringPair:StringCasingPair}} solvent
+ * @param {Solvent} solvent - the initial solvent
+ * @param {Solute[]} solutes - the solutes that can be added to the solution
  * @param {Solute} solute
  * @param {number} soluteAmount moles
  * @param {number} volume Liters
+ * @param {number} temperature degrees C
  * @param {Tandem} tandem
+ * @param {Object} [options]
  * @constructor
  */
-function Solution( solvent, solute, soluteAmount, volume, tandem ) {
+function Solution( solvent, solutes, solute, soluteAmount, volume, temperature, tandem, options ) {
+
+  const self = this;
+
+  options = merge( {
+    isAlwaysNucleated: false // true if the solution always holds solids, so that it can never be supersaturated
+  }, options );
+
+  // @private
+  this.isAlwaysNucleated = options.isAlwaysNucleated;
 
   // @public
-  this.solvent = solvent;
+  this.solventProperty = new Property( solvent, {
+    tandem: tandem.createTandem( 'solventProperty' ),
+    phetioType: PropertyIO( SolventIO )
+  } );
 
   // @public
   this.soluteProperty = new Property( solute, {
@@ -52,11 +127,106 @@ function Solution( solvent, solute, soluteAmount, volume, tandem ) {
     range: MolarityConstants.SOLUTION_VOLUME_RANGE
   } );
 
-  // @public derive the concentration: M = moles/liter
-  this.concentrationProperty = new DerivedProperty( [ this.soluteProperty, this.soluteAmountProperty, this.volumeProperty ],
-    function( solute, soluteAmount, volume ) {
-      return Utils.toFixedNumber( volume > 0 ? Math.min( solute.saturatedConcentration, soluteAmount / volume ) : 0,
-        MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+  // @public
+  this.temperatureProperty = new NumberProperty( temperature, {
+    tandem: tandem.createTandem( 'temperatureProperty' ),
+    units: 'degrees Celsius',
+    range: MolarityConstants.TEMPERATURE_RANGE
+  } );
+
+  // @public whether the solution holds solids (or a seed crystal) that excess solute can crystallize on. Without them,
+  // a solution that is taken past saturation becomes supersaturated, see isSupersaturatedProperty.
+  const isNucleated = this.isAlwaysNucleated || this.wouldPrecipitate( solute, soluteAmount );
+  this.isNucleatedProperty = new BooleanProperty( isNucleated, {
+    tandem: tandem.createTandem( 'isNucleatedProperty' )
+  } );
+
+  // @public whether the excess solute of a supersaturated solution is crystallizing, after it was nucleated
+  this.isCrystallizingProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'isCrystallizingProperty' )
+  } );
+
+  // Solute that is added past saturation does not dissolve, so it is there for the excess to crystallize on. These
+  // listeners are added before anything is derived from the solute, so that adding solute never makes the solution
+  // supersaturated, even briefly. In mixture mode, the solution stays nucleated.
+  this.soluteAmountProperty.lazyLink( function( soluteAmount, oldSoluteAmount ) {
+    if ( soluteAmount > oldSoluteAmount && self.wouldPrecipitate( self.soluteProperty.value, soluteAmount ) ) {
+      self.isNucleatedProperty.value = true;
+    }
+  } );
+  const updateNucleation = function( solute ) {
+    if ( !self.isMixtureProperty.value ) {
+      self.isCrystallizingProperty.value = false;
+      self.isNucleatedProperty.value = self.isAlwaysNucleated ||
+                                       self.wouldPrecipitate( solute, self.soluteAmountProperty.value );
+    }
+  };
+  this.soluteProperty.lazyLink( updateNucleation );
+
+  // @public (read-only) {Property.<CustomSoluteDefinition|null>} the definition of the selected solute, null if it
+  // can't be redefined, see CustomSolute. Whatever reads the fields of the selected solute depends on this, as well as
+  // on soluteProperty, so that it is updated when the selected solute is redefined.
+  this.soluteDefinitionProperty = new Property( getSoluteDefinition( solute ) );
+  this.soluteProperty.lazyLink( function( solute ) {
+    self.soluteDefinitionProperty.value = getSoluteDefinition( solute );
+  } );
+
+  // @public derive the saturated concentration of the solute in the solvent, at the solution's temperature
+  this.saturatedConcentrationProperty = new DerivedProperty(
+    [ this.soluteProperty, this.soluteDefinitionProperty, this.solventProperty, this.temperatureProperty ],
+    function( solute, soluteDefinition, solvent, temperature ) {
+      return Solution.computeSaturatedConcentration( solute, solvent, temperature );
+    }, {
+      tandem: tandem.createTandem( 'saturatedConcentrationProperty' ),
+      units: 'moles/liter',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // @public whether the precipitate approaches equilibrium over time, instead of instantaneously
+  this.isKineticProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'isKineticProperty' )
+  } );
+
+  // @public derive the amount of precipitate at equilibrium
+  this.equilibriumPrecipitateAmountProperty = new DerivedProperty( [ this.saturatedConcentrationProperty, this.soluteAmountProperty, this.volumeProperty ],
+    function( saturatedConcentration, soluteAmount, volume ) {
+      return Solution.computePrecipitateAmount( volume, soluteAmount, saturatedConcentration );
+    }, {
+      tandem: tandem.createTandem( 'equilibriumPrecipitateAmountProperty' ),
+      units: 'moles',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // @public derive whether the solution is supersaturated, past saturation without solids to crystallize on, so that
+  // none of the solute precipitates
+  this.isSupersaturatedProperty = new DerivedProperty( [ this.isNucleatedProperty,
+      this.equilibriumPrecipitateAmountProperty ],
+    function( isNucleated, equilibriumPrecipitateAmount ) {
+      return !isNucleated && equilibriumPrecipitateAmount !== 0;
+    }, {
+      tandem: tandem.createTandem( 'isSupersaturatedProperty' ),
+      phetioType: DerivedPropertyIO( BooleanIO )
+    } );
+
+  // @public the amount of precipitate in kinetic mode, stepped toward equilibrium by stepDissolution. Outside of
+  // kinetic mode, it is kept at equilibrium, so that kinetic mode starts from wherever the solution is. It is also
+  // stepped while a nucleated supersaturated solution crystallizes, in either mode.
+  this.kineticPrecipitateAmountProperty = new NumberProperty( this.equilibriumPrecipitateAmountProperty.value, {
+    tandem: tandem.createTandem( 'kineticPrecipitateAmountProperty' ),
+    units: 'moles'
+  } );
+
+  // @public derive the concentration: M = moles/liter. A supersaturated solution has no precipitate, so all of its
+  // solute is dissolved.
+  this.concentrationProperty = new DerivedProperty( [ this.saturatedConcentrationProperty, this.soluteAmountProperty,
+      this.volumeProperty, this.isKineticProperty, this.kineticPrecipitateAmountProperty, this.isSupersaturatedProperty,
+      this.isCrystallizingProperty ],
+    function( saturatedConcentration, soluteAmount, volume, isKinetic, kineticPrecipitateAmount, isSupersaturated,
+              isCrystallizing ) {
+      return isSupersaturated ? Solution.computeKineticConcentration( volume, soluteAmount, 0 ) :
+             ( isKinetic || isCrystallizing ) ?
+             Solution.computeKineticConcentration( volume, soluteAmount, kineticPrecipitateAmount ) :
+             Solution.computeConcentration( volume, soluteAmount, saturatedConcentration );
     }, {
       tandem: tandem.createTandem( 'concentrationProperty' ),
       units: 'moles/liter',
@@ -65,27 +235,324 @@ function Solution( solvent, solute, soluteAmount, volume, tandem ) {
     } );
 
   // @public derive the amount of precipitate
-  this.precipitateAmountProperty = new DerivedProperty( [ this.soluteProperty, this.soluteAmountProperty, this.volumeProperty ],
-    function( solute, soluteAmount, volume ) {
-      return Solution.computePrecipitateAmount( volume, soluteAmount, solute.saturatedConcentration );
+  this.precipitateAmountProperty = new DerivedProperty( [ this.equilibriumPrecipitateAmountProperty,
+      this.soluteAmountProperty, this.isKineticProperty, this.kineticPrecipitateAmountProperty,
+      this.isSupersaturatedProperty, this.isCrystallizingProperty ],
+    function( equilibriumPrecipitateAmount, soluteAmount, isKinetic, kineticPrecipitateAmount, isSupersaturated,
+              isCrystallizing ) {
+      return isSupersaturated ? 0 :
+             ( isKinetic || isCrystallizing ) ? Math.min( kineticPrecipitateAmount, soluteAmount ) :
+             equilibriumPrecipitateAmount;
     }, {
       tandem: tandem.createTandem( 'precipitateAmountProperty' ),
       units: 'moles',
       phetioType: DerivedPropertyIO( NumberIO )
     } );
+
+  // Outside of kinetic mode, the precipitate is always at equilibrium, unless the solution is supersaturated or
+  // crystallizing. A supersaturated solution has no precipitate, so crystallization starts from none.
+  Property.multilink( [ this.isKineticProperty, this.equilibriumPrecipitateAmountProperty,
+      this.isSupersaturatedProperty, this.isCrystallizingProperty ],
+    function( isKinetic, equilibriumPrecipitateAmount, isSupersaturated, isCrystallizing ) {
+      if ( isSupersaturated ) {
+        self.kineticPrecipitateAmountProperty.value = 0;
+      }
+      else if ( !isKinetic && !isCrystallizing ) {
+        self.kineticPrecipitateAmountProperty.value = equilibriumPrecipitateAmount;
+      }
+    } );
+
+  // @public emits after stepDissolution has changed the amount of precipitate, so that the change can be told apart
+  // from changes that are made by the user
+  this.dissolutionStepEmitter = new Emitter();
+
+  // @public emits when something is done that can nucleate a supersaturated solution, with what was done and whether
+  // it started crystallization, see nucleate
+  this.nucleationEmitter = new Emitter( {
+    parameters: [ { validValues: NucleationCause.VALUES }, { valueType: 'boolean' } ]
+  } );
+
+  // @public whether the solution is a mixture of solutes. If false, the solution holds only the selected solute.
+  this.isMixtureProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'isMixtureProperty' )
+  } );
+
+  // @public (read-only) {SoluteComponent[]} one component for each solute, in the same order as solutes
+  const componentsTandem = tandem.createTandem( 'components' );
+  this.components = solutes.map( function( solute ) {
+    return new SoluteComponent( solute, self.solventProperty, self.volumeProperty, self.temperatureProperty,
+      self.isKineticProperty, componentsTandem.createTandem( solute.tandem.name ) );
+  } );
+
+  // @public (read-only) DerivedProperty.<ReactionProduct[]> products of precipitation reactions between the ions of a
+  // mixture, see computeReactionProducts
+  this.reactionProductsProperty = new DerivedProperty( [ this.isMixtureProperty, this.volumeProperty ].concat(
+    this.components.map( function( component ) { return component.concentrationProperty; } ) ),
+    function() {
+      return self.computeReactionProducts();
+    } );
+
+  // In mixture mode, the selected solute's component tracks the solute amount.
+  this.soluteAmountProperty.link( function( soluteAmount ) {
+    if ( self.isMixtureProperty.value ) {
+      self.getComponent( self.soluteProperty.value ).amountProperty.value = soluteAmount;
+    }
+  } );
+
+  // In mixture mode, selecting a solute adds to the mixture instead of replacing the solute, so the solute amount
+  // becomes the amount of the newly-selected solute that is already in the mixture, along with its precipitate.
+  // Otherwise the solute is replaced, and the new solute's precipitate starts at equilibrium.
+  const updatePrecipitate = function( solute ) {
+    if ( self.isMixtureProperty.value ) {
+      const component = self.getComponent( solute );
+      self.kineticPrecipitateAmountProperty.value = component.kineticPrecipitateAmountProperty.value;
+      self.soluteAmountProperty.value = component.amountProperty.value;
+    }
+    else {
+      self.kineticPrecipitateAmountProperty.value = self.equilibriumPrecipitateAmountProperty.value;
+    }
+  };
+  this.soluteProperty.lazyLink( updatePrecipitate );
+
+  // Redefining a solute discards the amount of it that is in a mixture, since that amount was added under its old
+  // definition. If it is the selected solute, the solution behaves as if the solute had been replaced, but the solute
+  // is the same, so soluteProperty does not notify. Whatever is derived from the solute is updated via
+  // soluteDefinitionProperty.
+  solutes.forEach( function( solute ) {
+    solute.definitionProperty && solute.definitionProperty.lazyLink( function( definition ) {
+      self.getComponent( solute ).reset();
+      if ( solute === self.soluteProperty.value ) {
+        updateNucleation( solute );
+        self.soluteDefinitionProperty.value = definition;
+        updatePrecipitate( solute );
+      }
+    } );
+  } );
+
+  // Entering mixture mode starts the mixture with the selected solute. Leaving mixture mode discards the other
+  // components, leaving only the selected solute. Both are consistent with any saved state, so this is safe when
+  // PhET-iO state is set. Mixtures are not modeled as supersaturated, so entering mixture mode nucleates the solution.
+  this.isMixtureProperty.lazyLink( function( isMixture ) {
+    if ( isMixture ) {
+      self.isCrystallizingProperty.value = false;
+      self.isNucleatedProperty.value = true;
+      const component = self.getComponent( self.soluteProperty.value );
+      component.amountProperty.value = self.soluteAmountProperty.value;
+      component.kineticPrecipitateAmountProperty.value = self.kineticPrecipitateAmountProperty.value;
+    }
+    else {
+      self.components.forEach( function( component ) {
+        component.reset();
+      } );
+    }
+  } );
+
+  // Once all solids have dissolved, there is nothing left for excess solute to crystallize on.
+  Property.multilink( [ this.precipitateAmountProperty, this.equilibriumPrecipitateAmountProperty,
+      this.isMixtureProperty ],
+    function( precipitateAmount, equilibriumPrecipitateAmount, isMixture ) {
+      if ( !isMixture && !self.isAlwaysNucleated && precipitateAmount === 0 && equilibriumPrecipitateAmount === 0 ) {
+        self.isCrystallizingProperty.value = false;
+        self.isNucleatedProperty.value = false;
+      }
+    } );
 }
 
 molarity.register( 'Solution', Solution );
 
-export default inherit( Object, Solution, {
+/**
+ * Gets the definition of a solute, for soluteDefinitionProperty.
+ * @param {Solute} solute
+ * @returns {CustomSoluteDefinition|null} null if the solute can't be redefined
+ */
+const getSoluteDefinition = function( solute ) {
+  return solute.definitionProperty ? solute.definitionProperty.value : null;
+};
+
+/**
+ * Gets the total concentration of each ion that dissolved solutes dissociate into, before any reactions. Hydrogen and
+ * hydroxide ions have already neutralized each other.
+ * @param {{solute:Solute, concentration:number}[]} dissolvedSolutes - concentrations in M
+ * @returns {{ion:Ion, concentration:number}[]} concentrations in M, ions in the order that they first appear
+ */
+const getTotalIonConcentrations = function( dissolvedSolutes ) {
+  const ionConcentrations = [];
+  dissolvedSolutes.forEach( function( dissolved ) {
+    dissolved.solute.ions.forEach( function( entry ) {
+      addIonConcentration( ionConcentrations, entry.ion, entry.count * dissolved.concentration );
+    } );
+  } );
+  const neutralizedConcentration = getNeutralizedConcentration( dissolvedSolutes );
+  if ( neutralizedConcentration > 0 ) {
+    addIonConcentration( ionConcentrations, MolarityIons.HYDROGEN, -neutralizedConcentration );
+    addIonConcentration( ionConcentrations, MolarityIons.HYDROXIDE, -neutralizedConcentration );
+  }
+  return ionConcentrations;
+};
+
+/**
+ * Gets the concentration of hydrogen ions that neutralize hydroxide ions, forming water. An equal concentration of
+ * hydroxide ions is neutralized.
+ * @param {{solute:Solute, concentration:number}[]} dissolvedSolutes - concentrations in M
+ * @returns {number} M
+ */
+const getNeutralizedConcentration = function( dissolvedSolutes ) {
+  const getTotalConcentration = function( ion ) {
+    return _.sumBy( dissolvedSolutes, function( dissolved ) {
+      return _.sumBy( dissolved.solute.ions, function( entry ) {
+        return entry.ion === ion ? entry.count * dissolved.concentration : 0;
+      } );
+    } );
+  };
+  return Math.min( getTotalConcentration( MolarityIons.HYDROGEN ), getTotalConcentration( MolarityIons.HYDROXIDE ) );
+};
+
+/**
+ * Adds to the concentration of an ion, adding the ion if it is not already in the list.
+ * @param {{ion:Ion, concentration:number}[]} ionConcentrations
+ * @param {Ion} ion
+ * @param {number} concentration - M, negative to remove
+ */
+const addIonConcentration = function( ionConcentrations, ion, concentration ) {
+  let ionConcentration = _.find( ionConcentrations, function( ionConcentration ) {
+    return ionConcentration.ion === ion;
+  } );
+  if ( !ionConcentration ) {
+    ionConcentration = { ion: ion, concentration: 0 };
+    ionConcentrations.push( ionConcentration );
+  }
+  ionConcentration.concentration += concentration;
+};
+
+/**
+ * Gets the concentration of an ion, zero if it is not in the list.
+ * @param {{ion:Ion, concentration:number}[]} ionConcentrations
+ * @param {Ion} ion
+ * @returns {number} M
+ */
+const getIonConcentration = function( ionConcentrations, ion ) {
+  const ionConcentration = _.find( ionConcentrations, function( ionConcentration ) {
+    return ionConcentration.ion === ion;
+  } );
+  return ionConcentration ? ionConcentration.concentration : 0;
+};
+
+
+inherit( Object, Solution, {
 
   /**
    * @public
    */
   reset: function() {
+    this.isCrystallizingProperty.reset();
+    this.isKineticProperty.reset();
+    this.isMixtureProperty.reset();
+    this.components.forEach( function( component ) {
+      component.reset();
+    } );
     this.soluteProperty.reset();
+    this.solventProperty.reset();
     this.soluteAmountProperty.reset();
     this.volumeProperty.reset();
+    this.temperatureProperty.reset();
+    this.isNucleatedProperty.reset();
+  },
+
+  /**
+   * Moves the precipitate toward equilibrium, in kinetic mode. In mixture mode, every component moves toward its own
+   * equilibrium, at the rate of its own solute. A supersaturated solution stays as it is, unless it is too far past
+   * saturation, and once nucleated, it crystallizes rapidly in either mode.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  stepDissolution: function( dt ) {
+    if ( this.isSupersaturatedProperty.value &&
+         this.concentrationProperty.value > SUPERSATURATION_LIMIT * this.saturatedConcentrationProperty.value ) {
+      this.nucleate( NucleationCause.SPONTANEOUS );
+    }
+
+    const isCrystallizing = this.isCrystallizingProperty.value;
+    if ( isCrystallizing || ( this.isKineticProperty.value && !this.isSupersaturatedProperty.value ) ) {
+      const precipitateAmount = this.precipitateAmountProperty.value;
+      if ( this.isMixtureProperty.value ) {
+        this.components.forEach( function( component ) {
+          component.stepDissolution( dt );
+        } );
+      }
+      const dissolutionRate = this.soluteProperty.value.dissolutionRate;
+      this.kineticPrecipitateAmountProperty.value = Solution.computeKineticPrecipitateAmount( precipitateAmount,
+        this.equilibriumPrecipitateAmountProperty.value,
+        isCrystallizing ? Math.max( CRYSTALLIZATION_RATE, dissolutionRate ) : dissolutionRate, dt );
+      if ( isCrystallizing && this.kineticPrecipitateAmountProperty.value === this.equilibriumPrecipitateAmountProperty.value ) {
+        this.isCrystallizingProperty.value = false;
+      }
+      if ( this.precipitateAmountProperty.value !== precipitateAmount ) {
+        this.dissolutionStepEmitter.emit();
+      }
+    }
+  },
+
+  /**
+   * Starts crystallization of a supersaturated solution, by giving its excess solute something to crystallize on.
+   * This does nothing to a solution that is not supersaturated, but nucleationEmitter emits either way, so that what
+   * happened can be described.
+   * @param {NucleationCause} cause
+   * @public
+   */
+  nucleate: function( cause ) {
+    assert && assert( NucleationCause.includes( cause ), 'invalid cause: ' + cause );
+    const isSupersaturated = this.isSupersaturatedProperty.value;
+    if ( isSupersaturated ) {
+
+      // crystallizing first, so that the precipitate grows from none instead of jumping to equilibrium
+      this.isCrystallizingProperty.value = true;
+      this.isNucleatedProperty.value = true;
+    }
+    this.nucleationEmitter.emit( cause, isSupersaturated );
+  },
+
+  /**
+   * Would some amount of a solute precipitate at equilibrium? This is computed from the solution's inputs instead of
+   * from its derived Properties, so that it can be used before they have been updated.
+   * @param {Solute} solute
+   * @param {number} soluteAmount - moles
+   * @returns {boolean}
+   * @private
+   */
+  wouldPrecipitate: function( solute, soluteAmount ) {
+    const saturatedConcentration = Solution.computeSaturatedConcentration( solute, this.solventProperty.value,
+      this.temperatureProperty.value );
+    return Solution.computePrecipitateAmount( this.volumeProperty.value, soluteAmount, saturatedConcentration ) !== 0;
+  },
+
+  /**
+   * Is the precipitate done changing? Outside of kinetic mode, this is true unless the solution is crystallizing. A
+   * supersaturated solution is not at equilibrium, but its precipitate does not change until it is nucleated.
+   * @returns {boolean}
+   * @public
+   */
+  isAtDissolutionEquilibrium: function() {
+    return this.isSupersaturatedProperty.value ||
+           this.precipitateAmountProperty.value === this.equilibriumPrecipitateAmountProperty.value;
+  },
+
+  /**
+   * Is there more precipitate than at equilibrium, so that solids are dissolving?
+   * @returns {boolean}
+   * @public
+   */
+  isDissolving: function() {
+    return this.precipitateAmountProperty.value > this.equilibriumPrecipitateAmountProperty.value;
+  },
+
+  /**
+   * Is there less precipitate than at equilibrium, so that solids are forming?
+   * @returns {boolean}
+   * @public
+   */
+  isForming: function() {
+    return !this.isSupersaturatedProperty.value &&
+           this.precipitateAmountProperty.value < this.equilibriumPrecipitateAmountProperty.value;
   },
 
   /**
@@ -96,12 +563,25 @@ export default inherit( Object, Solution, {
     return this.precipitateAmountProperty.value !== 0;
   },
 
+  /**
+   * Would the solution be saturated at some temperature, given its current solute, solvent, solute amount and volume?
+   * @param {number} temperature - degrees C
+   * @returns {boolean}
+   * @public
+   */
+  isSaturatedAtTemperature: function( temperature ) {
+    const saturatedConcentration = Solution.computeSaturatedConcentration( this.soluteProperty.value,
+      this.solventProperty.value, temperature );
+    return Solution.computePrecipitateAmount( this.volumeProperty.value, this.soluteAmountProperty.value,
+      saturatedConcentration ) !== 0;
+  },
+
   /**
    * @public
    * @returns {boolean}
    */
   atMaxConcentration: function() {
-    return this.soluteProperty.value.saturatedConcentration === this.concentrationProperty.value;
+    return this.saturatedConcentrationProperty.value === this.concentrationProperty.value;
   },
 
   /**
@@ -113,21 +593,496 @@ export default inherit( Object, Solution, {
   },
 
   /**
+   * Gets the component for a solute.
+   * @param {Solute} solute
+   * @returns {SoluteComponent}
+   * @public
+   */
+  getComponent: function( solute ) {
+    const component = _.find( this.components, function( component ) { return component.solute === solute; } );
+    assert && assert( component, 'no component for solute ' + solute.name );
+    return component;
+  },
+
+  /**
+   * Gets the components that are in the mixture, in the same order as the solutes. Empty if not in mixture mode.
+   * @returns {SoluteComponent[]}
+   * @public
+   */
+  getMixtureComponents: function() {
+    return this.isMixtureProperty.value ? this.components.filter( function( component ) {
+      return component.hasSolute();
+    } ) : [];
+  },
+
+  /**
+   * Does the solution contain any solute? Unlike hasSolute, this considers every component of a mixture.
+   * @returns {boolean}
+   * @public
+   */
+  hasAnySolute: function() {
+    return this.isMixtureProperty.value ? this.getMixtureComponents().length > 0 : this.hasSolute();
+  },
+
+  /**
+   * Is the solution saturated with any solute? Unlike isSaturated, this considers every component of a mixture.
+   * @returns {boolean}
+   * @public
+   */
+  isSaturatedWithAnySolute: function() {
+    return this.isMixtureProperty.value ? _.some( this.components, function( component ) {
+      return component.isSaturated();
+    } ) : this.isSaturated();
+  },
+
+  /**
+   * Gets the concentration of each ion in the solution, assuming that ionic solutes dissociate completely. Only
+   * dissolved solute dissociates, so these are computed from concentration, not from solute amount. In mixture mode,
+   * an ion that comes from more than one solute (e.g. chloride) is combined into one concentration, and ions that have
+   * reacted to form a product are not included, since they are part of the product's precipitate.
+   * @returns {{ion:Ion, concentration:number}[]} concentrations in M, ions in the order that they first appear
+   * @public
+   */
+  getIonConcentrations: function() {
+    const ionConcentrations = getTotalIonConcentrations( this.getDissolvedSolutes() );
+    this.reactionProductsProperty.value.forEach( function( product ) {
+      addIonConcentration( ionConcentrations, product.reaction.cation,
+        -product.reaction.cationCount * product.concentration );
+      addIonConcentration( ionConcentrations, product.reaction.anion,
+        -product.reaction.anionCount * product.concentration );
+    } );
+    ionConcentrations.forEach( function( ionConcentration ) {
+      ionConcentration.concentration = Utils.toFixedNumber( Math.max( 0, ionConcentration.concentration ),
+        MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+    } );
+    return ionConcentrations;
+  },
+
+  /**
+   * Gets the concentration of all dissolved particles, ions and molecules (e.g. drink mix) alike. Ions that have
+   * reacted to form a product, or neutralized each other, are not dissolved.
+   * @returns {number} M
+   * @public
+   */
+  getParticleConcentration: function() {
+    const dissolvedSolutes = this.getDissolvedSolutes();
+    const dissolvedConcentration = _.sumBy( dissolvedSolutes, function( dissolved ) {
+      return dissolved.solute.getParticlesPerFormulaUnit() * dissolved.concentration;
+    } );
+    const reactedConcentration = _.sumBy( this.reactionProductsProperty.value, function( product ) {
+      return ( product.reaction.cationCount + product.reaction.anionCount ) * product.concentration;
+    } );
+    const neutralizedConcentration = 2 * getNeutralizedConcentration( dissolvedSolutes );
+    return Utils.toFixedNumber( Math.max( 0, dissolvedConcentration - reactedConcentration - neutralizedConcentration ),
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+  },
+
+  /**
+   * Gets the concentration of each molecular solute (e.g. drink mix) that is dissolved in the solution. Molecular
+   * solutes, including weak acids and bases, are not dissociated, so they are not included in getIonConcentrations.
+   * @returns {{solute:Solute, concentration:number}[]} concentrations in M
+   * @public
+   */
+  getMoleculeConcentrations: function() {
+    return this.getDissolvedSolutes().filter( function( dissolved ) {
+      return dissolved.solute.ions.length === 0;
+    } );
+  },
+
+  /**
+   * Gets each solid at the bottom of the beaker: the precipitate of a saturated solute, or the product of a reaction
+   * between the solutes of a mixture.
+   * @returns {{lowercaseName:string, particleColor:Color, ions:Ion[]}[]} ions are empty for a molecular solute
+   * @public
+   */
+  getPrecipitates: function() {
+    const precipitates = [];
+    const addSolute = function( solute, precipitateAmount ) {
+      if ( precipitateAmount > 0 ) {
+        precipitates.push( {
+          lowercaseName: solute.lowercaseName,
+          particleColor: solute.particleColor,
+          ions: solute.ions.map( function( entry ) { return entry.ion; } )
+        } );
+      }
+    };
+    if ( this.isMixtureProperty.value ) {
+      this.components.forEach( function( component ) {
+        addSolute( component.solute, component.precipitateAmountProperty.value );
+      } );
+    }
+    else {
+      addSolute( this.soluteProperty.value, this.precipitateAmountProperty.value );
+    }
+    this.reactionProductsProperty.value.forEach( function( product ) {
+      precipitates.push( {
+        lowercaseName: product.reaction.lowercaseName,
+        particleColor: product.reaction.particleColor,
+        ions: [ product.reaction.cation, product.reaction.anion ]
+      } );
+    } );
+    return precipitates;
+  },
+
+  /**
+   * Gets the total concentration of ions in the solution, which determines how well it conducts electricity. Ionic
+   * solutes, including strong acids and bases, are fully dissociated, see getIonConcentrations. Weak acids and bases
+   * are only partly dissociated, so they contribute the ions of the fraction that is dissociated at the solution's pH.
+   * Molecular solutes (e.g. drink mix) do not dissociate, so they contribute nothing.
+   * @returns {number} M
+   * @public
+   */
+  getTotalIonConcentration: function() {
+    const ionConcentration = _.sumBy( this.getIonConcentrations(), function( ionConcentration ) {
+      return ionConcentration.concentration;
+    } );
+    const pH = this.getPH();
+    let weakIonConcentration = 0;
+    if ( pH !== null ) {
+      const hydroniumConcentration = Math.pow( 10, -pH );
+      const autoionizationConstant = this.solventProperty.value.autoionizationConstant;
+      this.getDissolvedSolutes().forEach( function( dissolved ) {
+        const solute = dissolved.solute;
+        if ( solute.ions.length === 0 ) {
+
+          // a weak acid HA dissociates into H+ and A-, a weak base B into BH+ and OH-, see computePH
+          if ( solute.ka !== null ) {
+            weakIonConcentration += 2 * dissolved.concentration * solute.ka / ( solute.ka + hydroniumConcentration );
+          }
+          else if ( solute.kb !== null ) {
+            weakIonConcentration += 2 * dissolved.concentration * hydroniumConcentration /
+                                    ( hydroniumConcentration + autoionizationConstant / solute.kb );
+          }
+        }
+      } );
+    }
+    return ionConcentration + weakIonConcentration;
+  },
+
+  /**
+   * Gets the concentration of dissolved particles that determines the solution's colligative properties. Each solute
+   * contributes its concentration times its van 't Hoff factor. Ions that have reacted to form a product, or
+   * neutralized each other, are not dissolved, and are assumed to have been fully dissociated.
+   * @returns {number} M
+   * @public
+   */
+  getColligativeConcentration: function() {
+    const dissolvedSolutes = this.getDissolvedSolutes();
+    const dissolvedConcentration = _.sumBy( dissolvedSolutes, function( dissolved ) {
+      return dissolved.solute.vantHoffFactor * dissolved.concentration;
+    } );
+    const reactedConcentration = _.sumBy( this.reactionProductsProperty.value, function( product ) {
+      return ( product.reaction.cationCount + product.reaction.anionCount ) * product.concentration;
+    } );
+    const neutralizedConcentration = 2 * getNeutralizedConcentration( dissolvedSolutes );
+    return Math.max( 0, dissolvedConcentration - reactedConcentration - neutralizedConcentration );
+  },
+
+  /**
+   * Gets the pH of the solution, from the acids and bases that are dissolved in it, see computePH.
+   * @returns {number|null} null if pH is not modeled in the solvent
+   * @public
+   */
+  getPH: function() {
+    const autoionizationConstant = this.solventProperty.value.autoionizationConstant;
+    return ( autoionizationConstant === null ) ? null :
+           Solution.computePH( this.getDissolvedSolutes(), autoionizationConstant );
+  },
+
+  /**
+   * Gets the molality of dissolved particles, see getColligativeConcentration.
+   * @returns {number} moles per kg of solvent
+   * @public
+   */
+  getColligativeMolality: function() {
+    return this.getColligativeConcentration() * 1000 / this.solventProperty.value.density; // see computeDensity
+  },
+
+  /**
+   * Gets how far the freezing point of the solution is below that of the pure solvent, dT = Kf * m.
+   * @returns {number} degrees C
+   * @public
+   */
+  getFreezingPointDepression: function() {
+    return this.solventProperty.value.freezingPointConstant * this.getColligativeMolality();
+  },
+
+  /**
+   * Gets how far the boiling point of the solution is above that of the pure solvent, dT = Kb * m.
+   * @returns {number} degrees C
+   * @public
+   */
+  getBoilingPointElevation: function() {
+    return this.solventProperty.value.boilingPointConstant * this.getColligativeMolality();
+  },
+
+  /**
+   * Gets the osmotic pressure of the solution, relative to the pure solvent, at its temperature, P = MRT.
+   * @returns {number} atm
+   * @public
+   */
+  getOsmoticPressure: function() {
+    return this.getColligativeConcentration() * GAS_CONSTANT * ( this.temperatureProperty.value + ZERO_CELSIUS );
+  },
+
+  /**
+   * @typedef {Object} ReactionProduct
+   * @property {PrecipitationReaction} reaction
+   * @property {number} concentration - moles of product per liter of solution
+   * @property {number} amount - moles of product precipitate
+   * @property {Ion} limitingIon - the ion that limits how much product forms
+   */
+
+  /**
+   * Computes the products of precipitation reactions between the dissolved ions of a mixture. Only a mixture can hold
+   * the ions of two solutes, so there are no products otherwise. Reactions happen instantaneously, in kinetic mode too.
+   * @returns {ReactionProduct[]} products that have formed, in the order that they form
+   * @private
+   */
+  computeReactionProducts: function() {
+    const products = [];
+    if ( this.isMixtureProperty.value ) {
+
+      // the ions that are available to react, used up by each reaction in turn
+      const ionConcentrations = getTotalIonConcentrations( this.getDissolvedSolutes() );
+      const volume = this.volumeProperty.value;
+      REACTIONS.forEach( function( reaction ) {
+        const cationConcentration = getIonConcentration( ionConcentrations, reaction.cation );
+        const anionConcentration = getIonConcentration( ionConcentrations, reaction.anion );
+        const concentration = reaction.computeProductConcentration( cationConcentration, anionConcentration );
+        if ( concentration > 0 ) {
+          products.push( {
+            reaction: reaction,
+            concentration: concentration,
+            amount: concentration * volume,
+            limitingIon: reaction.getLimitingIon( cationConcentration, anionConcentration )
+          } );
+          addIonConcentration( ionConcentrations, reaction.cation, -reaction.cationCount * concentration );
+          addIonConcentration( ionConcentrations, reaction.anion, -reaction.anionCount * concentration );
+        }
+      } );
+    }
+    return products;
+  },
+
+  /**
+   * Gets the density of the solution. Precipitate is not part of the solution, so it does not contribute.
+   * @returns {number} g/L
+   * @public
+   */
+  getDensity: function() {
+    return Solution.computeDensity( this.solventProperty.value.density, this.getDissolvedSolutes() );
+  },
+
+  /**
+   * Gets the concentration of the selected solute, in some units.
+   * @param {ConcentrationUnits} units
+   * @returns {number}
+   * @public
+   */
+  getConcentrationInUnits: function( units ) {
+    return Solution.convertConcentration( this.concentrationProperty.value, this.soluteProperty.value,
+      this.solventProperty.value.density, this.getDensity(), units );
+  },
+
+  /**
+   * Gets the absorbance of the solution, using the Beer-Lambert law. In mixture mode, the absorbances of the solutes
+   * add. Precipitate is not dissolved, so it does not absorb.
+   * @param {number} wavelength - nm
+   * @param {number} pathLength - cm, distance that light travels through the solution
+   * @returns {number}
+   * @public
+   */
+  getAbsorbance: function( wavelength, pathLength ) {
+    return _.sumBy( this.getDissolvedSolutes(), function( dissolved ) {
+      return dissolved.solute.getMolarAbsorptivity( wavelength ) * pathLength * dissolved.concentration;
+    } );
+  },
+
+  /**
+   * Gets the fraction of light that passes through the solution.
+   * @param {number} wavelength - nm
+   * @param {number} pathLength - cm, distance that light travels through the solution
+   * @returns {number} 0 to 1
+   * @public
+   */
+  getTransmittance: function( wavelength, pathLength ) {
+    return Math.pow( 10, -this.getAbsorbance( wavelength, pathLength ) );
+  },
+
+  /**
+   * Gets each solute that is dissolved in the solution, with its concentration.
+   * @returns {{solute:Solute, concentration:number}[]}
+   * @private
+   */
+  getDissolvedSolutes: function() {
+    const dissolvedSolutes = this.isMixtureProperty.value ?
+                             this.getMixtureComponents().map( function( component ) {
+                               return { solute: component.solute, concentration: component.concentrationProperty.value };
+                             } ) :
+                             [ { solute: this.soluteProperty.value, concentration: this.concentrationProperty.value } ];
+    return dissolvedSolutes.filter( function( dissolved ) { return dissolved.concentration > 0; } );
+  },
+
+  /**
+   * Color depends only on concentration, so the solute's color range spans zero to its saturated concentration
+   * at room temperature. Concentrations above that (possible at higher temperatures) are shown with maxColor.
+   * The color of a mixture blends the colors of its components, weighted by how strongly each is colored.
    * @public
    * @returns {ColorDef}
    */
   getColor: function() {
-    if ( this.concentrationProperty.value > 0 ) {
-      const solute = this.soluteProperty.get();
-      const colorScale = Utils.linear( 0, solute.saturatedConcentration, 0, 1, this.concentrationProperty.value );
-      return Color.interpolateRGBA( solute.minColor, solute.maxColor, colorScale );
+    if ( this.isMixtureProperty.value ) {
+      const components = this.getMixtureComponents();
+      if ( components.length > 0 ) {
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let totalWeight = 0;
+        components.forEach( function( component ) {
+          const color = component.getColor();
+          const weight = component.getColorScale();
+          red += weight * color.red;
+          green += weight * color.green;
+          blue += weight * color.blue;
+          totalWeight += weight;
+        } );
+        if ( totalWeight > 0 ) {
+          return new Color( Utils.roundSymmetric( red / totalWeight ), Utils.roundSymmetric( green / totalWeight ),
+            Utils.roundSymmetric( blue / totalWeight ) );
+        }
+      }
     }
-    else {
-      return this.solvent.color;
+    else if ( this.concentrationProperty.value > 0 ) {
+      return Solution.computeColor( this.soluteProperty.get(), this.concentrationProperty.value );
     }
+    return this.solventProperty.value.color;
   }
 }, {
 
+  /**
+   * Computes the concentration of a solute, constrained by its saturated concentration.
+   * @public
+   * @param {number} volume
+   * @param {number} soluteAmount
+   * @param {number} saturatedConcentration
+   * @returns {number}
+   */
+  computeConcentration: function( volume, soluteAmount, saturatedConcentration ) {
+    return Utils.toFixedNumber( volume > 0 ? Math.min( saturatedConcentration, soluteAmount / volume ) : 0,
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+  },
+
+  /**
+   * Computes the concentration of a solute in kinetic mode, where whatever is not precipitate is dissolved. While
+   * solids are forming, this may briefly be more than the saturated concentration.
+   * @public
+   * @param {number} volume
+   * @param {number} soluteAmount
+   * @param {number} precipitateAmount
+   * @returns {number}
+   */
+  computeKineticConcentration: function( volume, soluteAmount, precipitateAmount ) {
+    return Utils.toFixedNumber( volume > 0 ? Math.max( 0, soluteAmount - precipitateAmount ) / volume : 0,
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+  },
+
+  /**
+   * Computes how strongly a solute colors the solution, from 0 (not at all) to 1 (the solute's maxColor).
+   * @public
+   * @param {Solute} solute
+   * @param {number} concentration
+   * @returns {number}
+   */
+  computeColorScale: function( solute, concentration ) {
+    return Math.min( 1, Utils.linear( 0, solute.saturatedConcentration, 0, 1, concentration ) );
+  },
+
+  /**
+   * Computes the color of a solution that contains only one solute, at some concentration.
+   * @public
+   * @param {Solute} solute
+   * @param {number} concentration
+   * @returns {Color}
+   */
+  computeColor: function( solute, concentration ) {
+    return Color.interpolateRGBA( solute.minColor, solute.maxColor, Solution.computeColorScale( solute, concentration ) );
+  },
+
+  /**
+   * Computes the density of a solution. Dissolved solutes are assumed to add mass to the solution without adding
+   * volume, so every liter of solution holds a liter of solvent. This is a good approximation for dilute solutions,
+   * and unlike a model in which solutes take up volume, it holds for all of the concentrations that the sim allows.
+   * @public
+   * @param {number} solventDensity - g/L
+   * @param {{solute:Solute, concentration:number}[]} dissolvedSolutes - concentrations in M
+   * @returns {number} g/L
+   */
+  computeDensity: function( solventDensity, dissolvedSolutes ) {
+    return solventDensity + _.sumBy( dissolvedSolutes, function( dissolved ) {
+      return dissolved.concentration * dissolved.solute.molarMass;
+    } );
+  },
+
+  /**
+   * Converts a concentration in molarity to some other units.
+   * @public
+   * @param {number} concentration - M
+   * @param {Solute} solute
+   * @param {number} solventDensity - g/L
+   * @param {number} density - density of the solution, g/L
+   * @param {ConcentrationUnits} units
+   * @returns {number}
+   */
+  convertConcentration: function( concentration, solute, solventDensity, density, units ) {
+    assert && assert( ConcentrationUnits.includes( units ), 'invalid units: ' + units );
+    const massConcentration = concentration * solute.molarMass; // g/L
+    if ( units === ConcentrationUnits.MOLARITY ) {
+      return concentration;
+    }
+    else if ( units === ConcentrationUnits.MOLALITY ) {
+      return concentration * 1000 / solventDensity; // moles per kg of solvent, see computeDensity
+    }
+    else if ( units === ConcentrationUnits.MASS_PERCENT ) {
+      return 100 * massConcentration / density;
+    }
+    else if ( units === ConcentrationUnits.MASS_VOLUME_PERCENT ) {
+      return massConcentration / 10; // g per 100 mL
+    }
+    else {
+      return 1E6 * massConcentration / density;
+    }
+  },
+
+  /**
+   * Converts a concentration in molarity to some other units, for a solution in which the solute is the only thing
+   * dissolved.
+   * @public
+   * @param {number} concentration - M
+   * @param {Solute} solute
+   * @param {number} solventDensity - g/L
+   * @param {ConcentrationUnits} units
+   * @returns {number}
+   */
+  convertSingleSoluteConcentration: function( concentration, solute, solventDensity, units ) {
+    const density = Solution.computeDensity( solventDensity, [ { solute: solute, concentration: concentration } ] );
+    return Solution.convertConcentration( concentration, solute, solventDensity, density, units );
+  },
+
+  /**
+   * Saturated concentration is constrained to the same number of decimal places as concentration, so that they can
+   * be compared, see atMaxConcentration.
+   * @public
+   * @param {Solute} solute
+   * @param {Solvent} solvent
+   * @param {number} temperature - degrees C
+   * @returns {number}
+   */
+  computeSaturatedConcentration: function( solute, solvent, temperature ) {
+    return Utils.toFixedNumber( solvent.getSaturatedConcentration( solute, temperature ),
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+  },
+
   /**
    * @public
    * @param {number} volume
@@ -137,5 +1092,214 @@ export default inherit( Object, Solution, {
    */
   computePrecipitateAmount: function( volume, soluteAmount, saturatedConcentration ) {
     return volume > 0 ? Math.max( 0, volume * ( ( soluteAmount / volume ) - saturatedConcentration ) ) : soluteAmount;
+  },
+
+  /**
+   * Moves an amount of precipitate toward its equilibrium amount. The difference decays exponentially, so that the
+   * change is quick at first and slows as equilibrium is approached. Once the difference is too small to see, the
+   * precipitate snaps to equilibrium, so that dissolving and forming come to an end.
+   * @public
+   * @param {number} precipitateAmount - moles
+   * @param {number} equilibriumPrecipitateAmount - moles
+   * @param {number} dissolutionRate - 1/s
+   * @param {number} dt - time step, in seconds
+   * @returns {number} moles
+   */
+  computeKineticPrecipitateAmount: function( precipitateAmount, equilibriumPrecipitateAmount, dissolutionRate, dt ) {
+    const difference = ( precipitateAmount - equilibriumPrecipitateAmount ) * Math.exp( -dissolutionRate * dt );
+    return Math.abs( difference ) < DISSOLUTION_EQUILIBRIUM_TOLERANCE ? equilibriumPrecipitateAmount :
+           equilibriumPrecipitateAmount + difference;
+  },
+
+  /**
+   * Computes the pH of a solution of acids and bases. Each dissociates to the extent given by its dissociation
+   * constant, and the hydronium concentration [H3O+] is the one at which the solution is electrically neutral:
+   *
+   *   [H3O+] + sum over bases of [BH+] = [OH-] + sum over acids of [A-]
+   *
+   * where [A-] = C * Ka / ( Ka + [H3O+] ), [BH+] = C * [H3O+] / ( [H3O+] + Kw / Kb ) and [OH-] = Kw / [H3O+]. The
+   * positive side decreases and the negative side increases as pH increases, so pH is found by bisection.
+   * Concentrations are used in place of activities, which is only accurate for dilute solutions.
+   * @public
+   * @param {{solute:Solute, concentration:number}[]} dissolvedSolutes - concentrations in M
+   * @param {number} autoionizationConstant - Kw of the solvent
+   * @returns {number}
+   */
+  computePH: function( dissolvedSolutes, autoionizationConstant ) {
+    const getChargeImbalance = function( pH ) {
+      const hydroniumConcentration = Math.pow( 10, -pH );
+      let positiveConcentration = hydroniumConcentration;
+      let negativeConcentration = autoionizationConstant / hydroniumConcentration;
+      dissolvedSolutes.forEach( function( dissolved ) {
+        const solute = dissolved.solute;
+        if ( solute.ka !== null ) {
+          negativeConcentration += dissolved.concentration * solute.ka / ( solute.ka + hydroniumConcentration );
+        }
+        else if ( solute.kb !== null ) {
+          positiveConcentration += dissolved.concentration * hydroniumConcentration /
+                                   ( hydroniumConcentration + autoionizationConstant / solute.kb );
+        }
+      } );
+      return positiveConcentration - negativeConcentration;
+    };
+
+    let min = PH_SEARCH_RANGE.min;
+    let max = PH_SEARCH_RANGE.max;
+    for ( let i = 0; i < PH_SEARCH_ITERATIONS; i++ ) {
+      const pH = ( min + max ) / 2;
+      if ( getChargeImbalance( pH ) > 0 ) {
+        min = pH;
+      }
+      else {
+        max = pH;
+      }
+    }
+    return ( min + max ) / 2;
   }
-} );
\ No newline at end of file
+} );
+
+/**
+ * One component of a mixture, a solute with its own amount, concentration and precipitate. Components share the
+ * solution's solvent, volume and temperature.
+ *
+ * @param {Solute} solute
+ * @param {Property.<Solvent>} solventProperty - the solution's solvent
+ * @param {NumberProperty} volumeProperty - the solution's volume, Liters
+ * @param {NumberProperty} temperatureProperty - the solution's temperature, degrees C
+ * @param {BooleanProperty} isKineticProperty - the solution's kinetic mode
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function SoluteComponent( solute, solventProperty, volumeProperty, temperatureProperty, isKineticProperty, tandem ) {
+
+  const self = this;
+
+  // @public (read-only)
+  this.solute = solute;
+
+  // @public
+  this.amountProperty = new NumberProperty( 0, {
+    tandem: tandem.createTandem( 'amountProperty' ),
+    units: 'moles',
+    range: MolarityConstants.SOLUTE_AMOUNT_RANGE
+  } );
+
+  // @public derive the saturated concentration of the solute in the solvent at the solution's temperature, and for a
+  // solute that can be redefined, its definition
+  const saturatedConcentrationDependencies = solute.definitionProperty ?
+                                             [ solventProperty, temperatureProperty, solute.definitionProperty ] :
+                                             [ solventProperty, temperatureProperty ];
+  this.saturatedConcentrationProperty = new DerivedProperty( saturatedConcentrationDependencies,
+    function( solvent, temperature ) {
+      return Solution.computeSaturatedConcentration( solute, solvent, temperature );
+    }, {
+      tandem: tandem.createTandem( 'saturatedConcentrationProperty' ),
+      units: 'moles/liter',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // @public derive the amount of precipitate at equilibrium
+  this.equilibriumPrecipitateAmountProperty = new DerivedProperty( [ this.saturatedConcentrationProperty, this.amountProperty, volumeProperty ],
+    function( saturatedConcentration, amount, volume ) {
+      return Solution.computePrecipitateAmount( volume, amount, saturatedConcentration );
+    }, {
+      tandem: tandem.createTandem( 'equilibriumPrecipitateAmountProperty' ),
+      units: 'moles',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // @public the amount of precipitate in kinetic mode, see Solution.kineticPrecipitateAmountProperty
+  this.kineticPrecipitateAmountProperty = new NumberProperty( 0, {
+    tandem: tandem.createTandem( 'kineticPrecipitateAmountProperty' ),
+    units: 'moles'
+  } );
+
+  // @public derive the concentration: M = moles/liter
+  this.concentrationProperty = new DerivedProperty( [ this.saturatedConcentrationProperty, this.amountProperty,
+      volumeProperty, isKineticProperty, this.kineticPrecipitateAmountProperty ],
+    function( saturatedConcentration, amount, volume, isKinetic, kineticPrecipitateAmount ) {
+      return isKinetic ?
+             Solution.computeKineticConcentration( volume, amount, kineticPrecipitateAmount ) :
+             Solution.computeConcentration( volume, amount, saturatedConcentration );
+    }, {
+      tandem: tandem.createTandem( 'concentrationProperty' ),
+      units: 'moles/liter',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // @public derive the amount of precipitate
+  this.precipitateAmountProperty = new DerivedProperty( [ this.equilibriumPrecipitateAmountProperty, this.amountProperty,
+      isKineticProperty, this.kineticPrecipitateAmountProperty ],
+    function( equilibriumPrecipitateAmount, amount, isKinetic, kineticPrecipitateAmount ) {
+      return isKinetic ? Math.min( kineticPrecipitateAmount, amount ) : equilibriumPrecipitateAmount;
+    }, {
+      tandem: tandem.createTandem( 'precipitateAmountProperty' ),
+      units: 'moles',
+      phetioType: DerivedPropertyIO( NumberIO )
+    } );
+
+  // Outside of kinetic mode, the precipitate is always at equilibrium.
+  Property.multilink( [ isKineticProperty, this.equilibriumPrecipitateAmountProperty ],
+    function( isKinetic, equilibriumPrecipitateAmount ) {
+      if ( !isKinetic ) {
+        self.kineticPrecipitateAmountProperty.value = equilibriumPrecipitateAmount;
+      }
+    } );
+}
+
+inherit( Object, SoluteComponent, {
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.amountProperty.reset();
+    this.kineticPrecipitateAmountProperty.reset();
+  },
+
+  /**
+   * Moves the precipitate toward equilibrium, see Solution.stepDissolution.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  stepDissolution: function( dt ) {
+    this.kineticPrecipitateAmountProperty.value = Solution.computeKineticPrecipitateAmount(
+      this.precipitateAmountProperty.value, this.equilibriumPrecipitateAmountProperty.value,
+      this.solute.dissolutionRate, dt );
+  },
+
+  /**
+   * @public
+   * @returns {boolean}
+   */
+  hasSolute: function() {
+    return this.amountProperty.value > 0;
+  },
+
+  /**
+   * @public
+   * @returns {boolean}
+   */
+  isSaturated: function() {
+    return this.precipitateAmountProperty.value !== 0;
+  },
+
+  /**
+   * @public
+   * @returns {number} see Solution.computeColorScale
+   */
+  getColorScale: function() {
+    return Solution.computeColorScale( this.solute, this.concentrationProperty.value );
+  },
+
+  /**
+   * Gets the color that this component would give the solution on its own.
+   * @public
+   * @returns {Color}
+   */
+  getColor: function() {
+    return Solution.computeColor( this.solute, this.concentrationProperty.value );
+  }
+} );
+
+export default Solution;
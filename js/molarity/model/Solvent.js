@@ -0,0 +1,105 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of a solvent. Like Solute, this is an immutable data structure.
+ *
+ * A solute's solubility curve is its solubility in water. In other solvents, its saturated concentration is scaled by
+ * a solubility factor, the ratio of its solubility in the solvent to its solubility in water at room temperature.
+ * Factors are looked up by the solute's tandem name, which is its name in the solute catalog, see SoluteCatalog.
+ * Solutes that are not in a solvent's table, like the custom solute, use the solvent's default factor.
+ *
+ * The solvent's freezing and boiling points, and their molal constants, determine the colligative properties of a
+ * solution, see Solution.getFreezingPointDepression and Solution.getBoilingPointElevation.
+ *
+ * pH is only modeled in solvents that have an autoionization constant, see Solution.getPH.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import molarity from '../../molarity.js';
+import SolventIO from './SolventIO.js';
+
+class Solvent extends PhetioObject {
+
+  /**
+   * @param {string} name - title case
+   * @param {string} lowercaseName - for interactive descriptions
+   * @param {string} formula
+   * @param {Color} color
+   * @param {number} density - g/L
+   * @param {StringCasingPair} colorStringPair - lowercase/capitalized color strings
+   * @param {Object} [options]
+   */
+  constructor( name, lowercaseName, formula, color, density, colorStringPair, options ) {
+
+    options = merge( {
+      solubilityFactors: {}, // {Object.<string,number>} solubility factor for each solute, keyed by tandem name
+      defaultSolubilityFactor: 1, // {number} solubility factor for solutes that are not in solubilityFactors
+      freezingPoint: null, // {number} degrees C, of the pure solvent, required
+      boilingPoint: null, // {number} degrees C, of the pure solvent, required
+      freezingPointConstant: null, // {number} Kf, degrees C * kg/mol, required
+      boilingPointConstant: null, // {number} Kb, degrees C * kg/mol, required
+      autoionizationConstant: null, // {number|null} e.g. Kw for water, null if pH is not modeled in the solvent
+      phetioType: SolventIO
+    }, options );
+
+    assert && assert( density > 0, 'invalid density: ' + density );
+    assert && assert( options.defaultSolubilityFactor > 0,
+      'invalid defaultSolubilityFactor: ' + options.defaultSolubilityFactor );
+    assert && assert( _.every( _.values( options.solubilityFactors ), factor => factor > 0 ),
+      'solubility factors must be positive' );
+    assert && assert( typeof options.freezingPoint === 'number' && typeof options.boilingPoint === 'number' &&
+                      options.freezingPoint < options.boilingPoint,
+      'invalid freezingPoint and boilingPoint: ' + options.freezingPoint + ', ' + options.boilingPoint );
+    assert && assert( options.freezingPointConstant > 0, 'invalid freezingPointConstant: ' + options.freezingPointConstant );
+    assert && assert( options.boilingPointConstant > 0, 'invalid boilingPointConstant: ' + options.boilingPointConstant );
+    assert && assert( options.autoionizationConstant === null || options.autoionizationConstant > 0,
+      'invalid autoionizationConstant: ' + options.autoionizationConstant );
+
+    super( options );
+
+    // @public (read-only)
+    this.name = name;
+    this.lowercaseName = lowercaseName;
+    this.formula = formula;
+    this.color = color;
+    this.density = density; // g/L
+    this.colorStringPair = colorStringPair;
+    this.freezingPoint = options.freezingPoint; // degrees C
+    this.boilingPoint = options.boilingPoint; // degrees C
+    this.freezingPointConstant = options.freezingPointConstant; // degrees C * kg/mol
+    this.boilingPointConstant = options.boilingPointConstant; // degrees C * kg/mol
+    this.autoionizationConstant = options.autoionizationConstant; // M^2
+
+    // @private
+    this.solubilityFactors = options.solubilityFactors;
+    this.defaultSolubilityFactor = options.defaultSolubilityFactor;
+  }
+
+  /**
+   * Gets the ratio of a solute's solubility in this solvent to its solubility in water.
+   * @param {Solute} solute
+   * @returns {number}
+   * @public
+   */
+  getSolubilityFactor( solute ) {
+    const key = solute.tandem.name;
+    return this.solubilityFactors.hasOwnProperty( key ) ? this.solubilityFactors[ key ] : this.defaultSolubilityFactor;
+  }
+
+  /**
+   * Gets the saturated concentration of a solute in this solvent, at some temperature.
+   * @param {Solute} solute
+   * @param {number} temperature - degrees C
+   * @returns {number} M (moles/L)
+   * @public
+   */
+  getSaturatedConcentration( solute, temperature ) {
+    return this.getSolubilityFactor( solute ) * solute.getSaturatedConcentration( temperature );
+  }
+}
+
+molarity.register( 'Solvent', Solvent );
+export default Solvent;
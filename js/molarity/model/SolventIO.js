@@ -0,0 +1,22 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * IO type for Solvent
+ *
+ * @author agent
+ */
+
+import ObjectIO from '../../../../tandem/js/types/ObjectIO.js';
+import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
+import molarity from '../../molarity.js';
+
+// Objects are statically created, use reference equality to look up instances for toStateObject/fromStateObject
+class SolventIO extends ReferenceIO {}
+
+SolventIO.documentation = 'The solvent of a solution';
+SolventIO.validator = { isValidValue: v => v instanceof phet.molarity.Solvent };
+SolventIO.typeName = 'SolventIO';
+ObjectIO.validateSubtype( SolventIO );
+
+molarity.register( 'SolventIO', SolventIO );
+export default SolventIO;
@@ -0,0 +1,228 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The solute catalog that is bundled with the sim, used unless another catalog is loaded with the soluteCatalog query
+ * parameter. It is plain data, with the same schema as a JSON catalog, see SoluteCatalog. Names refer to translated
+ * strings by key, and formulas are subscripted when solutes are created.
+ *
+ * Molar absorptivities are not those of the real solutes, which absorb so strongly that a beaker of any of these
+ * solutions would be opaque. They are chosen to match the solution colors, which are most intense at the saturated
+ * concentration, so that a saturated solution has an absorbance of about 2 at its peak wavelength.
+ *
+ * Van 't Hoff factors of the ionic solutes are approximate, from measurements of similar salts in dilute solution.
+ *
+ * The acids and bases are colorless. Their dissociation constants are at 25 degrees C, and strong acids and bases are
+ * given a constant of 1E6, so that they dissociate almost completely. Only the first dissociation of citric acid is
+ * modeled. Hydrochloric acid, acetic acid and ammonia are far more soluble than the solution can get concentrated, so
+ * their saturated concentrations are those of the concentrated reagents, at all temperatures. Weak acids and bases are
+ * treated as not dissociating into ions.
+ *
+ * @author agent
+ */
+
+import molarity from '../../molarity.js';
+
+const defaultSoluteCatalog = {
+  solutes: [
+    {
+      tandemName: 'drinkMix',
+      nameKey: 'drinkMix',
+      saturatedConcentrations: [ 5.05, 5.95, 13.7 ],
+      minColor: [ 255, 225, 225 ],
+      maxColor: [ 255, 0, 0 ],
+      molarMass: 342.30, // drink mix is modeled as sucrose
+      dissolutionRate: 0.8,
+      peakWavelength: 500,
+      molarAbsorptivity: 0.034
+    },
+    {
+      tandemName: 'cobaltIINitrate',
+      nameKey: 'cobaltIINitrate',
+      formula: 'Co(NO3)2',
+      saturatedConcentrations: [ 4.6, 5.65, 11.3 ],
+      minColor: [ 255, 225, 225 ],
+      maxColor: [ 255, 0, 0 ],
+      molarMass: 182.94,
+      ions: [ { ion: 'COBALT_II', count: 1 }, { ion: 'NITRATE', count: 2 } ],
+      dissolutionRate: 0.6,
+      peakWavelength: 510,
+      molarAbsorptivity: 0.035,
+      vantHoffFactor: 2.7
+    },
+    {
+      tandemName: 'cobaltChloride',
+      nameKey: 'cobaltChloride',
+      formula: 'CoCl2',
+      saturatedConcentrations: [ 3.4, 4.35, 8.2 ],
+      minColor: [ 255, 242, 242 ],
+      maxColor: [ 255, 106, 106 ],
+      molarMass: 129.84,
+      ions: [ { ion: 'COBALT_II', count: 1 }, { ion: 'CHLORIDE', count: 2 } ],
+      dissolutionRate: 0.6,
+      peakWavelength: 510,
+      molarAbsorptivity: 0.046,
+      vantHoffFactor: 2.7
+    },
+    {
+      tandemName: 'potassiumDichromate',
+      nameKey: 'potassiumDichromate',
+      formula: 'K2Cr2O7',
+      saturatedConcentrations: [ 0.16, 0.50, 3.4 ],
+      minColor: [ 255, 232, 210 ],
+      maxColor: [ 255, 127, 0 ],
+      molarMass: 294.18,
+      ions: [ { ion: 'POTASSIUM', count: 2 }, { ion: 'DICHROMATE', count: 1 } ],
+      dissolutionRate: 0.25,
+      peakWavelength: 450,
+      molarAbsorptivity: 0.40,
+      vantHoffFactor: 2.4
+    },
+    {
+      tandemName: 'goldIIIChloride',
+      nameKey: 'goldIIIChloride',
+      formula: 'AuCl3',
+      saturatedConcentrations: [ 2.0, 2.25, 2.9 ],
+      minColor: [ 255, 255, 199 ],
+      maxColor: [ 255, 215, 0 ],
+      molarMass: 303.33,
+      ions: [ { ion: 'GOLD_III', count: 1 }, { ion: 'CHLORIDE', count: 3 } ],
+      dissolutionRate: 0.5,
+      peakWavelength: 420,
+      molarAbsorptivity: 0.089,
+      vantHoffFactor: 3.4
+    },
+    {
+      tandemName: 'potassiumChromate',
+      nameKey: 'potassiumChromate',
+      formula: 'K2CrO4',
+      saturatedConcentrations: [ 2.95, 3.35, 3.92 ],
+      minColor: [ 255, 255, 199 ],
+      maxColor: [ 255, 255, 0 ],
+      molarMass: 194.19,
+      ions: [ { ion: 'POTASSIUM', count: 2 }, { ion: 'CHROMATE', count: 1 } ],
+      dissolutionRate: 0.4,
+      peakWavelength: 400,
+      molarAbsorptivity: 0.060,
+      vantHoffFactor: 2.4
+    },
+    {
+      tandemName: 'nickelIIChloride',
+      nameKey: 'nickelIIChloride',
+      formula: 'NiCl2',
+      saturatedConcentrations: [ 4.15, 5.2, 6.8 ],
+      minColor: [ 234, 244, 234 ],
+      maxColor: [ 0, 128, 0 ],
+      molarMass: 129.60,
+      ions: [ { ion: 'NICKEL_II', count: 1 }, { ion: 'CHLORIDE', count: 2 } ],
+      dissolutionRate: 0.5,
+      peakWavelength: 650,
+      molarAbsorptivity: 0.038,
+      vantHoffFactor: 2.7
+    },
+    {
+      tandemName: 'copperSulfate',
+      nameKey: 'copperSulfate',
+      formula: 'CuSO4',
+      saturatedConcentrations: [ 0.91, 1.40, 4.8 ],
+      minColor: [ 222, 238, 255 ],
+      maxColor: [ 30, 144, 255 ],
+      molarMass: 159.61,
+      ions: [ { ion: 'COPPER_II', count: 1 }, { ion: 'SULFATE', count: 1 } ],
+      dissolutionRate: 0.3,
+      peakWavelength: 750,
+      molarAbsorptivity: 0.14,
+      vantHoffFactor: 1.4
+    },
+    {
+      tandemName: 'potassiumPermanganate',
+      nameKey: 'potassiumPermanganate',
+      formula: 'KMnO4',
+      saturatedConcentrations: [ 0.18, 0.50, 2.0 ],
+      minColor: [ 255, 0, 255 ],
+      maxColor: [ 139, 0, 139 ],
+      particleColor: [ 0, 0, 0 ],
+      molarMass: 158.03,
+      ions: [ { ion: 'POTASSIUM', count: 1 }, { ion: 'PERMANGANATE', count: 1 } ],
+      dissolutionRate: 0.2,
+      peakWavelength: 525,
+      molarAbsorptivity: 0.40,
+      vantHoffFactor: 1.9
+    },
+    {
+      tandemName: 'hydrochloricAcid',
+      nameKey: 'hydrochloricAcid',
+      formula: 'HCl',
+      colorWord: 'clear',
+      saturatedConcentrations: [ 12.4, 12.4, 12.4 ],
+      minColor: [ 235, 255, 255 ],
+      maxColor: [ 215, 240, 240 ],
+      molarMass: 36.46,
+      ions: [ { ion: 'HYDROGEN', count: 1 }, { ion: 'CHLORIDE', count: 1 } ],
+      peakWavelength: 380,
+      molarAbsorptivity: 0.001,
+      vantHoffFactor: 1.9,
+      ka: 1E6
+    },
+    {
+      tandemName: 'aceticAcid',
+      nameKey: 'aceticAcid',
+      formula: 'CH3COOH',
+      colorWord: 'clear',
+      saturatedConcentrations: [ 17.4, 17.4, 17.4 ],
+      minColor: [ 235, 255, 255 ],
+      maxColor: [ 215, 240, 240 ],
+      molarMass: 60.05,
+      peakWavelength: 380,
+      molarAbsorptivity: 0.001,
+      ka: 1.8E-5
+    },
+    {
+      tandemName: 'citricAcid',
+      nameKey: 'citricAcid',
+      formula: 'C6H8O7',
+      colorWord: 'clear',
+      saturatedConcentrations: [ 3.2, 3.9, 6.1 ],
+      minColor: [ 235, 255, 255 ],
+      maxColor: [ 215, 240, 240 ],
+      particleColor: [ 200, 200, 200 ],
+      molarMass: 192.12,
+      dissolutionRate: 0.4,
+      peakWavelength: 380,
+      molarAbsorptivity: 0.001,
+      ka: 7.4E-4
+    },
+    {
+      tandemName: 'sodiumHydroxide',
+      nameKey: 'sodiumHydroxide',
+      formula: 'NaOH',
+      colorWord: 'clear',
+      saturatedConcentrations: [ 10.5, 19.1, 25.0 ],
+      minColor: [ 235, 255, 255 ],
+      maxColor: [ 215, 240, 240 ],
+      particleColor: [ 200, 200, 200 ],
+      molarMass: 40.00,
+      ions: [ { ion: 'SODIUM', count: 1 }, { ion: 'HYDROXIDE', count: 1 } ],
+      dissolutionRate: 0.8,
+      peakWavelength: 380,
+      molarAbsorptivity: 0.001,
+      vantHoffFactor: 1.9,
+      kb: 1E6
+    },
+    {
+      tandemName: 'ammonia',
+      nameKey: 'ammonia',
+      formula: 'NH3',
+      colorWord: 'clear',
+      saturatedConcentrations: [ 14.8, 14.8, 14.8 ],
+      minColor: [ 235, 255, 255 ],
+      maxColor: [ 215, 240, 240 ],
+      molarMass: 17.03,
+      peakWavelength: 380,
+      molarAbsorptivity: 0.001,
+      kb: 1.8E-5
+    }
+  ]
+};
+
+molarity.register( 'defaultSoluteCatalog', defaultSoluteCatalog );
+export default defaultSoluteCatalog;
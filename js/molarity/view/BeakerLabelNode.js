@@ -2,34 +2,56 @@
 
 /**
  * Label that appears on the beaker in a frosty, translucent frame.
- * Displays solute formula. Origin at top center.
+ * Displays solute formula, or the solvent formula if there is no solute. Origin at top center.
+ * Optionally, the name of the solvent is displayed below the solute formula.
+ * Optionally, when values are visible, the concentration is displayed below the formula, in the selected units.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import DerivedPropertyIO from '../../../../axon/js/DerivedPropertyIO.js';
+import Property from '../../../../axon/js/Property.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import StringIO from '../../../../tandem/js/types/StringIO.js';
 import molarity from '../../molarity.js';
-import MolaritySymbols from '../MolaritySymbols.js';
+import ConcentrationFormatter from './ConcentrationFormatter.js';
 
 // constants
 const LABEL_SIZE = new Dimension2( 180, 80 );
+const SOLVENT_LABEL_SIZE = new Dimension2( LABEL_SIZE.width, 110 ); // with room for the solvent name
 const LABEL_FONT = new PhetFont( { size: 28, weight: 'bold' } );
+const VALUE_FONT = new PhetFont( 20 );
 
 /**
  * @param {Solution} solution
  * @param {Tandem} tandem
+ * @param {Object} [options]
  * @constructor
  */
-function BeakerLabelNode( solution, tandem ) {
+function BeakerLabelNode( solution, tandem, options ) {
+
+  options = merge( {
+
+    // {EnumerationProperty.<ConcentrationUnits>|null} if provided, the concentration is displayed in these units
+    concentrationUnitsProperty: null,
+
+    // {Property.<boolean>|null} whether the concentration is displayed, required with concentrationUnitsProperty
+    valuesVisibleProperty: null,
+
+    // {boolean} whether the name of the solvent is displayed when there is solute, for screens where it can change
+    showSolvent: false
+  }, options );
+  assert && assert( !options.concentrationUnitsProperty || options.valuesVisibleProperty,
+    'valuesVisibleProperty is required with concentrationUnitsProperty' );
 
   Node.call( this, { tandem: tandem } );
 
@@ -39,23 +61,39 @@ function BeakerLabelNode( solution, tandem ) {
     tandem: tandem.createTandem( 'textNode' )
   } );
 
-  const backgroundNode = new Rectangle( -LABEL_SIZE.width / 2, 0, LABEL_SIZE.width, LABEL_SIZE.height, 10, 10, {
+  const labelSize = options.showSolvent ? SOLVENT_LABEL_SIZE : LABEL_SIZE;
+  const backgroundNode = new Rectangle( -labelSize.width / 2, 0, labelSize.width, labelSize.height, 10, 10, {
     fill: new Color( 255, 255, 255, 0.6 ), stroke: Color.LIGHT_GRAY,
     tandem: tandem.createTandem( 'backgroundNode' )
   } );
 
+  const solventNode = new Text( '', {
+    font: VALUE_FONT,
+    maxWidth: 0.9 * LABEL_SIZE.width,
+    visible: false
+  } );
+
+  const valueNode = new Text( '', {
+    font: VALUE_FONT,
+    maxWidth: 0.9 * LABEL_SIZE.width,
+    tandem: tandem.createTandem( 'valueNode' )
+  } );
+
   this.addChild( backgroundNode );
   this.addChild( textNode );
+  this.addChild( solventNode );
+  this.addChild( valueNode );
 
   // label on the beaker
-  const beakerLabelProperty = new DerivedProperty( [ solution.soluteProperty, solution.volumeProperty, solution.concentrationProperty ],
-    function( solute, volume, concentration ) {
+  const beakerLabelProperty = new DerivedProperty( [ solution.soluteProperty, solution.soluteDefinitionProperty,
+      solution.solventProperty, solution.volumeProperty, solution.concentrationProperty ],
+    function( solute, soluteDefinition, solvent, volume, concentration ) {
       let label;
       if ( volume === 0 ) {
         label = '';
       }
       else if ( concentration === 0 ) {
-        label = MolaritySymbols.WATER;
+        label = solvent.formula;
       }
       else {
         label = solute.formula;
@@ -67,12 +105,48 @@ function BeakerLabelNode( solution, tandem ) {
     } );
 
   // update the label
+  const updateLayout = function() {
+    // center formula in background, above the solvent and concentration if they are displayed
+    textNode.centerX = solventNode.centerX = valueNode.centerX = backgroundNode.centerX;
+    if ( solventNode.visible ) {
+      textNode.centerY = backgroundNode.top + 0.25 * labelSize.height;
+      solventNode.centerY = backgroundNode.top + ( valueNode.visible ? 0.52 : 0.7 ) * labelSize.height;
+    }
+    else {
+      textNode.centerY = valueNode.visible ? backgroundNode.top + 0.35 * labelSize.height : backgroundNode.centerY;
+    }
+    valueNode.centerY = backgroundNode.top + ( solventNode.visible ? 0.78 : 0.75 ) * labelSize.height;
+  };
   beakerLabelProperty.link( function( label ) {
     textNode.text = label;
-    // center formula in background
-    textNode.centerX = backgroundNode.centerX;
-    textNode.centerY = backgroundNode.centerY;
+    updateLayout();
   } );
+
+  // update the solvent name, which is only displayed when the label is a solute formula
+  if ( options.showSolvent ) {
+    Property.multilink( [ solution.solventProperty, beakerLabelProperty ], function( solvent, label ) {
+      solventNode.text = solvent.name;
+      solventNode.visible = ( label !== '' && label !== solvent.formula );
+      updateLayout();
+    } );
+  }
+
+  // update the concentration. In mixture mode, the other solutes change the density of the solution, and so the
+  // concentration of the selected solute in units that are based on mass.
+  if ( options.concentrationUnitsProperty ) {
+    Property.multilink( [ options.concentrationUnitsProperty, options.valuesVisibleProperty, beakerLabelProperty,
+        solution.concentrationProperty ].concat( solution.components.map( function( component ) {
+        return component.concentrationProperty;
+      } ) ),
+      function( units, valuesVisible, label ) {
+        valueNode.visible = valuesVisible && label !== '';
+        valueNode.text = ConcentrationFormatter.format( solution.getConcentrationInUnits( units ), units );
+        updateLayout();
+      } );
+  }
+  else {
+    valueNode.visible = false;
+  }
 }
 
 molarity.register( 'BeakerLabelNode', BeakerLabelNode );
@@ -12,6 +12,7 @@ import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
@@ -24,7 +25,6 @@ import molarityStrings from '../../molarity-strings.js';
 import molarity from '../../molarity.js';
 import BeakerImageNode from './BeakerImageNode.js';
 import BeakerLabelNode from './BeakerLabelNode.js';
-import MolarityBeakerDescriptionNode from './MolarityBeakerDescriptionNode.js';
 
 const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
 const unitsLitersString = molarityStrings.units.liters;
@@ -47,25 +47,35 @@ const TICK_LABEL_X_SPACING = 8;
  * @param {number} maxVolume
  * @param {Property.<boolean>} valuesVisibleProperty
  * @param {Tandem} tandem
- * @param {SoluteDescriber} soluteDescriber - for interactive descriptions
- * @param {SoluteAmountDescriber} soluteAmountDescriber - for interactive descriptions
- * @param {VolumeDescriber} volumeDescriber - for interactive descriptions
- * @param {ConcentrationDescriber} concentrationDescriber - for interactive descriptions
- * @param {PrecipitateAmountDescriber} precipitateAmountDescriber
- * @param {Property.<boolean>} useQuantitativeDescriptionsProperty - for interactive descriptions
+ * @param {Object} [options]
  * @constructor
  */
-function BeakerNode( solution, maxVolume, valuesVisibleProperty, tandem, soluteDescriber, soluteAmountDescriber,
-                     volumeDescriber, concentrationDescriber, precipitateAmountDescriber, useQuantitativeDescriptionsProperty ) {
+function BeakerNode( solution, maxVolume, valuesVisibleProperty, tandem, options ) {
+
+  options = merge( {
+    descriptionNode: null, // {Node|null} a11y - holds the PDOM description of the beaker, see MolarityBeakerDescriptionNode
+
+    // {EnumerationProperty.<ConcentrationUnits>|null} if provided, the label displays the concentration in these units
+    concentrationUnitsProperty: null,
+
+    // {boolean} whether the label displays the name of the solvent, see BeakerLabelNode
+    showSolvent: false,
+
+    // a11y
+    labelContent: beakerHeaderString
+  }, options );
 
   Node.call( this, {
     pickable: false,
     tandem: tandem,
     tagName: 'div',
     labelTagName: 'h3',
-    labelContent: beakerHeaderString
+    labelContent: options.labelContent
   } );
 
+  // @private
+  this.maxVolume = maxVolume;
+
   // @private the glass beaker
   this.beakerImageNode = new BeakerImageNode( tandem.createTandem( 'beakerImageNode' ), { scale: 0.75 } );
   const cylinderSize = this.beakerImageNode.getCylinderSize();
@@ -84,7 +94,11 @@ function BeakerNode( solution, maxVolume, valuesVisibleProperty, tandem, soluteD
   } );
 
   // label on the beaker
-  const labelNode = new BeakerLabelNode( solution, tandem.createTandem( 'labelNode' ) );
+  const labelNode = new BeakerLabelNode( solution, tandem.createTandem( 'labelNode' ), {
+    concentrationUnitsProperty: options.concentrationUnitsProperty,
+    valuesVisibleProperty: valuesVisibleProperty,
+    showSolvent: options.showSolvent
+  } );
   labelNode.x = cylinderSize.width / 2;
   labelNode.y = 0.15 * cylinderSize.height;
 
@@ -168,8 +182,9 @@ function BeakerNode( solution, maxVolume, valuesVisibleProperty, tandem, soluteD
   } );
 
   // a11y - adds the description node that holds the PDOM summary of the beaker.
-  this.addChild( new MolarityBeakerDescriptionNode( solution, useQuantitativeDescriptionsProperty, soluteDescriber,
-    concentrationDescriber, precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber ) );
+  if ( options.descriptionNode ) {
+    this.addChild( options.descriptionNode );
+  }
 
 }
 
@@ -185,5 +200,20 @@ export default inherit( Node, BeakerNode, {
   // @public
   getCylinderEndHeight: function() {
     return this.beakerImageNode.getCylinderEndHeight();
+  },
+
+  /**
+   * Gets the distance that light travels through the solution when it crosses the beaker, which is the inside
+   * diameter of the beaker. The beaker's cylinder is drawn to scale, and holds maxVolume when full, which
+   * determines its size.
+   * @returns {number} cm
+   * @public
+   */
+  getPathLength: function() {
+    const cylinderSize = this.getCylinderSize();
+    const maxVolume = 1000 * this.maxVolume; // cm^3
+
+    // maxVolume = PI * ( diameter / 2 )^2 * height, where height = diameter * cylinderSize.height / cylinderSize.width
+    return Math.cbrt( 4 * maxVolume * cylinderSize.width / ( Math.PI * cylinderSize.height ) );
   }
 } );
\ No newline at end of file
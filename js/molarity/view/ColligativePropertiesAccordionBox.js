@@ -0,0 +1,138 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Readout of the colligative properties of the solution, in an accordion box that is collapsed by default. Freezing
+ * point depression and boiling point elevation are relative to the pure solvent, and osmotic pressure is at the
+ * solution's temperature. See Solution.getColligativeConcentration.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const boilingPointElevationString = molarityStrings.boilingPointElevation;
+const colligativePropertiesString = molarityStrings.colligativeProperties;
+const freezingPointDepressionString = molarityStrings.freezingPointDepression;
+const osmoticPressureString = molarityStrings.osmoticPressure;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const unitsAtmospheresString = molarityStrings.units.atmospheres;
+const unitsDegreesCelsiusString = molarityStrings.units.degreesCelsius;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const ROW_FONT = new PhetFont( 18 );
+const LABEL_MAX_WIDTH = 200; // constrain for i18n, determined empirically
+const VALUE_MAX_WIDTH = 90; // constrain for i18n, determined empirically
+const COLUMN_SPACING = 15;
+
+class ColligativePropertiesAccordionBox extends AccordionBox {
+
+  /**
+   * @param {Solution} solution
+   * @param {Property.<boolean>} expandedProperty
+   * @param {ColligativePropertiesDescriber} colligativePropertiesDescriber
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( solution, expandedProperty, colligativePropertiesDescriber, tandem, options ) {
+
+    options = merge( {
+      expandedProperty: expandedProperty,
+      titleNode: new Text( colligativePropertiesString, {
+        font: TITLE_FONT,
+        maxWidth: LABEL_MAX_WIDTH + VALUE_MAX_WIDTH,
+        tandem: tandem.createTandem( 'titleNode' )
+      } ),
+      titleAlignX: 'left',
+      showTitleWhenExpanded: true,
+      fill: 'white',
+      cornerRadius: 5,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      contentYSpacing: 4,
+      buttonXMargin: 8,
+      buttonYMargin: 8,
+      tandem: tandem
+    }, options );
+
+    const freezingPointDepressionValueNode = new Text( '', { font: ROW_FONT } );
+    const boilingPointElevationValueNode = new Text( '', { font: ROW_FONT } );
+    const osmoticPressureValueNode = new Text( '', { font: ROW_FONT } );
+    const contentNode = new VBox( {
+      align: 'left',
+      spacing: 6,
+      pickable: false,
+      children: [
+        createRow( freezingPointDepressionString, freezingPointDepressionValueNode ),
+        createRow( boilingPointElevationString, boilingPointElevationValueNode ),
+        createRow( osmoticPressureString, osmoticPressureValueNode )
+      ],
+
+      // a11y
+      tagName: 'p'
+    } );
+
+    super( contentNode, options );
+
+    const update = () => {
+      freezingPointDepressionValueNode.text = StringUtils.format( pattern0Value1UnitsString,
+        Utils.toFixed( solution.getFreezingPointDepression(), MolarityConstants.COLLIGATIVE_TEMPERATURE_DECIMAL_PLACES ),
+        unitsDegreesCelsiusString );
+      boilingPointElevationValueNode.text = StringUtils.format( pattern0Value1UnitsString,
+        Utils.toFixed( solution.getBoilingPointElevation(), MolarityConstants.COLLIGATIVE_TEMPERATURE_DECIMAL_PLACES ),
+        unitsDegreesCelsiusString );
+      osmoticPressureValueNode.text = StringUtils.format( pattern0Value1UnitsString,
+        Utils.toFixed( solution.getOsmoticPressure(), MolarityConstants.OSMOTIC_PRESSURE_DECIMAL_PLACES ),
+        unitsAtmospheresString );
+      contentNode.innerContent = colligativePropertiesDescriber.getDescription();
+    };
+    Property.multilink( [
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.solventProperty,
+      solution.concentrationProperty,
+      solution.temperatureProperty,
+      solution.isMixtureProperty,
+      solution.reactionProductsProperty,
+      colligativePropertiesDescriber.useQuantitativeDescriptionsProperty,
+      ...solution.components.map( component => component.concentrationProperty )
+    ], update );
+  }
+}
+
+/**
+ * Creates a row that labels a value, with the value right-aligned in a column to the right of the label.
+ * @param {string} label
+ * @param {Node} valueNode
+ * @returns {Node}
+ */
+const createRow = ( label, valueNode ) => {
+  const labelNode = new Text( StringUtils.format( pattern0LabelString, label ), {
+    font: ROW_FONT,
+    maxWidth: LABEL_MAX_WIDTH
+  } );
+  valueNode.maxWidth = VALUE_MAX_WIDTH;
+  const valueParent = new Node( { children: [ valueNode ] } );
+  const updateValueLayout = () => {
+    valueParent.right = LABEL_MAX_WIDTH + COLUMN_SPACING + VALUE_MAX_WIDTH;
+    valueParent.centerY = labelNode.centerY;
+  };
+  valueNode.on( 'bounds', updateValueLayout );
+  updateValueLayout();
+  return new Node( { children: [ labelNode, valueParent ] } );
+};
+
+molarity.register( 'ColligativePropertiesAccordionBox', ColligativePropertiesAccordionBox );
+export default ColligativePropertiesAccordionBox;
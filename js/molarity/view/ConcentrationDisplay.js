@@ -6,14 +6,23 @@
  * The bar is colored using a gradient that corresponds to the solute's color.
  * A pointer to the right of the bar indicates the concentration on the scale.
  * The pointer is color corresponds to its location on the bar.
+ * In mixture mode, the display instead shows one narrow bar for each solute in the mixture, filled to that solute's
+ * concentration with the color that the solute gives the solution.
+ * If the solution is not well mixed, the pointer indicates its average concentration, and smaller pointers to the left
+ * of the bar indicate the local concentrations near the top and bottom of the solution.
+ * Optionally, the subtitle is a combo box for choosing the units of the pointer's value and the range labels. The bar's
+ * scale is always linear in molarity, so only the values follow the selected units.
  * Origin is at the upper-left corner of the bar.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import MultiLineText from '../../../../scenery-phet/js/MultiLineText.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
@@ -25,15 +34,22 @@ import Color from '../../../../scenery/js/util/Color.js';
 import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
 import molarityStrings from '../../molarity-strings.js';
 import molarity from '../../molarity.js';
+import ConcentrationUnits from '../model/ConcentrationUnits.js';
+import Solution from '../model/Solution.js';
 import MolarityConstants from '../MolarityConstants.js';
+import ConcentrationFormatter from './ConcentrationFormatter.js';
+import ConcentrationUnitsComboBox from './ConcentrationUnitsComboBox.js';
 import DualLabelNode from './DualLabelNode.js';
 
+const averageString = molarityStrings.average;
+const bottomString = molarityStrings.bottom;
 const highString = molarityStrings.high;
 const molarityLabelString = molarityStrings.molarity.label;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
 const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
 const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
 const solutionConcentrationString = molarityStrings.solutionConcentration;
-const unitsMolarityString = molarityStrings.units.molarity;
+const topString = molarityStrings.top;
 const zeroString = molarityStrings.zero;
 
 // constants
@@ -45,6 +61,10 @@ const ARROW_LENGTH = 55;
 const ARROW_HEAD_HEIGHT = 0.6 * ARROW_LENGTH;
 const ARROW_HEAD_WIDTH = 0.7 * ARROW_LENGTH;
 const ARROW_TAIL_WIDTH = 0.4 * ARROW_LENGTH;
+const COMPONENT_BAR_WIDTH_SCALE = 0.4; // width of a component's bar, relative to the width of the bar
+const COMPONENT_BAR_SPACING = 4;
+const LOCAL_FONT = new PhetFont( 16 );
+const LOCAL_ARROW_LENGTH = 0.4 * ARROW_LENGTH;
 
 /**
  * @param {Solution} solution
@@ -52,30 +72,52 @@ const ARROW_TAIL_WIDTH = 0.4 * ARROW_LENGTH;
  * @param {Property.<boolean>} valuesVisibleProperty
  * @param {Dimension2} barSize
  * @param {Tandem} tandem
+ * @param {Object} [options]
  * @constructor
  */
-function ConcentrationDisplay( solution, concentrationRange, valuesVisibleProperty, barSize, tandem ) {
+function ConcentrationDisplay( solution, concentrationRange, valuesVisibleProperty, barSize, tandem, options ) {
 
+  options = merge( {
+
+    // {string} title above the bar, e.g. to tell displays apart when there is more than one
+    title: solutionConcentrationString,
+
+    // {EnumerationProperty.<ConcentrationUnits>|null} if provided, the subtitle is a combo box for choosing units
+    concentrationUnitsProperty: null,
+
+    // {Node|null} parent for the combo box's popup list, required with concentrationUnitsProperty
+    listParent: null,
+
+    // {ConcentrationGradient|null} if provided, local concentrations are shown when the solution is not well mixed
+    concentrationGradient: null
+  }, options );
+  assert && assert( !options.concentrationUnitsProperty || options.listParent,
+    'listParent is required with concentrationUnitsProperty' );
+
+  // Only the combo box is interactive.
   Node.call( this, {
-    pickable: false,
+    pickable: options.concentrationUnitsProperty ? null : false,
     tandem: tandem
   } );
 
   // nodes
   const maxTextWidth = 175; // constrain width for i18n, determined empirically
 
-  const titleNode = new MultiLineText( solutionConcentrationString, {
+  const titleNode = new MultiLineText( options.title, {
     align: 'center',
     font: TITLE_FONT,
     maxWidth: maxTextWidth,
     tandem: tandem.createTandem( 'titleNode' )
   } );
 
-  const subtitleNode = new Text( StringUtils.format( patternParentheses0TextString, molarityLabelString ), {
-    font: SUBTITLE_FONT,
-    maxWidth: maxTextWidth,
-    tandem: tandem.createTandem( 'subtitleNode' )
-  } );
+  const subtitleNode = options.concentrationUnitsProperty ?
+                       new ConcentrationUnitsComboBox( options.concentrationUnitsProperty, options.listParent,
+                         tandem.createTandem( 'unitsComboBox' ), { maxWidth: maxTextWidth } ) :
+                       new Text( StringUtils.format( patternParentheses0TextString, molarityLabelString ), {
+                         font: SUBTITLE_FONT,
+                         maxWidth: maxTextWidth,
+                         tandem: tandem.createTandem( 'subtitleNode' )
+                       } );
 
   const maxNode = new DualLabelNode( Utils.toFixed( concentrationRange.max, MolarityConstants.RANGE_DECIMAL_PLACES ),
     highString, valuesVisibleProperty, RANGE_FONT, tandem.createTandem( 'maxNode' ),
@@ -98,7 +140,33 @@ function ConcentrationDisplay( solution, concentrationRange, valuesVisibleProper
   } );
 
   const pointerNode = new PointerNode( solution, concentrationRange, barSize, valuesVisibleProperty,
-    tandem.createTandem( 'pointerNode' ) );
+    options.concentrationUnitsProperty, tandem.createTandem( 'pointerNode' ) );
+
+  // Gets the y coordinate on the bar that corresponds to a concentration.
+  const concentrationToY = function( concentration ) {
+    const concentrationScale = Math.min( 1, concentration / concentrationRange.max );
+    return barSize.height - ( barSize.height * concentrationScale );
+  };
+
+  // local concentrations, near the top and bottom of a solution that is not well mixed
+  const concentrationGradient = options.concentrationGradient;
+  const localPointersNode = new Node( {
+    children: concentrationGradient ? [
+      new LocalPointerNode( solution, concentrationGradient, 0, topString, concentrationToY, valuesVisibleProperty,
+        options.concentrationUnitsProperty, tandem.createTandem( 'topPointerNode' ) ),
+      new LocalPointerNode( solution, concentrationGradient, 1, bottomString, concentrationToY, valuesVisibleProperty,
+        options.concentrationUnitsProperty, tandem.createTandem( 'bottomPointerNode' ) )
+    ] : []
+  } );
+
+  // one bar for each component of a mixture
+  const componentBarsTandem = tandem.createTandem( 'componentBarNodes' );
+  const componentBarSize = new Dimension2( COMPONENT_BAR_WIDTH_SCALE * barSize.width, barSize.height );
+  const componentBarNodes = solution.components.map( function( component ) {
+    return new ComponentBarNode( component, componentBarSize, concentrationToY,
+      componentBarsTandem.createTandem( component.solute.tandem.name ) );
+  } );
+  const componentBarsNode = new Node( { children: componentBarNodes } );
 
   // rendering order
   this.addChild( titleNode );
@@ -108,6 +176,8 @@ function ConcentrationDisplay( solution, concentrationRange, valuesVisibleProper
   this.addChild( barNode );
   this.addChild( saturatedBarNode );
   this.addChild( pointerNode );
+  this.addChild( componentBarsNode );
+  this.addChild( localPointersNode );
 
   // layout
   barNode.x = 0;
@@ -123,23 +193,78 @@ function ConcentrationDisplay( solution, concentrationRange, valuesVisibleProper
   titleNode.centerX = barNode.centerX;
   titleNode.bottom = subtitleNode.top - 5;
 
-  // when the solute changes...
-  solution.soluteProperty.link( function( solute ) {
+  // when the solute changes, or is redefined...
+  Property.multilink( [ solution.soluteProperty, solution.soluteDefinitionProperty ], function( solute ) {
 
-    // Color the bar using a gradient that corresponds to the solute's color range.
-    const concentrationScale = Math.min( 1, solute.saturatedConcentration / concentrationRange.max );
-    const y = barSize.height - ( barSize.height * concentrationScale );
-    if ( y < 0 ) {
-      console.log( 'solute.saturatedConcentration=' + solute.saturatedConcentration + ' concentrationRange.max=' + concentrationRange.max );
-    }
+    // Color the bar using a gradient that corresponds to the solute's color range, see Solution.getColor.
+    const y = concentrationToY( solute.saturatedConcentration );
     barNode.fill = new LinearGradient( 0, y, 0, barSize.height )
       .addColorStop( 0, solute.maxColor )
       .addColorStop( 1, solute.minColor );
+  } );
+
+  // when the saturated concentration changes (as the result of changing solute or temperature)...
+  solution.saturatedConcentrationProperty.link( function( saturatedConcentration ) {
 
     // Cover the saturated portion of the range with a gray rectangle.
-    saturatedBarNode.visible = ( solute.saturatedConcentration < concentrationRange.max );
-    saturatedBarNode.setRect( 0, 0, barSize.width, y );
+    saturatedBarNode.visible = ( saturatedConcentration < concentrationRange.max );
+    saturatedBarNode.setRect( 0, 0, barSize.width, concentrationToY( saturatedConcentration ) );
+  } );
+
+  // While the solution is not well mixed, the pointer's value is labeled as the average, and local concentrations are
+  // shown. Mixtures are always well mixed.
+  if ( concentrationGradient ) {
+    Property.multilink( [ concentrationGradient.isMixedProperty, solution.isMixtureProperty ],
+      function( isMixed, isMixture ) {
+        const isUnmixed = !isMixed && !isMixture;
+        pointerNode.setAverageVisible( isUnmixed );
+        localPointersNode.visible = isUnmixed;
+      } );
+  }
+
+  // In mixture mode, show a bar for each solute that is in the mixture, arranged left to right and centered on
+  // where the single bar would be.
+  const updateComponentBars = function() {
+    const isMixture = solution.isMixtureProperty.value;
+    barNode.visible = pointerNode.visible = !isMixture;
+    saturatedBarNode.visible = !isMixture && ( solution.saturatedConcentrationProperty.value < concentrationRange.max );
+    componentBarsNode.visible = isMixture;
+
+    let x = 0;
+    componentBarNodes.forEach( function( componentBarNode ) {
+      componentBarNode.visible = componentBarNode.component.hasSolute();
+      if ( componentBarNode.visible ) {
+        componentBarNode.x = x;
+        x += componentBarSize.width + COMPONENT_BAR_SPACING;
+      }
+    } );
+    if ( x > 0 ) {
+      componentBarsNode.centerX = barNode.centerX;
+    }
+  };
+  solution.isMixtureProperty.link( updateComponentBars );
+  solution.saturatedConcentrationProperty.link( updateComponentBars );
+  solution.components.forEach( function( component ) {
+    component.amountProperty.link( updateComponentBars );
   } );
+
+  // Range labels in the selected units, for the selected solute and solvent. Range values have fewer decimal places than the
+  // pointer's value.
+  if ( options.concentrationUnitsProperty ) {
+    const concentrationUnitsProperty = options.concentrationUnitsProperty;
+    Property.multilink( [ concentrationUnitsProperty, solution.soluteProperty, solution.soluteDefinitionProperty,
+        solution.solventProperty ],
+      function( units, solute, soluteDefinition, solvent ) {
+        const decimalPlaces = Math.min( MolarityConstants.RANGE_DECIMAL_PLACES, ConcentrationFormatter.getDecimalPlaces( units ) );
+        const convert = function( concentration ) {
+          return Solution.convertSingleSoluteConcentration( concentration, solute, solvent.density, units );
+        };
+        maxNode.setQuantitativeValue( Utils.toFixed( convert( concentrationRange.max ), decimalPlaces ) );
+        minNode.setQuantitativeValue( Utils.toFixed( convert( concentrationRange.min ),
+          concentrationRange.min === 0 ? 0 : decimalPlaces ) );
+        maxNode.centerX = minNode.centerX = barNode.centerX;
+      } );
+  }
 }
 
 molarity.register( 'ConcentrationDisplay', ConcentrationDisplay );
@@ -149,9 +274,10 @@ molarity.register( 'ConcentrationDisplay', ConcentrationDisplay );
  * @param {Range} concentrationRange
  * @param {Dimension2} barSize
  * @param {Property.<boolean>} valuesVisibleProperty
+ * @param {EnumerationProperty.<ConcentrationUnits>|null} concentrationUnitsProperty - molarity if null
  * @param {Tandem} tandem
  */
-function PointerNode( solution, concentrationRange, barSize, valuesVisibleProperty, tandem ) {
+function PointerNode( solution, concentrationRange, barSize, valuesVisibleProperty, concentrationUnitsProperty, tandem ) {
 
   Node.call( this, { tandem: tandem } );
 
@@ -161,6 +287,14 @@ function PointerNode( solution, concentrationRange, barSize, valuesVisibleProper
     tandem: tandem.createTandem( 'valueNode' )
   } );
 
+  // @private labels the value as an average, see setAverageVisible
+  this.averageNode = new Text( averageString, {
+    font: LOCAL_FONT,
+    maxWidth: 75,
+    visible: false,
+    tandem: tandem.createTandem( 'averageNode' )
+  } );
+
   const x = barSize.width;
   const y = 0;
   const arrowShape = new Shape()
@@ -181,6 +315,7 @@ function PointerNode( solution, concentrationRange, barSize, valuesVisibleProper
 
   // rendering order
   this.addChild( valueNode );
+  this.addChild( this.averageNode );
   this.addChild( this.arrowNode );
 
   // show/hide value
@@ -197,9 +332,12 @@ function PointerNode( solution, concentrationRange, barSize, valuesVisibleProper
     self.arrowNode.fill = solution.getColor();
 
     // update the value
-    valueNode.text = StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( concentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES ), unitsMolarityString );
+    const units = concentrationUnitsProperty ? concentrationUnitsProperty.value : ConcentrationUnits.MOLARITY;
+    valueNode.text = ConcentrationFormatter.format( solution.getConcentrationInUnits( units ), units );
     valueNode.left = self.arrowNode.right + 5;
     valueNode.centerY = self.arrowNode.centerY;
+    self.averageNode.left = valueNode.left;
+    self.averageNode.top = valueNode.bottom;
   };
   solution.concentrationProperty.link( function( concentration ) {
     update( concentration );
@@ -207,9 +345,143 @@ function PointerNode( solution, concentrationRange, barSize, valuesVisibleProper
   solution.soluteProperty.link( function() {
     update( solution.concentrationProperty.value );
   } );
+  solution.soluteDefinitionProperty.lazyLink( function() {
+    update( solution.concentrationProperty.value );
+  } );
+  solution.solventProperty.lazyLink( function() {
+    update( solution.concentrationProperty.value );
+  } );
+  concentrationUnitsProperty && concentrationUnitsProperty.lazyLink( function() {
+    update( solution.concentrationProperty.value );
+  } );
+}
+
+inherit( Node, PointerNode, {
+
+  /**
+   * Sets whether the value is labeled as the average concentration, for a solution that is not well mixed.
+   * @param {boolean} visible
+   * @public
+   */
+  setAverageVisible: function( visible ) {
+    this.averageNode.visible = visible;
+  }
+} );
+
+/**
+ * Small pointer to the left of the bar, which indicates the local concentration at some depth in a solution that is
+ * not well mixed.
+ *
+ * @param {Solution} solution
+ * @param {ConcentrationGradient} concentrationGradient
+ * @param {number} depth - 0 (the top of the solution) to 1 (the bottom)
+ * @param {string} labelString
+ * @param {function(number):number} concentrationToY
+ * @param {Property.<boolean>} valuesVisibleProperty
+ * @param {EnumerationProperty.<ConcentrationUnits>|null} concentrationUnitsProperty - molarity if null
+ * @param {Tandem} tandem
+ */
+function LocalPointerNode( solution, concentrationGradient, depth, labelString, concentrationToY, valuesVisibleProperty,
+                           concentrationUnitsProperty, tandem ) {
+
+  Node.call( this, { tandem: tandem } );
+
+  const textNode = new Text( labelString, {
+    font: LOCAL_FONT,
+    maxWidth: 120,
+    tandem: tandem.createTandem( 'textNode' )
+  } );
+
+  // points right, at the left edge of the bar
+  const arrowNode = new Path( new Shape()
+    .moveTo( 0, 0 )
+    .lineTo( -LOCAL_ARROW_LENGTH, -LOCAL_ARROW_LENGTH / 2 )
+    .lineTo( -LOCAL_ARROW_LENGTH, LOCAL_ARROW_LENGTH / 2 )
+    .close(), {
+    stroke: 'black'
+  } );
+
+  // rendering order
+  this.addChild( textNode );
+  this.addChild( arrowNode );
+
+  const update = function() {
+    const concentration = concentrationGradient.getLocalConcentration( depth );
+    arrowNode.y = concentrationToY( concentration );
+    arrowNode.fill = Solution.computeColor( solution.soluteProperty.value, concentration );
+
+    // the label, with the value if values are visible
+    if ( valuesVisibleProperty.value ) {
+      const units = concentrationUnitsProperty ? concentrationUnitsProperty.value : ConcentrationUnits.MOLARITY;
+      const value = Solution.convertSingleSoluteConcentration( concentration, solution.soluteProperty.value,
+        solution.solventProperty.value.density, units );
+      textNode.text = StringUtils.format( pattern0Value1UnitsString,
+        StringUtils.format( pattern0LabelString, labelString ), ConcentrationFormatter.format( value, units ) );
+    }
+    else {
+      textNode.text = labelString;
+    }
+    textNode.right = arrowNode.left - 5;
+    textNode.centerY = arrowNode.centerY;
+  };
+  const dependencies = [ concentrationGradient.layersProperty, solution.concentrationProperty, solution.soluteProperty,
+    solution.soluteDefinitionProperty, solution.solventProperty, valuesVisibleProperty ];
+  concentrationUnitsProperty && dependencies.push( concentrationUnitsProperty );
+  Property.multilink( dependencies, update );
+}
+
+inherit( Node, LocalPointerNode );
+
+/**
+ * Bar for one component of a mixture, filled from the bottom to the component's concentration.
+ * The portion of the range above the component's saturated concentration is covered in gray.
+ *
+ * @param {SoluteComponent} component
+ * @param {Dimension2} barSize
+ * @param {function(number):number} concentrationToY
+ * @param {Tandem} tandem
+ */
+function ComponentBarNode( component, barSize, concentrationToY, tandem ) {
+
+  Node.call( this, { tandem: tandem } );
+
+  // @public (read-only)
+  this.component = component;
+
+  const outlineNode = new Rectangle( 0, 0, barSize.width, barSize.height, {
+    stroke: 'black',
+    fill: 'white'
+  } );
+
+  const levelNode = new Rectangle( 0, 0, barSize.width, 1, {
+    stroke: 'black',
+    lineWidth: 0.5
+  } );
+
+  const saturatedNode = new Rectangle( 0, 0, barSize.width, 1, {
+    stroke: 'black',
+    fill: Color.LIGHT_GRAY
+  } );
+
+  // rendering order
+  this.addChild( outlineNode );
+  this.addChild( saturatedNode );
+  this.addChild( levelNode );
+
+  component.concentrationProperty.link( function( concentration ) {
+    const y = concentrationToY( concentration );
+    levelNode.setRect( 0, y, barSize.width, barSize.height - y );
+    levelNode.fill = component.getColor();
+  } );
+
+  component.saturatedConcentrationProperty.link( function( saturatedConcentration ) {
+    const y = concentrationToY( saturatedConcentration );
+    saturatedNode.visible = ( y > 0 );
+    saturatedNode.setRect( 0, 0, barSize.width, y );
+  } );
 }
 
-inherit( Node, PointerNode );
+inherit( Node, ComponentBarNode );
 
 inherit( Node, ConcentrationDisplay );
 export default ConcentrationDisplay;
\ No newline at end of file
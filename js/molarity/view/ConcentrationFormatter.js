@@ -0,0 +1,129 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Names, symbols, decimal places and descriptions for each of the units that concentration can be displayed in.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import ConcentrationUnits from '../model/ConcentrationUnits.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const massPercentLabelString = molarityStrings.massPercent.label;
+const massVolumePercentLabelString = molarityStrings.massVolumePercent.label;
+const molalityLabelString = molarityStrings.molality.label;
+const molarityLabelString = molarityStrings.molarity.label;
+const partsPerMillionLabelString = molarityStrings.partsPerMillion.label;
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const unitsMassPercentString = molarityStrings.units.massPercent;
+const unitsMassVolumePercentString = molarityStrings.units.massVolumePercent;
+const unitsMolalityString = molarityStrings.units.molality;
+const unitsMolarityString = molarityStrings.units.molarity;
+const unitsPartsPerMillionString = molarityStrings.units.partsPerMillion;
+
+// a11y strings
+const quantitativeConcentrationAndUnitString = molarityStrings.a11y.quantitative.concentrationAndUnit;
+const quantitativeMassPercentAndUnitString = molarityStrings.a11y.quantitative.massPercentAndUnit;
+const quantitativeMassVolumePercentAndUnitString = molarityStrings.a11y.quantitative.massVolumePercentAndUnit;
+const quantitativeMolalityAndUnitString = molarityStrings.a11y.quantitative.molalityAndUnit;
+const quantitativePartsPerMillionAndUnitString = molarityStrings.a11y.quantitative.partsPerMillionAndUnit;
+
+// constants, keyed by ConcentrationUnits
+const NAMES = {
+  MOLARITY: molarityLabelString,
+  MOLALITY: molalityLabelString,
+  MASS_PERCENT: massPercentLabelString,
+  MASS_VOLUME_PERCENT: massVolumePercentLabelString,
+  PARTS_PER_MILLION: partsPerMillionLabelString
+};
+const UNITS = {
+  MOLARITY: unitsMolarityString,
+  MOLALITY: unitsMolalityString,
+  MASS_PERCENT: unitsMassPercentString,
+  MASS_VOLUME_PERCENT: unitsMassVolumePercentString,
+  PARTS_PER_MILLION: unitsPartsPerMillionString
+};
+const DECIMAL_PLACES = {
+  MOLARITY: MolarityConstants.CONCENTRATION_DECIMAL_PLACES,
+  MOLALITY: MolarityConstants.MOLALITY_DECIMAL_PLACES,
+  MASS_PERCENT: MolarityConstants.PERCENT_DECIMAL_PLACES,
+  MASS_VOLUME_PERCENT: MolarityConstants.PERCENT_DECIMAL_PLACES,
+  PARTS_PER_MILLION: MolarityConstants.PARTS_PER_MILLION_DECIMAL_PLACES
+};
+const DESCRIPTION_PATTERNS = {
+  MOLARITY: quantitativeConcentrationAndUnitString,
+  MOLALITY: quantitativeMolalityAndUnitString,
+  MASS_PERCENT: quantitativeMassPercentAndUnitString,
+  MASS_VOLUME_PERCENT: quantitativeMassVolumePercentAndUnitString,
+  PARTS_PER_MILLION: quantitativePartsPerMillionAndUnitString
+};
+
+const ConcentrationFormatter = {
+
+  /**
+   * Gets the name of some units, e.g. "Molality".
+   * @param {ConcentrationUnits} units
+   * @returns {string}
+   * @public
+   */
+  getName( units ) {
+    assert && assert( ConcentrationUnits.includes( units ), 'invalid units: ' + units );
+    return NAMES[ units.name ];
+  },
+
+  /**
+   * Gets the symbol for some units, e.g. "m".
+   * @param {ConcentrationUnits} units
+   * @returns {string}
+   * @public
+   */
+  getUnits( units ) {
+    assert && assert( ConcentrationUnits.includes( units ), 'invalid units: ' + units );
+    return UNITS[ units.name ];
+  },
+
+  /**
+   * Gets the number of decimal places that a concentration is displayed with in some units.
+   * @param {ConcentrationUnits} units
+   * @returns {number}
+   * @public
+   */
+  getDecimalPlaces( units ) {
+    assert && assert( ConcentrationUnits.includes( units ), 'invalid units: ' + units );
+    return DECIMAL_PLACES[ units.name ];
+  },
+
+  /**
+   * Formats a concentration for display.
+   * @param {number} concentration - in units
+   * @param {ConcentrationUnits} units
+   * @returns {string} - e.g. "0.532 m"
+   * @public
+   */
+  format( concentration, units ) {
+    return StringUtils.format( pattern0Value1UnitsString,
+      Utils.toFixed( concentration, ConcentrationFormatter.getDecimalPlaces( units ) ),
+      ConcentrationFormatter.getUnits( units ) );
+  },
+
+  /**
+   * Formats a concentration for the PDOM and alerts.
+   * @param {number} concentration - in units
+   * @param {ConcentrationUnits} units
+   * @returns {string} - e.g. "0.532 molal"
+   * @public
+   */
+  getDescription( concentration, units ) {
+    assert && assert( ConcentrationUnits.includes( units ), 'invalid units: ' + units );
+    return StringUtils.fillIn( DESCRIPTION_PATTERNS[ units.name ], {
+      concentration: Utils.toFixed( concentration, ConcentrationFormatter.getDecimalPlaces( units ) )
+    } );
+  }
+};
+
+molarity.register( 'ConcentrationFormatter', ConcentrationFormatter );
+export default ConcentrationFormatter;
@@ -0,0 +1,75 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Combo box for choosing the units that concentration is displayed in.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import ConcentrationUnits from '../model/ConcentrationUnits.js';
+import ConcentrationFormatter from './ConcentrationFormatter.js';
+
+const concentrationUnitsString = molarityStrings.concentrationUnits;
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+
+// a11y strings
+const concentrationUnitsComboBoxHelpTextString = molarityStrings.a11y.concentrationUnitsComboBoxHelpText;
+
+// constants
+const ITEM_FONT = new PhetFont( 20 );
+const ITEM_MAX_WIDTH = 150; // constrain for i18n, determined empirically
+
+class ConcentrationUnitsComboBox extends ComboBox {
+
+  /**
+   * @param {EnumerationProperty.<ConcentrationUnits>} concentrationUnitsProperty
+   * @param {Node} listParent parent node for the popup list
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( concentrationUnitsProperty, listParent, tandem, options ) {
+
+    options = merge( {
+      cornerRadius: 5,
+      xMargin: 8,
+      yMargin: 4,
+      highlightFill: 'rgb( 218, 255, 255 )',
+
+      // a11y
+      accessibleName: concentrationUnitsString,
+      helpText: concentrationUnitsComboBoxHelpTextString
+    }, options );
+
+    assert && assert( !options.tandem, 'tandem is a required constructor parameter' );
+    options.tandem = tandem;
+
+    super( ConcentrationUnits.VALUES.map( createItem ), concentrationUnitsProperty, listParent, options );
+  }
+}
+
+/**
+ * Creates an item for the combo box, e.g. "(Molality)".
+ * @param {ConcentrationUnits} units
+ * @returns {ComboBoxItem}
+ */
+const createItem = units => {
+  const name = ConcentrationFormatter.getName( units );
+  return new ComboBoxItem( new Text( StringUtils.format( patternParentheses0TextString, name ), {
+    font: ITEM_FONT,
+    maxWidth: ITEM_MAX_WIDTH
+  } ), units, {
+    tandemName: _.camelCase( units.name ) + 'Item',
+    a11yLabel: name
+  } );
+};
+
+molarity.register( 'ConcentrationUnitsComboBox', ConcentrationUnitsComboBox );
+export default ConcentrationUnitsComboBox;
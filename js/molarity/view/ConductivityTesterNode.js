@@ -0,0 +1,237 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A conductivity tester that can be dragged around the screen. When the tips of both of its probes are in the solution,
+ * the solution completes the circuit, and the bulb glows as brightly as the solution conducts electricity. Ions carry
+ * the current, so brightness follows the total concentration of ions, see Solution.getTotalIonConcentration. The
+ * tester's origin is midway between the tips of its probes, so its position is where it measures.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import LightBulbNode from '../../../../scenery-phet/js/LightBulbNode.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const conductivityTesterString = molarityStrings.conductivityTester;
+
+// a11y strings
+const conductivityTesterHelpTextString = molarityStrings.a11y.conductivityTesterHelpText;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const TITLE_MAX_WIDTH = 150;
+const BODY_X_MARGIN = 10;
+const BODY_Y_MARGIN = 8;
+const PROBE_SEPARATION = 40; // between the tips of the probes
+const PROBE_LENGTH = 70;
+const PROBE_WIDTH = 6;
+const TIP_LENGTH = 12;
+const POSITIVE_PROBE_COLOR = 'rgb( 200, 0, 0 )';
+const NEGATIVE_PROBE_COLOR = 'rgb( 40, 40, 40 )';
+
+// Total ion concentration at which the bulb is half as bright as it can be. This is low enough that the small
+// fraction of a weak acid or base that dissociates makes the bulb glow dimly.
+const HALF_BRIGHTNESS_ION_CONCENTRATION = 0.05; // M
+
+class ConductivityTesterNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {Node} solutionNode - a probe is in the solution when its tip is in this Node's bounds, which are in the
+   *                              same coordinate frame as this Node's position
+   * @param {ConductivityDescriber} conductivityDescriber
+   * @param {MolarityAlertManager} molarityAlertManager
+   * @param {Tandem} tandem
+   */
+  constructor( solution, solutionNode, conductivityDescriber, molarityAlertManager, tandem ) {
+
+    super( {
+      cursor: 'pointer',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true,
+      labelTagName: 'h3',
+      labelContent: conductivityTesterString,
+      descriptionContent: conductivityTesterHelpTextString
+    } );
+
+    // @public position midway between the tips of the probes, in the parent's coordinate frame. Set by the screen, see
+    // setHomePosition.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: tandem.createTandem( 'positionProperty' )
+    } );
+
+    // @public (read-only) whether the tips of both probes are in the solution
+    this.isInSolutionProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isInSolutionProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) brightness of the bulb, 0 (off) to 1 (as bright as it can be)
+    this.brightnessProperty = new NumberProperty( 0, {
+      range: new Range( 0, 1 ),
+      tandem: tandem.createTandem( 'brightnessProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private bounds that the probes' midpoint can be dragged within, see setVisibleBounds
+    this.dragBoundsProperty = new Property( Bounds2.EVERYTHING );
+
+    // @private
+    this.homePosition = Vector2.ZERO;
+
+    // title and bulb, in the body of the tester
+    const titleNode = new Text( conductivityTesterString, {
+      font: TITLE_FONT,
+      maxWidth: TITLE_MAX_WIDTH
+    } );
+    const lightBulbNode = new LightBulbNode( this.brightnessProperty, {
+      bulbImageScale: 0.5
+    } );
+
+    // layout of the body's contents, centered on x=0. The bulb is off when the body is laid out, so its light rays
+    // extend outside of the body when it glows.
+    titleNode.centerX = 0;
+    lightBulbNode.centerX = 0;
+    lightBulbNode.top = titleNode.bottom + 4;
+    const contentBounds = titleNode.bounds.union( lightBulbNode.bounds );
+
+    const bodyNode = new Rectangle( contentBounds.dilatedXY( BODY_X_MARGIN, BODY_Y_MARGIN ), {
+      cornerRadius: 8,
+      fill: 'rgb( 230, 230, 230 )',
+      stroke: 'black'
+    } );
+
+    // the probes hang below the body, and their tips are on the x axis
+    const positiveProbeNode = createProbeNode( POSITIVE_PROBE_COLOR );
+    positiveProbeNode.x = PROBE_SEPARATION / 2;
+    const negativeProbeNode = createProbeNode( NEGATIVE_PROBE_COLOR );
+    negativeProbeNode.x = -PROBE_SEPARATION / 2;
+
+    const testerNode = new Node( {
+      children: [ bodyNode, titleNode, lightBulbNode ]
+    } );
+    testerNode.bottom = -PROBE_LENGTH;
+
+    // a11y - the description of the bulb
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ positiveProbeNode, negativeProbeNode, testerNode, descriptionNode ];
+
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    // The solution's bounds change with its volume. SolutionNode links to the volume first, so its bounds are up to
+    // date when this listener is called.
+    Property.multilink( [ this.positionProperty, solution.volumeProperty ], position => {
+      this.isInSolutionProperty.value = solutionNode.bounds.containsPoint( position.plusXY( PROBE_SEPARATION / 2, 0 ) ) &&
+                                        solutionNode.bounds.containsPoint( position.plusXY( -PROBE_SEPARATION / 2, 0 ) );
+    } );
+
+    // update the bulb
+    Property.multilink( [
+      this.isInSolutionProperty,
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.solventProperty,
+      solution.concentrationProperty,
+      solution.isMixtureProperty,
+      conductivityDescriber.useQuantitativeDescriptionsProperty,
+      ...solution.components.map( component => component.concentrationProperty )
+    ], isInSolution => {
+
+      // Concentration is rounded, so that leftover ions from a reaction that uses up nearly all of them do not light
+      // the bulb.
+      const ionConcentration = isInSolution ? Utils.toFixedNumber( solution.getTotalIonConcentration(),
+        MolarityConstants.CONCENTRATION_DECIMAL_PLACES ) : 0;
+      this.brightnessProperty.value = ionConcentration / ( ionConcentration + HALF_BRIGHTNESS_ION_CONCENTRATION );
+      descriptionNode.innerContent = conductivityDescriber.getDescription( isInSolution );
+    } );
+
+    // An alert is read out when the probes are moved into or out of the solution.
+    this.isInSolutionProperty.lazyLink( isInSolution => {
+      molarityAlertManager.alertConductivityTesterChanged( conductivityDescriber.getDescription( isInSolution ) );
+    } );
+
+    // dragging with the pointer, or with the keyboard
+    this.addInputListener( new DragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      useParentOffset: true,
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+    this.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty
+    } ) );
+  }
+
+  /**
+   * Sets the position that the probes' midpoint is moved to when the tester is reset, and moves it there.
+   * @param {Vector2} position - in the parent's coordinate frame
+   * @public
+   */
+  setHomePosition( position ) {
+    this.homePosition = position;
+    this.positionProperty.value = position;
+  }
+
+  /**
+   * Sets the bounds that the whole tester must stay within while it is dragged.
+   * @param {Bounds2} bounds - in the parent's coordinate frame
+   * @public
+   */
+  setVisibleBounds( bounds ) {
+    const localBounds = this.localBounds;
+    this.dragBoundsProperty.value = new Bounds2( bounds.minX - localBounds.minX, bounds.minY - localBounds.minY,
+      bounds.maxX - localBounds.maxX, bounds.maxY - localBounds.maxY );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.value = this.homePosition;
+  }
+}
+
+/**
+ * Creates a probe, with its tip at the origin.
+ * @param {ColorDef} color
+ * @returns {Node}
+ */
+const createProbeNode = color => new Path( new Shape()
+  .rect( -PROBE_WIDTH / 2, -PROBE_LENGTH, PROBE_WIDTH, PROBE_LENGTH - TIP_LENGTH )
+  .moveTo( -PROBE_WIDTH / 2, -TIP_LENGTH )
+  .lineTo( PROBE_WIDTH / 2, -TIP_LENGTH )
+  .lineTo( 0, 0 )
+  .close(), {
+  fill: color,
+  stroke: 'black',
+  lineWidth: 0.5
+} );
+
+molarity.register( 'ConductivityTesterNode', ConductivityTesterNode );
+export default ConductivityTesterNode;
@@ -0,0 +1,79 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * sound generator used to indicate the brightness of the conductivity tester's bulb, triggered by changes in brightness
+ * and by moving the probes into the solution
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import BinMapper from '../../../../tambo/js/BinMapper.js';
+import SoundClip from '../../../../tambo/js/sound-generators/SoundClip.js';
+import SoundGenerator from '../../../../tambo/js/sound-generators/SoundGenerator.js';
+import marimbaSound from '../../../../tambo/sounds/bright-marimba_mp3.js';
+import noSoluteSound from '../../../sounds/soft-no-solute-v2_mp3.js';
+import molarity from '../../molarity.js';
+
+// constants
+const NUM_BRIGHTNESS_BINS = 10; // empirically determined to produce sounds as frequently as needed but not TOO frequently
+const MIN_BRIGHTNESS_PLAYBACK_RATE = 0.75; // for the dimmest glow, rising by an octave to the brightest
+const OFF_PLAYBACK_RATE = 2; // about 2 octaves above the nominal pitch, empirically determined
+
+class ConductivityTesterSoundGenerator extends SoundGenerator {
+
+  /**
+   * @param {Property.<number>} brightnessProperty - brightness of the bulb, 0 to 1
+   * @param {Property.<boolean>} isInSolutionProperty - whether the probes are in the solution
+   * @param {Property.<boolean>} resetInProgressProperty - indicates when a reset is happening, used to mute sounds
+   * @param {Object} [options]
+   */
+  constructor( brightnessProperty, isInSolutionProperty, resetInProgressProperty, options ) {
+    super( options );
+
+    // sound clip that is played when the bulb is glowing (pitch is varied as a function of brightness)
+    const glowingSoundClip = new SoundClip( marimbaSound, { rateChangesAffectPlayingSounds: false } );
+    glowingSoundClip.connect( this.masterGainNode );
+
+    // sound clip that is played when the bulb goes off
+    const transitionToOffSoundClip = new SoundClip( marimbaSound, {
+      initialOutputLevel: 1.5, // higher than nominal, seems to work to make it more pronounced
+      initialPlaybackRate: OFF_PLAYBACK_RATE
+    } );
+    transitionToOffSoundClip.connect( this.masterGainNode );
+
+    // sound clip that is played when the probes are moved into a solution that does not conduct
+    const nonConductingSoundClip = new SoundClip( noSoluteSound, { initialOutputLevel: 0.6 } );
+    nonConductingSoundClip.connect( this.masterGainNode );
+
+    // trigger playing of the glowing sound as the brightness changes
+    const brightnessBinMapper = new BinMapper( new Range( 0, 1 ), NUM_BRIGHTNESS_BINS );
+    brightnessProperty.lazyLink( ( brightness, previousBrightness ) => {
+      if ( !resetInProgressProperty.value ) {
+        if ( brightness > 0 ) {
+          if ( previousBrightness === 0 ||
+               brightnessBinMapper.mapToBin( brightness ) !== brightnessBinMapper.mapToBin( previousBrightness ) ) {
+            glowingSoundClip.setPlaybackRate( MIN_BRIGHTNESS_PLAYBACK_RATE * ( 1 + brightness ) );
+            glowingSoundClip.play();
+          }
+        }
+        else {
+
+          // the bulb has gone off, so play the sound at a pitch meant to convey emptiness
+          transitionToOffSoundClip.play();
+        }
+      }
+    } );
+
+    // The tester updates the brightness before this listener is called, so a bulb that is still off after the probes
+    // have moved into the solution means that the solution does not conduct.
+    isInSolutionProperty.lazyLink( isInSolution => {
+      if ( isInSolution && brightnessProperty.value === 0 && !resetInProgressProperty.value ) {
+        nonConductingSoundClip.play();
+      }
+    } );
+  }
+}
+
+molarity.register( 'ConductivityTesterSoundGenerator', ConductivityTesterSoundGenerator );
+export default ConductivityTesterSoundGenerator;
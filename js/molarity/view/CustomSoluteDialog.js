@@ -0,0 +1,217 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Dialog for defining the custom solute. Values are entered in the dialog and take effect when the Apply button is
+ * pressed, which also selects the custom solute. Text and colors are entered using HTML input elements.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import NumberControl from '../../../../scenery-phet/js/NumberControl.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DOM from '../../../../scenery/js/nodes/DOM.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import CustomSolute from '../model/CustomSolute.js';
+
+const applyString = molarityStrings.apply;
+const customSoluteString = molarityStrings.customSolute;
+const dilutedColorString = molarityStrings.dilutedColor;
+const formulaString = molarityStrings.formula;
+const molarMassString = molarityStrings.molarMass;
+const nameString = molarityStrings.name;
+const particleColorString = molarityStrings.particleColor;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const saturatedColorString = molarityStrings.saturatedColor;
+const saturatedConcentrationString = molarityStrings.saturatedConcentration;
+const unitsGramsPerMoleString = molarityStrings.units.gramsPerMole;
+const unitsMolarityString = molarityStrings.units.molarity;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 22, weight: 'bold' } );
+const LABEL_FONT = new PhetFont( 18 );
+const LABEL_MAX_WIDTH = 160; // constrain for i18n, determined empirically
+const TEXT_INPUT_WIDTH = 200; // px
+const MAX_TEXT_LENGTH = 30; // characters, about as long as the names of the other solutes
+
+class CustomSoluteDialog extends Dialog {
+
+  /**
+   * @param {CustomSolute} customSolute
+   * @param {Property.<Solute>} soluteProperty - the solution's solute, set to customSolute when Apply is pressed
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( customSolute, soluteProperty, tandem, options ) {
+
+    options = merge( {
+      title: new Text( customSoluteString, { font: TITLE_FONT, maxWidth: 400 } ),
+      tandem: tandem
+    }, options );
+
+    const nameElement = createInputElement( 'text', nameString );
+    const formulaElement = createInputElement( 'text', formulaString );
+    const minColorElement = createInputElement( 'color', dilutedColorString );
+    const maxColorElement = createInputElement( 'color', saturatedColorString );
+    const particleColorElement = createInputElement( 'color', particleColorString );
+
+    // numbers are entered with NumberControls, which change these Properties
+    const saturatedConcentrationProperty = new NumberProperty( CustomSolute.SATURATED_CONCENTRATION_RANGE.defaultValue, {
+      range: CustomSolute.SATURATED_CONCENTRATION_RANGE
+    } );
+    const molarMassProperty = new NumberProperty( CustomSolute.MOLAR_MASS_RANGE.defaultValue, {
+      range: CustomSolute.MOLAR_MASS_RANGE
+    } );
+
+    const saturatedConcentrationControl = createNumberControl( saturatedConcentrationString,
+      saturatedConcentrationProperty, unitsMolarityString, 0.1, 1, tandem.createTandem( 'saturatedConcentrationControl' ) );
+    const molarMassControl = createNumberControl( molarMassString, molarMassProperty, unitsGramsPerMoleString, 1, 0,
+      tandem.createTandem( 'molarMassControl' ) );
+
+    const applyButton = new TextPushButton( applyString, {
+      font: LABEL_FONT,
+      baseColor: 'rgb( 218, 255, 255 )',
+      listener: () => {
+        const definition = customSolute.definitionProperty.value;
+        customSolute.setDefinition( {
+
+          // text that is left empty keeps its previous value
+          name: nameElement.value.trim() || definition.name,
+          formula: formulaElement.value.trim() || definition.formula,
+          saturatedConcentration: saturatedConcentrationProperty.value,
+          molarMass: molarMassProperty.value,
+          minColor: new Color( minColorElement.value ),
+          maxColor: new Color( maxColorElement.value ),
+          particleColor: new Color( particleColorElement.value )
+        } );
+        soluteProperty.value = customSolute;
+        this.hide();
+      },
+      tandem: tandem.createTandem( 'applyButton' )
+    } );
+
+    const contentNode = new VBox( {
+      align: 'left',
+      spacing: 12,
+      children: [
+        createRow( nameString, new DOM( nameElement, { allowInput: true } ) ),
+        createRow( formulaString, new DOM( formulaElement, { allowInput: true } ) ),
+        saturatedConcentrationControl,
+        molarMassControl,
+        createRow( dilutedColorString, new DOM( minColorElement, { allowInput: true } ) ),
+        createRow( saturatedColorString, new DOM( maxColorElement, { allowInput: true } ) ),
+        createRow( particleColorString, new DOM( particleColorElement, { allowInput: true } ) )
+      ]
+    } );
+
+    super( new VBox( {
+      align: 'center',
+      spacing: 20,
+      children: [ contentNode, applyButton ]
+    } ), options );
+
+    // @private Fills in the dialog with the current definition of the custom solute.
+    this.updateInputs = () => {
+      const definition = customSolute.definitionProperty.value;
+      nameElement.value = definition.name;
+      formulaElement.value = definition.formula;
+      saturatedConcentrationProperty.value = definition.saturatedConcentration;
+      molarMassProperty.value = definition.molarMass;
+      minColorElement.value = toHexString( definition.minColor );
+      maxColorElement.value = toHexString( definition.maxColor );
+      particleColorElement.value = toHexString( definition.particleColor );
+    };
+  }
+
+  /**
+   * Shows the dialog, discarding any values that were entered but not applied.
+   * @public
+   * @override
+   */
+  show() {
+    this.updateInputs();
+    super.show();
+  }
+}
+
+/**
+ * Creates an HTML input element.
+ * @param {string} type - 'text' or 'color'
+ * @param {string} accessibleName
+ * @returns {HTMLInputElement}
+ */
+const createInputElement = ( type, accessibleName ) => {
+  const element = document.createElement( 'input' );
+  element.type = type;
+  element.setAttribute( 'aria-label', accessibleName );
+  element.style.font = LABEL_FONT.toCSS();
+  if ( type === 'text' ) {
+    element.maxLength = MAX_TEXT_LENGTH;
+    element.style.width = TEXT_INPUT_WIDTH + 'px';
+  }
+  return element;
+};
+
+/**
+ * Creates a row that labels a control.
+ * @param {string} label
+ * @param {Node} controlNode
+ * @returns {Node}
+ */
+const createRow = ( label, controlNode ) => new HBox( {
+  spacing: 10,
+  children: [
+    new Text( StringUtils.format( pattern0LabelString, label ), { font: LABEL_FONT, maxWidth: LABEL_MAX_WIDTH } ),
+    controlNode
+  ]
+} );
+
+/**
+ * Creates a control for entering a number.
+ * @param {string} title
+ * @param {NumberProperty} numberProperty
+ * @param {string} units
+ * @param {number} delta
+ * @param {number} decimalPlaces
+ * @param {Tandem} tandem
+ * @returns {NumberControl}
+ */
+const createNumberControl = ( title, numberProperty, units, delta, decimalPlaces, tandem ) =>
+  new NumberControl( title, numberProperty, numberProperty.range, {
+    delta: delta,
+    titleNodeOptions: { font: LABEL_FONT, maxWidth: LABEL_MAX_WIDTH },
+    numberDisplayOptions: {
+      font: LABEL_FONT,
+      decimalPlaces: decimalPlaces,
+      valuePattern: StringUtils.format( pattern0Value1UnitsString, '{{value}}', units )
+    },
+    sliderOptions: {
+      trackSize: new Dimension2( 200, 5 ),
+      thumbSize: new Dimension2( 15, 30 ),
+      constrainValue: value => numberProperty.range.constrainValue( Utils.toFixedNumber( value, decimalPlaces ) )
+    },
+    tandem: tandem
+  } );
+
+/**
+ * Converts a color to the format that an HTML color input uses, #rrggbb.
+ * @param {Color} color
+ * @returns {string}
+ */
+const toHexString = color => '#' + [ color.red, color.green, color.blue ].map( component =>
+  ( component < 16 ? '0' : '' ) + component.toString( 16 ) ).join( '' );
+
+molarity.register( 'CustomSoluteDialog', CustomSoluteDialog );
+export default CustomSoluteDialog;
@@ -30,30 +30,33 @@ function DualLabelNode( quantitativeValue, qualitativeValue, isQuantitativePrope
 
   Node.call( this );
 
-  const quantitativeNode = new Text( quantitativeValue, {
+  // @private
+  this.quantitativeNode = new Text( quantitativeValue, {
     font: font,
     tandem: tandem.createTandem( 'quantitativeNode' )
   } );
-  this.addChild( quantitativeNode );
+  this.addChild( this.quantitativeNode );
 
-  const qualitativeNode = new Text( qualitativeValue, {
+  // @private
+  this.qualitativeNode = new Text( qualitativeValue, {
     font: font,
-    center: quantitativeNode.center,
+    center: this.quantitativeNode.center,
     tandem: tandem.createTandem( 'qualitativeNode' )
   } );
-  this.addChild( qualitativeNode );
+  this.addChild( this.qualitativeNode );
 
-  // add an invisible rectangle so that bounds don't change
-  const boundsNode = new Rectangle( this.left, this.top, this.width, this.height );
+  // @private add an invisible rectangle so that bounds don't change
+  this.boundsNode = new Rectangle( this.left, this.top, this.width, this.height );
   if ( DEBUG_BOUNDS ) {
-    boundsNode.stroke = 'red';
+    this.boundsNode.stroke = 'red';
   }
-  this.addChild( boundsNode );
+  this.addChild( this.boundsNode );
 
   // switch between qualitative and quantitative
+  const self = this;
   isQuantitativeProperty.link( function( isQuantitative ) {
-    quantitativeNode.setVisible( isQuantitative );
-    qualitativeNode.setVisible( !isQuantitative );
+    self.quantitativeNode.setVisible( isQuantitative );
+    self.qualitativeNode.setVisible( !isQuantitative );
   } );
 
   this.mutate( options );
@@ -61,5 +64,18 @@ function DualLabelNode( quantitativeValue, qualitativeValue, isQuantitativePrope
 
 molarity.register( 'DualLabelNode', DualLabelNode );
 
-inherit( Node, DualLabelNode );
+inherit( Node, DualLabelNode, {
+
+  /**
+   * Changes the quantitative value, for example when the value is displayed in different units.
+   * The bounds of this node grow to fit the new value, centered on the qualitative value.
+   * @param {string} quantitativeValue
+   * @public
+   */
+  setQuantitativeValue: function( quantitativeValue ) {
+    this.quantitativeNode.text = quantitativeValue;
+    this.quantitativeNode.center = this.qualitativeNode.center;
+    this.boundsNode.setRectBounds( this.qualitativeNode.bounds.union( this.quantitativeNode.bounds ) );
+  }
+} );
 export default DualLabelNode;
\ No newline at end of file
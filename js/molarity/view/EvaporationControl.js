@@ -0,0 +1,104 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Control for the rate at which water evaporates from the solution. A horizontal slider, labeled with its range.
+ *
+ * @author agent
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const evaporationString = molarityStrings.evaporation;
+const lotsString = molarityStrings.lots;
+const noneString = molarityStrings.none;
+
+// a11y strings
+const evaporationFastString = molarityStrings.a11y.evaporation.fast;
+const evaporationHelpTextString = molarityStrings.a11y.evaporationHelpText;
+const evaporationNoneString = molarityStrings.a11y.evaporation.none;
+const evaporationQuantitativeValueTextPatternString = molarityStrings.a11y.evaporation.quantitativeValueTextPattern;
+const evaporationSlowString = molarityStrings.a11y.evaporation.slow;
+
+// constants
+const TICK_LABEL_FONT = new PhetFont( 16 );
+const TICK_LABEL_MAX_WIDTH = 60; // constrain for i18n, determined empirically
+
+class EvaporationControl extends VBox {
+
+  /**
+   * @param {NumberProperty} evaporationRateProperty
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( evaporationRateProperty, useQuantitativeDescriptionsProperty, tandem, options ) {
+
+    options = merge( {
+      spacing: 5,
+      tandem: tandem
+    }, options );
+
+    const range = MolarityConstants.EVAPORATION_RATE_RANGE;
+
+    const titleNode = new Text( evaporationString, {
+      font: new PhetFont( { size: 20, weight: 'bold' } ),
+      maxWidth: 175, // constrain for i18n, determined empirically
+      tandem: tandem.createTandem( 'titleNode' )
+    } );
+
+    const sliderNode = new HSlider( evaporationRateProperty, range, {
+      trackSize: new Dimension2( 150, 5 ),
+      thumbSize: new Dimension2( 17, 34 ),
+      majorTickLength: 15,
+      tandem: tandem.createTandem( 'sliderNode' ),
+
+      // a11y
+      accessibleName: evaporationString,
+      helpText: evaporationHelpTextString,
+      keyboardStep: range.getLength() / 10,
+      shiftKeyboardStep: range.getLength() / 20,
+      a11yCreateAriaValueText: value => getAriaValueText( value, useQuantitativeDescriptionsProperty.value ),
+      a11yDependencies: [ useQuantitativeDescriptionsProperty ]
+    } );
+    sliderNode.addMajorTick( range.min, new Text( noneString, { font: TICK_LABEL_FONT, maxWidth: TICK_LABEL_MAX_WIDTH } ) );
+    sliderNode.addMajorTick( range.max, new Text( lotsString, { font: TICK_LABEL_FONT, maxWidth: TICK_LABEL_MAX_WIDTH } ) );
+
+    assert && assert( !options.children, 'EvaporationControl sets children' );
+    options.children = [ titleNode, sliderNode ];
+
+    super( options );
+  }
+}
+
+/**
+ * Gets the aria-valuetext for the evaporation rate.
+ * @param {number} evaporationRate - liters per second
+ * @param {boolean} useQuantitativeDescriptions
+ * @returns {string}
+ */
+const getAriaValueText = ( evaporationRate, useQuantitativeDescriptions ) => {
+  if ( useQuantitativeDescriptions ) {
+    return StringUtils.fillIn( evaporationQuantitativeValueTextPatternString, {
+      rate: Utils.toFixed( evaporationRate, MolarityConstants.EVAPORATION_RATE_DECIMAL_PLACES )
+    } );
+  }
+  else if ( evaporationRate === 0 ) {
+    return evaporationNoneString;
+  }
+  else {
+    return evaporationRate <= MolarityConstants.EVAPORATION_RATE_RANGE.getCenter() ? evaporationSlowString : evaporationFastString;
+  }
+};
+
+molarity.register( 'EvaporationControl', EvaporationControl );
+export default EvaporationControl;
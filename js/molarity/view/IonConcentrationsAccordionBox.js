@@ -0,0 +1,122 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Readout of the concentration of each ion in the solution, and of all dissolved particles, in an accordion box that is
+ * collapsed by default. Ionic solutes are assumed to dissociate completely. In mixture mode, an ion that comes from
+ * more than one solute is shown once, with its combined concentration.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const ionConcentrationsString = molarityStrings.ionConcentrations;
+const noIonsString = molarityStrings.noIons;
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const totalParticlesString = molarityStrings.totalParticles;
+const unitsMolarityString = molarityStrings.units.molarity;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const ROW_FONT = new PhetFont( 18 );
+const TOTAL_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const LABEL_MAX_WIDTH = 130; // constrain for i18n, determined empirically
+const VALUE_MAX_WIDTH = 90; // constrain for i18n, determined empirically
+const COLUMN_SPACING = 15;
+
+class IonConcentrationsAccordionBox extends AccordionBox {
+
+  /**
+   * @param {Solution} solution
+   * @param {Property.<boolean>} expandedProperty
+   * @param {ConcentrationDescriber} concentrationDescriber
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( solution, expandedProperty, concentrationDescriber, tandem, options ) {
+
+    options = merge( {
+      expandedProperty: expandedProperty,
+      titleNode: new Text( ionConcentrationsString, {
+        font: TITLE_FONT,
+        maxWidth: LABEL_MAX_WIDTH + VALUE_MAX_WIDTH,
+        tandem: tandem.createTandem( 'titleNode' )
+      } ),
+      titleAlignX: 'left',
+      showTitleWhenExpanded: true,
+      fill: 'white',
+      cornerRadius: 5,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      contentYSpacing: 4,
+      buttonXMargin: 8,
+      buttonYMargin: 8,
+      tandem: tandem
+    }, options );
+
+    // one row for each ion, followed by a row for all particles. Rows are created as needed, since they depend on
+    // which solutes are dissolved.
+    const contentNode = new VBox( {
+      align: 'left',
+      spacing: 6,
+      pickable: false,
+
+      // a11y
+      tagName: 'p'
+    } );
+
+    super( contentNode, options );
+
+    const updateContent = () => {
+      const rows = solution.getIonConcentrations().map( ionConcentration =>
+        createRow( new RichText( ionConcentration.ion.symbol, { font: ROW_FONT } ), ionConcentration.concentration ) );
+      if ( rows.length === 0 ) {
+        rows.push( new Text( noIonsString, { font: ROW_FONT, maxWidth: LABEL_MAX_WIDTH + VALUE_MAX_WIDTH } ) );
+      }
+      rows.push( createRow( new Text( totalParticlesString, { font: TOTAL_FONT } ),
+        solution.getParticleConcentration() ) );
+      contentNode.children = rows;
+      contentNode.innerContent = concentrationDescriber.getIonConcentrationsDescription();
+    };
+    Property.multilink( [
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.concentrationProperty,
+      solution.isMixtureProperty,
+      ...solution.components.map( component => component.concentrationProperty )
+    ], updateContent );
+  }
+}
+
+/**
+ * Creates a row that labels a concentration, with the value in a column to the right of the label.
+ * @param {Node} labelNode
+ * @param {number} concentration - M
+ * @returns {Node}
+ */
+const createRow = ( labelNode, concentration ) => {
+  labelNode.maxWidth = LABEL_MAX_WIDTH;
+  const valueNode = new Text( StringUtils.format( pattern0Value1UnitsString,
+    Utils.toFixed( concentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES ), unitsMolarityString ), {
+    font: ROW_FONT,
+    maxWidth: VALUE_MAX_WIDTH,
+    right: LABEL_MAX_WIDTH + COLUMN_SPACING + VALUE_MAX_WIDTH,
+    centerY: labelNode.centerY
+  } );
+  return new Node( { children: [ labelNode, valueNode ] } );
+};
+
+molarity.register( 'IonConcentrationsAccordionBox', IonConcentrationsAccordionBox );
+export default IonConcentrationsAccordionBox;
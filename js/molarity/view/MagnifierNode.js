@@ -0,0 +1,399 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A magnifier that can be dragged around the screen. When its lens is over the solution, it shows the particles that
+ * are dissolved in the solution at the molecular scale: the ions of ionic solutes, and the molecules of molecular
+ * solutes, moving randomly. The number of each kind of particle is proportional to its concentration. When the lens is
+ * over the bottom of a saturated solution, it also shows the solid as a crystal lattice. The magnifier's origin is at
+ * the center of its lens, so its position is what it magnifies.
+ *
+ * Ions of a solid are shown alternating in the lattice, regardless of the ratio of ions in the solute's formula.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+const magnifierString = molarityStrings.magnifier;
+
+// a11y strings
+const magnifierHelpTextString = molarityStrings.a11y.magnifierHelpText;
+
+// constants
+const LENS_RADIUS = 60;
+const RIM_WIDTH = 8;
+const HANDLE_LENGTH = 60;
+const HANDLE_WIDTH = 14;
+const PARTICLE_RADIUS = 8;
+const SYMBOL_FONT = new PhetFont( { size: 9, weight: 'bold' } );
+const CATION_COLOR = 'rgb( 140, 180, 255 )';
+const ANION_COLOR = 'rgb( 255, 160, 160 )';
+const PARTICLES_PER_MOLAR = 6; // number of particles of each kind to show per M of that kind of particle
+const MAX_PARTICLES = 60; // total, so that the lens does not fill up at high concentrations
+const PARTICLE_SPEED = 30; // speed of a dissolved particle
+const MAX_TURN_RATE = 4; // radians/s, how quickly a dissolved particle can change direction
+const BOTTOM_HEIGHT = 40; // the lens is over the bottom of the beaker when its center is this close to the bottom
+const LATTICE_HEIGHT = 0.8 * LENS_RADIUS; // height of the lattice, at the bottom of the lens
+const LATTICE_SPACING = 2 * PARTICLE_RADIUS + 2; // between the centers of neighboring particles in the lattice
+
+class MagnifierNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {Node} solutionNode - the lens is over the solution when its center is in this Node's bounds, which are in
+   *                              the same coordinate frame as this Node's position
+   * @param {MagnifierDescriber} magnifierDescriber
+   * @param {MolarityAlertManager} molarityAlertManager
+   * @param {Tandem} tandem
+   */
+  constructor( solution, solutionNode, magnifierDescriber, molarityAlertManager, tandem ) {
+
+    super( {
+      cursor: 'pointer',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true,
+      labelTagName: 'h3',
+      labelContent: magnifierString,
+      descriptionContent: magnifierHelpTextString
+    } );
+
+    // @public position of the center of the lens, in the parent's coordinate frame. Set by the screen, see
+    // setHomePosition.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: tandem.createTandem( 'positionProperty' )
+    } );
+
+    // @public (read-only) whether the center of the lens is over the solution
+    this.isInSolutionProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isInSolutionProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @public (read-only) whether the center of the lens is over the bottom of the beaker, where solids collect
+    this.isAtBottomProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isAtBottomProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private bounds that the center of the lens can be dragged within, see setVisibleBounds
+    this.dragBoundsProperty = new Property( Bounds2.EVERYTHING );
+
+    // @private
+    this.homePosition = Vector2.ZERO;
+
+    // @private {Map.<Ion|Solute,{node:Node, velocity:Vector2}[]>} the dissolved particles of each kind, see step
+    this.particlesMap = new Map();
+
+    // @private {number} y of the top of the lattice, relative to the center of the lens. Dissolved particles stay above
+    // it, and it is below the lens when there is no lattice.
+    this.latticeTop = LENS_RADIUS;
+
+    // handle, down and to the right of the lens
+    const handleNode = new Rectangle( LENS_RADIUS, -HANDLE_WIDTH / 2, HANDLE_LENGTH, HANDLE_WIDTH, HANDLE_WIDTH / 2,
+      HANDLE_WIDTH / 2, {
+        fill: 'rgb( 80, 80, 80 )',
+        stroke: 'black',
+        rotation: Math.PI / 4
+      } );
+
+    // what the lens shows, clipped to the lens
+    const latticeNode = new Node();
+    const particlesNode = new Node();
+
+    // @private
+    this.particlesNode = particlesNode;
+
+    const contentNode = new Node( {
+      children: [ latticeNode, particlesNode ],
+      clipArea: Shape.circle( 0, 0, LENS_RADIUS )
+    } );
+    const lensNode = new Circle( LENS_RADIUS, {
+      fill: 'rgba( 235, 245, 255, 0.95 )'
+    } );
+    const rimNode = new Circle( LENS_RADIUS + RIM_WIDTH / 2, {
+      stroke: 'rgb( 80, 80, 80 )',
+      lineWidth: RIM_WIDTH
+    } );
+
+    // a11y - the description of what the lens shows
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ handleNode, lensNode, contentNode, rimNode, descriptionNode ];
+
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    // The solution's bounds change with its volume. SolutionNode links to the volume first, so its bounds are up to
+    // date when this listener is called.
+    Property.multilink( [ this.positionProperty, solution.volumeProperty ], position => {
+      const solutionBounds = solutionNode.bounds;
+      this.isInSolutionProperty.value = solutionBounds.containsPoint( position );
+      this.isAtBottomProperty.value = this.isInSolutionProperty.value &&
+                                      position.y >= solutionBounds.maxY - BOTTOM_HEIGHT;
+    } );
+
+    // update what the lens shows
+    Property.multilink( [
+      this.isInSolutionProperty,
+      this.isAtBottomProperty,
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.concentrationProperty,
+      solution.precipitateAmountProperty,
+      solution.isMixtureProperty,
+      solution.reactionProductsProperty,
+      ...solution.components.map( component => component.concentrationProperty ),
+      ...solution.components.map( component => component.precipitateAmountProperty )
+    ], ( isInSolution, isAtBottom ) => {
+      contentNode.visible = isInSolution;
+
+      // the lattice of the first solid, if the lens is over the bottom of the beaker
+      const precipitates = solution.getPrecipitates();
+      const precipitate = ( isInSolution && isAtBottom && precipitates.length > 0 ) ? precipitates[ 0 ] : null;
+      latticeNode.children = precipitate ? createLatticeNodes( precipitate ) : [];
+      this.latticeTop = precipitate ? LENS_RADIUS - LATTICE_HEIGHT : LENS_RADIUS;
+
+      // the dissolved particles of each kind
+      const particleCounts = new Map();
+      if ( isInSolution ) {
+        solution.getIonConcentrations().forEach( ionConcentration => {
+          particleCounts.set( ionConcentration.ion, ionConcentration.concentration );
+        } );
+        solution.getMoleculeConcentrations().forEach( dissolved => {
+          particleCounts.set( dissolved.solute, dissolved.concentration );
+        } );
+      }
+      this.updateParticles( particleCounts );
+
+      descriptionNode.innerContent = magnifierDescriber.getDescription( isInSolution, isAtBottom );
+    } );
+
+    // An alert is read out when the lens is moved over or away from the solution, or the bottom of the beaker.
+    const alertMagnifierChanged = () => {
+      molarityAlertManager.alertMagnifierChanged( magnifierDescriber.getDescription( this.isInSolutionProperty.value,
+        this.isAtBottomProperty.value ) );
+    };
+    this.isInSolutionProperty.lazyLink( alertMagnifierChanged );
+    this.isAtBottomProperty.lazyLink( alertMagnifierChanged );
+
+    // dragging with the pointer, or with the keyboard
+    this.addInputListener( new DragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      useParentOffset: true,
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+    this.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty
+    } ) );
+  }
+
+  /**
+   * Adds and removes dissolved particles, so that the number of each kind is proportional to its concentration.
+   * Particles that are already in the lens stay where they are.
+   * @param {Map.<Ion|Solute,number>} concentrations - M, of each kind of particle that is dissolved
+   * @private
+   */
+  updateParticles( concentrations ) {
+
+    // number of each kind of particle, at least one of each kind that is dissolved, and no more than MAX_PARTICLES
+    const totalConcentration = _.sum( Array.from( concentrations.values() ) );
+    const scale = Math.min( PARTICLES_PER_MOLAR, MAX_PARTICLES / Math.max( totalConcentration, 1 ) );
+    const counts = new Map();
+    concentrations.forEach( ( concentration, kind ) => {
+      if ( concentration > 0 ) {
+        counts.set( kind, Math.max( 1, Math.round( scale * concentration ) ) );
+      }
+    } );
+
+    // remove particles of kinds that are no longer dissolved
+    this.particlesMap.forEach( ( particles, kind ) => {
+      if ( !counts.has( kind ) ) {
+        particles.forEach( particle => this.particlesNode.removeChild( particle.node ) );
+        this.particlesMap.delete( kind );
+      }
+    } );
+
+    counts.forEach( ( count, kind ) => {
+      if ( !this.particlesMap.has( kind ) ) {
+        this.particlesMap.set( kind, [] );
+      }
+      const particles = this.particlesMap.get( kind );
+      while ( particles.length < count ) {
+        const node = createParticleNode( kind );
+        node.translation = this.getRandomPosition();
+        particles.push( {
+          node: node,
+          velocity: Vector2.createPolar( PARTICLE_SPEED, 2 * Math.PI * phet.joist.random.nextDouble() )
+        } );
+        this.particlesNode.addChild( node );
+      }
+      while ( particles.length > count ) {
+        this.particlesNode.removeChild( particles.pop().node );
+      }
+    } );
+
+    // particles that are now in the lattice are moved above it
+    this.particlesNode.children.forEach( node => {
+      if ( !this.isInBounds( node.translation ) ) {
+        node.translation = this.getRandomPosition();
+      }
+    } );
+  }
+
+  /**
+   * Moves the dissolved particles randomly. Each particle wanders, changing direction a little at a time, and turns
+   * back toward the center when it reaches the edge of the lens or the lattice.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    if ( this.visible && this.isInSolutionProperty.value ) {
+      this.particlesMap.forEach( particles => {
+        particles.forEach( particle => {
+          const node = particle.node;
+          const turn = ( 2 * phet.joist.random.nextDouble() - 1 ) * MAX_TURN_RATE * dt;
+          particle.velocity.rotate( turn );
+          const position = node.translation.plus( particle.velocity.times( dt ) );
+          if ( this.isInBounds( position ) ) {
+            node.translation = position;
+          }
+          else {
+            particle.velocity = Vector2.createPolar( PARTICLE_SPEED,
+              Math.atan2( -node.y, -node.x ) + ( phet.joist.random.nextDouble() - 0.5 ) * Math.PI / 2 );
+          }
+        } );
+      } );
+    }
+  }
+
+  /**
+   * Is a dissolved particle at some position inside the lens, and above the lattice?
+   * @param {Vector2} position - relative to the center of the lens
+   * @returns {boolean}
+   * @private
+   */
+  isInBounds( position ) {
+    return position.magnitude <= LENS_RADIUS - PARTICLE_RADIUS && position.y <= this.latticeTop - PARTICLE_RADIUS;
+  }
+
+  /**
+   * Gets a random position for a dissolved particle, inside the lens and above the lattice.
+   * @returns {Vector2}
+   * @private
+   */
+  getRandomPosition() {
+    let position;
+    do {
+      position = new Vector2( ( 2 * phet.joist.random.nextDouble() - 1 ) * LENS_RADIUS,
+        ( 2 * phet.joist.random.nextDouble() - 1 ) * LENS_RADIUS );
+    } while ( !this.isInBounds( position ) );
+    return position;
+  }
+
+  /**
+   * Sets the position that the center of the lens is moved to when the magnifier is reset, and moves it there.
+   * @param {Vector2} position - in the parent's coordinate frame
+   * @public
+   */
+  setHomePosition( position ) {
+    this.homePosition = position;
+    this.positionProperty.value = position;
+  }
+
+  /**
+   * Sets the bounds that the whole magnifier must stay within while it is dragged.
+   * @param {Bounds2} bounds - in the parent's coordinate frame
+   * @public
+   */
+  setVisibleBounds( bounds ) {
+    const localBounds = this.localBounds;
+    this.dragBoundsProperty.value = new Bounds2( bounds.minX - localBounds.minX, bounds.minY - localBounds.minY,
+      bounds.maxX - localBounds.maxX, bounds.maxY - localBounds.maxY );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.value = this.homePosition;
+  }
+}
+
+/**
+ * Creates a particle, centered at the origin. An ion is labeled with its symbol, and colored by its charge. A molecule
+ * is colored like the solute's precipitate.
+ * @param {Ion|Solute} kind
+ * @returns {Node}
+ */
+const createParticleNode = kind => {
+  if ( kind.charge ) {
+    return new Node( {
+      children: [
+        new Circle( PARTICLE_RADIUS, {
+          fill: kind.charge > 0 ? CATION_COLOR : ANION_COLOR,
+          stroke: 'black',
+          lineWidth: 0.5
+        } ),
+        new RichText( kind.symbol, {
+          font: SYMBOL_FONT,
+          maxWidth: 2 * PARTICLE_RADIUS + 4,
+          center: Vector2.ZERO
+        } )
+      ]
+    } );
+  }
+  else {
+    return new Circle( PARTICLE_RADIUS, {
+      fill: kind.particleColor,
+      stroke: kind.particleColor.darkerColor(),
+      lineWidth: 0.5
+    } );
+  }
+};
+
+/**
+ * Creates the particles of a solid's crystal lattice, which fills the bottom of the lens. The solid's ions alternate
+ * in every row and column, or for a molecular solid, every particle is a molecule.
+ * @param {{lowercaseName:string, particleColor:Color, ions:Ion[]}} precipitate - see Solution.getPrecipitates
+ * @returns {Node[]}
+ */
+const createLatticeNodes = precipitate => {
+  const nodes = [];
+  const numberOfColumns = Math.ceil( 2 * LENS_RADIUS / LATTICE_SPACING ) + 1;
+  const numberOfRows = Math.ceil( LATTICE_HEIGHT / LATTICE_SPACING );
+  for ( let row = 0; row < numberOfRows; row++ ) {
+    for ( let column = 0; column < numberOfColumns; column++ ) {
+      const kind = ( precipitate.ions.length > 0 ) ? precipitate.ions[ ( row + column ) % precipitate.ions.length ] :
+                   precipitate;
+      const node = createParticleNode( kind );
+      node.translation = new Vector2( -LENS_RADIUS + column * LATTICE_SPACING,
+        LENS_RADIUS - ( LATTICE_SPACING / 2 ) - row * LATTICE_SPACING );
+      nodes.push( node );
+    }
+  }
+  return nodes;
+};
+
+molarity.register( 'MagnifierNode', MagnifierNode );
+export default MagnifierNode;
@@ -7,7 +7,6 @@
  */
 
 import Property from '../../../../axon/js/Property.js';
-import ChemUtils from '../../../../nitroglycerin/js/ChemUtils.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import molarityStrings from '../../molarity-strings.js';
@@ -18,9 +17,10 @@ const drinkMixString = molarityStrings.drinkMix;
 // a11y strings
 const beakerDescriptionPatternString = molarityStrings.a11y.beaker.descriptionPattern;
 const beakerHasZeroConcentrationString = molarityStrings.a11y.beaker.hasZeroConcentration;
-const beakerDescriptionPureWaterPatternString = molarityStrings.a11y.beaker.descriptionPureWaterPattern;
-const beakerPureWaterString = molarityStrings.a11y.beaker.pureWater;
-const beakerWaterFormulaDescriptionString = molarityStrings.a11y.beaker.waterFormulaDescription;
+const beakerDescriptionMixturePatternString = molarityStrings.a11y.beaker.descriptionMixturePattern;
+const beakerDescriptionPureSolventPatternString = molarityStrings.a11y.beaker.descriptionPureSolventPattern;
+const beakerPureSolventPatternString = molarityStrings.a11y.beaker.pureSolventPattern;
+const beakerSolventFormulaDescriptionPatternString = molarityStrings.a11y.beaker.solventFormulaDescriptionPattern;
 
 class MolarityBeakerDescriptionNode extends Node {
 
@@ -32,9 +32,14 @@ class MolarityBeakerDescriptionNode extends Node {
    * @param {PrecipitateAmountDescriber} precipitateAmountDescriber
    * @param {SoluteAmountDescriber} soluteAmountDescriber
    * @param {VolumeDescriber} volumeDescriber
+   * @param {TemperatureDescriber} temperatureDescriber
+   * @param {MixtureDescriber} mixtureDescriber
+   * @param {EnumerationProperty.<SoluteAmountUnits>} soluteAmountUnitsProperty - units that solute amount is described in
+   * @param {EnumerationProperty.<ConcentrationUnits>} concentrationUnitsProperty - units that concentration is described in
    */
   constructor( solution, useQuantitativeDescriptionsProperty, soluteDescriber, concentrationDescriber,
-               precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber ) {
+               precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber, temperatureDescriber,
+               mixtureDescriber, soluteAmountUnitsProperty, concentrationUnitsProperty ) {
 
     super( {
       tagName: 'ul'
@@ -48,15 +53,24 @@ class MolarityBeakerDescriptionNode extends Node {
     this.soluteDescriber = soluteDescriber;
     this.soluteAmountDescriber = soluteAmountDescriber;
     this.volumeDescriber = volumeDescriber;
+    this.temperatureDescriber = temperatureDescriber;
+    this.mixtureDescriber = mixtureDescriber;
 
     // @private - Container Nodes for conditional content. This is to keep children order simple.
+    this.mixtureSummaryContainer = new Node();
     this.saturationSummaryContainer = new Node();
+    this.dissolutionSummaryContainer = new Node();
+    this.ionsSummaryContainer = new Node();
     this.chemicalFormulaSummaryContainer = new Node();
 
     // @private - Create the Nodes to be used in the description list.
     this.soluteAmountSummaryItem = new Node( { tagName: 'li' } );
+    this.mixtureSummaryItem = new Node( { tagName: 'li' } );
     this.saturationSummaryItem = new Node( { tagName: 'li' } );
+    this.dissolutionSummaryItem = new Node( { tagName: 'li' } );
     this.concentrationSummaryItem = new Node( { tagName: 'li' } );
+    this.ionsSummaryItem = new Node( { tagName: 'li' } );
+    this.temperatureSummaryItem = new Node( { tagName: 'li' } );
     this.chemicalFormulaSummaryItem = new Node( { tagName: 'li' } );
     this.concentrationRangeSummaryItem = new Node( { tagName: 'li' } );
 
@@ -65,13 +79,30 @@ class MolarityBeakerDescriptionNode extends Node {
         solution.volumeProperty,
         solution.soluteAmountProperty,
         solution.concentrationProperty,
-        solution.soluteProperty ],
+        solution.soluteProperty,
+        solution.soluteDefinitionProperty,
+        solution.solventProperty,
+        solution.temperatureProperty,
+        solution.isMixtureProperty,
+        solution.isKineticProperty,
+        solution.precipitateAmountProperty,
+        solution.equilibriumPrecipitateAmountProperty,
+        solution.isSupersaturatedProperty,
+        solution.isCrystallizingProperty,
+        soluteAmountUnitsProperty,
+        concentrationUnitsProperty,
+        ...solution.components.map( component => component.amountProperty ),
+        ...solution.components.map( component => component.concentrationProperty ) ],
       () => this.updateBeakerDescription() );
 
     this.setChildren( [
       this.soluteAmountSummaryItem,
+      this.mixtureSummaryContainer,
       this.saturationSummaryContainer,
+      this.dissolutionSummaryContainer,
       this.concentrationSummaryItem,
+      this.ionsSummaryContainer,
+      this.temperatureSummaryItem,
       this.chemicalFormulaSummaryContainer,
       this.concentrationRangeSummaryItem
     ] );
@@ -89,8 +120,12 @@ class MolarityBeakerDescriptionNode extends Node {
 
     // each method updates a single list item in the description
     this.updateSoluteAmountSummary();
+    this.updateMixtureSummary();
     this.updateSaturationSummary();
+    this.updateDissolutionSummary();
     this.updateConcentrationSummary();
+    this.updateIonsSummary();
+    this.updateTemperatureSummary();
     this.updateChemicalFormulaSummary();
     this.updateConcentrationRangeSummary();
   }
@@ -100,9 +135,15 @@ class MolarityBeakerDescriptionNode extends Node {
    * @private
    */
   updateBeakerSummaryString() {
-    const summaryString = !this.solution.hasSolute() ? beakerDescriptionPureWaterPatternString : beakerDescriptionPatternString;
+    const solventName = this.soluteDescriber.getCurrentSolventName();
+    const summaryString = !this.solution.hasAnySolute() ? beakerDescriptionPureSolventPatternString :
+                          this.solution.isMixtureProperty.value ? beakerDescriptionMixturePatternString :
+                          beakerDescriptionPatternString;
     return StringUtils.fillIn( summaryString, {
-      solute: !this.solution.hasSolute() ? beakerPureWaterString : this.soluteDescriber.getCurrentSoluteName(),
+      solute: !this.solution.hasSolute() ?
+              StringUtils.fillIn( beakerPureSolventPatternString, { solvent: solventName } ) :
+              this.soluteDescriber.getCurrentSoluteName(),
+      solvent: solventName,
       volume: this.volumeDescriber.getCurrentVolume( true ),
       color: this.soluteDescriber.getCurrentColor()
     } );
@@ -117,13 +158,43 @@ class MolarityBeakerDescriptionNode extends Node {
   }
 
   /**
-   * if the solution is saturated, creates second bullet point - e.g. 'is saturated with a few solids'.
-   * Otherwise, it removes that bullet point from the list
+   * if the solution is a mixture with some solute, creates the bullet point that lists the mixture's components -
+   * e.g. 'is a mixture of some drink mix, a little copper sulfate'. Otherwise, it removes that bullet point from the list
+   * @private
+   */
+  updateMixtureSummary() {
+    const hasMixture = this.solution.getMixtureComponents().length > 0;
+    this.mixtureSummaryContainer.children = hasMixture ? [ this.mixtureSummaryItem ] : [];
+    if ( hasMixture ) {
+      this.mixtureSummaryItem.innerContent = this.mixtureDescriber.getBeakerMixtureString();
+    }
+  }
+
+  /**
+   * if the solution is saturated or supersaturated, creates second bullet point - e.g. 'is saturated with a few
+   * solids'. Otherwise, it removes that bullet point from the list
    * @private
    */
   updateSaturationSummary() {
-    this.saturationSummaryContainer.children = this.solution.isSaturated() ? [ this.saturationSummaryItem ] : [];
-    this.saturationSummaryItem.innerContent = this.precipitateAmountDescriber.getBeakerSaturationString();
+    const isSupersaturated = this.solution.isSupersaturatedProperty.value;
+    this.saturationSummaryContainer.children = ( this.solution.isSaturated() || isSupersaturated ) ?
+                                               [ this.saturationSummaryItem ] : [];
+    this.saturationSummaryItem.innerContent = isSupersaturated ?
+                                              this.precipitateAmountDescriber.getBeakerSupersaturationString() :
+                                              this.precipitateAmountDescriber.getBeakerSaturationString();
+  }
+
+  /**
+   * in kinetic mode, if solids are dissolving or forming, creates the bullet point - e.g. 'has solids dissolving'.
+   * Otherwise, it removes that bullet point from the list
+   * @private
+   */
+  updateDissolutionSummary() {
+    const isChanging = !this.solution.isAtDissolutionEquilibrium();
+    this.dissolutionSummaryContainer.children = isChanging ? [ this.dissolutionSummaryItem ] : [];
+    if ( isChanging ) {
+      this.dissolutionSummaryItem.innerContent = this.precipitateAmountDescriber.getBeakerDissolutionString();
+    }
   }
 
   /**
@@ -141,7 +212,29 @@ class MolarityBeakerDescriptionNode extends Node {
   }
 
   /**
-   * updates third/fourth (depending on saturation state) bullet - e.g. 'chemical formula of potassium permanganate
+   * if using quantitative descriptions and there is solute in the beaker, creates the bullet point that gives the
+   * concentration of each ion - e.g. 'has cobalt ions at 0.500 molar, nitrate ions at 1.000 molar, 1.500 molar of
+   * particles in total'. Otherwise, it removes that bullet point from the list
+   * @private
+   */
+  updateIonsSummary() {
+    const hasIonsSummary = this.useQuantitativeDescriptionsProperty.value && this.solution.hasAnySolute();
+    this.ionsSummaryContainer.children = hasIonsSummary ? [ this.ionsSummaryItem ] : [];
+    if ( hasIonsSummary ) {
+      this.ionsSummaryItem.innerContent = this.concentrationDescriber.getBeakerIonConcentrationsString();
+    }
+  }
+
+  /**
+   * updates the temperature bullet - e.g. 'is at room temperature' or 'is at 25 degrees Celsius'.
+   * @private
+   */
+  updateTemperatureSummary() {
+    this.temperatureSummaryItem.innerContent = this.temperatureDescriber.getCurrentTemperature( true );
+  }
+
+  /**
+   * updates fourth/fifth (depending on saturation state) bullet - e.g. 'chemical formula of potassium permanganate
    * is KMnO4.' If the solute is drink mix, this bullet is not created.
    * @private
    */
@@ -149,8 +242,11 @@ class MolarityBeakerDescriptionNode extends Node {
     const isDrinkMix = this.soluteDescriber.getCurrentSoluteName( true ) === drinkMixString;
     if ( !this.solution.hasSolute() ) {
 
-      // if there is no solute in the beaker, the chemical formula of water is displayed instead.
-      this.chemicalFormulaSummaryItem.innerContent = ChemUtils.toSubscript( beakerWaterFormulaDescriptionString );
+      // if there is no solute in the beaker, the chemical formula of the solvent is displayed instead.
+      this.chemicalFormulaSummaryItem.innerContent = StringUtils.fillIn( beakerSolventFormulaDescriptionPatternString, {
+        solvent: this.soluteDescriber.getCurrentSolventName(),
+        formula: this.solution.solventProperty.value.formula
+      } );
       this.chemicalFormulaSummaryContainer.children = [ this.chemicalFormulaSummaryItem ];
 
     }
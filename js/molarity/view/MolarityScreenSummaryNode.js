@@ -23,6 +23,7 @@ const screenSummaryControlAreaPatternString = molarityStrings.a11y.screenSummary
 const screenSummarySimInteractionHintString = molarityStrings.a11y.screenSummary.simInteractionHint;
 const screenSummaryCurrentStateOfSimNoSolutePatternString = molarityStrings.a11y.screenSummary.currentStateOfSimNoSolutePattern;
 const screenSummaryCurrentStateOfSimPatternString = molarityStrings.a11y.screenSummary.currentStateOfSimPattern;
+const screenSummaryMixtureStateOfSimPatternString = molarityStrings.a11y.screenSummary.mixtureStateOfSimPattern;
 
 class MolarityScreenSummaryNode extends Node {
 
@@ -33,9 +34,12 @@ class MolarityScreenSummaryNode extends Node {
    * @param {SoluteAmountDescriber} soluteAmountDescriber
    * @param {SoluteDescriber} soluteDescriber
    * @param {VolumeDescriber} volumeDescriber
+   * @param {TemperatureDescriber} temperatureDescriber
+   * @param {MixtureDescriber} mixtureDescriber
+   * @param {EnumerationProperty.<SoluteAmountUnits>} soluteAmountUnitsProperty - units that solute amount is described in
    */
   constructor( model, useQuantitativeDescriptionsProperty, concentrationDescriber, soluteAmountDescriber,
-               soluteDescriber, volumeDescriber ) {
+               soluteDescriber, volumeDescriber, temperatureDescriber, mixtureDescriber, soluteAmountUnitsProperty ) {
 
     super();
 
@@ -46,6 +50,8 @@ class MolarityScreenSummaryNode extends Node {
     this.soluteAmountDescriber = soluteAmountDescriber;
     this.soluteDescriber = soluteDescriber;
     this.volumeDescriber = volumeDescriber;
+    this.temperatureDescriber = temperatureDescriber;
+    this.mixtureDescriber = mixtureDescriber;
 
     // First paragraph of the screen summary -- static regardless of state of sim, describes the play area
     this.addChild( new Node( {
@@ -76,9 +82,15 @@ class MolarityScreenSummaryNode extends Node {
     // Updates the third paragraph of the screen summary when sim Properties change.
     Property.multilink( [
       this.solution.soluteProperty,
+      this.solution.soluteDefinitionProperty,
+      this.solution.solventProperty,
       this.solution.volumeProperty,
       this.solution.soluteAmountProperty,
       this.solution.concentrationProperty,
+      this.solution.temperatureProperty,
+      this.solution.isMixtureProperty,
+      ...this.solution.components.map( component => component.amountProperty ),
+      soluteAmountUnitsProperty,
       useQuantitativeDescriptionsProperty
     ], () => {
       stateOfSimNode.innerContent = this.getStateOfSimDescription();
@@ -88,7 +100,7 @@ class MolarityScreenSummaryNode extends Node {
   /**
    * @private
    * @returns {string} - the screen summary paragraph, which differs based on whether quantitative or qualitative
-   * descriptions are show, and whether or not there is some solute in the beaker.
+   * descriptions are show, whether or not there is some solute in the beaker, and whether the solution is a mixture.
    */
   getStateOfSimDescription() {
     let stateString = screenSummaryCurrentStateOfSimPatternString;
@@ -107,15 +119,25 @@ class MolarityScreenSummaryNode extends Node {
       stateString = screenSummaryCurrentStateOfSimNoSolutePatternString;
     }
 
-    return StringUtils.fillIn( stateString, {
+    const stateOfSimString = StringUtils.fillIn( stateString, {
       volume: this.volumeDescriber.getCurrentVolume( true ),
       color: this.soluteDescriber.getCurrentColor(),
       solute: this.soluteDescriber.getCurrentSoluteName(),
+      solvent: this.soluteDescriber.getCurrentSolventName(),
+      capitalizedSolvent: this.soluteDescriber.getCurrentSolventName( true ),
       soluteAmount: this.soluteAmountDescriber.getCurrentSoluteAmount(),
+      temperature: this.temperatureDescriber.getCurrentTemperature( true ),
       of: this.useQuantitativeDescriptionsProperty.value ? ofString : '',
       concentrationClause: concentrationPattern,
       saturatedConcentration: this.solution.isSaturated() ? saturatedString : ''
     } );
+
+    // In mixture mode, the state above describes the selected solute, so follow it with the rest of the mixture.
+    return !this.solution.isMixtureProperty.value ? stateOfSimString :
+           StringUtils.fillIn( screenSummaryMixtureStateOfSimPatternString, {
+             stateOfSim: stateOfSimString,
+             mixture: this.mixtureDescriber.getMixtureSummaryString()
+           } );
   }
 }
 
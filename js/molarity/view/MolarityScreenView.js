@@ -8,49 +8,93 @@
 
 import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import EnumerationProperty from '../../../../axon/js/EnumerationProperty.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import HeaterCoolerNode from '../../../../scenery-phet/js/HeaterCoolerNode.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import ThermometerNode from '../../../../scenery-phet/js/ThermometerNode.js';
+import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
 import Checkbox from '../../../../sun/js/Checkbox.js';
 import soundManager from '../../../../tambo/js/soundManager.js';
 import molarityStrings from '../../molarity-strings.js';
 import molarity from '../../molarity.js';
+import ConcentrationUnits from '../model/ConcentrationUnits.js';
+import NucleationCause from '../model/NucleationCause.js';
 import MolarityConstants from '../MolarityConstants.js';
 import BeakerNode from './BeakerNode.js';
+import ColligativePropertiesAccordionBox from './ColligativePropertiesAccordionBox.js';
 import ConcentrationDisplay from './ConcentrationDisplay.js';
 import ConcentrationSoundGenerator from './ConcentrationSoundGenerator.js';
+import ConductivityTesterNode from './ConductivityTesterNode.js';
+import ConductivityTesterSoundGenerator from './ConductivityTesterSoundGenerator.js';
+import CustomSoluteDialog from './CustomSoluteDialog.js';
+import ColligativePropertiesDescriber from './describers/ColligativePropertiesDescriber.js';
 import ConcentrationDescriber from './describers/ConcentrationDescriber.js';
+import ConductivityDescriber from './describers/ConductivityDescriber.js';
+import MagnifierDescriber from './describers/MagnifierDescriber.js';
+import MixingDescriber from './describers/MixingDescriber.js';
+import MixtureDescriber from './describers/MixtureDescriber.js';
+import PHDescriber from './describers/PHDescriber.js';
 import PrecipitateAmountDescriber from './describers/PrecipitateAmountDescriber.js';
 import SoluteAmountDescriber from './describers/SoluteAmountDescriber.js';
 import SoluteDescriber from './describers/SoluteDescriber.js';
+import TemperatureDescriber from './describers/TemperatureDescriber.js';
 import VolumeDescriber from './describers/VolumeDescriber.js';
+import EvaporationControl from './EvaporationControl.js';
+import IonConcentrationsAccordionBox from './IonConcentrationsAccordionBox.js';
+import MagnifierNode from './MagnifierNode.js';
 import molarityAlertManager from './molarityAlertManager.js';
+import MolarityBeakerDescriptionNode from './MolarityBeakerDescriptionNode.js';
 import MolarityScreenSummaryNode from './MolarityScreenSummaryNode.js';
+import PHMeterNode from './PHMeterNode.js';
 import PrecipitateNode from './PrecipitateNode.js';
 import PrecipitateSoundGenerator from './PrecipitateSoundGenerator.js';
 import SaturatedIndicator from './SaturatedIndicator.js';
+import ShakerNode from './ShakerNode.js';
+import ShakerParticlesNode from './ShakerParticlesNode.js';
+import SoluteAmountUnits from './SoluteAmountUnits.js';
 import SoluteComboBox from './SoluteComboBox.js';
 import SoluteSelectionSoundGenerator from './SoluteSelectionSoundGenerator.js';
 import SolutionNode from './SolutionNode.js';
+import SolventComboBox from './SolventComboBox.js';
+import SpectrophotometerAccordionBox from './SpectrophotometerAccordionBox.js';
+import StirringRodNode from './StirringRodNode.js';
 import VerticalSlider from './VerticalSlider.js';
 
+const bumpBeakerString = molarityStrings.bumpBeaker;
+const dissolveOverTimeString = molarityStrings.dissolveOverTime;
+const editCustomSoluteString = molarityStrings.editCustomSolute;
 const fullString = molarityStrings.full;
+const gramsString = molarityStrings.grams;
+const heaterCoolerString = molarityStrings.heaterCooler;
 const litersString = molarityStrings.liters;
 const lotsString = molarityStrings.lots;
 const lowString = molarityStrings.low;
+const mixOverTimeString = molarityStrings.mixOverTime;
+const mixtureString = molarityStrings.mixture;
 const molesString = molarityStrings.moles;
 const noneString = molarityStrings.none;
+const seedCrystalString = molarityStrings.seedCrystal;
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
 const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const shakerString = molarityStrings.shaker;
 const showValuesString = molarityStrings.showValues;
 const soluteAmountString = molarityStrings.soluteAmount;
 const solutionVolumeString = molarityStrings.solutionVolume;
+const unitsDegreesCelsiusString = molarityStrings.units.degreesCelsius;
+const unitsGramsString = molarityStrings.units.grams;
 const unitsLitersString = molarityStrings.units.liters;
 const unitsMolesString = molarityStrings.units.moles;
 
@@ -58,6 +102,14 @@ const unitsMolesString = molarityStrings.units.moles;
 
 // a11y strings
 const beakerSolutionControlsString = molarityStrings.a11y.beakerSolutionControls;
+const bumpBeakerHelpTextString = molarityStrings.a11y.bumpBeakerHelpText;
+const dissolveOverTimeHelpTextString = molarityStrings.a11y.dissolveOverTimeHelpText;
+const editCustomSoluteHelpTextString = molarityStrings.a11y.editCustomSoluteHelpText;
+const heaterCoolerHelpTextString = molarityStrings.a11y.heaterCoolerHelpText;
+const mixOverTimeHelpTextString = molarityStrings.a11y.mixOverTimeHelpText;
+const shakerCheckboxHelpTextString = molarityStrings.a11y.shakerCheckboxHelpText;
+const mixtureHelpTextString = molarityStrings.a11y.mixtureHelpText;
+const seedCrystalHelpTextString = molarityStrings.a11y.seedCrystalHelpText;
 const solutionValuesHelpTextString = molarityStrings.a11y.solutionValuesHelpText;
 const soluteAmountNoNewlineString = molarityStrings.a11y.soluteAmountNoNewline;
 const sliderHelpTextString = molarityStrings.a11y.sliderHelpText;
@@ -78,6 +130,36 @@ function MolarityScreenView( model, tandem ) {
     tandem: tandem.createTandem( 'valuesVisibleProperty' )
   } );
 
+  // Whether the ion concentrations readout is expanded
+  const ionConcentrationsExpandedProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'ionConcentrationsExpandedProperty' )
+  } );
+
+  // Whether the spectrophotometer is expanded
+  const spectrophotometerExpandedProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'spectrophotometerExpandedProperty' )
+  } );
+
+  // Whether the shaker is shown, for adding solute by shaking it over the beaker
+  const shakerVisibleProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'shakerVisibleProperty' )
+  } );
+
+  // Whether the colligative properties readout is expanded
+  const colligativePropertiesExpandedProperty = new BooleanProperty( false, {
+    tandem: tandem.createTandem( 'colligativePropertiesExpandedProperty' )
+  } );
+
+  // Units that the solute amount is displayed in. The model is always in moles.
+  const soluteAmountUnitsProperty = new EnumerationProperty( SoluteAmountUnits, SoluteAmountUnits.MOLES, {
+    tandem: tandem.createTandem( 'soluteAmountUnitsProperty' )
+  } );
+
+  // Units that concentration is displayed in. The model is always in molarity.
+  const concentrationUnitsProperty = new EnumerationProperty( ConcentrationUnits, ConcentrationUnits.MOLARITY, {
+    tandem: tandem.createTandem( 'concentrationUnitsProperty' )
+  } );
+
   // Determines whether qualitative or quantitative interactive descriptions are used. Even though it is the same as the
   // valuesVisibleProperty currently, this improves maintainability by not overloading valuesVisibleProperty with
   // description-specific use-case (a totally different view). For example, we could decide to display quantitative
@@ -86,33 +168,126 @@ function MolarityScreenView( model, tandem ) {
     currentValuesVisible => currentValuesVisible );
 
   // a11y - initializes describers and alert manager to generate and update all PDOM and alert content.
-  const concentrationDescriber = new ConcentrationDescriber( model.solution, useQuantitativeDescriptionsProperty );
+  const concentrationDescriber = new ConcentrationDescriber( model.solution, useQuantitativeDescriptionsProperty,
+    concentrationUnitsProperty );
   const precipitateAmountDescriber = new PrecipitateAmountDescriber( model.solution, concentrationDescriber, useQuantitativeDescriptionsProperty );
   const soluteDescriber = new SoluteDescriber( model.solution, concentrationDescriber, precipitateAmountDescriber );
   const volumeDescriber = new VolumeDescriber( model.solution.volumeProperty, useQuantitativeDescriptionsProperty );
-  const soluteAmountDescriber = new SoluteAmountDescriber( model.solution.soluteAmountProperty, soluteDescriber, useQuantitativeDescriptionsProperty );
+  const soluteAmountDescriber = new SoluteAmountDescriber( model.solution.soluteAmountProperty, soluteDescriber,
+    useQuantitativeDescriptionsProperty, model.solution.soluteProperty, soluteAmountUnitsProperty );
+  const temperatureDescriber = new TemperatureDescriber( model.solution, useQuantitativeDescriptionsProperty );
+  const mixtureDescriber = new MixtureDescriber( model.solution, soluteDescriber, soluteAmountDescriber,
+    useQuantitativeDescriptionsProperty );
+  const colligativePropertiesDescriber = new ColligativePropertiesDescriber( model.solution,
+    useQuantitativeDescriptionsProperty );
+  const pHDescriber = new PHDescriber( model.solution, useQuantitativeDescriptionsProperty );
+  const conductivityDescriber = new ConductivityDescriber( model.solution, useQuantitativeDescriptionsProperty );
+  const magnifierDescriber = new MagnifierDescriber( model.solution );
+  const mixingDescriber = new MixingDescriber( model.solution, model.concentrationGradient,
+    useQuantitativeDescriptionsProperty, concentrationUnitsProperty );
   molarityAlertManager.initialize( model.solution, useQuantitativeDescriptionsProperty, concentrationDescriber,
-    precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber, soluteDescriber, valuesVisibleProperty );
+    precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber, soluteDescriber, temperatureDescriber,
+    mixtureDescriber, valuesVisibleProperty, model.evaporatedEmitter );
 
   ScreenView.call( this, {
     layoutBounds: new Bounds2( 0, 0, 1100, 700 ),
     tandem: tandem,
     screenSummaryContent: new MolarityScreenSummaryNode( model, useQuantitativeDescriptionsProperty,
-      concentrationDescriber, soluteAmountDescriber, soluteDescriber, volumeDescriber )
+      concentrationDescriber, soluteAmountDescriber, soluteDescriber, volumeDescriber, temperatureDescriber,
+      mixtureDescriber, soluteAmountUnitsProperty )
   } );
 
   // beaker, with solution and precipitate inside of it
   const beakerNode = new BeakerNode( model.solution, MolarityConstants.SOLUTION_VOLUME_RANGE.max, valuesVisibleProperty,
-    tandem.createTandem( 'beakerNode' ), soluteDescriber, soluteAmountDescriber, volumeDescriber,
-    concentrationDescriber, precipitateAmountDescriber, useQuantitativeDescriptionsProperty );
+    tandem.createTandem( 'beakerNode' ), {
+      descriptionNode: new MolarityBeakerDescriptionNode( model.solution, useQuantitativeDescriptionsProperty,
+        soluteDescriber, concentrationDescriber, precipitateAmountDescriber, soluteAmountDescriber, volumeDescriber,
+        temperatureDescriber, mixtureDescriber, soluteAmountUnitsProperty, concentrationUnitsProperty ),
+      concentrationUnitsProperty: concentrationUnitsProperty,
+      showSolvent: true
+    } );
 
   const cylinderSize = beakerNode.getCylinderSize();
   const solutionNode = new SolutionNode( cylinderSize, beakerNode.getCylinderEndHeight(), model.solution,
-    MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'solutionNode' ) );
+    MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'solutionNode' ), {
+      concentrationGradient: model.concentrationGradient
+    } );
   const precipitateNode = new PrecipitateNode( model.solution, cylinderSize, beakerNode.getCylinderEndHeight(),
-    model.maxPrecipitateAmount, tandem.createTandem( 'precipitateNode' ) );
+    MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'precipitateNode' ) );
   const saturatedIndicator = new SaturatedIndicator( model.solution, tandem.createTandem( 'saturatedIndicator' ) );
 
+  // heater/cooler, below the beaker
+  const heaterCoolerNode = new HeaterCoolerNode( model.heatCoolAmountProperty, {
+    scale: 0.75,
+    tandem: tandem.createTandem( 'heaterCoolerNode' ),
+
+    // a11y
+    tagName: 'div',
+    labelTagName: 'h3',
+    labelContent: heaterCoolerString,
+    descriptionContent: heaterCoolerHelpTextString
+  } );
+
+  // thermometer, immersed in the solution
+  const temperatureRange = MolarityConstants.TEMPERATURE_RANGE;
+  const thermometerNode = new ThermometerNode( temperatureRange.min, temperatureRange.max, model.solution.temperatureProperty, {
+    bulbDiameter: 30,
+    tubeWidth: 15,
+    tubeHeight: 0.5 * cylinderSize.height,
+    tandem: tandem.createTandem( 'thermometerNode' )
+  } );
+
+  // temperature readout, above the thermometer
+  const temperatureNode = new Text( '?', {
+    font: new PhetFont( 20 ),
+    maxWidth: 75, // constrain for i18n, determined empirically
+    tandem: tandem.createTandem( 'temperatureNode' )
+  } );
+  model.solution.temperatureProperty.link( function( temperature ) {
+    temperatureNode.text = StringUtils.format( pattern0Value1UnitsString,
+      Utils.toFixed( temperature, MolarityConstants.TEMPERATURE_DECIMAL_PLACES ), unitsDegreesCelsiusString );
+    temperatureNode.centerX = thermometerNode.centerX;
+  } );
+
+  // evaporation control
+  const evaporationControl = new EvaporationControl( model.evaporationRateProperty, useQuantitativeDescriptionsProperty,
+    tandem.createTandem( 'evaporationControl' ) );
+
+  // play/pause and step buttons
+  const timeControlNode = new TimeControlNode( model.isPlayingProperty, {
+    playPauseStepButtonOptions: {
+      stepForwardButtonOptions: {
+        listener: function() { model.stepOnce(); }
+      }
+    },
+    tandem: tandem.createTandem( 'timeControlNode' )
+  } );
+
+  // buttons that nucleate a supersaturated solution
+  const seedCrystalButton = new TextPushButton( seedCrystalString, {
+    font: new PhetFont( 16 ),
+    maxWidth: 150,
+    listener: function() { model.solution.nucleate( NucleationCause.SEED_CRYSTAL ); },
+    tandem: tandem.createTandem( 'seedCrystalButton' ),
+
+    // a11y
+    helpText: seedCrystalHelpTextString
+  } );
+  const bumpBeakerButton = new TextPushButton( bumpBeakerString, {
+    font: new PhetFont( 16 ),
+    maxWidth: 150,
+    listener: function() { model.solution.nucleate( NucleationCause.BUMP ); },
+    tandem: tandem.createTandem( 'bumpBeakerButton' ),
+
+    // a11y
+    helpText: bumpBeakerHelpTextString
+  } );
+  const nucleationButtons = new VBox( {
+    align: 'left',
+    spacing: 8,
+    children: [ seedCrystalButton, bumpBeakerButton ]
+  } );
+
   // solute control
   const soluteComboBoxListParent = new Node();
   const soluteComboBox = new SoluteComboBox( model.solutes, model.solution.soluteProperty, soluteComboBoxListParent,
@@ -120,6 +295,24 @@ function MolarityScreenView( model, tandem ) {
       maxWidth: 500
     } );
 
+  // solvent control
+  const solventComboBoxListParent = new Node();
+  const solventComboBox = new SolventComboBox( model.solvents, model.solution.solventProperty, solventComboBoxListParent,
+    tandem.createTandem( 'solventComboBox' ) );
+
+  // button that opens a dialog for defining the custom solute
+  const customSoluteDialog = new CustomSoluteDialog( model.customSolute, model.solution.soluteProperty,
+    tandem.createTandem( 'customSoluteDialog' ) );
+  const editCustomSoluteButton = new TextPushButton( editCustomSoluteString, {
+    font: new PhetFont( 18 ),
+    maxWidth: 175,
+    listener: function() { customSoluteDialog.show(); },
+    tandem: tandem.createTandem( 'editCustomSoluteButton' ),
+
+    // a11y
+    helpText: editCustomSoluteHelpTextString
+  } );
+
   // slider for controlling amount of solute
   const soluteAmountSlider = new VerticalSlider( soluteAmountString,
     StringUtils.format( patternParentheses0TextString, molesString ),
@@ -131,13 +324,26 @@ function MolarityScreenView( model, tandem ) {
     valuesVisibleProperty,
     useQuantitativeDescriptionsProperty, molarityAlertManager, soluteAmountDescriber, {
       tandem: tandem.createTandem( 'soluteAmountSlider' ),
+
+      // grams, computed from the molar mass of the solute
+      alternateUnits: {
+        unitsProperty: soluteAmountUnitsProperty,
+        defaultUnitsValue: SoluteAmountUnits.MOLES,
+        alternateUnitsValue: SoluteAmountUnits.GRAMS,
+        subtitle: StringUtils.format( patternParentheses0TextString, gramsString ),
+        units: unitsGramsString,
+        decimalPlaces: MolarityConstants.SOLUTE_MASS_DECIMAL_PLACES,
+        convert: moles => model.solution.soluteProperty.value.molesToGrams( moles ),
+        convertDependencies: [ model.solution.soluteProperty, model.solution.soluteDefinitionProperty ]
+      },
       sliderOptions: {
         trackSize: new Dimension2( SLIDER_TRACK_WIDTH, cylinderSize.height ),
 
         // a11y
         accessibleName: soluteAmountNoNewlineString,
         a11yCreateAriaValueText: () => soluteAmountDescriber.getSoluteAmountValueText(),
-        a11yDependencies: [ model.solution.soluteProperty ]
+        a11yDependencies: [ model.solution.soluteProperty, model.solution.soluteDefinitionProperty,
+          soluteAmountUnitsProperty ]
       }
     }
   );
@@ -166,8 +372,67 @@ function MolarityScreenView( model, tandem ) {
 
   // concentration display
   const concentrationBarSize = new Dimension2( 40, cylinderSize.height + 50 );
+  const concentrationUnitsListParent = new Node();
   const concentrationDisplay = new ConcentrationDisplay( model.solution, MolarityConstants.CONCENTRATION_RANGE,
-    valuesVisibleProperty, concentrationBarSize, tandem.createTandem( 'concentrationDisplay' ) );
+    valuesVisibleProperty, concentrationBarSize, tandem.createTandem( 'concentrationDisplay' ), {
+      concentrationUnitsProperty: concentrationUnitsProperty,
+      listParent: concentrationUnitsListParent,
+      concentrationGradient: model.concentrationGradient
+    } );
+
+  // ion concentrations readout
+  const ionConcentrationsAccordionBox = new IonConcentrationsAccordionBox( model.solution,
+    ionConcentrationsExpandedProperty, concentrationDescriber, tandem.createTandem( 'ionConcentrationsAccordionBox' ) );
+
+  // spectrophotometer, with light that crosses the beaker
+  const spectrophotometerAccordionBox = new SpectrophotometerAccordionBox( model.solution, model.wavelengthProperty,
+    beakerNode.getPathLength(), spectrophotometerExpandedProperty, tandem.createTandem( 'spectrophotometerAccordionBox' ) );
+
+  // colligative properties readout
+  const colligativePropertiesAccordionBox = new ColligativePropertiesAccordionBox( model.solution,
+    colligativePropertiesExpandedProperty, colligativePropertiesDescriber,
+    tandem.createTandem( 'colligativePropertiesAccordionBox' ) );
+
+  // accordion boxes stacked vertically, so that expanding one moves the others
+  const accordionBoxesNode = new VBox( {
+    align: 'left',
+    spacing: 10,
+    children: [ ionConcentrationsAccordionBox, spectrophotometerAccordionBox, colligativePropertiesAccordionBox ]
+  } );
+
+  // pH meter, which measures the solution when its probe is dragged into it
+  const pHMeterNode = new PHMeterNode( model.solution, solutionNode, pHDescriber, molarityAlertManager,
+    tandem.createTandem( 'pHMeterNode' ) );
+
+  // conductivity tester, whose bulb glows when its probes are dragged into a solution that conducts electricity
+  const conductivityTesterNode = new ConductivityTesterNode( model.solution, solutionNode, conductivityDescriber,
+    molarityAlertManager, tandem.createTandem( 'conductivityTesterNode' ) );
+
+  // magnifier, which shows the particles that are dissolved in the solution when its lens is moved over it
+  const magnifierNode = new MagnifierNode( model.solution, solutionNode, magnifierDescriber, molarityAlertManager,
+    tandem.createTandem( 'magnifierNode' ) );
+
+  // stirring rod, which mixes the solution faster when it is dragged in the solution. Only the unmixed mode has
+  // anything to stir.
+  const stirringRodNode = new StirringRodNode( model.solution, model.concentrationGradient, solutionNode,
+    mixingDescriber, tandem.createTandem( 'stirringRodNode' ) );
+  model.concentrationGradient.isUnmixedProperty.linkAttribute( stirringRodNode, 'visible' );
+
+  // shaker, which adds solute to the solution when it is shaken over the beaker, and the particles that it shakes out
+  const shakerNode = new ShakerNode( model.solution, soluteAmountDescriber, soluteAmountUnitsProperty,
+    tandem.createTandem( 'shakerNode' ) );
+  shakerVisibleProperty.linkAttribute( shakerNode, 'visible' );
+
+  const shakerParticlesNode = new ShakerParticlesNode( model.solution, shakerNode, solutionNode, soluteAmountDescriber,
+    molarityAlertManager );
+
+  // a11y - alerts for the unmixed mode
+  model.concentrationGradient.isUnmixedProperty.lazyLink( function( isUnmixed ) {
+    molarityAlertManager.alertMixingChanged( mixingDescriber.getUnmixedChangedAlertString( isUnmixed ) );
+  } );
+  model.concentrationGradient.mixedEmitter.addListener( function() {
+    molarityAlertManager.alertMixingChanged( mixingDescriber.getMixedAlertString() );
+  } );
 
   // sound generator for concentration
   soundManager.addSoundGenerator( new ConcentrationSoundGenerator(
@@ -183,7 +448,18 @@ function MolarityScreenView( model, tandem ) {
     model.solution.precipitateAmountProperty,
     soluteAmountSlider,
     solutionVolumeSlider,
-    { initialOutputLevel: 0.1 }
+    {
+      initialOutputLevel: 0.1,
+      isEvaporatingProperty: model.isEvaporatingProperty
+    }
+  ) );
+
+  // sound generator for the conductivity tester's bulb
+  soundManager.addSoundGenerator( new ConductivityTesterSoundGenerator(
+    conductivityTesterNode.brightnessProperty,
+    conductivityTesterNode.isInSolutionProperty,
+    model.resetInProgressProperty,
+    { initialOutputLevel: 0.15 }
   ) );
 
   // sound generator for solute selection
@@ -209,10 +485,86 @@ function MolarityScreenView( model, tandem ) {
   } );
   solutionValuesCheckbox.touchArea = Shape.rectangle( solutionValuesCheckbox.left, solutionValuesCheckbox.top - 15, solutionValuesCheckbox.width + 5, solutionValuesCheckbox.height + 30 );
 
+  // Mixture checkbox
+  const mixtureLabel = new Text( mixtureString, {
+    font: new PhetFont( 22 ),
+    tandem: tandem.createTandem( 'mixtureText' )
+  } );
+  const mixtureCheckbox = new Checkbox( mixtureLabel, model.solution.isMixtureProperty, {
+    maxWidth: 175,
+    tandem: tandem.createTandem( 'mixtureCheckbox' ),
+
+    // a11y
+    accessibleName: mixtureString,
+    helpText: mixtureHelpTextString
+  } );
+  mixtureCheckbox.touchArea = mixtureCheckbox.localBounds.dilatedXY( 5, 8 );
+
+  // Dissolve Over Time checkbox
+  const kineticLabel = new Text( dissolveOverTimeString, {
+    font: new PhetFont( 22 ),
+    tandem: tandem.createTandem( 'kineticText' )
+  } );
+  const kineticCheckbox = new Checkbox( kineticLabel, model.solution.isKineticProperty, {
+    maxWidth: 175,
+    tandem: tandem.createTandem( 'kineticCheckbox' ),
+
+    // a11y
+    accessibleName: dissolveOverTimeString,
+    helpText: dissolveOverTimeHelpTextString
+  } );
+  kineticCheckbox.touchArea = kineticCheckbox.localBounds.dilatedXY( 5, 8 );
+
+  // Mix Over Time checkbox
+  const mixOverTimeLabel = new Text( mixOverTimeString, {
+    font: new PhetFont( 22 ),
+    tandem: tandem.createTandem( 'mixOverTimeText' )
+  } );
+  const mixOverTimeCheckbox = new Checkbox( mixOverTimeLabel, model.concentrationGradient.isUnmixedProperty, {
+    maxWidth: 175,
+    tandem: tandem.createTandem( 'mixOverTimeCheckbox' ),
+
+    // a11y
+    accessibleName: mixOverTimeString,
+    helpText: mixOverTimeHelpTextString
+  } );
+  mixOverTimeCheckbox.touchArea = mixOverTimeCheckbox.localBounds.dilatedXY( 5, 8 );
+
+  // Shaker checkbox
+  const shakerLabel = new Text( shakerString, {
+    font: new PhetFont( 22 ),
+    tandem: tandem.createTandem( 'shakerText' )
+  } );
+  const shakerCheckbox = new Checkbox( shakerLabel, shakerVisibleProperty, {
+    maxWidth: 175,
+    tandem: tandem.createTandem( 'shakerCheckbox' ),
+
+    // a11y
+    accessibleName: shakerString,
+    helpText: shakerCheckboxHelpTextString
+  } );
+  shakerCheckbox.touchArea = shakerCheckbox.localBounds.dilatedXY( 5, 8 );
+
   // Reset All button
   const resetAllButton = new ResetAllButton( {
     listener: function() {
+
+      // The view is reset while a reset is in progress, so that resetting the conductivity tester does not produce
+      // sounds. model.reset clears resetInProgressProperty when it is done.
+      model.resetInProgressProperty.set( true );
       valuesVisibleProperty.reset();
+      soluteAmountUnitsProperty.reset();
+      concentrationUnitsProperty.reset();
+      ionConcentrationsExpandedProperty.reset();
+      spectrophotometerExpandedProperty.reset();
+      colligativePropertiesExpandedProperty.reset();
+      shakerVisibleProperty.reset();
+      pHMeterNode.reset();
+      conductivityTesterNode.reset();
+      magnifierNode.reset();
+      stirringRodNode.reset();
+      shakerNode.reset();
+      shakerParticlesNode.reset();
       model.reset();
     },
     scale: 1.32,
@@ -232,12 +584,34 @@ function MolarityScreenView( model, tandem ) {
   this.pdomPlayAreaNode.accessibleOrder = [
     beakerNode,
     solutionControlsNode,
+    heaterCoolerNode,
+    evaporationControl,
+    seedCrystalButton,
+    bumpBeakerButton,
     soluteComboBox,
-    soluteComboBoxListParent
+    soluteComboBoxListParent,
+    editCustomSoluteButton,
+    solventComboBox,
+    solventComboBoxListParent,
+    concentrationDisplay,
+    concentrationUnitsListParent,
+    ionConcentrationsAccordionBox,
+    spectrophotometerAccordionBox,
+    colligativePropertiesAccordionBox,
+    pHMeterNode,
+    conductivityTesterNode,
+    magnifierNode,
+    stirringRodNode,
+    shakerNode
   ];
 
   // a11y - contains PDOM heading for Control Area, and orders the PDOM for included elements
   this.pdomControlAreaNode.accessibleOrder = [
+    timeControlNode,
+    shakerCheckbox,
+    mixOverTimeCheckbox,
+    kineticCheckbox,
+    mixtureCheckbox,
     solutionValuesCheckbox,
     resetAllButton
   ];
@@ -258,9 +632,17 @@ function MolarityScreenView( model, tandem ) {
     // same coordinate frame as beaker
     precipitateNode.x = beakerNode.x;
     precipitateNode.y = beakerNode.y;
+    // centered below the beaker's cylinder, overlapping the base of the beaker image
+    heaterCoolerNode.centerX = beakerNode.x + ( cylinderSize.width / 2 );
+    heaterCoolerNode.top = beakerNode.bottom - 10;
+    // inside the beaker, toward the right side of the cylinder
+    thermometerNode.right = beakerNode.x + cylinderSize.width - 20;
+    thermometerNode.bottom = beakerNode.y + cylinderSize.height - 10;
+    temperatureNode.centerX = thermometerNode.centerX;
+    temperatureNode.bottom = thermometerNode.top - 5;
     // centered below beaker
     soluteComboBox.centerX = beakerNode.centerX;
-    soluteComboBox.top = beakerNode.bottom + 50;
+    soluteComboBox.top = heaterCoolerNode.bottom + 15;
     // toward bottom of the beaker
     const saturatedIndicatorVisible = saturatedIndicator.visible; // so we can layout an invisible node
     saturatedIndicator.visible = true;
@@ -270,35 +652,127 @@ function MolarityScreenView( model, tandem ) {
     // right of beaker
     concentrationDisplay.left = beakerNode.right + 40;
     concentrationDisplay.bottom = beakerNode.bottom;
+    // right of the concentration display, top-aligned with it
+    accordionBoxesNode.left = concentrationDisplay.right + 20;
+    accordionBoxesNode.top = concentrationDisplay.top;
     // left of combo box
     solutionValuesCheckbox.right = soluteComboBox.left - 50;
     solutionValuesCheckbox.centerY = soluteComboBox.centerY;
+    // above the Solution Values checkbox
+    mixtureCheckbox.left = solutionValuesCheckbox.left;
+    mixtureCheckbox.bottom = solutionValuesCheckbox.top - 20;
+    // above the Mixture checkbox
+    kineticCheckbox.left = mixtureCheckbox.left;
+    kineticCheckbox.bottom = mixtureCheckbox.top - 20;
+    // above the Dissolve Over Time checkbox
+    mixOverTimeCheckbox.left = kineticCheckbox.left;
+    mixOverTimeCheckbox.bottom = kineticCheckbox.top - 20;
+    // above the Mix Over Time checkbox
+    shakerCheckbox.left = mixOverTimeCheckbox.left;
+    shakerCheckbox.bottom = mixOverTimeCheckbox.top - 20;
+
+    solventComboBox.left = shakerCheckbox.left;
+    solventComboBox.bottom = shakerCheckbox.top - 20;
+    // right of the heater/cooler, below the concentration display
+    evaporationControl.left = heaterCoolerNode.right + 30;
+    evaporationControl.centerY = heaterCoolerNode.centerY;
+    // right of the evaporation control
+    timeControlNode.left = evaporationControl.right + 30;
+    timeControlNode.centerY = heaterCoolerNode.centerY;
+    // right of the time controls
+    nucleationButtons.left = timeControlNode.right + 30;
+    nucleationButtons.centerY = heaterCoolerNode.centerY;
     // right of combo box
-    resetAllButton.left = Math.max( soluteComboBox.right + 10, concentrationDisplay.centerX - ( resetAllButton.width / 2 ) );
+    editCustomSoluteButton.left = soluteComboBox.right + 10;
+    editCustomSoluteButton.centerY = soluteComboBox.centerY;
+    // right of the Edit Custom Solute button
+    resetAllButton.left = Math.max( editCustomSoluteButton.right + 10, concentrationDisplay.centerX - ( resetAllButton.width / 2 ) );
     resetAllButton.centerY = soluteComboBox.centerY;
+    // below the accordion boxes, when they are collapsed
+    pHMeterNode.setHomePosition( new Vector2( accordionBoxesNode.left - pHMeterNode.localBounds.minX,
+      accordionBoxesNode.bottom + 20 - pHMeterNode.localBounds.minY ) );
+    // right of the pH meter
+    conductivityTesterNode.setHomePosition( new Vector2(
+      pHMeterNode.positionProperty.value.x + pHMeterNode.localBounds.maxX + 20 - conductivityTesterNode.localBounds.minX,
+      pHMeterNode.positionProperty.value.y + pHMeterNode.localBounds.minY - conductivityTesterNode.localBounds.minY ) );
+    // below the pH meter
+    magnifierNode.setHomePosition( new Vector2(
+      pHMeterNode.positionProperty.value.x + pHMeterNode.localBounds.minX - magnifierNode.localBounds.minX,
+      pHMeterNode.positionProperty.value.y + pHMeterNode.localBounds.maxY + 20 - magnifierNode.localBounds.minY ) );
+    // standing in the beaker, toward the left side of the cylinder
+    stirringRodNode.setHomePosition( new Vector2( beakerNode.x + 30, beakerNode.y + cylinderSize.height - 10 ) );
+    // holes over the middle of the beaker's cylinder
+    shakerNode.setHomePosition( new Vector2( beakerNode.x + ( cylinderSize.width / 2 ), beakerNode.y ) );
   }
 
   // center everything on the screen
-  this.addChild( new Node( {
+  const contentNode = new Node( {
     children: [
       solutionNode,
+      shakerParticlesNode,
+      thermometerNode,
+      temperatureNode,
       beakerNode,
       precipitateNode,
       saturatedIndicator,
+      heaterCoolerNode,
+      evaporationControl,
+      timeControlNode,
+      nucleationButtons,
       soluteAmountSlider,
       solutionVolumeSlider,
       concentrationDisplay,
+      accordionBoxesNode,
+      shakerCheckbox,
+      mixOverTimeCheckbox,
+      kineticCheckbox,
+      mixtureCheckbox,
       solutionValuesCheckbox,
       resetAllButton,
+      editCustomSoluteButton,
       soluteComboBox,
+      solventComboBox,
       soluteComboBoxListParent,
-      solutionControlsNode
+      solventComboBoxListParent,
+      concentrationUnitsListParent,
+      solutionControlsNode,
+      pHMeterNode,
+      conductivityTesterNode,
+      magnifierNode,
+      stirringRodNode,
+      shakerNode
     ],
     center: this.layoutBounds.center
-  } ) );
+  } );
+  this.addChild( contentNode );
+
+  // the pH meter, conductivity tester, magnifier, stirring rod and shaker can be dragged anywhere on the screen
+  pHMeterNode.setVisibleBounds( contentNode.parentToLocalBounds( this.layoutBounds ) );
+  conductivityTesterNode.setVisibleBounds( contentNode.parentToLocalBounds( this.layoutBounds ) );
+  magnifierNode.setVisibleBounds( contentNode.parentToLocalBounds( this.layoutBounds ) );
+  stirringRodNode.setVisibleBounds( contentNode.parentToLocalBounds( this.layoutBounds ) );
+  shakerNode.setVisibleBounds( contentNode.parentToLocalBounds( this.layoutBounds ) );
+
+  // @private particles are animated by the view, see step
+  this.precipitateNode = precipitateNode;
+  this.shakerParticlesNode = shakerParticlesNode;
+  this.magnifierNode = magnifierNode;
 }
 
 molarity.register( 'MolarityScreenView', MolarityScreenView );
 
-inherit( ScreenView, MolarityScreenView );
+inherit( ScreenView, MolarityScreenView, {
+
+  /**
+   * Animates the precipitate as it settles, the particles that are shaken out of the shaker, and the particles in the
+   * magnifier.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step: function( dt ) {
+    this.precipitateNode.step( dt );
+    this.shakerParticlesNode.step( dt );
+    this.magnifierNode.step( dt );
+  }
+} );
 export default MolarityScreenView;
\ No newline at end of file
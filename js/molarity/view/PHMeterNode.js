@@ -0,0 +1,274 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A pH meter that can be dragged around the screen. When the tip of its probe is in the solution, it reads the
+ * solution's pH, and points to it on a pH color scale. The meter's origin is at the tip of its probe, so its position
+ * is where it measures.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const acidicString = molarityStrings.acidic;
+const basicString = molarityStrings.basic;
+const noReadingString = molarityStrings.noReading;
+const patternPH0ValueString = molarityStrings.pattern.pH[ '0value' ];
+const pHMeterString = molarityStrings.pHMeter;
+
+// a11y strings
+const pHMeterHelpTextString = molarityStrings.a11y.pHMeterHelpText;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 14, weight: 'bold' } );
+const READOUT_FONT = new PhetFont( 20 );
+const SCALE_LABEL_FONT = new PhetFont( 12 );
+const BODY_X_MARGIN = 10;
+const BODY_Y_MARGIN = 8;
+const SCALE_SIZE = { width: 150, height: 14 };
+const MARKER_SIZE = 10;
+const PROBE_LENGTH = 70;
+const PROBE_WIDTH = 6;
+const TIP_LENGTH = 12;
+
+// Colors of a universal indicator, at evenly spaced pH values across MolarityConstants.PH_RANGE
+const SCALE_COLORS = [
+  new Color( 230, 0, 0 ),
+  new Color( 255, 102, 0 ),
+  new Color( 255, 204, 0 ),
+  new Color( 170, 210, 0 ),
+  new Color( 0, 170, 0 ),
+  new Color( 0, 153, 136 ),
+  new Color( 0, 102, 204 ),
+  new Color( 80, 0, 160 )
+];
+
+class PHMeterNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {Node} solutionNode - the probe is in the solution when its tip is in this Node's bounds, which are in the
+   *                              same coordinate frame as this Node's position
+   * @param {PHDescriber} pHDescriber
+   * @param {MolarityAlertManager} molarityAlertManager
+   * @param {Tandem} tandem
+   */
+  constructor( solution, solutionNode, pHDescriber, molarityAlertManager, tandem ) {
+
+    super( {
+      cursor: 'pointer',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true,
+      labelTagName: 'h3',
+      labelContent: pHMeterString,
+      descriptionContent: pHMeterHelpTextString
+    } );
+
+    // @public position of the probe's tip, in the parent's coordinate frame. Set by the screen, see setHomePosition.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: tandem.createTandem( 'positionProperty' )
+    } );
+
+    // @public (read-only) whether the probe's tip is in the solution
+    this.isInSolutionProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isInSolutionProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private bounds that the probe's tip can be dragged within, see setVisibleBounds
+    this.dragBoundsProperty = new Property( Bounds2.EVERYTHING );
+
+    // @private
+    this.homePosition = Vector2.ZERO;
+
+    // readout and color scale, in the body of the meter
+    const titleNode = new Text( pHMeterString, {
+      font: TITLE_FONT,
+      maxWidth: SCALE_SIZE.width
+    } );
+    const readoutNode = new Text( '', {
+      font: READOUT_FONT,
+      maxWidth: SCALE_SIZE.width
+    } );
+    const scaleNode = new Rectangle( 0, 0, SCALE_SIZE.width, SCALE_SIZE.height, {
+      fill: createScaleGradient(),
+      stroke: 'black',
+      lineWidth: 0.5
+    } );
+    const acidicNode = new Text( acidicString, {
+      font: SCALE_LABEL_FONT,
+      maxWidth: SCALE_SIZE.width / 2,
+      left: scaleNode.left,
+      top: scaleNode.bottom + 2
+    } );
+    const basicNode = new Text( basicString, {
+      font: SCALE_LABEL_FONT,
+      maxWidth: SCALE_SIZE.width / 2,
+      right: scaleNode.right,
+      top: scaleNode.bottom + 2
+    } );
+
+    // points down at the pH on the scale
+    const markerNode = new Path( new Shape()
+      .moveTo( 0, 0 )
+      .lineTo( -MARKER_SIZE / 2, -MARKER_SIZE )
+      .lineTo( MARKER_SIZE / 2, -MARKER_SIZE )
+      .close(), {
+      fill: 'black',
+      bottom: scaleNode.top
+    } );
+    const scaleParent = new Node( { children: [ scaleNode, acidicNode, basicNode, markerNode ] } );
+
+    // layout of the body's contents, centered on x=0
+    titleNode.centerX = 0;
+    readoutNode.centerX = 0;
+    readoutNode.top = titleNode.bottom + 4;
+    scaleParent.centerX = 0;
+    scaleParent.top = readoutNode.bottom + MARKER_SIZE + 4;
+    const contentBounds = titleNode.bounds.union( readoutNode.bounds ).union( scaleParent.bounds );
+
+    const bodyNode = new Rectangle( contentBounds.dilatedXY( BODY_X_MARGIN, BODY_Y_MARGIN ), {
+      cornerRadius: 8,
+      fill: 'rgb( 230, 230, 230 )',
+      stroke: 'black'
+    } );
+
+    // the probe hangs below the body, and its tip is at the origin
+    const probeNode = new Path( new Shape()
+      .rect( -PROBE_WIDTH / 2, -PROBE_LENGTH, PROBE_WIDTH, PROBE_LENGTH - TIP_LENGTH )
+      .moveTo( -PROBE_WIDTH / 2, -TIP_LENGTH )
+      .lineTo( PROBE_WIDTH / 2, -TIP_LENGTH )
+      .lineTo( 0, 0 )
+      .close(), {
+      fill: 'rgb( 80, 80, 80 )',
+      stroke: 'black',
+      lineWidth: 0.5
+    } );
+
+    const meterNode = new Node( {
+      children: [ bodyNode, titleNode, readoutNode, scaleParent ]
+    } );
+    meterNode.bottom = -PROBE_LENGTH;
+
+    // a11y - the description of what the meter is reading
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ probeNode, meterNode, descriptionNode ];
+
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    // The solution's bounds change with its volume. SolutionNode links to the volume first, so its bounds are up to
+    // date when this listener is called.
+    Property.multilink( [ this.positionProperty, solution.volumeProperty ], position => {
+      this.isInSolutionProperty.value = solutionNode.bounds.containsPoint( position );
+    } );
+
+    // update the reading
+    Property.multilink( [
+      this.isInSolutionProperty,
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.solventProperty,
+      solution.concentrationProperty,
+      solution.isMixtureProperty,
+      pHDescriber.useQuantitativeDescriptionsProperty,
+      ...solution.components.map( component => component.concentrationProperty )
+    ], isInSolution => {
+      const pH = isInSolution ? solution.getPH() : null;
+      readoutNode.text = StringUtils.format( patternPH0ValueString,
+        ( pH === null ) ? noReadingString : Utils.toFixed( pH, MolarityConstants.PH_DECIMAL_PLACES ) );
+      readoutNode.centerX = 0;
+      markerNode.visible = ( pH !== null );
+      if ( pH !== null ) {
+        markerNode.centerX = scaleNode.left + SCALE_SIZE.width *
+                             MolarityConstants.PH_RANGE.getNormalizedValue( MolarityConstants.PH_RANGE.constrainValue( pH ) );
+      }
+      descriptionNode.innerContent = pHDescriber.getDescription( isInSolution );
+    } );
+
+    // An alert is read out when the probe is moved into or out of the solution.
+    this.isInSolutionProperty.lazyLink( isInSolution => {
+      molarityAlertManager.alertPHMeterChanged( pHDescriber.getDescription( isInSolution ) );
+    } );
+
+    // dragging with the pointer, or with the keyboard
+    this.addInputListener( new DragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      useParentOffset: true,
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+    this.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty
+    } ) );
+  }
+
+  /**
+   * Sets the position that the probe's tip is moved to when the meter is reset, and moves it there.
+   * @param {Vector2} position - in the parent's coordinate frame
+   * @public
+   */
+  setHomePosition( position ) {
+    this.homePosition = position;
+    this.positionProperty.value = position;
+  }
+
+  /**
+   * Sets the bounds that the whole meter must stay within while it is dragged.
+   * @param {Bounds2} bounds - in the parent's coordinate frame
+   * @public
+   */
+  setVisibleBounds( bounds ) {
+    const localBounds = this.localBounds;
+    this.dragBoundsProperty.value = new Bounds2( bounds.minX - localBounds.minX, bounds.minY - localBounds.minY,
+      bounds.maxX - localBounds.maxX, bounds.maxY - localBounds.maxY );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.value = this.homePosition;
+  }
+}
+
+/**
+ * Creates the gradient of the pH color scale, from the lowest pH on the left to the highest on the right.
+ * @returns {LinearGradient}
+ */
+const createScaleGradient = () => {
+  const gradient = new LinearGradient( 0, 0, SCALE_SIZE.width, 0 );
+  SCALE_COLORS.forEach( ( color, index ) => {
+    gradient.addColorStop( index / ( SCALE_COLORS.length - 1 ), color );
+  } );
+  return gradient;
+};
+
+molarity.register( 'PHMeterNode', PHMeterNode );
+export default PHMeterNode;
@@ -2,109 +2,471 @@
 
 /**
  * This node manages the precipitate that forms on the bottom of the beaker when the solution is saturated.
+ * In mixture mode, each solute that is saturated contributes its own precipitate, in its own particle color, and so
+ * does the product of each reaction between the solutes, see Solution.reactionProductsProperty.
+ * In kinetic mode, the precipitate changes gradually, so the last particle of each solute grows and shrinks with the
+ * fraction of a particle that it represents, and particles appear to dissolve or form.
+ * A supersaturated solution has no precipitate. Once it is nucleated, its precipitate grows the same way, quickly.
+ *
+ * The particles settle into a pile. New particles fall through the solution and land on top of the pile, and particles
+ * that dissolve are taken off the top of the pile, so the particles that remain stay where they are. Every solid is
+ * assumed to have the same density, so the number of particles is proportional to the precipitate's mass, and the
+ * pile grows with the solid's volume.
+ *
+ * A pile can have thousands of particles, so they are not Nodes. Each particle is a plain object, and the pile is
+ * painted to a canvas in one batch. Each combination of particle shape (see ParticleShape) and color is drawn once to
+ * a sprite, and every particle with that shape and color is a copy of its sprite, translated, rotated and scaled.
+ * Since the sprite is drawn once, the particle's shape can be any kite Shape without slowing down painting.
+ *
+ * The number of particles per gram is set by the particlesPerGram query parameter, and the performance of painting
+ * can be measured with the precipitateBenchmark query parameter, see MolarityQueryParameters.
+ *
  * It assumes that the beaker is represented as a cylinder, with elliptical top and bottom.
  * Origin is at the upper-left corner of this cylinder.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
-import inherit from '../../../../phet-core/js/inherit.js';
-import Node from '../../../../scenery/js/nodes/Node.js';
-import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Shape from '../../../../kite/js/Shape.js';
+import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
+import Color from '../../../../scenery/js/util/Color.js';
 import molarity from '../../molarity.js';
+import ParticleShape from '../model/ParticleShape.js';
+import MolarityQueryParameters from '../MolarityQueryParameters.js';
 
 // constants
 const DEBUG_OUTPUT = false;
-const PARTICLE_LENGTH = 5; // particles are square, this is the length of one side
-const PARTICLES_PER_MOLE = 200; // number of particles to show per mol of saturation
+const PARTICLES_PER_GRAM = MolarityQueryParameters.particlesPerGram; // number of particles per gram of precipitate
 
-/**
- * @param {Solution} solution
- * @param {Dimension2} cylinderSize
- * @param {number} cylinderEndHeight
- * @param {number} maxPrecipitateAmount moles
- * @param {Tandem} tandem
- * @constructor
- */
-function PrecipitateNode( solution, cylinderSize, cylinderEndHeight, maxPrecipitateAmount, tandem ) {
-
-  Node.call( this, {
-    pickable: false,
-    tandem: tandem
-  } );
-
-  // Create the max number of particles that we'll need.
-  const maxParticles = getNumberOfParticles( maxPrecipitateAmount );
-  const particleNodes = [];
-  for ( let i = 0; i < maxParticles; i++ ) {
-    particleNodes[ i ] = new Rectangle( 0, 0, PARTICLE_LENGTH, PARTICLE_LENGTH, {
-      rotation: phet.joist.random.nextDouble() * 2 * Math.PI
+// Particles have about the area of a square with sides of this length. The more particles per gram, the smaller they
+// are, so that the pile has the same volume for the same mass of precipitate.
+const PARTICLE_LENGTH = 5 / Math.cbrt( PARTICLES_PER_GRAM );
+const PARTICLE_LINE_WIDTH = 0.2 * PARTICLE_LENGTH;
+const MIN_PARTICLE_SCALE = 0.2; // smallest scale of a partial particle, so that it remains visible
+const SPRITE_RESOLUTION = 4; // sprites are drawn at this scale, so that they stay sharp when the screen is zoomed
+const SLOT_SPACING = PARTICLE_LENGTH; // horizontal distance between neighboring particles in a layer of the pile
+const LAYER_HEIGHT = 0.6 * PARTICLE_LENGTH; // vertical distance between layers of the pile
+const MAX_LAYERS = Math.ceil( 20 * Math.cbrt( PARTICLES_PER_GRAM ) ); // room for more than any solution precipitates
+const PILE_SLOPE = 0.5; // rise over run of the sides of the pile, until the pile covers the bottom of the beaker
+const SLOT_JITTER = 0.2 * PARTICLE_LENGTH; // max random offset of a particle from its place in the pile
+const FALL_SPEED = 150; // speed at which particles fall through the solution, and settle when the pile shrinks
+
+// the shape of each ParticleShape, keyed by its name, each with about the area of a square of sides PARTICLE_LENGTH
+const PARTICLE_SHAPES = {
+  SQUARE: Shape.rect( -PARTICLE_LENGTH / 2, -PARTICLE_LENGTH / 2, PARTICLE_LENGTH, PARTICLE_LENGTH ),
+  CIRCLE: Shape.circle( 0, 0, 0.56 * PARTICLE_LENGTH ),
+  TRIANGLE: Shape.regularPolygon( 3, 0.88 * PARTICLE_LENGTH ),
+  DIAMOND: Shape.polygon( [
+    new Vector2( 0, -0.8 * PARTICLE_LENGTH ),
+    new Vector2( 0.625 * PARTICLE_LENGTH, 0 ),
+    new Vector2( 0, 0.8 * PARTICLE_LENGTH ),
+    new Vector2( -0.625 * PARTICLE_LENGTH, 0 )
+  ] ),
+  HEXAGON: Shape.regularPolygon( 6, 0.62 * PARTICLE_LENGTH ),
+  NEEDLE: Shape.rect( -PARTICLE_LENGTH, -PARTICLE_LENGTH / 4, 2 * PARTICLE_LENGTH, PARTICLE_LENGTH / 2 )
+};
+assert && assert( _.every( ParticleShape.KEYS, key => PARTICLE_SHAPES.hasOwnProperty( key ) ),
+  'every ParticleShape must have a shape' );
+
+// benchmark, see MolarityQueryParameters.precipitateBenchmark
+const BENCHMARK_PARTICLES = MolarityQueryParameters.precipitateBenchmark;
+const BENCHMARK_FRAMES = 300; // number of frames that the times are averaged over
+const BENCHMARK_COLORS = [ 'red', 'orange', 'gold', 'green', 'blue', 'purple' ].map( color => new Color( color ) );
+
+class PrecipitateNode extends CanvasNode {
+
+  /**
+   * @param {Solution} solution
+   * @param {Dimension2} cylinderSize
+   * @param {number} cylinderEndHeight
+   * @param {number} maxVolume - the solution's volume (L) when it fills the cylinder, see SolutionNode
+   * @param {Tandem} tandem
+   */
+  constructor( solution, cylinderSize, cylinderEndHeight, maxVolume, tandem ) {
+
+    super( {
+      pickable: false,
+
+      // the cylinder, where particles fall, and the bottom of the cylinder, where they pile up
+      canvasBounds: new Bounds2( 0, 0, cylinderSize.width, cylinderSize.height + ( cylinderEndHeight / 2 ) )
+        .dilated( 2 * PARTICLE_LENGTH ),
+      tandem: tandem
     } );
-    this.addChild( particleNodes[ i ] );
+
+    // @private
+    this.solution = solution;
+    this.cylinderSize = cylinderSize;
+    this.maxVolume = maxVolume;
+
+    // @private {Vector2[]} where the particles in the pile are, from the first particle to settle to the last.
+    // Computed once, so that the pile looks the same whenever it has the same number of particles.
+    this.slots = createSlots( cylinderSize, cylinderEndHeight );
+
+    // @private {{key:Solute|PrecipitationReaction|ParticleShape, sprite:Sprite, position:Vector2, destination:Vector2,
+    // rotation:number, scale:number}[]} the particles, from the bottom of the pile to the top. key identifies the
+    // precipitate that a particle belongs to.
+    this.particles = [];
+
+    // @private {Map.<string,Sprite>} a sprite for each particle shape and color that the precipitate has, see
+    // getSpriteKey. Sprites are keyed by color instead of by solute, since the custom solute's particle color can
+    // change, and by the color's CSS, since the custom solute creates a new Color whenever it is redefined.
+    this.sprites = new Map();
+
+    // @private {{frames:number, frameTime:number, paints:number, paintTime:number}|null} totals since the benchmark's
+    // times were last logged, null if not benchmarking, see stepBenchmark
+    this.benchmark = BENCHMARK_PARTICLES ? createBenchmarkTotals() : null;
+
+    const update = () => this.update();
+    solution.soluteProperty.link( update );
+    solution.soluteDefinitionProperty.link( update );
+    solution.precipitateAmountProperty.link( update );
+    solution.isMixtureProperty.link( update );
+    solution.isKineticProperty.link( update );
+    solution.isCrystallizingProperty.link( update );
+    solution.reactionProductsProperty.link( update );
+    solution.components.forEach( component => component.precipitateAmountProperty.link( update ) );
   }
-  if ( DEBUG_OUTPUT ) {
-    console.log( 'PrecipitateNode: ' + Utils.toFixed( maxPrecipitateAmount, 4 ) + ' mol => ' + maxParticles + ' particles (max)' );
+
+  /**
+   * Moves the particles that are falling or settling toward their places in the pile.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    const maxDistance = FALL_SPEED * dt;
+    let isMoving = false;
+    this.particles.forEach( particle => {
+      if ( !particle.position.equals( particle.destination ) ) {
+        const delta = particle.destination.minus( particle.position );
+        particle.position = ( delta.magnitude <= maxDistance ) ? particle.destination :
+                            particle.position.plus( delta.withMagnitude( maxDistance ) );
+        isMoving = true;
+      }
+    } );
+    if ( isMoving ) {
+      this.invalidatePaint();
+    }
+    if ( this.benchmark ) {
+      this.stepBenchmark( dt );
+    }
+  }
+
+  /**
+   * Counts a frame of the benchmark, and logs the average frame and paint times every BENCHMARK_FRAMES frames. The
+   * pile is painted every frame, so that painting is measured whether or not particles are moving.
+   * @param {number} dt - time step, in seconds
+   * @private
+   */
+  stepBenchmark( dt ) {
+    const benchmark = this.benchmark;
+    benchmark.frames++;
+    benchmark.frameTime += 1000 * dt;
+    if ( benchmark.frames >= BENCHMARK_FRAMES && benchmark.paints > 0 ) {
+      console.log( 'PrecipitateNode benchmark: ' + this.particles.length + ' particles, ' +
+                   Utils.toFixed( benchmark.frameTime / benchmark.frames, 2 ) + ' ms per frame, ' +
+                   Utils.toFixed( benchmark.paintTime / benchmark.paints, 2 ) + ' ms per paint' );
+      this.benchmark = createBenchmarkTotals();
+    }
+    this.invalidatePaint();
   }
 
-  // Change color of all particles to match the solute, change position so it doesn't look predictable
-  solution.soluteProperty.link( function( solute ) {
-    const fill = solute.particleColor;
-    const stroke = solute.particleColor.darkerColor();
-    particleNodes.forEach( function( node ) {
-      node.fill = fill;
-      node.stroke = stroke;
-      node.translation = getRandomOffset( node.width, node.height, cylinderSize, cylinderEndHeight );
+  /**
+   * Paints all of the particles, from the bottom of the pile to the top.
+   * @param {CanvasRenderingContext2D} context
+   * @public
+   * @override
+   */
+  paintCanvas( context ) {
+    const startTime = this.benchmark ? window.performance.now() : 0;
+    this.particles.forEach( particle => {
+      const sprite = particle.sprite;
+      const cos = Math.cos( particle.rotation ) * particle.scale;
+      const sin = Math.sin( particle.rotation ) * particle.scale;
+      context.save();
+      context.transform( cos, sin, -sin, cos, particle.position.x, particle.position.y );
+      context.drawImage( sprite.canvas, sprite.bounds.minX, sprite.bounds.minY, sprite.bounds.width,
+        sprite.bounds.height );
+      context.restore();
     } );
-  } );
-
-  // Make particles visible to match the amount of precipitate.
-  solution.precipitateAmountProperty.link( function( precipitateAmount ) {
-    const numberOfParticles = getNumberOfParticles( precipitateAmount );
-    assert && assert( numberOfParticles <= particleNodes.length );
-    for ( let i = 0; i < particleNodes.length; i++ ) {
-      particleNodes[ i ].visible = ( i < numberOfParticles );
+    if ( this.benchmark ) {
+      this.benchmark.paints++;
+      this.benchmark.paintTime += window.performance.now() - startTime;
     }
+  }
+
+  /**
+   * Updates the pile to match the amount of precipitate of each solute and reaction product, or the benchmark's
+   * particles. Reaction products form instantaneously, so they are never partial particles.
+   * @private
+   */
+  update() {
+    const precipitates = BENCHMARK_PARTICLES ? getBenchmarkPrecipitates() : this.getPrecipitates();
+
+    // the number of particles that each precipitate needs
+    const numbersOfParticles = new Map();
+    precipitates.forEach( precipitate => {
+      numbersOfParticles.set( precipitate.key, precipitate.isPartial ?
+                                               Math.ceil( PARTICLES_PER_GRAM * precipitate.mass ) :
+                                               getNumberOfParticles( precipitate.mass ) );
+    } );
+
+    // Remove the particles that each precipitate no longer needs, taking its highest particles off the pile first.
+    // Particles above a removed particle settle into the space that it leaves.
+    const excess = new Map();
+    this.particles.forEach( particle => {
+      excess.set( particle.key, ( excess.get( particle.key ) || 0 ) + 1 );
+    } );
+    excess.forEach( ( count, key ) => {
+      excess.set( key, count - ( numbersOfParticles.get( key ) || 0 ) );
+    } );
+    for ( let i = this.particles.length - 1; i >= 0; i-- ) {
+      const key = this.particles[ i ].key;
+      if ( excess.get( key ) > 0 ) {
+        excess.set( key, excess.get( key ) - 1 );
+        this.particles.splice( i, 1 );
+      }
+    }
+
+    // Add the particles that each precipitate needs to the top of the pile.
+    precipitates.forEach( precipitate => {
+      const particles = _.filter( this.particles, particle => particle.key === precipitate.key );
+      for ( let i = particles.length; i < numbersOfParticles.get( precipitate.key ); i++ ) {
+        this.addParticle( precipitate.key );
+      }
+    } );
+
+    // Particles that were above a removed particle settle into lower slots.
+    this.particles.forEach( ( particle, index ) => {
+      particle.destination = this.getSlot( index );
+    } );
+
+    // Draw the particles with the sprite for their shape and color, and scale the highest particle of each precipitate
+    // by the fraction of a particle that it represents.
+    const spriteKeys = precipitates.map( precipitate => {
+      const spriteKey = getSpriteKey( precipitate.particleShape, precipitate.particleColor );
+      if ( !this.sprites.has( spriteKey ) ) {
+        this.sprites.set( spriteKey, createSprite( precipitate.particleShape, precipitate.particleColor ) );
+      }
+      const particles = _.filter( this.particles, particle => particle.key === precipitate.key );
+      particles.forEach( ( particle, i ) => {
+        particle.sprite = this.sprites.get( spriteKey );
+        const fraction = ( PARTICLES_PER_GRAM * precipitate.mass ) - i;
+        particle.scale = ( precipitate.isPartial && fraction < 1 ) ? Math.max( MIN_PARTICLE_SCALE, fraction ) : 1;
+      } );
+      return spriteKey;
+    } );
+
+    // Forget the sprites that are no longer drawn, e.g. those of the custom solute's previous particle colors.
+    Array.from( this.sprites.keys() ).forEach( spriteKey => {
+      if ( !spriteKeys.includes( spriteKey ) ) {
+        this.sprites.delete( spriteKey );
+      }
+    } );
+    this.invalidatePaint();
+
     if ( DEBUG_OUTPUT ) {
-      console.log( 'PrecipitateNode: ' + Utils.toFixed( precipitateAmount, 4 ) + ' mol => ' + numberOfParticles + ' particles' );
+      console.log( 'PrecipitateNode: ' + this.particles.length + ' particles' );
     }
-  } );
-}
+  }
 
-molarity.register( 'PrecipitateNode', PrecipitateNode );
+  /**
+   * Gets the precipitate of each solute and reaction product, with the particles that represent it.
+   * @returns {Precipitate[]}
+   * @private
+   */
+  getPrecipitates() {
+    const solution = this.solution;
+
+    // precipitate changes gradually in kinetic mode, and while crystallizing
+    const isGradual = solution.isKineticProperty.value || solution.isCrystallizingProperty.value;
+    const precipitates = solution.isMixtureProperty.value ?
+                         solution.components.map( component => {
+                           return {
+                             key: component.solute,
+                             particleShape: component.solute.particleShape,
+                             particleColor: component.solute.particleColor,
+                             mass: component.solute.molesToGrams( component.precipitateAmountProperty.value ),
+                             isPartial: isGradual
+                           };
+                         } ) :
+                         [ {
+                           key: solution.soluteProperty.value,
+                           particleShape: solution.soluteProperty.value.particleShape,
+                           particleColor: solution.soluteProperty.value.particleColor,
+                           mass: solution.soluteProperty.value.molesToGrams( solution.precipitateAmountProperty.value ),
+                           isPartial: isGradual
+                         } ];
+    solution.reactionProductsProperty.value.forEach( product => {
+      precipitates.push( {
+        key: product.reaction,
+        particleShape: product.reaction.particleShape,
+        particleColor: product.reaction.particleColor,
+        mass: product.amount * product.reaction.molarMass,
+        isPartial: false
+      } );
+    } );
+    return precipitates;
+  }
+
+  /**
+   * Adds a particle to the top of the pile. It falls from a random depth in the solution, directly above its slot.
+   * Its sprite and scale are set by update.
+   * @param {Solute|PrecipitationReaction} key - the precipitate that the particle belongs to
+   * @private
+   */
+  addParticle( key ) {
+    const destination = this.getSlot( this.particles.length );
+    const surfaceY = this.cylinderSize.height * ( 1 - this.solution.volumeProperty.value / this.maxVolume );
+    const startY = Math.min( destination.y, surfaceY + phet.joist.random.nextDouble() * ( destination.y - surfaceY ) );
+    this.particles.push( {
+      key: key,
+      sprite: null,
+      position: new Vector2( destination.x, startY ),
+      destination: destination,
+      rotation: phet.joist.random.nextDouble() * 2 * Math.PI,
+      scale: 1
+    } );
+  }
 
-// Gets the number of particles that corresponds to some precipitate amount.
-var getNumberOfParticles = function( precipitateAmount ) {
-  let numberOfParticles = Math.floor( PARTICLES_PER_MOLE * precipitateAmount );
-  if ( numberOfParticles === 0 && precipitateAmount > 0 ) {
+  /**
+   * Gets the position of a particle in the pile. Particles beyond the pile's capacity are stacked on its top slot.
+   * @param {number} index - index of the particle, from the bottom of the pile
+   * @returns {Vector2}
+   * @private
+   */
+  getSlot( index ) {
+    return this.slots[ Math.min( index, this.slots.length - 1 ) ];
+  }
+}
+
+/**
+ * Gets the number of particles that corresponds to some mass of precipitate.
+ * @param {number} precipitateMass - grams
+ * @returns {number}
+ */
+const getNumberOfParticles = precipitateMass => {
+  let numberOfParticles = Math.floor( PARTICLES_PER_GRAM * precipitateMass );
+  if ( numberOfParticles === 0 && precipitateMass > 0 ) {
     numberOfParticles = 1;
   }
   return numberOfParticles;
 };
 
-// Gets a random offset for a particle on the bottom of the beaker (which is an ellipse).
-var getRandomOffset = function( particleWidth, particleHeight, cylinderSize, cylinderEndHeight ) {
-  const xMargin = particleWidth;
-  const yMargin = particleHeight;
-  const angle = phet.joist.random.nextDouble() * 2 * Math.PI;
-  const p = getRandomPointInsideEllipse( angle, cylinderSize.width - ( 2 * xMargin ), cylinderEndHeight - ( 2 * yMargin ) );
-  const x = ( cylinderSize.width / 2 ) + p.x;
-  const y = cylinderSize.height - p.y - ( yMargin / 2 );
-  return new Vector2( x, y );
+/**
+ * Gets the key of the sprite for a particle shape and color, see PrecipitateNode.sprites.
+ * @param {ParticleShape} particleShape
+ * @param {Color} particleColor
+ * @returns {string}
+ */
+const getSpriteKey = ( particleShape, particleColor ) => particleShape.name + ' ' + particleColor.toCSS();
+
+/**
+ * Draws a particle, at SPRITE_RESOLUTION, to a canvas that is copied to paint every particle of its shape and color.
+ * @param {ParticleShape} particleShape
+ * @param {Color} particleColor
+ * @returns {Sprite}
+ */
+const createSprite = ( particleShape, particleColor ) => {
+  const shape = PARTICLE_SHAPES[ particleShape.name ];
+  const bounds = shape.bounds.dilated( PARTICLE_LINE_WIDTH );
+  const canvas = document.createElement( 'canvas' );
+  canvas.width = Math.ceil( bounds.width * SPRITE_RESOLUTION );
+  canvas.height = Math.ceil( bounds.height * SPRITE_RESOLUTION );
+  const context = canvas.getContext( '2d' );
+  context.scale( SPRITE_RESOLUTION, SPRITE_RESOLUTION );
+  context.translate( -bounds.minX, -bounds.minY );
+  context.beginPath();
+  shape.writeToContext( context );
+  context.fillStyle = particleColor.toCSS();
+  context.fill();
+  context.lineWidth = PARTICLE_LINE_WIDTH;
+  context.strokeStyle = particleColor.darkerColor().toCSS();
+  context.stroke();
+  return { canvas: canvas, bounds: bounds };
+};
+
+/**
+ * Gets the precipitates of the benchmark, see MolarityQueryParameters.precipitateBenchmark. Its particles are divided
+ * among the ParticleShapes, each in a different color, so that every shape is painted.
+ * @returns {Precipitate[]}
+ */
+const getBenchmarkPrecipitates = () => ParticleShape.VALUES.map( ( particleShape, index ) => {
+  const numberOfParticles = Math.floor( BENCHMARK_PARTICLES / ParticleShape.VALUES.length ) +
+                            ( ( index < BENCHMARK_PARTICLES % ParticleShape.VALUES.length ) ? 1 : 0 );
+  return {
+    key: particleShape,
+    particleShape: particleShape,
+    particleColor: BENCHMARK_COLORS[ index % BENCHMARK_COLORS.length ],
+
+    // half a particle more, so that no particle is lost to rounding, see getNumberOfParticles
+    mass: ( numberOfParticles === 0 ) ? 0 : ( numberOfParticles + 0.5 ) / PARTICLES_PER_GRAM,
+    isPartial: false
+  };
+} );
+
+/**
+ * @returns {{frames:number, frameTime:number, paints:number, paintTime:number}} the benchmark's totals, with no frames
+ */
+const createBenchmarkTotals = () => {
+  return { frames: 0, frameTime: 0, paints: 0, paintTime: 0 };
 };
 
-// Gets a random point inside an ellipse, with origin at its center.
-var getRandomPointInsideEllipse = function( theta, width, height ) {
+/**
+ * Creates the slots of the pile. Each layer of the pile is a grid of slots on the bottom of the beaker (an ellipse),
+ * and slots are filled in order of how high the pile must be to reach them, so the pile grows as a mound from the
+ * center of the beaker until it covers the bottom, then grows in layers.
+ * @param {Dimension2} cylinderSize
+ * @param {number} cylinderEndHeight
+ * @returns {Vector2[]}
+ */
+const createSlots = ( cylinderSize, cylinderEndHeight ) => {
+  const xRadius = ( cylinderSize.width / 2 ) - PARTICLE_LENGTH;
+  const yRadius = ( cylinderEndHeight / 2 ) - PARTICLE_LENGTH;
+  assert && assert( yRadius > 0, 'the bottom of the cylinder is too thin for a pile: ' + cylinderEndHeight );
+  const ySpacing = SLOT_SPACING * yRadius / xRadius; // the bottom is seen at an angle, so depth is foreshortened
+  const slots = [];
+  for ( let layer = 0; layer < MAX_LAYERS; layer++ ) {
 
-  // Generate a random point inside a circle of radius 1.
-  // Since circle area is a function of radius^2, taking sqrt provides a uniform distribution.
-  const x = Math.sqrt( phet.joist.random.nextDouble() ) * Math.cos( theta );
-  const y = Math.sqrt( phet.joist.random.nextDouble() ) * Math.sin( theta );
+    // each layer is offset by half a slot, so particles rest in the gaps of the layer below
+    const offset = ( layer % 2 ) * SLOT_SPACING / 2;
+    for ( let x = -xRadius + offset; x <= xRadius; x += SLOT_SPACING ) {
+      for ( let y = -yRadius + offset * ySpacing / SLOT_SPACING; y <= yRadius; y += ySpacing ) {
+        const radius = xRadius * Math.sqrt( ( x * x ) / ( xRadius * xRadius ) + ( y * y ) / ( yRadius * yRadius ) );
+        const height = ( layer * LAYER_HEIGHT ) + ( PILE_SLOPE * radius );
 
-  // Scale x and y to the dimensions of the ellipse
-  return new Vector2( x * width / 2, y * height / 2 );
+        // Slots that are higher than the top layer could be preceded by slots in layers that were not created.
+        if ( radius <= xRadius && height < MAX_LAYERS * LAYER_HEIGHT ) {
+          slots.push( {
+            height: height,
+            position: new Vector2(
+              ( cylinderSize.width / 2 ) + x + ( 2 * phet.joist.random.nextDouble() - 1 ) * SLOT_JITTER,
+              cylinderSize.height - ( PARTICLE_LENGTH / 2 ) + y - ( layer * LAYER_HEIGHT ) +
+              ( 2 * phet.joist.random.nextDouble() - 1 ) * SLOT_JITTER )
+          } );
+        }
+      }
+    }
+  }
+  return _.sortBy( slots, 'height' ).map( slot => slot.position );
 };
 
-inherit( Node, PrecipitateNode );
-export default PrecipitateNode;
\ No newline at end of file
+/**
+ * @typedef {Object} Precipitate
+ * @property {Solute|PrecipitationReaction|ParticleShape} key - identifies the precipitate that a particle belongs to
+ * @property {ParticleShape} particleShape
+ * @property {Color} particleColor
+ * @property {number} mass - grams
+ * @property {boolean} isPartial - whether the highest particle can represent a fraction of a particle
+ */
+
+/**
+ * @typedef {Object} Sprite
+ * @property {HTMLCanvasElement} canvas - a particle, drawn at SPRITE_RESOLUTION
+ * @property {Bounds2} bounds - of the particle, in the particle's coordinate frame, including its stroke
+ */
+
+molarity.register( 'PrecipitateNode', PrecipitateNode );
+export default PrecipitateNode;
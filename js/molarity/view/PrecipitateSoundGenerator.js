@@ -20,6 +20,7 @@ const ONE_OCTAVE_NOTE_MULTIPLIERS = [ 1, 1.122, 1.260, 1.414, 1.587, 1.782 ]; //
 const NUM_OCTAVES = 2;
 const NOTE_SPAN = 4; // span of notes to choose from for a given precipitate level
 const NUM_BINS = 50;
+const NUM_EVAPORATION_BINS = 10; // fewer bins for changes caused by evaporation, so that sounds are less frequent
 
 // create an array with several octaves of frequency multipliers to use for generating variations of the base sound
 const FREQUENCY_MULTIPLIERS = [];
@@ -40,16 +41,25 @@ class PrecipitateSoundGenerator extends SoundClip {
    */
   constructor( precipitateAmountProperty, soluteAmountSlider, solutionVolumeSlider, options ) {
 
-    super( precipitateSound, merge( {
+    options = merge( {
       initialOutputLevel: 0.5,
-      rateChangesAffectPlayingSounds: false
-    }, options ) );
+      rateChangesAffectPlayingSounds: false,
+
+      // {Property.<boolean>|null} - whether water is evaporating, if null then only user changes produce sound
+      isEvaporatingProperty: null
+    }, options );
+
+    const isEvaporatingProperty = options.isEvaporatingProperty;
+    delete options.isEvaporatingProperty;
+
+    super( precipitateSound, options );
 
     // @private {number} - keeps track of previous played sound so that we never play it twice in a row
     this.previousMultiplierIndex = -1;
 
     // create a "bin mapper" to map the precipitate amount into a fixed set of bins
     const precipitateAmountBinMapper = new BinMapper( new Range( 0, 1 ), NUM_BINS );
+    const evaporationBinMapper = new BinMapper( new Range( 0, 1 ), NUM_EVAPORATION_BINS );
 
     // monitor the precipitate level and play sounds as it changes
     precipitateAmountProperty.lazyLink( ( precipitateAmount, previousPrecipitateAmount ) => {
@@ -83,6 +93,14 @@ class PrecipitateSoundGenerator extends SoundClip {
           this.playPrecipitateSound( precipitateAmount );
         }
       }
+
+      // Evaporation changes the precipitate amount on every step while time is playing, so play less often.
+      else if ( isEvaporatingProperty && isEvaporatingProperty.value ) {
+        if ( evaporationBinMapper.mapToBin( precipitateAmount ) !== evaporationBinMapper.mapToBin( previousPrecipitateAmount ) ||
+             precipitateAmount > 0 && previousPrecipitateAmount === 0 ) {
+          this.playPrecipitateSound( precipitateAmount );
+        }
+      }
     } );
   }
 
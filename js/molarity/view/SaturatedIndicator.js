@@ -1,8 +1,8 @@
 // Copyright 2013-2020, University of Colorado Boulder
 
 /**
- * Indicator that the solution is saturated.
- * This consists of 'Saturated!' on a translucent background.
+ * Indicator that the solution is saturated, or supersaturated.
+ * This consists of 'Saturated!' or 'Supersaturated!' on a translucent background.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -16,6 +16,7 @@ import molarityStrings from '../../molarity-strings.js';
 import molarity from '../../molarity.js';
 
 const saturatedString = molarityStrings.saturated;
+const supersaturatedString = molarityStrings.supersaturated;
 
 /**
  * @param {Solution} solution
@@ -33,7 +34,7 @@ function SaturatedIndicator( solution, tandem ) {
   } );
 
   // translucent light-gray background, so this shows up on all solution colors
-  const backgroundNode = new Rectangle( 0, 0, 1.2 * textNode.width, 1.2 * textNode.height, 8, 8, {
+  const backgroundNode = new Rectangle( 0, 0, 1, 1, 8, 8, {
     fill: 'rgba( 240, 240, 240, 0.6 )',
     tandem: tandem.createTandem( 'backgroundNode' )
   } );
@@ -42,13 +43,23 @@ function SaturatedIndicator( solution, tandem ) {
   this.addChild( backgroundNode );
   this.addChild( textNode );
 
-  // layout
-  textNode.center = backgroundNode.center;
-
-  // make this node visible when the solution is saturated
+  // Make this node visible when the solution is saturated with any solute, or supersaturated. The background is
+  // resized to fit the text, and stays centered where it was.
   const self = this;
-  solution.precipitateAmountProperty.link( function() {
-    self.visible = solution.isSaturated();
+  const updateVisibility = function() {
+    const isSupersaturated = solution.isSupersaturatedProperty.value;
+    textNode.text = isSupersaturated ? supersaturatedString : saturatedString;
+    const center = backgroundNode.center;
+    backgroundNode.setRect( 0, 0, 1.2 * textNode.width, 1.2 * textNode.height );
+    backgroundNode.center = center;
+    textNode.center = backgroundNode.center;
+    self.visible = isSupersaturated || solution.isSaturatedWithAnySolute();
+  };
+  solution.isSupersaturatedProperty.link( updateVisibility );
+  solution.precipitateAmountProperty.link( updateVisibility );
+  solution.isMixtureProperty.link( updateVisibility );
+  solution.components.forEach( function( component ) {
+    component.precipitateAmountProperty.link( updateVisibility );
   } );
 }
 
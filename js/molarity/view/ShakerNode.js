@@ -0,0 +1,188 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A shaker of solid solute that can be dragged around the screen. The shaker is tilted, so that its holes face the
+ * beaker, and moving it back and forth while its holes are over the solution shakes particles of solute out of it, see
+ * ShakerParticlesNode. The shaker's origin is at its holes, so its position is where particles come out.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../../../scenery/js/nodes/RichText.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+const shakerString = molarityStrings.shaker;
+
+// a11y strings
+const shakerHelpTextString = molarityStrings.a11y.shakerHelpText;
+
+// constants
+const BODY_WIDTH = 50;
+const BODY_LENGTH = 110;
+const CAP_LENGTH = 16;
+const HOLE_RADIUS = 2;
+const LABEL_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const TILT = Math.PI / 4; // clockwise from upside down, so that the body leans away from the holes, up and to the right
+
+class ShakerNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {SoluteAmountDescriber} soluteAmountDescriber
+   * @param {EnumerationProperty.<SoluteAmountUnits>} soluteAmountUnitsProperty - units of quantitative descriptions
+   * @param {Tandem} tandem
+   */
+  constructor( solution, soluteAmountDescriber, soluteAmountUnitsProperty, tandem ) {
+
+    super( {
+      cursor: 'pointer',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true,
+      labelTagName: 'h3',
+      labelContent: shakerString,
+      descriptionContent: shakerHelpTextString
+    } );
+
+    // @public position of the shaker's holes, in the parent's coordinate frame. Set by the screen, see
+    // setHomePosition.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: tandem.createTandem( 'positionProperty' )
+    } );
+
+    // @public (read-only) whether the shaker is being dragged, with the pointer or with the keyboard
+    this.isDraggingProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isDraggingProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private bounds that the shaker's holes can be dragged within, see setVisibleBounds
+    this.dragBoundsProperty = new Property( Bounds2.EVERYTHING );
+
+    // @private
+    this.homePosition = Vector2.ZERO;
+
+    // The shaker is drawn upside down, with its cap at the origin and its body above it, then tilted.
+    const capNode = new Rectangle( -BODY_WIDTH / 2, -CAP_LENGTH, BODY_WIDTH, CAP_LENGTH, 4, 4, {
+      fill: new LinearGradient( -BODY_WIDTH / 2, 0, BODY_WIDTH / 2, 0 )
+        .addColorStop( 0, 'rgb( 150, 150, 150 )' )
+        .addColorStop( 0.4, 'rgb( 235, 235, 235 )' )
+        .addColorStop( 1, 'rgb( 120, 120, 120 )' ),
+      stroke: 'black',
+      lineWidth: 0.5
+    } );
+    const holesNode = new Node( {
+      children: [ -12, 0, 12 ].map( x => new Circle( HOLE_RADIUS, { fill: 'black', x: x, y: -2 * HOLE_RADIUS } ) )
+    } );
+    const bodyNode = new Rectangle( -BODY_WIDTH / 2, -CAP_LENGTH - BODY_LENGTH, BODY_WIDTH, BODY_LENGTH, 8, 8, {
+      fill: 'rgba( 255, 255, 255, 0.85 )',
+      stroke: 'black',
+      lineWidth: 0.5
+    } );
+
+    // the solute's formula, on a label that reads along the body
+    const labelNode = new RichText( '', {
+      font: LABEL_FONT,
+      maxWidth: 0.8 * BODY_LENGTH,
+      rotation: -Math.PI / 2
+    } );
+
+    const shakerNode = new Node( {
+      children: [ bodyNode, labelNode, capNode, holesNode ],
+      rotation: TILT
+    } );
+
+    // a11y - the description of how much solute has been added to the solution
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ shakerNode, descriptionNode ];
+
+    Property.multilink( [ solution.soluteProperty, solution.soluteDefinitionProperty ], solute => {
+      labelNode.text = solute.formula;
+      labelNode.center = bodyNode.center;
+      bodyNode.fill = new LinearGradient( -BODY_WIDTH / 2, 0, BODY_WIDTH / 2, 0 )
+        .addColorStop( 0, solute.particleColor.darkerColor() )
+        .addColorStop( 0.4, solute.particleColor.brighterColor() )
+        .addColorStop( 1, solute.particleColor.darkerColor() );
+    } );
+
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    Property.multilink( [
+      solution.soluteAmountProperty,
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      soluteAmountDescriber.useQuantitativeDescriptionsProperty,
+      soluteAmountUnitsProperty
+    ], () => {
+      descriptionNode.innerContent = soluteAmountDescriber.getSoluteAmountValueText();
+    } );
+
+    // dragging with the pointer, or with the keyboard. Moving the shaker is what shakes it.
+    const start = () => { this.isDraggingProperty.value = true; };
+    const end = () => { this.isDraggingProperty.value = false; };
+    this.addInputListener( new DragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      useParentOffset: true,
+      start: start,
+      end: end,
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+    this.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      start: start,
+      end: end
+    } ) );
+  }
+
+  /**
+   * Sets the position that the shaker's holes are moved to when the shaker is reset, and moves them there.
+   * @param {Vector2} position - in the parent's coordinate frame
+   * @public
+   */
+  setHomePosition( position ) {
+    this.homePosition = position;
+    this.positionProperty.value = position;
+  }
+
+  /**
+   * Sets the bounds that the whole shaker must stay within while it is dragged.
+   * @param {Bounds2} bounds - in the parent's coordinate frame
+   * @public
+   */
+  setVisibleBounds( bounds ) {
+    const localBounds = this.localBounds;
+    this.dragBoundsProperty.value = new Bounds2( bounds.minX - localBounds.minX, bounds.minY - localBounds.minY,
+      bounds.maxX - localBounds.maxX, bounds.maxY - localBounds.maxY );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.value = this.homePosition;
+  }
+}
+
+molarity.register( 'ShakerNode', ShakerNode );
+export default ShakerNode;
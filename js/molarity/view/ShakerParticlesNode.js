@@ -0,0 +1,195 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Particles of solute that are shaken out of the shaker. While the shaker is moved with its holes over the solution,
+ * particles come out of it, and fall until they reach the surface of the solution. There each particle's amount of
+ * solute is added to the solution, and the particle sinks and fades as it dissolves.
+ *
+ * The particles are animated by the view, so they fall and dissolve whether or not time is playing, the same as
+ * changing the amount of solute with the slider.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+// constants
+const PARTICLE_LENGTH = 5; // particles are square, the same size as the precipitate's, see PrecipitateNode
+const PARTICLE_AMOUNT = 0.005; // moles of solute in each particle
+const DISTANCE_PER_PARTICLE = 8; // distance that the shaker is moved to shake out one particle
+const MAX_PARTICLES_PER_STEP = 5; // so that a fast shake does not dump a pile of particles at once
+const GRAVITY = 600; // acceleration of a falling particle
+const INITIAL_SPEED = 60; // speed of a particle as it leaves the shaker
+const MAX_SPREAD_ANGLE = Math.PI / 8; // particles leave the shaker within this angle of straight down
+const DISSOLVE_TIME = 0.5; // s, for a particle to dissolve once it reaches the solution
+const DISSOLVE_SPEED = 40; // speed at which a dissolving particle sinks
+
+class ShakerParticlesNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {ShakerNode} shakerNode - in the same coordinate frame as this Node
+   * @param {Node} solutionNode - a particle reaches the solution when it reaches the top of this Node's bounds, which
+   *                              are in the same coordinate frame as this Node
+   * @param {SoluteAmountDescriber} soluteAmountDescriber
+   * @param {MolarityAlertManager} molarityAlertManager
+   */
+  constructor( solution, shakerNode, solutionNode, soluteAmountDescriber, molarityAlertManager ) {
+
+    super( { pickable: false } );
+
+    // @private
+    this.solution = solution;
+    this.shakerNode = shakerNode;
+    this.solutionNode = solutionNode;
+    this.soluteAmountDescriber = soluteAmountDescriber;
+    this.molarityAlertManager = molarityAlertManager;
+
+    // @private {{node:Rectangle, velocity:Vector2, dissolveTime:number|null}[]} particles that are falling or
+    // dissolving. dissolveTime is how long the particle has been dissolving, null while it is falling.
+    this.particles = [];
+
+    // @private position of the shaker's holes at the last step, used to tell how far the shaker has been moved
+    this.previousShakerPosition = shakerNode.positionProperty.value;
+
+    // @private distance that the shaker has been moved, and that has not yet shaken out a particle
+    this.shakeDistance = 0;
+
+    // @private whether the current shake has added solute to the solution, and should be described once all of its
+    // particles have dissolved
+    this.isAlertPending = false;
+
+    // Replacing or redefining the solute replaces the solute in the shaker, and the particles that came out of it.
+    solution.soluteProperty.lazyLink( () => this.reset() );
+    solution.soluteDefinitionProperty.lazyLink( () => this.reset() );
+  }
+
+  /**
+   * Shakes particles out of the shaker, and moves the particles that have come out of it.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    const shakerPosition = this.shakerNode.positionProperty.value;
+    if ( this.shakerNode.visible && this.shakerNode.isDraggingProperty.value ) {
+      this.shakeDistance += shakerPosition.distance( this.previousShakerPosition );
+      const numberOfParticles = Math.min( MAX_PARTICLES_PER_STEP,
+        Math.floor( this.shakeDistance / DISTANCE_PER_PARTICLE ) );
+      this.shakeDistance -= numberOfParticles * DISTANCE_PER_PARTICLE;
+      for ( let i = 0; i < numberOfParticles && this.canShake( shakerPosition ); i++ ) {
+        this.addParticle( shakerPosition );
+      }
+    }
+    else {
+      this.shakeDistance = 0;
+    }
+    this.previousShakerPosition = shakerPosition;
+
+    const solutionBounds = this.solutionNode.bounds;
+    this.particles.slice().forEach( particle => {
+      const node = particle.node;
+      if ( particle.dissolveTime === null ) {
+
+        // falling
+        particle.velocity.addXY( 0, GRAVITY * dt );
+        node.x += particle.velocity.x * dt;
+        node.y += particle.velocity.y * dt;
+        if ( node.y >= solutionBounds.top ) {
+          particle.dissolveTime = 0;
+          this.dissolveParticle();
+        }
+      }
+      else {
+
+        // dissolving
+        particle.dissolveTime += dt;
+        node.y += DISSOLVE_SPEED * dt;
+        node.opacity = Math.max( 0, 1 - particle.dissolveTime / DISSOLVE_TIME );
+        if ( particle.dissolveTime >= DISSOLVE_TIME ) {
+          this.removeParticle( particle );
+        }
+      }
+    } );
+
+    // Like the slider, which describes the solution when it is released, the shaker describes the solution when it
+    // is released, once the particles that it shook out have dissolved.
+    if ( this.isAlertPending && !this.shakerNode.isDraggingProperty.value &&
+         !_.some( this.particles, particle => particle.dissolveTime === null ) ) {
+      this.isAlertPending = false;
+      this.molarityAlertManager.alertSolutionQuantityChanged( this.soluteAmountDescriber );
+    }
+  }
+
+  /**
+   * Determines whether a particle can be shaken out of the shaker. The holes must be over the solution, and the
+   * particles that are falling must not take the solution past the max amount of solute.
+   * @param {Vector2} shakerPosition
+   * @returns {boolean}
+   * @private
+   */
+  canShake( shakerPosition ) {
+    const solutionBounds = this.solutionNode.bounds;
+    const numberOfFallingParticles = _.filter( this.particles, particle => particle.dissolveTime === null ).length;
+    const fallingAmount = PARTICLE_AMOUNT * numberOfFallingParticles;
+    return shakerPosition.x > solutionBounds.minX + PARTICLE_LENGTH &&
+           shakerPosition.x < solutionBounds.maxX - PARTICLE_LENGTH &&
+           this.solution.soluteAmountProperty.value + fallingAmount + PARTICLE_AMOUNT <=
+           MolarityConstants.SOLUTE_AMOUNT_RANGE.max;
+  }
+
+  /**
+   * Adds a particle at the shaker's holes, moving down and in a random direction.
+   * @param {Vector2} shakerPosition
+   * @private
+   */
+  addParticle( shakerPosition ) {
+    const particleColor = this.solution.soluteProperty.value.particleColor;
+    const node = new Rectangle( -PARTICLE_LENGTH / 2, -PARTICLE_LENGTH / 2, PARTICLE_LENGTH, PARTICLE_LENGTH, {
+      fill: particleColor,
+      stroke: particleColor.darkerColor(),
+      rotation: phet.joist.random.nextDouble() * 2 * Math.PI,
+      translation: shakerPosition
+    } );
+    const angle = Math.PI / 2 + ( 2 * phet.joist.random.nextDouble() - 1 ) * MAX_SPREAD_ANGLE;
+    this.particles.push( { node: node, velocity: Vector2.createPolar( INITIAL_SPEED, angle ), dissolveTime: null } );
+    this.addChild( node );
+  }
+
+  /**
+   * Adds the solute in a particle that has reached the solution to the solution.
+   * @private
+   */
+  dissolveParticle() {
+    const soluteAmountProperty = this.solution.soluteAmountProperty;
+    soluteAmountProperty.value = Utils.toFixedNumber( MolarityConstants.SOLUTE_AMOUNT_RANGE.constrainValue(
+      soluteAmountProperty.value + PARTICLE_AMOUNT ), MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES );
+    this.isAlertPending = true;
+  }
+
+  /**
+   * @param {{node:Rectangle, velocity:Vector2, dissolveTime:number|null}} particle
+   * @private
+   */
+  removeParticle( particle ) {
+    this.removeChild( particle.node );
+    this.particles.splice( this.particles.indexOf( particle ), 1 );
+  }
+
+  /**
+   * Removes all particles, without adding their solute to the solution.
+   * @public
+   */
+  reset() {
+    this.particles.slice().forEach( particle => this.removeParticle( particle ) );
+    this.shakeDistance = 0;
+    this.isAlertPending = false;
+  }
+}
+
+molarity.register( 'ShakerParticlesNode', ShakerParticlesNode );
+export default ShakerParticlesNode;
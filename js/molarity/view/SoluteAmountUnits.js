@@ -0,0 +1,16 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Units that the solute amount can be displayed in. The model is always in moles, and grams are computed using the
+ * molar mass of the solute.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import molarity from '../../molarity.js';
+
+const SoluteAmountUnits = Enumeration.byKeys( [ 'MOLES', 'GRAMS' ] );
+
+molarity.register( 'SoluteAmountUnits', SoluteAmountUnits );
+export default SoluteAmountUnits;
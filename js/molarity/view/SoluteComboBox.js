@@ -26,6 +26,9 @@ const soluteString = molarityStrings.solute;
 // a11y strings
 const soluteComboBoxHelpTextString = molarityStrings.a11y.soluteComboBoxHelpText;
 
+// constants
+const REDEFINABLE_NAME_MAX_WIDTH = 200; // about the width of the longest solute name
+
 // sounds
 
 class SoluteComboBox extends ComboBox {
@@ -78,7 +81,8 @@ class SoluteComboBox extends ComboBox {
 molarity.register( 'SoluteComboBox', SoluteComboBox );
 
 /**
- * Creates an item for the combo box.
+ * Creates an item for the combo box. The item for a solute that can be redefined is updated when it is redefined,
+ * except for its a11yLabel, which stays the name that the solute had when the item was created.
  * @param {Solute} solute
  * @returns {ComboBoxItem}
  */
@@ -89,8 +93,11 @@ const createItem = function( solute ) {
     stroke: solute.maxColor.darkerColor()
   } );
 
+  // The combo box is sized to fit its items when it is created, so the name of a solute that can be redefined is
+  // constrained to a fixed width.
   const textNode = new Text( solute.name, {
-    font: new PhetFont( 20 )
+    font: new PhetFont( 20 ),
+    maxWidth: solute.definitionProperty ? REDEFINABLE_NAME_MAX_WIDTH : null
   } );
 
   const hBox = new HBox( {
@@ -98,6 +105,12 @@ const createItem = function( solute ) {
     children: [ colorNode, textNode ]
   } );
 
+  solute.definitionProperty && solute.definitionProperty.lazyLink( function() {
+    colorNode.fill = solute.maxColor;
+    colorNode.stroke = solute.maxColor.darkerColor();
+    textNode.text = solute.name;
+  } );
+
   return new ComboBoxItem( hBox, solute, {
     tandemName: solute.tandem.name,
     a11yLabel: solute.name
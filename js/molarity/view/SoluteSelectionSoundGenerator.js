@@ -43,13 +43,11 @@ class SoluteSelectionSoundGenerator extends MultiClip {
    */
   constructor( soluteProperty, solutes, resetInProgressProperty, options ) {
 
-    // the number of solutes needs to match the number of available sounds
-    assert && assert( solutes.length === selectionSounds.length, 'the number of solutes must match the number of selection sounds' );
-
-    // map the solutes to the sounds
+    // map the solutes to the sounds. There are more solutes than sounds, so solutes beyond the number of sounds reuse
+    // the sounds in order.
     const soluteToSoundInfoMap = new Map();
     solutes.forEach( ( solute, index ) => {
-      soluteToSoundInfoMap.set( solute, selectionSounds[ index ] );
+      soluteToSoundInfoMap.set( solute, selectionSounds[ index % selectionSounds.length ] );
     } );
     super( soluteToSoundInfoMap, options );
 
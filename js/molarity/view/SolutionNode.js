@@ -4,6 +4,9 @@
  * Solution shown in a beaker.
  * Assumes that the beaker is represented as a cylinder, with elliptical top and bottom.
  * Origin is at the upper-left corner of this cylinder.
+ * If the solution has an acid-base indicator in it, the solution is shown in the indicator's color at its pH.
+ * If the solution is not well mixed, it is shown with a vertical gradient of the colors of its layers, see
+ * ConcentrationGradient.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
@@ -11,12 +14,15 @@
 import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Circle from '../../../../scenery/js/nodes/Circle.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Path from '../../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Color from '../../../../scenery/js/util/Color.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
 import molarity from '../../molarity.js';
+import Solution from '../model/Solution.js';
 
 // constants
 const DEBUG_ORIGIN = false;
@@ -27,9 +33,15 @@ const DEBUG_ORIGIN = false;
  * @param {Solution} solution
  * @param {number} maxVolume - liters
  * @param {Tandem} tandem
+ * @param {Object} [options]
  * @constructor
  */
-function SolutionNode( cylinderSize, cylinderEndHeight, solution, maxVolume, tandem ) {
+function SolutionNode( cylinderSize, cylinderEndHeight, solution, maxVolume, tandem, options ) {
+
+  options = merge( {
+    indicatorProperty: null, // {Property.<Indicator>|null} the indicator in the solution, null if there is none
+    concentrationGradient: null // {ConcentrationGradient|null} how well the solution is mixed, null if always mixed
+  }, options );
 
   Node.call( this, {
     pickable: false,
@@ -61,24 +73,59 @@ function SolutionNode( cylinderSize, cylinderEndHeight, solution, maxVolume, tan
     this.addChild( new Circle( { radius: 3, fill: 'red' } ) );
   }
 
+  // height of the solution in the beaker, see updateShape
+  let height = 0;
+
   // sync with model
+  const indicatorProperty = options.indicatorProperty;
+  const concentrationGradient = options.concentrationGradient;
   const updateColor = function() {
-    const color = solution.getColor();
-    topNode.fill = color;
-    middleNode.fill = color;
-    bottomNode.fill = color;
+    if ( concentrationGradient && !concentrationGradient.isMixedProperty.value ) {
+
+      // Each layer is colored by its own concentration, from the top of the solution to the bottom.
+      const solute = solution.soluteProperty.value;
+      const layerColors = concentrationGradient.layersProperty.value.map( function( layer ) {
+        return Solution.computeColor( solute, solution.concentrationProperty.value * layer );
+      } );
+      const gradient = new LinearGradient( 0, cylinderSize.height - height, 0, cylinderSize.height );
+      layerColors.forEach( function( color, index ) {
+        gradient.addColorStop( ( index + 0.5 ) / layerColors.length, color );
+      } );
+      topNode.fill = layerColors[ 0 ];
+      middleNode.fill = gradient;
+      bottomNode.fill = layerColors[ layerColors.length - 1 ];
+    }
+    else {
+      const pH = indicatorProperty ? solution.getPH() : null;
+      const color = ( pH === null ) ? solution.getColor() :
+                    indicatorProperty.value.getColor( pH, solution.getColor() );
+      topNode.fill = color;
+      middleNode.fill = color;
+      bottomNode.fill = color;
+    }
   };
   solution.concentrationProperty.link( updateColor );
   solution.soluteProperty.link( updateColor );
+  solution.soluteDefinitionProperty.link( updateColor );
+  solution.solventProperty.link( updateColor );
+  solution.isMixtureProperty.link( updateColor );
+  indicatorProperty && indicatorProperty.link( updateColor );
+  concentrationGradient && concentrationGradient.layersProperty.link( updateColor );
+  solution.components.forEach( function( component ) {
+    component.concentrationProperty.link( updateColor );
+  } );
 
   const updateShape = function() {
-    const height = Utils.linear( 0, maxVolume, 0, cylinderSize.height, solution.volumeProperty.get() );
+    height = Utils.linear( 0, maxVolume, 0, cylinderSize.height, solution.volumeProperty.get() );
     topNode.visible = bottomNode.visible = middleNode.visible = ( height > 0 );
     if ( height > 0 ) {
       middleNode.setRect( 0, cylinderSize.height - height, cylinderSize.width, height );
       topNode.y = cylinderSize.height - height;
       bottomNode.y = cylinderSize.height;
     }
+
+    // the gradient spans the height of the solution
+    concentrationGradient && updateColor();
   };
   solution.volumeProperty.link( updateShape );
 }
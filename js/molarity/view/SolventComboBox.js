@@ -0,0 +1,78 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Combo box for choosing a solvent.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const solventString = molarityStrings.solvent;
+
+// a11y strings
+const solventComboBoxHelpTextString = molarityStrings.a11y.solventComboBoxHelpText;
+
+// constants
+const ITEM_FONT = new PhetFont( 20 );
+const ITEM_MAX_WIDTH = 120; // constrain for i18n, determined empirically
+
+class SolventComboBox extends ComboBox {
+
+  /**
+   * @param {Solvent[]} solvents
+   * @param {Property.<Solvent>} solventProperty
+   * @param {Node} listParent parent node for the popup list
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( solvents, solventProperty, listParent, tandem, options ) {
+
+    options = merge( {
+
+      // 'Solvent' label
+      labelNode: new Text( StringUtils.format( pattern0LabelString, solventString ), {
+        font: new PhetFont( 22 ),
+        maxWidth: 100
+      } ),
+      listPosition: 'above',
+      cornerRadius: 5,
+      xMargin: 8,
+      yMargin: 4,
+      highlightFill: 'rgb( 218, 255, 255 )',
+
+      // a11y
+      accessibleName: solventString,
+      helpText: solventComboBoxHelpTextString
+    }, options );
+
+    assert && assert( !options.tandem, 'tandem is a required constructor parameter' );
+    options.tandem = tandem;
+
+    super( solvents.map( createItem ), solventProperty, listParent, options );
+  }
+}
+
+/**
+ * Creates an item for the combo box.
+ * @param {Solvent} solvent
+ * @returns {ComboBoxItem}
+ */
+const createItem = solvent => new ComboBoxItem( new Text( solvent.name, {
+  font: ITEM_FONT,
+  maxWidth: ITEM_MAX_WIDTH
+} ), solvent, {
+  tandemName: solvent.tandem.name + 'Item',
+  a11yLabel: solvent.name
+} );
+
+molarity.register( 'SolventComboBox', SolventComboBox );
+export default SolventComboBox;
@@ -0,0 +1,193 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Spectrophotometer, in an accordion box that is collapsed by default. Light of a chosen wavelength passes across the
+ * beaker, and the absorbance and transmittance of the solution are computed using the Beer-Lambert law. The path
+ * length is the inside diameter of the beaker, see BeakerNode.getPathLength.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AccordionBox from '../../../../sun/js/AccordionBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../MolarityConstants.js';
+
+const absorbanceString = molarityStrings.absorbance;
+const pathLengthString = molarityStrings.pathLength;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const spectrophotometerString = molarityStrings.spectrophotometer;
+const transmittanceString = molarityStrings.transmittance;
+const unitsCentimetersString = molarityStrings.units.centimeters;
+const unitsNanometersString = molarityStrings.units.nanometers;
+const unitsPercentString = molarityStrings.units.percent;
+const wavelengthString = molarityStrings.wavelength;
+
+// a11y strings
+const spectrophotometerDescriptionPatternString = molarityStrings.a11y.spectrophotometer.descriptionPattern;
+const wavelengthHelpTextString = molarityStrings.a11y.spectrophotometer.wavelengthHelpText;
+const wavelengthValueTextPatternString = molarityStrings.a11y.spectrophotometer.wavelengthValueTextPattern;
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const ROW_FONT = new PhetFont( 18 );
+const LABEL_MAX_WIDTH = 130; // constrain for i18n, determined empirically
+const VALUE_MAX_WIDTH = 90; // constrain for i18n, determined empirically
+const COLUMN_SPACING = 15;
+const SWATCH_SIZE = 18;
+
+class SpectrophotometerAccordionBox extends AccordionBox {
+
+  /**
+   * @param {Solution} solution
+   * @param {NumberProperty} wavelengthProperty - nm
+   * @param {number} pathLength - cm
+   * @param {Property.<boolean>} expandedProperty
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( solution, wavelengthProperty, pathLength, expandedProperty, tandem, options ) {
+
+    options = merge( {
+      expandedProperty: expandedProperty,
+      titleNode: new Text( spectrophotometerString, {
+        font: TITLE_FONT,
+        maxWidth: LABEL_MAX_WIDTH + VALUE_MAX_WIDTH,
+        tandem: tandem.createTandem( 'titleNode' )
+      } ),
+      titleAlignX: 'left',
+      showTitleWhenExpanded: true,
+      fill: 'white',
+      cornerRadius: 5,
+      contentXMargin: 10,
+      contentYMargin: 8,
+      contentYSpacing: 4,
+      buttonXMargin: 8,
+      buttonYMargin: 8,
+      tandem: tandem
+    }, options );
+
+    const range = wavelengthProperty.range;
+
+    // wavelength, with a swatch that shows the color of the light
+    const wavelengthValueNode = new Text( '', { font: ROW_FONT } );
+    const swatchNode = new Rectangle( 0, 0, SWATCH_SIZE, SWATCH_SIZE, { stroke: 'black' } );
+    const wavelengthRow = createRow( wavelengthString, new HBox( {
+      spacing: 5,
+      children: [ wavelengthValueNode, swatchNode ]
+    } ) );
+    const wavelengthSlider = new HSlider( wavelengthProperty, range, {
+      trackSize: new Dimension2( LABEL_MAX_WIDTH + COLUMN_SPACING + VALUE_MAX_WIDTH - 20, 5 ),
+      thumbSize: new Dimension2( 17, 34 ),
+      constrainValue: value => Utils.toFixedNumber( value, MolarityConstants.WAVELENGTH_DECIMAL_PLACES ),
+      tandem: tandem.createTandem( 'wavelengthSlider' ),
+
+      // a11y
+      accessibleName: wavelengthString,
+      helpText: wavelengthHelpTextString,
+      keyboardStep: 10,
+      shiftKeyboardStep: 1,
+      a11yCreateAriaValueText: value => StringUtils.fillIn( wavelengthValueTextPatternString, {
+        wavelength: Utils.toFixed( value, MolarityConstants.WAVELENGTH_DECIMAL_PLACES )
+      } )
+    } );
+
+    // readouts, whose PDOM description is a sentence
+    const absorbanceValueNode = new Text( '', { font: ROW_FONT } );
+    const transmittanceValueNode = new Text( '', { font: ROW_FONT } );
+    const pathLengthValueNode = new Text( StringUtils.format( pattern0Value1UnitsString,
+      Utils.toFixed( pathLength, MolarityConstants.PATH_LENGTH_DECIMAL_PLACES ), unitsCentimetersString ), {
+      font: ROW_FONT
+    } );
+    const readoutsNode = new VBox( {
+      align: 'left',
+      spacing: 6,
+      pickable: false,
+      children: [
+        wavelengthRow,
+        createRow( absorbanceString, absorbanceValueNode ),
+        createRow( transmittanceString, transmittanceValueNode ),
+        createRow( pathLengthString, pathLengthValueNode )
+      ],
+
+      // a11y
+      tagName: 'p'
+    } );
+
+    const contentNode = new VBox( {
+      align: 'center',
+      spacing: 10,
+      children: [ wavelengthSlider, readoutsNode ]
+    } );
+
+    super( contentNode, options );
+
+    const update = () => {
+      const wavelength = wavelengthProperty.value;
+      const absorbance = solution.getAbsorbance( wavelength, pathLength );
+      const wavelengthText = Utils.toFixed( wavelength, MolarityConstants.WAVELENGTH_DECIMAL_PLACES );
+      const absorbanceText = Utils.toFixed( absorbance, MolarityConstants.ABSORBANCE_DECIMAL_PLACES );
+      const transmittanceText = Utils.toFixed( 100 * solution.getTransmittance( wavelength, pathLength ),
+        MolarityConstants.TRANSMITTANCE_DECIMAL_PLACES );
+
+      wavelengthValueNode.text = StringUtils.format( pattern0Value1UnitsString, wavelengthText, unitsNanometersString );
+      swatchNode.fill = VisibleColor.wavelengthToColor( wavelength );
+      absorbanceValueNode.text = absorbanceText;
+      transmittanceValueNode.text = StringUtils.format( pattern0Value1UnitsString, transmittanceText, unitsPercentString );
+
+      readoutsNode.innerContent = StringUtils.fillIn( spectrophotometerDescriptionPatternString, {
+        wavelength: wavelengthText,
+        absorbance: absorbanceText,
+        transmittance: transmittanceText,
+        pathLength: Utils.toFixed( pathLength, MolarityConstants.PATH_LENGTH_DECIMAL_PLACES )
+      } );
+    };
+    Property.multilink( [
+      wavelengthProperty,
+      solution.soluteProperty,
+      solution.soluteDefinitionProperty,
+      solution.concentrationProperty,
+      solution.isMixtureProperty,
+      ...solution.components.map( component => component.concentrationProperty )
+    ], update );
+  }
+}
+
+/**
+ * Creates a row that labels a value, with the value right-aligned in a column to the right of the label.
+ * @param {string} label
+ * @param {Node} valueNode
+ * @returns {Node}
+ */
+const createRow = ( label, valueNode ) => {
+  const labelNode = new Text( StringUtils.format( pattern0LabelString, label ), {
+    font: ROW_FONT,
+    maxWidth: LABEL_MAX_WIDTH
+  } );
+  valueNode.maxWidth = VALUE_MAX_WIDTH;
+  const valueParent = new Node( { children: [ valueNode ] } );
+  const updateValueLayout = () => {
+    valueParent.right = LABEL_MAX_WIDTH + COLUMN_SPACING + VALUE_MAX_WIDTH;
+    valueParent.centerY = labelNode.centerY;
+  };
+  valueNode.on( 'bounds', updateValueLayout );
+  updateValueLayout();
+  return new Node( { children: [ labelNode, valueParent ] } );
+};
+
+molarity.register( 'SpectrophotometerAccordionBox', SpectrophotometerAccordionBox );
+export default SpectrophotometerAccordionBox;
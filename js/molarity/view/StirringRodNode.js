@@ -0,0 +1,165 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A glass stirring rod that can be dragged around the screen. Moving the rod while its tip is in the solution stirs
+ * the solution, which mixes a concentration gradient much faster than it diffuses, see ConcentrationGradient. The
+ * rod's origin is at its tip.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Vector2Property from '../../../../dot/js/Vector2Property.js';
+import DragListener from '../../../../scenery/js/listeners/DragListener.js';
+import KeyboardDragListener from '../../../../scenery/js/listeners/KeyboardDragListener.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+const stirringRodString = molarityStrings.stirringRod;
+
+// a11y strings
+const stirringRodHelpTextString = molarityStrings.a11y.stirringRodHelpText;
+
+// constants
+const ROD_LENGTH = 260;
+const ROD_WIDTH = 10;
+
+class StirringRodNode extends Node {
+
+  /**
+   * @param {Solution} solution
+   * @param {ConcentrationGradient} concentrationGradient
+   * @param {Node} solutionNode - the rod is in the solution when its tip is in this Node's bounds, which are in the
+   *                              same coordinate frame as this Node's position
+   * @param {MixingDescriber} mixingDescriber
+   * @param {Tandem} tandem
+   */
+  constructor( solution, concentrationGradient, solutionNode, mixingDescriber, tandem ) {
+
+    super( {
+      cursor: 'pointer',
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      ariaRole: 'application',
+      focusable: true,
+      labelTagName: 'h3',
+      labelContent: stirringRodString,
+      descriptionContent: stirringRodHelpTextString
+    } );
+
+    // @public position of the rod's tip, in the parent's coordinate frame. Set by the screen, see setHomePosition.
+    this.positionProperty = new Vector2Property( Vector2.ZERO, {
+      tandem: tandem.createTandem( 'positionProperty' )
+    } );
+
+    // @public (read-only) whether the rod's tip is in the solution
+    this.isInSolutionProperty = new BooleanProperty( false, {
+      tandem: tandem.createTandem( 'isInSolutionProperty' ),
+      phetioReadOnly: true
+    } );
+
+    // @private bounds that the rod's tip can be dragged within, see setVisibleBounds
+    this.dragBoundsProperty = new Property( Bounds2.EVERYTHING );
+
+    // @private
+    this.homePosition = Vector2.ZERO;
+
+    // glass rod, with its tip at the origin
+    const rodNode = new Rectangle( -ROD_WIDTH / 2, -ROD_LENGTH, ROD_WIDTH, ROD_LENGTH, {
+      cornerRadius: ROD_WIDTH / 2,
+      fill: new LinearGradient( -ROD_WIDTH / 2, 0, ROD_WIDTH / 2, 0 )
+        .addColorStop( 0, 'rgba( 200, 225, 235, 0.9 )' )
+        .addColorStop( 0.4, 'rgba( 255, 255, 255, 0.9 )' )
+        .addColorStop( 1, 'rgba( 150, 180, 190, 0.9 )' ),
+      stroke: 'rgb( 120, 140, 150 )',
+      lineWidth: 0.5
+    } );
+
+    // a11y - the description of how well the solution is mixed
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ rodNode, descriptionNode ];
+
+    this.positionProperty.link( position => {
+      this.translation = position;
+    } );
+
+    // The solution's bounds change with its volume. SolutionNode links to the volume first, so its bounds are up to
+    // date when this listener is called.
+    Property.multilink( [ this.positionProperty, solution.volumeProperty ], position => {
+      this.isInSolutionProperty.value = solutionNode.bounds.containsPoint( position );
+    } );
+
+    Property.multilink( [
+      concentrationGradient.layersProperty,
+      solution.concentrationProperty,
+      solution.isMixtureProperty,
+      mixingDescriber.useQuantitativeDescriptionsProperty
+    ], () => {
+      descriptionNode.innerContent = mixingDescriber.getDescription();
+    } );
+
+    // The solution is stirred while the rod is dragged with its tip in the solution.
+    const isDraggingProperty = new BooleanProperty( false );
+    Property.multilink( [ isDraggingProperty, this.isInSolutionProperty ], ( isDragging, isInSolution ) => {
+      concentrationGradient.isStirringProperty.value = isDragging && isInSolution;
+    } );
+
+    // dragging with the pointer, or with the keyboard
+    const start = () => { isDraggingProperty.value = true; };
+    const end = () => { isDraggingProperty.value = false; };
+    this.addInputListener( new DragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      useParentOffset: true,
+      start: start,
+      end: end,
+      tandem: tandem.createTandem( 'dragListener' )
+    } ) );
+    this.addInputListener( new KeyboardDragListener( {
+      positionProperty: this.positionProperty,
+      dragBoundsProperty: this.dragBoundsProperty,
+      start: start,
+      end: end
+    } ) );
+  }
+
+  /**
+   * Sets the position that the rod's tip is moved to when the rod is reset, and moves it there.
+   * @param {Vector2} position - in the parent's coordinate frame
+   * @public
+   */
+  setHomePosition( position ) {
+    this.homePosition = position;
+    this.positionProperty.value = position;
+  }
+
+  /**
+   * Sets the bounds that the whole rod must stay within while it is dragged.
+   * @param {Bounds2} bounds - in the parent's coordinate frame
+   * @public
+   */
+  setVisibleBounds( bounds ) {
+    const localBounds = this.localBounds;
+    this.dragBoundsProperty.value = new Bounds2( bounds.minX - localBounds.minX, bounds.minY - localBounds.minY,
+      bounds.maxX - localBounds.maxX, bounds.maxY - localBounds.maxY );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.positionProperty.value = this.homePosition;
+  }
+}
+
+molarity.register( 'StirringRodNode', StirringRodNode );
+export default StirringRodNode;
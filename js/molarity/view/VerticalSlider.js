@@ -3,6 +3,8 @@
 /**
  * Vertical sliders in the Molarity simulation.
  * Can be switched between qualitative and quantitative display of range and value.
+ * Optionally, the range and value can be displayed in alternate units, with a switch to choose the units.
+ * Or, the range and value can be displayed in units that are chosen elsewhere, e.g. by a combo box.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  * @author Michael Kauzmann (PhET Interactive Simulations)
@@ -19,6 +21,7 @@ import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import Color from '../../../../scenery/js/util/Color.js';
+import ABSwitch from '../../../../sun/js/ABSwitch.js';
 import VSlider from '../../../../sun/js/VSlider.js';
 import Tandem from '../../../../tandem/js/Tandem.js';
 import molarityStrings from '../../molarity-strings.js';
@@ -26,10 +29,12 @@ import molarity from '../../molarity.js';
 import MolarityConstants from '../MolarityConstants.js';
 import DualLabelNode from './DualLabelNode.js';
 
+const pattern0Quantity1QuantityString = molarityStrings.pattern[ '0quantity' ].equals[ '1quantity' ];
 const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
 
 // constants
 const RANGE_FONT = new PhetFont( 20 );
+const UNITS_FONT = new PhetFont( 18 );
 const THUMB_NORMAL_COLOR = new Color( 89, 156, 212 );
 const THUMB_HIGHLIGHT_COLOR = THUMB_NORMAL_COLOR.brighterColor();
 const MAX_TEXT_WIDTH = 120; // constrain text for i18n, determined empirically
@@ -56,6 +61,8 @@ function VerticalSlider( title, subtitle, minLabel, maxLabel, property, range, d
 
   options = merge( {
     tandem: Tandem.REQUIRED, // {Tandem}
+    alternateUnits: null, // {AlternateUnits|null} see typedef below
+    displayUnits: null, // {DisplayUnits|null} see typedef below, mutually exclusive with alternateUnits
     sliderOptions: {
       trackFillEnabled: 'black',
       trackStroke: 'rgb( 200, 200, 200 )',
@@ -79,6 +86,7 @@ function VerticalSlider( title, subtitle, minLabel, maxLabel, property, range, d
   assert && assert( options.sliderOptions.startDrag === undefined, 'VerticalSlider sets its own sliderOptions.startDrag' );
   assert && assert( options.sliderOptions.endDrag === undefined, 'VerticalSlider sets its own sliderOptions.endDrag' );
   assert && assert( options.constrainValue === undefined, 'VerticalSlider sets its own constrainValue' );
+  assert && assert( !( options.alternateUnits && options.displayUnits ), 'alternateUnits and displayUnits are mutually exclusive' );
   assert && assert( options.sliderOptions.a11yDependencies.indexOf( useQuantitativeDescriptionsProperty ) === -1,
     'VerticalSlider adds useQuantitativeDescriptionsProperty as an a11yDependency, no need to add it yourself.' );
 
@@ -147,25 +155,143 @@ function VerticalSlider( title, subtitle, minLabel, maxLabel, property, range, d
   titleNode.bottom = subtitleNode.top - 5;
   valueNode.left = sliderNode.right + 5;
 
+  const children = [ titleNode, subtitleNode, minNode, maxNode, sliderNode, valueNode ];
+
+  // Switch for choosing units, and a readout that converts the value between units. These are sized so that they
+  // do not change the width of this node.
+  const alternateUnits = options.alternateUnits;
+  let conversionNode = null;
+  if ( alternateUnits ) {
+    const columnWidth = _.max( children.map( child => child.right ) ) - _.min( children.map( child => child.left ) );
+
+    const unitsSwitch = new ABSwitch( alternateUnits.unitsProperty,
+      alternateUnits.defaultUnitsValue, new Text( units, { font: UNITS_FONT } ),
+      alternateUnits.alternateUnitsValue, new Text( alternateUnits.units, { font: UNITS_FONT } ), {
+        switchSize: new Dimension2( 40, 20 ),
+        maxWidth: columnWidth,
+        centerX: centerX,
+        top: minNode.bottom + 10,
+        tandem: options.tandem.createTandem( 'unitsSwitch' )
+      } );
+
+    conversionNode = new Text( '?', {
+      font: UNITS_FONT,
+      maxWidth: columnWidth,
+      top: unitsSwitch.bottom + 8,
+      tandem: options.tandem.createTandem( 'conversionNode' )
+    } );
+
+    children.push( unitsSwitch, conversionNode );
+  }
+
   Node.call( this, {
-    children: [ titleNode, subtitleNode, minNode, maxNode, sliderNode, valueNode ],
+    children: children,
     tandem: options.tandem
   } );
 
+  // Is the value displayed in the alternate units?
+  const isAlternateUnits = () => !!alternateUnits && ( alternateUnits.unitsProperty.value === alternateUnits.alternateUnitsValue );
+
+  // How values are displayed in the slider's units, and in the alternate units.
+  const defaultDisplay = { subtitle: subtitle, units: units, decimalPlaces: decimalPlaces, convert: _.identity };
+  const alternateDisplay = alternateUnits && {
+    subtitle: alternateUnits.subtitle,
+    units: alternateUnits.units,
+    decimalPlaces: alternateUnits.decimalPlaces,
+    convert: alternateUnits.convert
+  };
+
+  // Gets how values are currently displayed.
+  const displayUnits = options.displayUnits;
+  const getDisplay = () => {
+    if ( isAlternateUnits() ) {
+      return alternateDisplay;
+    }
+    else if ( displayUnits ) {
+      const unitsValue = displayUnits.unitsProperty.value;
+      return {
+        subtitle: displayUnits.getSubtitle( unitsValue ),
+        units: displayUnits.getUnits( unitsValue ),
+        decimalPlaces: displayUnits.getDecimalPlaces( unitsValue ),
+        convert: value => displayUnits.convert( value, unitsValue )
+      };
+    }
+    else {
+      return defaultDisplay;
+    }
+  };
+
+  // Formats a value in the slider's units as a quantity, displayed as described by display.
+  const formatQuantity = ( value, display ) =>
+    StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( display.convert( value ), display.decimalPlaces ), display.units );
+
   // Update the value display, and position it relative to the track, so it's to the right of the slider thumb.
   const trackMinY = sliderNode.centerY - ( options.sliderOptions.trackSize.height / 2 );
-  property.link( function( value ) {
-    valueNode.text = StringUtils.format( pattern0Value1UnitsString, Utils.toFixed( value, decimalPlaces ), units );
+  const updateValue = function() {
+    const value = property.value;
+    valueNode.text = formatQuantity( value, getDisplay() );
     valueNode.centerY = trackMinY + Utils.linear( range.min, range.max, options.sliderOptions.trackSize.height, 0, value );
-  } );
+    if ( conversionNode ) {
+      conversionNode.text = StringUtils.format( pattern0Quantity1QuantityString,
+        formatQuantity( value, defaultDisplay ), formatQuantity( value, alternateDisplay ) );
+      conversionNode.centerX = centerX;
+    }
+  };
+  property.link( updateValue );
 
   // switch between quantitative and qualitative display
   valuesVisibleProperty.link( function( visible ) {
     valueNode.setVisible( visible );
+    conversionNode && conversionNode.setVisible( visible );
   } );
+
+  // switch between units
+  const unitsOptions = alternateUnits || displayUnits;
+  if ( unitsOptions ) {
+    const updateUnits = function() {
+      const display = getDisplay();
+      const maxDecimalPlaces = Math.min( MolarityConstants.RANGE_DECIMAL_PLACES, display.decimalPlaces );
+      subtitleNode.text = display.subtitle;
+      subtitleNode.centerX = centerX;
+      minNode.setQuantitativeValue( Utils.toFixed( display.convert( range.min ), range.min === 0 ? 0 : maxDecimalPlaces ) );
+      minNode.centerX = centerX;
+      maxNode.setQuantitativeValue( Utils.toFixed( display.convert( range.max ), maxDecimalPlaces ) );
+      maxNode.centerX = centerX;
+      updateValue();
+    };
+    unitsOptions.unitsProperty.lazyLink( updateUnits );
+    unitsOptions.convertDependencies.forEach( dependency => dependency.lazyLink( updateUnits ) );
+  }
 }
 
 molarity.register( 'VerticalSlider', VerticalSlider );
 
 inherit( Node, VerticalSlider );
+
+/**
+ * Alternate units for displaying a slider's range and value. The slider's Property is always in the slider's units.
+ * @typedef AlternateUnits
+ * @type {Object}
+ * @property {Property.<*>} unitsProperty - the units that are displayed
+ * @property {*} defaultUnitsValue - value of unitsProperty that displays the slider's units
+ * @property {*} alternateUnitsValue - value of unitsProperty that displays the alternate units
+ * @property {string} subtitle - replaces the subtitle when the alternate units are displayed
+ * @property {string} units - the alternate units, e.g. 'g'
+ * @property {number} decimalPlaces - for displaying values in the alternate units
+ * @property {function(number):number} convert - converts a value in the slider's units to the alternate units
+ * @property {Property[]} convertDependencies - Properties that change the conversion, e.g. the solute's molar mass
+ */
+
+/**
+ * Units for displaying a slider's range and value, chosen by some other control. The slider's Property is always in the
+ * slider's units, and there is no switch or conversion readout.
+ * @typedef DisplayUnits
+ * @type {Object}
+ * @property {Property.<*>} unitsProperty - the units that are displayed
+ * @property {function(*):string} getSubtitle - gets the subtitle for a value of unitsProperty
+ * @property {function(*):string} getUnits - gets the units for a value of unitsProperty, e.g. 'ppm'
+ * @property {function(*):number} getDecimalPlaces - gets the decimal places for a value of unitsProperty
+ * @property {function(number,*):number} convert - converts a value in the slider's units to a value of unitsProperty
+ * @property {Property[]} convertDependencies - Properties that change the conversion, e.g. the solute's molar mass
+ */
 export default VerticalSlider;
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ColligativePropertiesDescriber is responsible for generating strings about the colligative properties of the
+ * solution: freezing point depression, boiling point elevation and osmotic pressure. The freezing and boiling points
+ * change together, since both are proportional to the molality of dissolved particles.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import MolarityConstants from '../../MolarityConstants.js';
+
+// a11y strings
+const colligativePropertiesQualitativeDescriptionPatternString = molarityStrings.a11y.colligativeProperties.qualitativeDescriptionPattern;
+const colligativePropertiesQuantitativeDescriptionPatternString = molarityStrings.a11y.colligativeProperties.quantitativeDescriptionPattern;
+
+// freezing point regions strings
+const freezingPointRegionsUnchangedString = molarityStrings.a11y.colligativeProperties.freezingPointRegions.unchanged;
+const freezingPointRegionsSlightlyLoweredString = molarityStrings.a11y.colligativeProperties.freezingPointRegions.slightlyLowered;
+const freezingPointRegionsSomewhatLoweredString = molarityStrings.a11y.colligativeProperties.freezingPointRegions.somewhatLowered;
+const freezingPointRegionsGreatlyLoweredString = molarityStrings.a11y.colligativeProperties.freezingPointRegions.greatlyLowered;
+
+// boiling point regions strings
+const boilingPointRegionsUnchangedString = molarityStrings.a11y.colligativeProperties.boilingPointRegions.unchanged;
+const boilingPointRegionsSlightlyRaisedString = molarityStrings.a11y.colligativeProperties.boilingPointRegions.slightlyRaised;
+const boilingPointRegionsSomewhatRaisedString = molarityStrings.a11y.colligativeProperties.boilingPointRegions.somewhatRaised;
+const boilingPointRegionsGreatlyRaisedString = molarityStrings.a11y.colligativeProperties.boilingPointRegions.greatlyRaised;
+
+// osmotic pressure regions strings
+const osmoticPressureRegionsZeroString = molarityStrings.a11y.colligativeProperties.osmoticPressureRegions.zero;
+const osmoticPressureRegionsLowString = molarityStrings.a11y.colligativeProperties.osmoticPressureRegions.low;
+const osmoticPressureRegionsModerateString = molarityStrings.a11y.colligativeProperties.osmoticPressureRegions.moderate;
+const osmoticPressureRegionsHighString = molarityStrings.a11y.colligativeProperties.osmoticPressureRegions.high;
+
+// constants
+const FREEZING_POINT_STRINGS = [
+  freezingPointRegionsUnchangedString,
+  freezingPointRegionsSlightlyLoweredString,
+  freezingPointRegionsSomewhatLoweredString,
+  freezingPointRegionsGreatlyLoweredString
+];
+
+const BOILING_POINT_STRINGS = [
+  boilingPointRegionsUnchangedString,
+  boilingPointRegionsSlightlyRaisedString,
+  boilingPointRegionsSomewhatRaisedString,
+  boilingPointRegionsGreatlyRaisedString
+];
+
+const OSMOTIC_PRESSURE_STRINGS = [
+  osmoticPressureRegionsZeroString,
+  osmoticPressureRegionsLowString,
+  osmoticPressureRegionsModerateString,
+  osmoticPressureRegionsHighString
+];
+
+// upper bound (inclusive) of each non-zero region except the last. The first region is zero, so these are one shorter
+// than the strings arrays.
+const MOLALITY_REGION_MAXIMUMS = [ 0.5, 3 ]; // moles per kg of solvent
+const OSMOTIC_PRESSURE_REGION_MAXIMUMS = [ 12, 60 ]; // atm
+
+class ColligativePropertiesDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   */
+  constructor( solution, useQuantitativeDescriptionsProperty ) {
+
+    // @private
+    this.solution = solution;
+
+    // @public (read-only) descriptions depend on this, so observers of the descriptions should link to it
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+  }
+
+  /**
+   * Gets the description of the colligative properties, quantitatively or qualitatively.
+   * @public
+   * @returns {string} - e.g. "Freezing point slightly lowered, boiling point slightly raised, and osmotic pressure low."
+   */
+  getDescription() {
+    const solution = this.solution;
+    const solvent = solution.solventProperty.value;
+    if ( this.useQuantitativeDescriptionsProperty.value ) {
+      const freezingPointDepression = solution.getFreezingPointDepression();
+      const boilingPointElevation = solution.getBoilingPointElevation();
+      return StringUtils.fillIn( colligativePropertiesQuantitativeDescriptionPatternString, {
+        freezingPointDepression: toTemperatureString( freezingPointDepression ),
+        freezingPoint: toTemperatureString( solvent.freezingPoint - freezingPointDepression ),
+        boilingPointElevation: toTemperatureString( boilingPointElevation ),
+        boilingPoint: toTemperatureString( solvent.boilingPoint + boilingPointElevation ),
+        osmoticPressure: Utils.toFixed( solution.getOsmoticPressure(), MolarityConstants.OSMOTIC_PRESSURE_DECIMAL_PLACES )
+      } );
+    }
+    else {
+
+      // Without dissolved particles, everything is in the first region. Concentration is compared after rounding, so
+      // that leftover ions from a reaction that uses up nearly all of them do not count.
+      const hasParticles = Utils.toFixedNumber( solution.getColligativeConcentration(),
+        MolarityConstants.CONCENTRATION_DECIMAL_PLACES ) > 0;
+      const molalityIndex = hasParticles ? valueToIndex( solution.getColligativeMolality(), MOLALITY_REGION_MAXIMUMS ) : 0;
+      const osmoticPressureIndex = hasParticles ?
+                                   valueToIndex( solution.getOsmoticPressure(), OSMOTIC_PRESSURE_REGION_MAXIMUMS ) : 0;
+      return StringUtils.fillIn( colligativePropertiesQualitativeDescriptionPatternString, {
+        freezingPointChange: FREEZING_POINT_STRINGS[ molalityIndex ],
+        boilingPointChange: BOILING_POINT_STRINGS[ molalityIndex ],
+        osmoticPressure: OSMOTIC_PRESSURE_STRINGS[ osmoticPressureIndex ]
+      } );
+    }
+  }
+}
+
+/**
+ * @param {number} temperature - degrees C
+ * @returns {string}
+ */
+const toTemperatureString = temperature => Utils.toFixed( temperature, MolarityConstants.COLLIGATIVE_TEMPERATURE_DECIMAL_PLACES );
+
+/**
+ * Calculates which non-zero region a value is in, for a solution that has dissolved particles.
+ * @param {number} value
+ * @param {number[]} regionMaximums - upper bound (inclusive) of each non-zero region except the last
+ * @returns {number} - index to pull from a regions strings array, never 0
+ */
+const valueToIndex = ( value, regionMaximums ) => {
+  for ( let i = 0; i < regionMaximums.length; i++ ) {
+    if ( value <= regionMaximums[ i ] ) {
+      return i + 1;
+    }
+  }
+  return regionMaximums.length + 1;
+};
+
+molarity.register( 'ColligativePropertiesDescriber', ColligativePropertiesDescriber );
+export default ColligativePropertiesDescriber;
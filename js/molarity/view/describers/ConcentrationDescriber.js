@@ -12,16 +12,27 @@ import Utils from '../../../../../dot/js/Utils.js';
 import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
 import molarityStrings from '../../../molarity-strings.js';
 import molarity from '../../../molarity.js';
+import ConcentrationUnits from '../../model/ConcentrationUnits.js';
+import Solution from '../../model/Solution.js';
 import MolarityConstants from '../../MolarityConstants.js';
+import ConcentrationFormatter from '../ConcentrationFormatter.js';
+import QuantitativeDescriber from './QuantitativeDescriber.js';
 
 // a11y strings
 const quantityChangeColorChangePatternString = molarityStrings.a11y.quantityChange.colorChangePattern;
-const quantitativeConcentrationAndUnitString = molarityStrings.a11y.quantitative.concentrationAndUnit;
 const quantityChangeConcentrationChangePatternString = molarityStrings.a11y.quantityChange.concentrationChangePattern;
 const beakerConcentrationRangePatternString = molarityStrings.a11y.beaker.concentrationRangePattern;
 const qualitativeConcentrationStateClausePatternString = molarityStrings.a11y.qualitative.concentrationStateClausePattern;
 const quantitativeConcentrationStatePatternString = molarityStrings.a11y.quantitative.concentrationStatePattern;
 
+// Ion strings
+const ionsBeakerNoIonsPatternString = molarityStrings.a11y.ions.beakerNoIonsPattern;
+const ionsBeakerPatternString = molarityStrings.a11y.ions.beakerPattern;
+const ionsDescriptionPatternString = molarityStrings.a11y.ions.descriptionPattern;
+const ionsIonPatternString = molarityStrings.a11y.ions.ionPattern;
+const ionsIonSeparatorString = molarityStrings.a11y.ions.ionSeparator;
+const ionsNoIonsDescriptionPatternString = molarityStrings.a11y.ions.noIonsDescriptionPattern;
+
 // Concentration region strings
 const concentrationRegionsPassiveZeroConcentrationString = molarityStrings.a11y.concentrationRegions.passive.zeroConcentration;
 const concentrationRegionsPassiveLowConcentrationString = molarityStrings.a11y.concentrationRegions.passive.lowConcentration;
@@ -74,15 +85,18 @@ class ConcentrationDescriber {
   /**
    * @param {Solution} solution - from MolarityModel
    * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   * @param {EnumerationProperty.<ConcentrationUnits>|null} [concentrationUnitsProperty] - units that quantitative
+   *   descriptions of concentration use, molarity if null
    */
-  constructor( solution, useQuantitativeDescriptionsProperty ) {
+  constructor( solution, useQuantitativeDescriptionsProperty, concentrationUnitsProperty = null ) {
 
     // @private
     this.solution = solution;
-    this.soluteProperty = solution.soluteProperty;
+    this.saturatedConcentrationProperty = solution.saturatedConcentrationProperty;
     this.concentrationProperty = solution.concentrationProperty;
     const precipitateAmountProperty = solution.precipitateAmountProperty;
     this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+    this.concentrationUnitsProperty = concentrationUnitsProperty;
 
     // @public {boolean|null} - tracks whether the solution has most recently gone from saturated to unsaturated or
     // vice-versa.
@@ -105,8 +119,7 @@ class ConcentrationDescriber {
 
     // update fields (documented above) when concentrationProperty changes
     this.concentrationProperty.lazyLink( ( newValue, oldValue ) => {
-      const newConcentrationIndex = concentrationToIndex( this.soluteProperty.value.saturatedConcentration,
-        this.concentrationProperty.value );
+      const newConcentrationIndex = this.getCurrentConcentrationIndex();
       const newSaturationValue = this.solution.isSaturated();
 
       // newValue will never be equal to oldValue, since this is updated within a Property link.
@@ -134,7 +147,7 @@ class ConcentrationDescriber {
    * @returns {Number} - index of the current concentration region
    * */
   getCurrentConcentrationIndex() {
-    return concentrationToIndex( this.concentrationProperty.value, this.soluteProperty.value.saturatedConcentration );
+    return concentrationToIndex( this.concentrationProperty.value, this.getCurrentSaturatedConcentration() );
   }
 
   /**
@@ -142,17 +155,16 @@ class ConcentrationDescriber {
    * Qualitative description can be in active or passive voice depending on isPassive parameter.
    * @param {boolean} [isPassive] - ignored if using quantitative descriptions
    * @public
-   * @returns {string} - description of current concentration (e.g. "1.500 Molar" or "is very concentrated")
+   * @returns {string} - description of current concentration (e.g. "1.500 molar", "12.3 percent by mass" or
+   *                     "is very concentrated")
    */
   getCurrentConcentrationClause( isPassive = false ) {
-    const concentration = this.concentrationProperty.value;
     if ( this.useQuantitativeDescriptionsProperty.value ) {
-      return StringUtils.fillIn( quantitativeConcentrationAndUnitString, {
-        concentration: Utils.toFixed( concentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES )
-      } );
+      const units = this.getConcentrationUnits();
+      return ConcentrationFormatter.getDescription( this.solution.getConcentrationInUnits( units ), units );
     }
     else {
-      const index = concentrationToIndex( this.concentrationProperty.value, this.soluteProperty.value.saturatedConcentration );
+      const index = this.getCurrentConcentrationIndex();
       return isPassive ? CONCENTRATION_STRINGS[ index ] : ACTIVE_CONCENTRATION_STRINGS[ index ];
     }
   }
@@ -171,20 +183,34 @@ class ConcentrationDescriber {
     // The described max concentration in this clause is the maximum of the displayed concentration range for solutes
     // with a max concentration larger than the displayed concentration range max, and is the solute's actual max
     // concentration if it is less than the displayed concentration range max.
-    const displayedMaxConcentration = Utils.toFixed( clampedConcentration, MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES );
+    const displayedMaxConcentration = Utils.toFixedNumber( clampedConcentration, MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES );
+
+    // In units other than molarity, the max is converted as if the selected solute were the only one dissolved.
+    const units = this.getConcentrationUnits();
+    const maxConcentration = Solution.convertSingleSoluteConcentration( displayedMaxConcentration,
+      this.solution.soluteProperty.value, this.solution.solventProperty.value.density, units );
 
     return StringUtils.fillIn( beakerConcentrationRangePatternString, {
-      maxConcentration: Utils.toFixed( displayedMaxConcentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES )
+      maxConcentration: ConcentrationFormatter.getDescription( maxConcentration, units )
     } );
   }
 
   /**
-   * Gets the saturated concentration level of the currently selected solute.
+   * Gets the units that quantitative descriptions of concentration use. Ion concentrations are always in molarity.
+   * @public
+   * @returns {ConcentrationUnits}
+   */
+  getConcentrationUnits() {
+    return this.concentrationUnitsProperty ? this.concentrationUnitsProperty.value : ConcentrationUnits.MOLARITY;
+  }
+
+  /**
+   * Gets the saturated concentration level of the currently selected solute, at the solution's current temperature.
    * @public
    * @returns {number}
    */
   getCurrentSaturatedConcentration() {
-    return this.soluteProperty.value.saturatedConcentration;
+    return this.saturatedConcentrationProperty.value;
   }
 
   /**
@@ -200,6 +226,48 @@ class ConcentrationDescriber {
     return useQuantitativeDescriptionsProperty.value ? quantitativeString : this.getCurrentConcentrationClause();
   }
 
+  /**
+   * Creates a string that describes the concentration of each ion, and of all dissolved particles, in the beaker.
+   * Ion concentrations are values, so they are only described when using quantitative descriptions.
+   * @public
+   * @returns {string} - e.g. "has cobalt ions at 0.500 molar, nitrate ions at 1.000 molar, 1.500 molar of particles
+   *                     in total"
+   */
+  getBeakerIonConcentrationsString() {
+    assert && assert( this.useQuantitativeDescriptionsProperty.value, 'quantitative descriptions expected' );
+    const ionsString = this.getIonsString();
+    return StringUtils.fillIn( ionsString ? ionsBeakerPatternString : ionsBeakerNoIonsPatternString, {
+      ions: ionsString,
+      total: QuantitativeDescriber.getConcentrationString( this.solution.getParticleConcentration() )
+    } );
+  }
+
+  /**
+   * Creates a string that describes the ion concentrations readout.
+   * @public
+   * @returns {string} - e.g. "Contains cobalt ions at 0.500 molar, nitrate ions at 1.000 molar. Total particles
+   *                     1.500 molar."
+   */
+  getIonConcentrationsDescription() {
+    const ionsString = this.getIonsString();
+    return StringUtils.fillIn( ionsString ? ionsDescriptionPatternString : ionsNoIonsDescriptionPatternString, {
+      ions: ionsString,
+      total: QuantitativeDescriber.getConcentrationString( this.solution.getParticleConcentration() )
+    } );
+  }
+
+  /**
+   * Creates a list of the ions in the solution, with their concentrations.
+   * @private
+   * @returns {string} - e.g. "cobalt ions at 0.500 molar, nitrate ions at 1.000 molar", empty if there are no ions
+   */
+  getIonsString() {
+    return this.solution.getIonConcentrations().map( ionConcentration => StringUtils.fillIn( ionsIonPatternString, {
+      ion: ionConcentration.ion.lowercaseName,
+      concentration: QuantitativeDescriber.getConcentrationString( ionConcentration.concentration )
+    } ) ).join( ionsIonSeparatorString );
+  }
+
   /**
    * Creates a substring to describe how concentration has changed
    * @param [isCapitalized] {boolean}
@@ -253,8 +321,9 @@ class ConcentrationDescriber {
 const concentrationToIndex = ( currentConcentration, saturatedConcentrationForSolute ) => {
 
   // compare against un-rounded concentration since these two are single value regions
-  // Handle single value region cases before iterating through evenly spaced regions.
-  if ( currentConcentration === saturatedConcentrationForSolute ) {
+  // Handle single value region cases before iterating through evenly spaced regions. A supersaturated solution (or
+  // one with solids forming in kinetic mode) is past the saturated concentration, so it is in the max region too.
+  if ( currentConcentration >= saturatedConcentrationForSolute ) {
     return CONCENTRATION_STRINGS.length - 1;
   }
   else if ( currentConcentration === MolarityConstants.CONCENTRATION_RANGE.min ) {
@@ -0,0 +1,92 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * ConductivityDescriber is responsible for generating strings about the conductivity tester, and how brightly its bulb
+ * glows when its probes are in the solution.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import MolarityConstants from '../../MolarityConstants.js';
+
+// a11y strings
+const conductivityTesterNotInSolutionString = molarityStrings.a11y.conductivityTester.notInSolution;
+const conductivityTesterQualitativeDescriptionPatternString = molarityStrings.a11y.conductivityTester.qualitativeDescriptionPattern;
+const conductivityTesterQuantitativeDescriptionPatternString = molarityStrings.a11y.conductivityTester.quantitativeDescriptionPattern;
+
+// brightness regions strings
+const brightnessRegionsOffString = molarityStrings.a11y.conductivityTester.brightnessRegions.off;
+const brightnessRegionsDimString = molarityStrings.a11y.conductivityTester.brightnessRegions.dim;
+const brightnessRegionsGlowingString = molarityStrings.a11y.conductivityTester.brightnessRegions.glowing;
+const brightnessRegionsBrightString = molarityStrings.a11y.conductivityTester.brightnessRegions.bright;
+
+// constants
+const BRIGHTNESS_STRINGS = [
+  brightnessRegionsOffString,
+  brightnessRegionsDimString,
+  brightnessRegionsGlowingString,
+  brightnessRegionsBrightString
+];
+
+// upper bound (inclusive) of each non-zero region except the last. The first region is zero, so this is one shorter
+// than BRIGHTNESS_STRINGS. Weak acids and bases are mostly in the first non-zero region.
+const ION_CONCENTRATION_REGION_MAXIMUMS = [ 0.05, 1 ]; // M
+
+class ConductivityDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   */
+  constructor( solution, useQuantitativeDescriptionsProperty ) {
+
+    // @private
+    this.solution = solution;
+
+    // @public (read-only) descriptions depend on this, so observers of the descriptions should link to it
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+  }
+
+  /**
+   * Gets the description of the conductivity tester's bulb.
+   * @param {boolean} isInSolution - whether the probes are in the solution
+   * @public
+   * @returns {string} - e.g. "Conductivity tester probes are in the solution, and the bulb glows brightly."
+   */
+  getDescription( isInSolution ) {
+    if ( !isInSolution ) {
+      return conductivityTesterNotInSolutionString;
+    }
+    else {
+      const ionConcentration = Utils.toFixedNumber( this.solution.getTotalIonConcentration(),
+        MolarityConstants.CONCENTRATION_DECIMAL_PLACES );
+      const patternString = this.useQuantitativeDescriptionsProperty.value ?
+                            conductivityTesterQuantitativeDescriptionPatternString :
+                            conductivityTesterQualitativeDescriptionPatternString;
+      return StringUtils.fillIn( patternString, {
+        brightness: BRIGHTNESS_STRINGS[ ionConcentrationToIndex( ionConcentration ) ],
+        concentration: Utils.toFixed( ionConcentration, MolarityConstants.CONCENTRATION_DECIMAL_PLACES )
+      } );
+    }
+  }
+}
+
+/**
+ * Calculates which item to use from the brightness regions strings array.
+ * @param {number} ionConcentration - M, rounded so that leftover ions from a reaction do not light the bulb
+ * @returns {number} - index to pull from BRIGHTNESS_STRINGS
+ */
+const ionConcentrationToIndex = ionConcentration => {
+  if ( ionConcentration === 0 ) {
+    return 0;
+  }
+  const index = _.findIndex( ION_CONCENTRATION_REGION_MAXIMUMS, maximum => ionConcentration <= maximum );
+  return index === -1 ? ION_CONCENTRATION_REGION_MAXIMUMS.length + 1 : index + 1;
+};
+
+molarity.register( 'ConductivityDescriber', ConductivityDescriber );
+export default ConductivityDescriber;
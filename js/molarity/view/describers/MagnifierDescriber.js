@@ -0,0 +1,102 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MagnifierDescriber is responsible for generating strings about what the magnifier shows: the particles that are
+ * dissolved in the solution, and the crystal lattice of the solid at the bottom of a saturated solution.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+
+// a11y strings
+const magnifierDissolvedPatternString = molarityStrings.a11y.magnifier.dissolvedPattern;
+const magnifierIonPatternString = molarityStrings.a11y.magnifier.ionPattern;
+const magnifierMoleculePatternString = molarityStrings.a11y.magnifier.moleculePattern;
+const magnifierNotInSolutionString = molarityStrings.a11y.magnifier.notInSolution;
+const magnifierParticleSeparatorString = molarityStrings.a11y.magnifier.particleSeparator;
+const magnifierSolventOnlyString = molarityStrings.a11y.magnifier.solventOnly;
+const magnifierWithLatticePatternString = molarityStrings.a11y.magnifier.withLatticePattern;
+
+// amount regions strings
+const amountRegionsAFewString = molarityStrings.a11y.magnifier.amountRegions.aFew;
+const amountRegionsSomeString = molarityStrings.a11y.magnifier.amountRegions.some;
+const amountRegionsManyString = molarityStrings.a11y.magnifier.amountRegions.many;
+
+// constants
+const AMOUNT_STRINGS = [
+  amountRegionsAFewString,
+  amountRegionsSomeString,
+  amountRegionsManyString
+];
+
+// upper bound (inclusive) of each amount region except the last, for the concentration of all dissolved particles
+const PARTICLE_CONCENTRATION_REGION_MAXIMUMS = [ 0.5, 2 ]; // M
+
+class MagnifierDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   */
+  constructor( solution ) {
+
+    // @private
+    this.solution = solution;
+  }
+
+  /**
+   * Gets the description of what the magnifier shows.
+   * @param {boolean} isInSolution - whether the lens is over the solution
+   * @param {boolean} isAtBottom - whether the lens is over the bottom of the beaker, where solids collect
+   * @public
+   * @returns {string} - e.g. "Magnifier shows some cobalt ions, chloride ions, moving randomly through the solvent."
+   */
+  getDescription( isInSolution, isAtBottom ) {
+    if ( !isInSolution ) {
+      return magnifierNotInSolutionString;
+    }
+    const solution = this.solution;
+    const ionStrings = solution.getIonConcentrations()
+      .filter( ionConcentration => ionConcentration.concentration > 0 )
+      .map( ionConcentration => StringUtils.fillIn( magnifierIonPatternString, {
+        ion: ionConcentration.ion.lowercaseName
+      } ) );
+    const moleculeStrings = solution.getMoleculeConcentrations().map( dissolved =>
+      StringUtils.fillIn( magnifierMoleculePatternString, { solute: dissolved.solute.lowercaseName } ) );
+    const particleStrings = ionStrings.concat( moleculeStrings );
+    let dissolvedString = magnifierSolventOnlyString;
+    if ( particleStrings.length > 0 ) {
+      dissolvedString = StringUtils.fillIn( magnifierDissolvedPatternString, {
+        amount: AMOUNT_STRINGS[ particleConcentrationToIndex( solution.getParticleConcentration() ) ],
+        particles: particleStrings.join( magnifierParticleSeparatorString )
+      } );
+    }
+    const precipitates = solution.getPrecipitates();
+    if ( isAtBottom && precipitates.length > 0 ) {
+
+      // the lens shows the lattice of the first solid, see MagnifierNode
+      return StringUtils.fillIn( magnifierWithLatticePatternString, {
+        dissolved: dissolvedString,
+        precipitate: precipitates[ 0 ].lowercaseName
+      } );
+    }
+    else {
+      return dissolvedString;
+    }
+  }
+}
+
+/**
+ * Calculates which item to use from the amount regions strings array.
+ * @param {number} particleConcentration - M
+ * @returns {number} - index to pull from AMOUNT_STRINGS
+ */
+const particleConcentrationToIndex = particleConcentration => {
+  const index = _.findIndex( PARTICLE_CONCENTRATION_REGION_MAXIMUMS, maximum => particleConcentration <= maximum );
+  return index === -1 ? PARTICLE_CONCENTRATION_REGION_MAXIMUMS.length : index;
+};
+
+molarity.register( 'MagnifierDescriber', MagnifierDescriber );
+export default MagnifierDescriber;
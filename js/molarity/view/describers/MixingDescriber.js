@@ -0,0 +1,99 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MixingDescriber is responsible for generating strings about how well the solute is mixed into the solution, when
+ * added solute mixes in over time.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import Solution from '../../model/Solution.js';
+import ConcentrationFormatter from '../ConcentrationFormatter.js';
+
+// a11y strings
+const mixingCheckedAlertString = molarityStrings.a11y.mixing.checkedAlert;
+const mixingMixedAlertString = molarityStrings.a11y.mixing.mixedAlert;
+const mixingMixedString = molarityStrings.a11y.mixing.mixed;
+const mixingQualitativeUnmixedString = molarityStrings.a11y.mixing.qualitativeUnmixed;
+const mixingQuantitativeUnmixedPatternString = molarityStrings.a11y.mixing.quantitativeUnmixedPattern;
+const mixingUncheckedAlertString = molarityStrings.a11y.mixing.uncheckedAlert;
+
+class MixingDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {ConcentrationGradient} concentrationGradient - from MolarityModel
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   * @param {EnumerationProperty.<ConcentrationUnits>} concentrationUnitsProperty - units of quantitative descriptions
+   */
+  constructor( solution, concentrationGradient, useQuantitativeDescriptionsProperty, concentrationUnitsProperty ) {
+
+    // @private
+    this.solution = solution;
+    this.concentrationGradient = concentrationGradient;
+    this.concentrationUnitsProperty = concentrationUnitsProperty;
+
+    // @public (read-only) descriptions depend on this, so observers of the descriptions should link to it
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+  }
+
+  /**
+   * Gets the description of how well the solution is mixed.
+   * @public
+   * @returns {string} - e.g. "Solution is not evenly mixed, and is more concentrated near the top."
+   */
+  getDescription() {
+    if ( this.concentrationGradient.isMixedProperty.value || this.solution.isMixtureProperty.value ) {
+      return mixingMixedString;
+    }
+    else if ( this.useQuantitativeDescriptionsProperty.value ) {
+      return StringUtils.fillIn( mixingQuantitativeUnmixedPatternString, {
+        top: this.getLocalConcentrationString( 0 ),
+        bottom: this.getLocalConcentrationString( 1 )
+      } );
+    }
+    else {
+      return mixingQualitativeUnmixedString;
+    }
+  }
+
+  /**
+   * Gets the alert for when mixing over time is turned on or off.
+   * @param {boolean} isUnmixed
+   * @public
+   * @returns {string}
+   */
+  getUnmixedChangedAlertString( isUnmixed ) {
+    return isUnmixed ? mixingCheckedAlertString : mixingUncheckedAlertString;
+  }
+
+  /**
+   * Gets the alert for when diffusion or stirring has evenly mixed the solution.
+   * @public
+   * @returns {string}
+   */
+  getMixedAlertString() {
+    return mixingMixedAlertString;
+  }
+
+  /**
+   * Gets the local concentration at some depth, in the selected units.
+   * @param {number} depth - 0 (the top of the solution) to 1 (the bottom)
+   * @private
+   * @returns {string} - e.g. "1.250 molar"
+   */
+  getLocalConcentrationString( depth ) {
+    const units = this.concentrationUnitsProperty.value;
+    const solution = this.solution;
+    const concentration = Solution.convertSingleSoluteConcentration(
+      this.concentrationGradient.getLocalConcentration( depth ), solution.soluteProperty.value,
+      solution.solventProperty.value.density, units );
+    return ConcentrationFormatter.getDescription( concentration, units );
+  }
+}
+
+molarity.register( 'MixingDescriber', MixingDescriber );
+export default MixingDescriber;
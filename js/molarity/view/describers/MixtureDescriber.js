@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * MixtureDescriber is responsible for generating strings about the components of a mixture, see
+ * Solution.isMixtureProperty. The selected solute is described by the other describers, so this describes the
+ * mixture as a whole.
+ *
+ * @author agent
+ */
+
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+
+// a11y strings
+const beakerMixturePatternString = molarityStrings.a11y.beaker.mixturePattern;
+const mixtureCheckedAlertString = molarityStrings.a11y.mixture.checkedAlert;
+const mixtureComponentSeparatorString = molarityStrings.a11y.mixture.componentSeparator;
+const mixtureQualitativeComponentPatternString = molarityStrings.a11y.mixture.qualitativeComponentPattern;
+const mixtureQuantitativeComponentPatternString = molarityStrings.a11y.mixture.quantitativeComponentPattern;
+const mixtureReactionAlertPatternString = molarityStrings.a11y.mixture.reactionAlertPattern;
+const mixtureSaturatedComponentPatternString = molarityStrings.a11y.mixture.saturatedComponentPattern;
+const mixtureSoluteAddedAlertPatternString = molarityStrings.a11y.mixture.soluteAddedAlertPattern;
+const mixtureSummaryNoSolutesString = molarityStrings.a11y.mixture.summaryNoSolutes;
+const mixtureSummaryPatternString = molarityStrings.a11y.mixture.summaryPattern;
+const mixtureUncheckedAlertPatternString = molarityStrings.a11y.mixture.uncheckedAlertPattern;
+
+class MixtureDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {SoluteDescriber} soluteDescriber
+   * @param {SoluteAmountDescriber} soluteAmountDescriber
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   */
+  constructor( solution, soluteDescriber, soluteAmountDescriber, useQuantitativeDescriptionsProperty ) {
+
+    // @private
+    this.solution = solution;
+    this.soluteDescriber = soluteDescriber;
+    this.soluteAmountDescriber = soluteAmountDescriber;
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+  }
+
+  /**
+   * Describes each component of the mixture, in the order of the solutes.
+   * @public
+   * @returns {string} - e.g. "some drink mix, a lot of copper sulfate (saturated)" or
+   *                     "0.500 moles of drink mix, 0.900 moles of copper sulfate (saturated)"
+   */
+  getComponentsString() {
+    const componentPatternString = this.useQuantitativeDescriptionsProperty.value ?
+                                   mixtureQuantitativeComponentPatternString :
+                                   mixtureQualitativeComponentPatternString;
+    return this.solution.getMixtureComponents().map( component => {
+      const componentString = StringUtils.fillIn( componentPatternString, {
+        soluteAmount: this.soluteAmountDescriber.getSoluteAmountString( component.amountProperty.value, component.solute ),
+        solute: component.solute.lowercaseName
+      } );
+      return component.isSaturated() ?
+             StringUtils.fillIn( mixtureSaturatedComponentPatternString, { component: componentString } ) :
+             componentString;
+    } ).join( mixtureComponentSeparatorString );
+  }
+
+  /**
+   * Creates the beaker description item for the mixture, should only be called when the mixture has components.
+   * @public
+   * @returns {string} - e.g. "is a mixture of some drink mix, a little copper sulfate"
+   */
+  getBeakerMixtureString() {
+    assert && assert( this.solution.getMixtureComponents().length > 0, 'mixture has no components to describe' );
+    return StringUtils.fillIn( beakerMixturePatternString, {
+      components: this.getComponentsString()
+    } );
+  }
+
+  /**
+   * Creates a sentence that summarizes the mixture.
+   * @public
+   * @returns {string} - e.g. "Mixture contains some drink mix, a little copper sulfate."
+   */
+  getMixtureSummaryString() {
+    return this.solution.getMixtureComponents().length === 0 ? mixtureSummaryNoSolutesString :
+           StringUtils.fillIn( mixtureSummaryPatternString, {
+             components: this.getComponentsString()
+           } );
+  }
+
+  /**
+   * Describes the newly selected solute, which is added to the mixture rather than replacing the solute.
+   * @public
+   * @returns {string} - e.g. "Now adding copper sulfate. Mixture contains some drink mix."
+   */
+  getSoluteAddedAlertString() {
+    return StringUtils.fillIn( mixtureSoluteAddedAlertPatternString, {
+      solute: this.soluteDescriber.getCurrentSoluteName(),
+      mixture: this.getMixtureSummaryString()
+    } );
+  }
+
+  /**
+   * Describes turning mixture mode on or off. Turning it off removes all but the selected solute.
+   * @param {boolean} isMixture
+   * @public
+   * @returns {string}
+   */
+  getMixtureChangedAlertString( isMixture ) {
+    return isMixture ? mixtureCheckedAlertString : StringUtils.fillIn( mixtureUncheckedAlertPatternString, {
+      solute: this.soluteDescriber.getCurrentSoluteName()
+    } );
+  }
+
+  /**
+   * Describes a reaction between the solutes of the mixture that has started to form a product.
+   * @param {ReactionProduct} product - see Solution.computeReactionProducts
+   * @public
+   * @returns {string} - e.g. "Cobalt(II) chromate precipitate forms from cobalt and chromate ions, limited by the
+   *                     amount of chromate."
+   */
+  getReactionAlertString( product ) {
+    const reaction = product.reaction;
+    return StringUtils.fillIn( mixtureReactionAlertPatternString, {
+      product: reaction.name,
+      cation: reaction.cation.lowercaseName,
+      anion: reaction.anion.lowercaseName,
+      limitingIon: product.limitingIon.lowercaseName
+    } );
+  }
+}
+
+molarity.register( 'MixtureDescriber', MixtureDescriber );
+export default MixtureDescriber;
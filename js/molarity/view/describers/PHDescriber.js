@@ -0,0 +1,105 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * PHDescriber is responsible for generating strings about the pH meter, and the pH that it measures when its probe is
+ * in the solution.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import MolarityConstants from '../../MolarityConstants.js';
+
+// a11y strings
+const pHMeterNotInSolutionString = molarityStrings.a11y.pHMeter.notInSolution;
+const pHMeterNotMeasuredPatternString = molarityStrings.a11y.pHMeter.notMeasuredPattern;
+const pHMeterQualitativeDescriptionPatternString = molarityStrings.a11y.pHMeter.qualitativeDescriptionPattern;
+const pHMeterQuantitativeDescriptionPatternString = molarityStrings.a11y.pHMeter.quantitativeDescriptionPattern;
+
+// acidity regions strings
+const acidityRegionsStronglyAcidicString = molarityStrings.a11y.pHMeter.acidityRegions.stronglyAcidic;
+const acidityRegionsAcidicString = molarityStrings.a11y.pHMeter.acidityRegions.acidic;
+const acidityRegionsNeutralString = molarityStrings.a11y.pHMeter.acidityRegions.neutral;
+const acidityRegionsBasicString = molarityStrings.a11y.pHMeter.acidityRegions.basic;
+const acidityRegionsStronglyBasicString = molarityStrings.a11y.pHMeter.acidityRegions.stronglyBasic;
+
+// constants
+const ACIDITY_STRINGS = [
+  acidityRegionsStronglyAcidicString,
+  acidityRegionsAcidicString,
+  acidityRegionsNeutralString,
+  acidityRegionsBasicString,
+  acidityRegionsStronglyBasicString
+];
+
+// upper bound (exclusive) of each acidity region except the last, so that pure water is neutral
+const PH_REGION_MAXIMUMS = [ 3, 6.5, 7.5, 11 ];
+
+class PHDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   */
+  constructor( solution, useQuantitativeDescriptionsProperty ) {
+
+    // @private
+    this.solution = solution;
+
+    // @public (read-only) descriptions depend on this, so observers of the descriptions should link to it
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+  }
+
+  /**
+   * Gets the description of what the pH meter is measuring.
+   * @param {boolean} isInSolution - whether the probe is in the solution
+   * @public
+   * @returns {string} - e.g. "pH meter probe is in the solution, reading pH 2.88, strongly acidic."
+   */
+  getDescription( isInSolution ) {
+    const pH = this.solution.getPH();
+    if ( !isInSolution ) {
+      return pHMeterNotInSolutionString;
+    }
+    else if ( pH === null ) {
+      return StringUtils.fillIn( pHMeterNotMeasuredPatternString, {
+        solvent: this.solution.solventProperty.value.lowercaseName
+      } );
+    }
+    else {
+      const patternString = this.useQuantitativeDescriptionsProperty.value ?
+                            pHMeterQuantitativeDescriptionPatternString :
+                            pHMeterQualitativeDescriptionPatternString;
+      return StringUtils.fillIn( patternString, {
+        pH: Utils.toFixed( pH, MolarityConstants.PH_DECIMAL_PLACES ),
+        acidity: PHDescriber.getAcidityString( pH )
+      } );
+    }
+  }
+
+  /**
+   * Gets the acidity region that a pH is in.
+   * @param {number} pH
+   * @public
+   * @returns {string} - e.g. "strongly acidic"
+   */
+  static getAcidityString( pH ) {
+    return ACIDITY_STRINGS[ pHToIndex( pH ) ];
+  }
+}
+
+/**
+ * Calculates which item to use from the acidity regions strings array.
+ * @param {number} pH
+ * @returns {number} - index to pull from ACIDITY_STRINGS
+ */
+const pHToIndex = pH => {
+  const index = _.findIndex( PH_REGION_MAXIMUMS, maximum => pH < maximum );
+  return index === -1 ? PH_REGION_MAXIMUMS.length : index;
+};
+
+molarity.register( 'PHDescriber', PHDescriber );
+export default PHDescriber;
@@ -14,13 +14,14 @@
 import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
 import molarityStrings from '../../../molarity-strings.js';
 import molarity from '../../../molarity.js';
+import NucleationCause from '../../model/NucleationCause.js';
 import Solution from '../../model/Solution.js';
 import MolarityConstants from '../../MolarityConstants.js';
 
 // a11y strings
 const atMaxConcentrationPatternString = molarityStrings.a11y.atMaxConcentrationPattern;
 const beakerSaturationPatternString = molarityStrings.a11y.beaker.saturationPattern;
-const saturationLostNoSoluteAlertString = molarityStrings.a11y.saturationLostNoSoluteAlert;
+const saturationLostNoSoluteAlertPatternString = molarityStrings.a11y.saturationLostNoSoluteAlertPattern;
 const saturationLostQualitativeAlertPatternString = molarityStrings.a11y.saturationLostQualitativeAlertPattern;
 const saturationLostQuantitativeAlertPatternString = molarityStrings.a11y.saturationLostQuantitativeAlertPattern;
 const saturationReachedAlertPatternString = molarityStrings.a11y.saturationReachedAlertPattern;
@@ -28,6 +29,28 @@ const stillSaturatedAlertPatternString = molarityStrings.a11y.stillSaturatedAler
 const withSolidsAlertPatternString = molarityStrings.a11y.withSolidsAlertPattern;
 const solidsChangePatternString = molarityStrings.a11y.solidsChangePattern;
 
+// Kinetic mode strings
+const kineticBeakerDissolvingString = molarityStrings.a11y.kinetic.beakerDissolving;
+const kineticBeakerFormingString = molarityStrings.a11y.kinetic.beakerForming;
+const kineticCheckedAlertString = molarityStrings.a11y.kinetic.checkedAlert;
+const kineticDissolvingAlertPatternString = molarityStrings.a11y.kinetic.dissolvingAlertPattern;
+const kineticDissolvingFinishedAlertPatternString = molarityStrings.a11y.kinetic.dissolvingFinishedAlertPattern;
+const kineticFormingAlertPatternString = molarityStrings.a11y.kinetic.formingAlertPattern;
+const kineticFormingFinishedAlertPatternString = molarityStrings.a11y.kinetic.formingFinishedAlertPattern;
+const kineticUncheckedAlertString = molarityStrings.a11y.kinetic.uncheckedAlert;
+const kineticWillDissolveString = molarityStrings.a11y.kinetic.willDissolve;
+const kineticWillFormString = molarityStrings.a11y.kinetic.willForm;
+
+// Supersaturation strings
+const beakerSupersaturatedString = molarityStrings.a11y.beaker.supersaturated;
+const supersaturationBumpCrystallizedAlertString = molarityStrings.a11y.supersaturation.bumpCrystallizedAlert;
+const supersaturationBumpNoEffectAlertString = molarityStrings.a11y.supersaturation.bumpNoEffectAlert;
+const supersaturationNoLongerSupersaturatedAlertString = molarityStrings.a11y.supersaturation.noLongerSupersaturatedAlert;
+const supersaturationSeedCrystalCrystallizedAlertString = molarityStrings.a11y.supersaturation.seedCrystalCrystallizedAlert;
+const supersaturationSeedCrystalNoEffectAlertString = molarityStrings.a11y.supersaturation.seedCrystalNoEffectAlert;
+const supersaturationSpontaneousAlertString = molarityStrings.a11y.supersaturation.spontaneousAlert;
+const supersaturationSupersaturatedAlertString = molarityStrings.a11y.supersaturation.supersaturatedAlert;
+
 // Precipitate Amount capitalized region strings
 const precipitateAmountRegionsCapitalizedALotOfString = molarityStrings.a11y.precipitateAmountRegions.capitalized.aLotOf;
 const precipitateAmountRegionsCapitalizedABunchOfString = molarityStrings.a11y.precipitateAmountRegions.capitalized.aBunchOf;
@@ -178,6 +201,99 @@ class PrecipitateAmountDescriber {
     } );
   }
 
+  /**
+   * Creates a string that describes solids dissolving or forming in kinetic mode, for the beaker description.
+   * @public
+   * @returns {string} - e.g. "has solids dissolving"
+   */
+  getBeakerDissolutionString() {
+    assert && assert( !this.solution.isAtDissolutionEquilibrium(), 'solids are neither dissolving nor forming' );
+    return this.solution.isDissolving() ? kineticBeakerDissolvingString : kineticBeakerFormingString;
+  }
+
+  /**
+   * Creates a string that describes what will happen to the solids in kinetic mode, after a slider has changed the
+   * solution.
+   * @public
+   * @returns {string} - e.g. "Solids will dissolve over time."
+   */
+  getDissolutionFutureString() {
+    assert && assert( !this.solution.isAtDissolutionEquilibrium(), 'solids are neither dissolving nor forming' );
+    return this.solution.isDissolving() ? kineticWillDissolveString : kineticWillFormString;
+  }
+
+  /**
+   * Creates a string that describes the ongoing change in the amount of solids in kinetic mode, or that the change has
+   * come to an end. This should only be called as a result of the solids dissolving or forming over time, hence the
+   * usage of `this.precipitateAmountIncreased`.
+   * @public
+   * @returns {string} - e.g. "Solids dissolving, now a few solids."
+   */
+  getDissolutionChangeString() {
+    let patternString;
+    if ( this.solution.isAtDissolutionEquilibrium() ) {
+      patternString = this.precipitateAmountIncreased ? kineticFormingFinishedAlertPatternString :
+                      kineticDissolvingFinishedAlertPatternString;
+    }
+    else {
+      patternString = this.solution.isDissolving() ? kineticDissolvingAlertPatternString : kineticFormingAlertPatternString;
+    }
+    return StringUtils.fillIn( patternString, {
+      solids: this.getCurrentPrecipitateAmountDescription()
+    } );
+  }
+
+  /**
+   * Creates the string to be read out when kinetic mode is turned on or off.
+   * @param {boolean} isKinetic
+   * @public
+   * @returns {string}
+   */
+  getKineticChangedAlertString( isKinetic ) {
+    return isKinetic ? kineticCheckedAlertString : kineticUncheckedAlertString;
+  }
+
+  /**
+   * Creates a string that describes a supersaturated solution, for the beaker description.
+   * @public
+   * @returns {string} - e.g. "is supersaturated, holding more solute than it can at equilibrium"
+   */
+  getBeakerSupersaturationString() {
+    assert && assert( this.solution.isSupersaturatedProperty.value, 'solution is not supersaturated' );
+    return beakerSupersaturatedString;
+  }
+
+  /**
+   * Creates the string to be read out when the solution becomes supersaturated, or stops being supersaturated without
+   * crystallizing.
+   * @param {boolean} isSupersaturated
+   * @public
+   * @returns {string}
+   */
+  getSupersaturationChangedString( isSupersaturated ) {
+    return isSupersaturated ? supersaturationSupersaturatedAlertString : supersaturationNoLongerSupersaturatedAlertString;
+  }
+
+  /**
+   * Creates the string to be read out when something may have caused a supersaturated solution to crystallize.
+   * @param {NucleationCause} cause
+   * @param {boolean} didCrystallize - whether the solution was supersaturated, and has started to crystallize
+   * @public
+   * @returns {string} - e.g. "Seed crystal added. Solids rapidly crystallize around it."
+   */
+  getNucleationAlertString( cause, didCrystallize ) {
+    if ( cause === NucleationCause.SEED_CRYSTAL ) {
+      return didCrystallize ? supersaturationSeedCrystalCrystallizedAlertString : supersaturationSeedCrystalNoEffectAlertString;
+    }
+    else if ( cause === NucleationCause.BUMP ) {
+      return didCrystallize ? supersaturationBumpCrystallizedAlertString : supersaturationBumpNoEffectAlertString;
+    }
+    else {
+      assert && assert( cause === NucleationCause.SPONTANEOUS && didCrystallize, 'unsupported nucleation: ' + cause );
+      return supersaturationSpontaneousAlertString;
+    }
+  }
+
   /**
    * Creates the string to be read out when the solution is either newly saturated or newly unsaturated.
    * @public
@@ -208,7 +324,9 @@ class PrecipitateAmountDescriber {
         // and precipitateAmountProperty,if there is no solute in the beaker, concentrationDescriber.saturationValueChanged
         // will not be updated, and must therefore be manually updated.
         this.concentrationDescriber.saturationValueChanged = false;
-        return saturationLostNoSoluteAlertString;
+        return StringUtils.fillIn( saturationLostNoSoluteAlertPatternString, {
+          solvent: this.solution.solventProperty.value.lowercaseName
+        } );
       }
       else {
         return StringUtils.fillIn( saturationLostAlertString, {
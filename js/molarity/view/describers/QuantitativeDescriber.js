@@ -0,0 +1,57 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Quantitative descriptions of the quantities of a solution, with their units, for the PDOM and alerts. Used by the
+ * describers of the screens that always describe a solution quantitatively.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import ConcentrationUnits from '../../model/ConcentrationUnits.js';
+import MolarityConstants from '../../MolarityConstants.js';
+import ConcentrationFormatter from '../ConcentrationFormatter.js';
+
+// a11y strings
+const quantitativeSoluteAmountAndUnitPatternString = molarityStrings.a11y.quantitative.soluteAmountAndUnitPattern;
+const quantitativeSolutionVolumeAndUnitPatternString = molarityStrings.a11y.quantitative.solutionVolumeAndUnitPattern;
+
+const QuantitativeDescriber = {
+
+  /**
+   * @param {number} concentration - M
+   * @returns {string} - e.g. "0.500 molar"
+   * @public
+   */
+  getConcentrationString( concentration ) {
+    return ConcentrationFormatter.getDescription( concentration, ConcentrationUnits.MOLARITY );
+  },
+
+  /**
+   * @param {number} soluteAmount - moles
+   * @returns {string} - e.g. "0.500 moles"
+   * @public
+   */
+  getSoluteAmountString( soluteAmount ) {
+    return StringUtils.fillIn( quantitativeSoluteAmountAndUnitPatternString, {
+      soluteAmount: Utils.toFixed( soluteAmount, MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES )
+    } );
+  },
+
+  /**
+   * @param {number} volume - liters
+   * @returns {string} - e.g. "0.500 liters"
+   * @public
+   */
+  getVolumeString( volume ) {
+    return StringUtils.fillIn( quantitativeSolutionVolumeAndUnitPatternString, {
+      volume: Utils.toFixed( volume, MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES )
+    } );
+  }
+};
+
+molarity.register( 'QuantitativeDescriber', QuantitativeDescriber );
+export default QuantitativeDescriber;
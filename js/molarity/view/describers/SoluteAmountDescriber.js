@@ -2,6 +2,7 @@
 
 /**
  * SoluteAmountDescriber is responsible for generating strings about Solution.soluteAmountProperty.
+ * Quantitative descriptions are in the units that the solute amount is displayed in, moles or grams.
  *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  * @author Taylor Want (PhET Interactive Simulations)
@@ -12,11 +13,13 @@ import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
 import molarityStrings from '../../../molarity-strings.js';
 import molarity from '../../../molarity.js';
 import MolarityConstants from '../../MolarityConstants.js';
+import SoluteAmountUnits from '../SoluteAmountUnits.js';
 import SolutionQuantityDescriber from './SolutionQuantityDescriber.js';
 
 // a11y strings
 const beakerSoluteAmountPatternString = molarityStrings.a11y.beaker.soluteAmountPattern;
 const quantitativeSoluteAmountAndUnitPatternString = molarityStrings.a11y.quantitative.soluteAmountAndUnitPattern;
+const quantitativeSoluteMassAndUnitPatternString = molarityStrings.a11y.quantitative.soluteMassAndUnitPattern;
 const quantityChangeSoluteAmountChangedPatternString = molarityStrings.a11y.quantityChange.soluteAmountChangedPattern;
 const quantityChangeColorChangePatternString = molarityStrings.a11y.quantityChange.colorChangePattern;
 const qualitativeSoluteAmountStatePatternString = molarityStrings.a11y.qualitative.soluteAmountStatePattern;
@@ -53,12 +56,17 @@ class SoluteAmountDescriber extends SolutionQuantityDescriber {
    * @param {Property.<number>} soluteAmountProperty - from model.
    * @param {SoluteDescriber} soluteDescriber
    * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   * @param {Property.<Solute>} soluteProperty - from model.
+   * @param {EnumerationProperty.<SoluteAmountUnits>} soluteAmountUnitsProperty - units that solute amount is displayed in
    */
-  constructor( soluteAmountProperty, soluteDescriber, useQuantitativeDescriptionsProperty ) {
+  constructor( soluteAmountProperty, soluteDescriber, useQuantitativeDescriptionsProperty, soluteProperty,
+               soluteAmountUnitsProperty ) {
     super();
 
     // @private
     this.soluteAmountProperty = soluteAmountProperty;
+    this.soluteProperty = soluteProperty;
+    this.soluteAmountUnitsProperty = soluteAmountUnitsProperty;
     this.soluteDescriber = soluteDescriber;
     this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
 
@@ -130,24 +138,40 @@ class SoluteAmountDescriber extends SolutionQuantityDescriber {
 
   /**
    * Gets the current value of soluteAmount either quantitatively or quantitatively to plug into descriptions.
-   * Examples: "0.800 Moles" for quantitative or "A lot of" for qualitative
+   * Examples: "0.800 Moles" or "273.8 grams" for quantitative or "A lot of" for qualitative
    * @param [isCapitalized] {boolean} - ignored if using quantitative descriptions
    * @public
    * @returns {string} - quantitative or qualitative description of current soluteAmount.
    */
   getCurrentSoluteAmount() {
+    return this.getSoluteAmountString( this.soluteAmountProperty.value );
+  }
+
+  /**
+   * Gets some value of soluteAmount either quantitatively or qualitatively to plug into descriptions. This is used to
+   * describe amounts other than the current soluteAmount, like the components of a mixture.
+   * @param {number} soluteAmount - moles
+   * @param {Solute} [solute] - the solute, for converting to grams, defaults to the selected solute
+   * @public
+   * @returns {string} - e.g. "0.800 moles" or "273.8 grams" for quantitative or "a lot of" for qualitative
+   */
+  getSoluteAmountString( soluteAmount, solute = this.soluteProperty.value ) {
     if ( this.useQuantitativeDescriptionsProperty.value ) {
       const soluteAmountMin = MolarityConstants.SOLUTE_AMOUNT_RANGE.min;
       const soluteAmountMax = MolarityConstants.SOLUTE_AMOUNT_RANGE.max;
-      const clampedSoluteAmount = Utils.clamp( this.soluteAmountProperty.value, soluteAmountMin, soluteAmountMax );
+      const clampedSoluteAmount = Utils.clamp( soluteAmount, soluteAmountMin, soluteAmountMax );
 
+      if ( this.soluteAmountUnitsProperty.value === SoluteAmountUnits.GRAMS ) {
+        return StringUtils.fillIn( quantitativeSoluteMassAndUnitPatternString, {
+          soluteMass: Utils.toFixed( solute.molesToGrams( clampedSoluteAmount ), MolarityConstants.SOLUTE_MASS_DECIMAL_PLACES )
+        } );
+      }
       return StringUtils.fillIn( quantitativeSoluteAmountAndUnitPatternString, {
         soluteAmount: Utils.toFixed( clampedSoluteAmount, MolarityConstants.SOLUTE_AMOUNT_DECIMAL_PLACES )
       } );
     }
     else {
-      return SOLUTE_AMOUNT_STRINGS[ soluteAmountToIndex( this.soluteAmountProperty.value ) ];
-
+      return SOLUTE_AMOUNT_STRINGS[ soluteAmountToIndex( soluteAmount ) ];
     }
   }
 
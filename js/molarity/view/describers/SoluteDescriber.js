@@ -1,7 +1,8 @@
 // Copyright 2019-2020, University of Colorado Boulder
 
 /**
- * SoluteDescriber is responsible for generating descriptions about the Solution.soluteProperty.
+ * SoluteDescriber is responsible for generating descriptions about the Solution.soluteProperty, and the
+ * Solution.solventProperty that the solute is dissolved in.
  *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  * @author Taylor Want (PhET Interactive Simulations)
@@ -11,18 +12,17 @@ import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
 import StringCasingPair from '../../../../../scenery-phet/js/accessibility/StringCasingPair.js';
 import molarityStrings from '../../../molarity-strings.js';
 import molarity from '../../../molarity.js';
-import Water from '../../model/Water.js';
-import MolaritySymbols from '../../MolaritySymbols.js';
 
 // a11y strings
 const beakerChemicalFormulaPatternString = molarityStrings.a11y.beaker.chemicalFormulaPattern;
-const noSoluteAlertQuantitativeString = molarityStrings.a11y.noSoluteAlertQuantitative;
-const noSoluteAlertQualitativeString = molarityStrings.a11y.noSoluteAlertQualitative;
+const noSoluteAlertQualitativePatternString = molarityStrings.a11y.noSoluteAlertQualitativePattern;
+const noSoluteAlertQuantitativePatternString = molarityStrings.a11y.noSoluteAlertQuantitativePattern;
 const quantitativeConcentrationStatePatternString = molarityStrings.a11y.quantitative.concentrationStatePattern;
 const soluteChangedQuantitativeConcentrationPatternString = molarityStrings.a11y.soluteChangedQuantitativeConcentrationPattern;
 const soluteChangedQualitativeConcentrationPatternString = molarityStrings.a11y.soluteChangedQualitativeConcentrationPattern;
 const soluteChangedSaturatedAlertPatternString = molarityStrings.a11y.soluteChangedSaturatedAlertPattern;
 const soluteChangedUnsaturatedAlertPatternString = molarityStrings.a11y.soluteChangedUnsaturatedAlertPattern;
+const solventChangedAlertPatternString = molarityStrings.a11y.solventChangedAlertPattern;
 
 class SoluteDescriber {
 
@@ -50,14 +50,25 @@ class SoluteDescriber {
     return isCapitalized ? currentSolute.name : currentSolute.lowercaseName;
   }
 
+  /**
+   * Gets the name of the current solvent.
+   * @public
+   * @param [isCapitalized] {boolean}
+   * @returns {string}
+   */
+  getCurrentSolventName( isCapitalized = false ) {
+    const currentSolvent = this.solution.solventProperty.value;
+    return isCapitalized ? currentSolvent.name : currentSolvent.lowercaseName;
+  }
+
   /**
    * Gets the chemical formula of the currently selected solute.
    * @public
    * @returns {string} - e.g. 'chemical formula of potassium permanganate is KMnO4.'
    */
   getBeakerChemicalFormulaString() {
-    assert && assert( this.solution.soluteProperty.value.formula !== MolaritySymbols.DRINK_MIX,
-      'attempted to generate chemical formula string for drink mix, which has no chemical formula' );
+    assert && assert( this.solution.soluteProperty.value.formula !== this.solution.soluteProperty.value.name,
+      'attempted to generate chemical formula string for a solute that has no chemical formula, e.g. drink mix' );
     return StringUtils.fillIn( beakerChemicalFormulaPatternString, {
       chemicalFormula: this.solution.soluteProperty.value.formula,
       solute: this.getCurrentSoluteName()
@@ -65,17 +76,21 @@ class SoluteDescriber {
   }
 
   /**
-   * Gets the color of the solution.
+   * Gets the color of the solution. A mixture is described by the color of the solute that colors it most strongly.
    * @param [isCapitalized] {boolean}
    * @public
    * @returns {string}
    */
   getCurrentColor( isCapitalized = false ) {
     let currentSoluteColorPair = this.solution.soluteProperty.value.colorStringPair;
-    assert && assert( currentSoluteColorPair instanceof StringCasingPair );
-    if ( !this.solution.hasSolute() ) {
-      currentSoluteColorPair = Water.colorStringPair;
+    if ( !this.solution.hasAnySolute() ) {
+      currentSoluteColorPair = this.solution.solventProperty.value.colorStringPair;
+    }
+    else if ( this.solution.isMixtureProperty.value ) {
+      const dominantComponent = _.maxBy( this.solution.getMixtureComponents(), component => component.getColorScale() );
+      currentSoluteColorPair = dominantComponent.solute.colorStringPair;
     }
+    assert && assert( currentSoluteColorPair instanceof StringCasingPair );
     return isCapitalized ? currentSoluteColorPair.capitalized : currentSoluteColorPair.lowercase;
   }
 
@@ -88,7 +103,11 @@ class SoluteDescriber {
   getSoluteChangedAlertString( useQuantitativeDescriptionsProperty ) {
 
     if ( !this.solution.hasSolute() ) {
-      return useQuantitativeDescriptionsProperty.value ? noSoluteAlertQuantitativeString : noSoluteAlertQualitativeString;
+      return StringUtils.fillIn( useQuantitativeDescriptionsProperty.value ?
+                                 noSoluteAlertQuantitativePatternString :
+                                 noSoluteAlertQualitativePatternString, {
+        solvent: this.getCurrentSolventName()
+      } );
     }
 
     let concentrationClause;
@@ -117,6 +136,20 @@ class SoluteDescriber {
       concentrationClause: concentrationClause
     } );
   }
+
+  /**
+   * Describes the new solvent, and the solution that it makes with the solute, when a user changes the solvent in the
+   * combo box. Saturated concentrations depend on the solvent, so this includes the new saturation state.
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   * @public
+   * @returns {string}
+   */
+  getSolventChangedAlertString( useQuantitativeDescriptionsProperty ) {
+    return StringUtils.fillIn( solventChangedAlertPatternString, {
+      solvent: this.getCurrentSolventName(),
+      solutionState: this.getSoluteChangedAlertString( useQuantitativeDescriptionsProperty )
+    } );
+  }
 }
 
 molarity.register( 'SoluteDescriber', SoluteDescriber );
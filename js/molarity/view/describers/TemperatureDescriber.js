@@ -0,0 +1,149 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TemperatureDescriber is responsible for generating strings about Solution.temperatureProperty. It also tracks
+ * whether a temperature change has moved the solution across saturation, since heating or cooling changes the
+ * saturated concentration of the solute.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import MolarityConstants from '../../MolarityConstants.js';
+
+// a11y strings
+const quantitativeIsAtTemperaturePatternString = molarityStrings.a11y.quantitative.isAtTemperaturePattern;
+const quantitativeTemperatureAndUnitPatternString = molarityStrings.a11y.quantitative.temperatureAndUnitPattern;
+const quantityChangeCoolerString = molarityStrings.a11y.quantityChange.cooler;
+const quantityChangeWarmerString = molarityStrings.a11y.quantityChange.warmer;
+const temperatureChangedAlertPatternString = molarityStrings.a11y.temperatureChangedAlertPattern;
+
+// temperature regions strings
+const temperatureRegionsPassiveColdString = molarityStrings.a11y.temperatureRegions.passive.cold;
+const temperatureRegionsPassiveCoolString = molarityStrings.a11y.temperatureRegions.passive.cool;
+const temperatureRegionsPassiveRoomTemperatureString = molarityStrings.a11y.temperatureRegions.passive.roomTemperature;
+const temperatureRegionsPassiveWarmString = molarityStrings.a11y.temperatureRegions.passive.warm;
+const temperatureRegionsPassiveHotString = molarityStrings.a11y.temperatureRegions.passive.hot;
+const temperatureRegionsPassiveVeryHotString = molarityStrings.a11y.temperatureRegions.passive.veryHot;
+
+// temperature active regions strings
+const temperatureRegionsActiveIsColdString = molarityStrings.a11y.temperatureRegions.active.isCold;
+const temperatureRegionsActiveIsCoolString = molarityStrings.a11y.temperatureRegions.active.isCool;
+const temperatureRegionsActiveIsAtRoomTemperatureString = molarityStrings.a11y.temperatureRegions.active.isAtRoomTemperature;
+const temperatureRegionsActiveIsWarmString = molarityStrings.a11y.temperatureRegions.active.isWarm;
+const temperatureRegionsActiveIsHotString = molarityStrings.a11y.temperatureRegions.active.isHot;
+const temperatureRegionsActiveIsVeryHotString = molarityStrings.a11y.temperatureRegions.active.isVeryHot;
+
+// constants
+const TEMPERATURE_STRINGS = [
+  temperatureRegionsPassiveColdString,
+  temperatureRegionsPassiveCoolString,
+  temperatureRegionsPassiveRoomTemperatureString,
+  temperatureRegionsPassiveWarmString,
+  temperatureRegionsPassiveHotString,
+  temperatureRegionsPassiveVeryHotString
+];
+
+const TEMPERATURE_ACTIVE_STRINGS = [
+  temperatureRegionsActiveIsColdString,
+  temperatureRegionsActiveIsCoolString,
+  temperatureRegionsActiveIsAtRoomTemperatureString,
+  temperatureRegionsActiveIsWarmString,
+  temperatureRegionsActiveIsHotString,
+  temperatureRegionsActiveIsVeryHotString
+];
+
+// upper bound (inclusive) of each temperature region except the last, in degrees C
+const TEMPERATURE_REGION_MAXIMUMS = [ 10, 20, 30, 60, 90 ];
+
+class TemperatureDescriber {
+
+  /**
+   * @param {Solution} solution - from MolarityModel
+   * @param {Property.<boolean>} useQuantitativeDescriptionsProperty
+   */
+  constructor( solution, useQuantitativeDescriptionsProperty ) {
+
+    // @private
+    this.solution = solution;
+    this.temperatureProperty = solution.temperatureProperty;
+    this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
+
+    // {number} - the index of the descriptive region from TEMPERATURE_STRINGS array.
+    let currentRegion = temperatureToIndex( this.temperatureProperty.value );
+
+    // @public (read-only) {boolean} - tracks whether the descriptive temperature region has just changed.
+    this.temperatureRegionChanged = false;
+
+    // @public (read-only) {boolean} - tracks whether the most recent temperature change moved the solution across
+    // saturation. Unlike ConcentrationDescriber.saturationValueChanged, this is only updated by temperature changes.
+    this.saturationChangedByTemperature = false;
+
+    // @private {boolean|null} - tracks whether temperature has just increased. null when simulation starts or resets.
+    this.temperatureIncreased = null;
+
+    // Solution's derived Properties are updated before this listener is called, so saturation is current here.
+    // Only temperature has changed, so the previous saturation state is what it would be at the old temperature.
+    this.temperatureProperty.lazyLink( ( newValue, oldValue ) => {
+      const oldRegion = currentRegion;
+      currentRegion = temperatureToIndex( newValue );
+      this.temperatureRegionChanged = currentRegion !== oldRegion;
+      this.temperatureIncreased = newValue > oldValue;
+      this.saturationChangedByTemperature = solution.isSaturated() !== solution.isSaturatedAtTemperature( oldValue );
+    } );
+  }
+
+  /**
+   * Gets the current value of temperature either quantitatively or qualitatively to put into descriptions.
+   * @param {boolean} [isActive]
+   * @public
+   * @returns {string} - examples: "is at 25 degrees Celsius" or "is warm" when active, "25 degrees Celsius" or "warm"
+   *                     when passive.
+   */
+  getCurrentTemperature( isActive = false ) {
+    if ( this.useQuantitativeDescriptionsProperty.value ) {
+      const quantitativeString = isActive ? quantitativeIsAtTemperaturePatternString : quantitativeTemperatureAndUnitPatternString;
+      return StringUtils.fillIn( quantitativeString, {
+        temperature: Utils.toFixed( this.temperatureProperty.value, MolarityConstants.TEMPERATURE_DECIMAL_PLACES )
+      } );
+    }
+    else {
+      const temperatureIndex = temperatureToIndex( this.temperatureProperty.value );
+      return isActive ? TEMPERATURE_ACTIVE_STRINGS[ temperatureIndex ] : TEMPERATURE_STRINGS[ temperatureIndex ];
+    }
+  }
+
+  /**
+   * Creates the alert for when the temperature has changed, should only be called as a result of temperatureProperty
+   * changing (hence usage of `this.temperatureIncreased`).
+   * @public
+   * @returns {string} - e.g. "Solution warmer, now hot."
+   */
+  getTemperatureChangedAlertString() {
+    return StringUtils.fillIn( temperatureChangedAlertPatternString, {
+      warmerCooler: this.temperatureIncreased ? quantityChangeWarmerString : quantityChangeCoolerString,
+      temperature: this.getCurrentTemperature()
+    } );
+  }
+}
+
+/**
+ * Calculates which item to use from the TEMPERATURE_STRINGS arrays.
+ * @param {number} temperature - degrees C
+ * @returns {number} - index to pull from TEMPERATURE_STRINGS arrays.
+ */
+const temperatureToIndex = temperature => {
+  assert && assert( MolarityConstants.TEMPERATURE_RANGE.contains( temperature ), 'unexpected temperature provided' );
+  for ( let i = 0; i < TEMPERATURE_REGION_MAXIMUMS.length; i++ ) {
+    if ( temperature <= TEMPERATURE_REGION_MAXIMUMS[ i ] ) {
+      return i;
+    }
+  }
+  return TEMPERATURE_STRINGS.length - 1;
+};
+
+molarity.register( 'TemperatureDescriber', TemperatureDescriber );
+export default TemperatureDescriber;
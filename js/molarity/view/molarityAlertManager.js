@@ -17,7 +17,10 @@ import molarity from '../../molarity.js';
 
 // a11y strings
 const atMaxConcentrationAlertPatternString = molarityStrings.a11y.atMaxConcentrationAlertPattern;
-const noSoluteAlertString = molarityStrings.a11y.noSoluteAlert;
+const evaporationAlertPatternString = molarityStrings.a11y.evaporation.alertPattern;
+const evaporationSaturatedAlertPatternString = molarityStrings.a11y.evaporation.saturatedAlertPattern;
+const kineticSliderAlertPatternString = molarityStrings.a11y.kinetic.sliderAlertPattern;
+const noSoluteAlertPatternString = molarityStrings.a11y.noSoluteAlertPattern;
 const qualitativeSaturatedValueTextPatternString = molarityStrings.a11y.qualitative.saturatedValueTextPattern;
 const qualitativeSliderAlertPatternString = molarityStrings.a11y.qualitative.sliderAlertPattern;
 const quantitativeSaturatedValueTextPatternString = molarityStrings.a11y.quantitative.saturatedValueTextPattern;
@@ -33,14 +36,29 @@ class MolarityAlertManager {
     this.initialized = false;
 
     // @private - utterances with specific jobs so that duplicates are overwritten in the queue.
+    this.conductivityTesterUtterance = new ActivationUtterance();
+    this.dissolutionUtterance = new ValueChangeUtterance();
+    this.evaporationUtterance = new ValueChangeUtterance();
+    this.kineticUtterance = new ActivationUtterance();
+    this.magnifierUtterance = new ActivationUtterance();
+    this.mixingUtterance = new ActivationUtterance();
+    this.mixtureUtterance = new ActivationUtterance();
+    this.pHMeterUtterance = new ActivationUtterance();
+    this.reactionUtterance = new ActivationUtterance();
     this.saturationUtterance = new Utterance();
     this.sliderUtterance = new ValueChangeUtterance();
     this.soluteUtterance = new ActivationUtterance();
+    this.supersaturationUtterance = new Utterance();
+    this.solventUtterance = new ActivationUtterance();
+    this.temperatureUtterance = new ValueChangeUtterance();
     this.valuesVisibleUtterance = new ActivationUtterance();
 
     // @private - set in `initialize` method from parameters
     this.concentrationDescriber = null;
+    this.mixtureDescriber = null;
     this.soluteDescriber = null;
+    this.temperatureDescriber = null;
+    this.volumeDescriber = null;
     this.solution = null;
     this.useQuantitativeDescriptionsProperty = null;
   }
@@ -56,23 +74,66 @@ class MolarityAlertManager {
    * @param {SoluteAmountDescriber} soluteAmountDescriber
    * @param {VolumeDescriber} volumeDescriber
    * @param {SoluteDescriber} soluteDescriber
+   * @param {TemperatureDescriber} temperatureDescriber
+   * @param {MixtureDescriber} mixtureDescriber
    * @param {Property.<boolean>} valuesVisibleProperty - toggles display for whether the "solution values" checkbox is
    *                                                     checked.
+   * @param {Emitter} evaporatedEmitter - emits when solvent has evaporated from the solution, see MolarityModel
    */
   initialize( solution, useQuantitativeDescriptionsProperty, concentrationDescriber, precipitateAmountDescriber,
-              soluteAmountDescriber, volumeDescriber, soluteDescriber, valuesVisibleProperty ) {
+              soluteAmountDescriber, volumeDescriber, soluteDescriber, temperatureDescriber, mixtureDescriber,
+              valuesVisibleProperty, evaporatedEmitter ) {
     assert && assert( !this.initialized, 'molarityAlertManager has already been initialized' );
     this.initialized = true;
 
     this.concentrationDescriber = concentrationDescriber;
     this.precipitateAmountDescriber = precipitateAmountDescriber;
     this.soluteDescriber = soluteDescriber;
+    this.temperatureDescriber = temperatureDescriber;
+    this.volumeDescriber = volumeDescriber;
+    this.mixtureDescriber = mixtureDescriber;
     this.solution = solution;
     this.useQuantitativeDescriptionsProperty = useQuantitativeDescriptionsProperty;
 
     // An alert is read out when the solute is changed.
     solution.soluteProperty.lazyLink( () => this.alertSoluteChanged() );
 
+    // An alert is read out when the solvent is changed.
+    solution.solventProperty.lazyLink( () => this.alertSolventChanged() );
+
+    // An alert is read out when mixture mode is turned on or off.
+    solution.isMixtureProperty.lazyLink( isMixture => this.alertMixtureChanged( isMixture ) );
+
+    // An alert is read out when a reaction between the solutes of a mixture starts to form a product.
+    solution.reactionProductsProperty.lazyLink( ( products, oldProducts ) => this.alertReactionsChanged( products, oldProducts ) );
+
+    // An alert is read out when kinetic mode is turned on or off.
+    solution.isKineticProperty.lazyLink( isKinetic => this.alertKineticChanged( isKinetic ) );
+
+    // An alert is read out when solids dissolving or forming over time moves the solution across saturation, or to a
+    // new precipitate region, or when they are done.
+    solution.dissolutionStepEmitter.addListener( () => this.alertDissolutionStepped() );
+
+    // An alert is read out when the solution becomes supersaturated, or stops being supersaturated without
+    // crystallizing. Crystallization is described when the solution is nucleated.
+    solution.isSupersaturatedProperty.lazyLink( isSupersaturated => {
+      if ( isSupersaturated || !solution.isCrystallizingProperty.value ) {
+        this.alertSupersaturationChanged( isSupersaturated );
+      }
+    } );
+
+    // An alert is read out when a seed crystal is added, the beaker is bumped, or a supersaturated solution
+    // crystallizes by itself.
+    solution.nucleationEmitter.addListener( ( cause, didCrystallize ) => this.alertNucleated( cause, didCrystallize ) );
+
+    // An alert is read out when heating or cooling moves the solution across saturation, or to a new temperature region.
+    // temperatureDescriber links to temperatureProperty first, so it is up to date when this listener is called.
+    solution.temperatureProperty.lazyLink( () => this.alertTemperatureChanged() );
+
+    // An alert is read out when evaporation moves the solution across saturation, or to a new descriptive region.
+    // The describers link to the solution's Properties first, so they are up to date when this listener is called.
+    evaporatedEmitter.addListener( () => this.alertEvaporated() );
+
     // An alert is read out when the valuesVisibleProperty changes.
     valuesVisibleProperty.lazyLink( newValue => this.alertValuesVisibleChanged( newValue ) );
   }
@@ -80,7 +141,7 @@ class MolarityAlertManager {
   /**
    * Alert when a user driven (likely from a slider) solution value was changed.
    * @param {{getStringsFromSliderChange:function():StringsFromSliderChange, getRegionChanged:function():boolean}} describer
-   * @private
+   * @public
    */
   alertSolutionQuantityChanged( describer ) {
 
@@ -94,11 +155,16 @@ class MolarityAlertManager {
       this.alertNewlySaturated();
     }
 
-    // alert when there is no solute in the solution (so the solution is just water)
+    // alert when there is no solute in the solution (so the solution is just solvent)
     else if ( !this.solution.hasSolute() ) {
       this.alertNoSolute( this.useQuantitativeDescriptionsProperty );
     }
 
+    // in kinetic mode, alert that solids will dissolve or form, since the precipitate has not changed yet
+    else if ( !this.solution.isAtDissolutionEquilibrium() ) {
+      this.alertSliderKinetic( describer.getStringsFromSliderChange() );
+    }
+
     // quantitative alerts (when the 'solution values' checkbox is checked)
     else if ( this.useQuantitativeDescriptionsProperty.value ) {
       this.alertSliderQuantitative();
@@ -143,7 +209,9 @@ class MolarityAlertManager {
    */
   alertNoSolute() {
     assert && assert( !this.solution.hasSolute(), 'no solute alert triggered with solute in the beaker' );
-    this.sliderUtterance.alert = noSoluteAlertString;
+    this.sliderUtterance.alert = StringUtils.fillIn( noSoluteAlertPatternString, {
+      solvent: this.soluteDescriber.getCurrentSolventName()
+    } );
     phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
   }
 
@@ -152,10 +220,178 @@ class MolarityAlertManager {
    * @private
    */
   alertSoluteChanged() {
-    this.soluteUtterance.alert = this.soluteDescriber.getSoluteChangedAlertString( this.useQuantitativeDescriptionsProperty );
+
+    // In mixture mode, the new solute is added to the mixture instead of replacing the solute.
+    this.soluteUtterance.alert = this.solution.isMixtureProperty.value ?
+                                 this.mixtureDescriber.getSoluteAddedAlertString() :
+                                 this.soluteDescriber.getSoluteChangedAlertString( this.useQuantitativeDescriptionsProperty );
     phet.joist.sim.utteranceQueue.addToBack( this.soluteUtterance );
   }
 
+  /**
+   * Alerts when there is a change in solvent.
+   * @private
+   */
+  alertSolventChanged() {
+    this.solventUtterance.alert = this.soluteDescriber.getSolventChangedAlertString( this.useQuantitativeDescriptionsProperty );
+    phet.joist.sim.utteranceQueue.addToBack( this.solventUtterance );
+  }
+
+  /**
+   * Alerts when mixture mode is turned on or off.
+   * @param {boolean} isMixture
+   * @private
+   */
+  alertMixtureChanged( isMixture ) {
+    this.mixtureUtterance.alert = this.mixtureDescriber.getMixtureChangedAlertString( isMixture );
+    phet.joist.sim.utteranceQueue.addToBack( this.mixtureUtterance );
+  }
+
+  /**
+   * Alerts when reactions between the solutes of a mixture start to form products. Products change continuously as
+   * the solution changes, so this only alerts for products that were not forming before.
+   * @param {ReactionProduct[]} products
+   * @param {ReactionProduct[]} oldProducts
+   * @private
+   */
+  alertReactionsChanged( products, oldProducts ) {
+    const newProducts = products.filter( product => !_.some( oldProducts, oldProduct => oldProduct.reaction === product.reaction ) );
+    if ( newProducts.length > 0 ) {
+      this.reactionUtterance.alert = newProducts.map( product => this.mixtureDescriber.getReactionAlertString( product ) ).join( ' ' );
+      phet.joist.sim.utteranceQueue.addToBack( this.reactionUtterance );
+    }
+  }
+
+  /**
+   * Alerts when kinetic mode is turned on or off.
+   * @param {boolean} isKinetic
+   * @private
+   */
+  alertKineticChanged( isKinetic ) {
+    this.kineticUtterance.alert = this.precipitateAmountDescriber.getKineticChangedAlertString( isKinetic );
+    phet.joist.sim.utteranceQueue.addToBack( this.kineticUtterance );
+  }
+
+  /**
+   * Alerts when solids have dissolved or formed over time. This happens on every step until the solution reaches
+   * equilibrium, so this only alerts when saturation or the precipitate region changes, or equilibrium is reached.
+   * @private
+   */
+  alertDissolutionStepped() {
+    if ( this.concentrationDescriber.saturationValueChanged ) {
+      this.alertNewlySaturated();
+    }
+    else if ( this.solution.isAtDissolutionEquilibrium() || this.precipitateAmountDescriber.precipiateAmountRegionChanged ) {
+      this.dissolutionUtterance.alert = this.precipitateAmountDescriber.getDissolutionChangeString();
+      phet.joist.sim.utteranceQueue.addToBack( this.dissolutionUtterance );
+    }
+  }
+
+  /**
+   * Alerts when the solution becomes supersaturated, or stops being supersaturated without crystallizing.
+   * @param {boolean} isSupersaturated
+   * @private
+   */
+  alertSupersaturationChanged( isSupersaturated ) {
+    this.supersaturationUtterance.alert = this.precipitateAmountDescriber.getSupersaturationChangedString( isSupersaturated );
+    phet.joist.sim.utteranceQueue.addToBack( this.supersaturationUtterance );
+  }
+
+  /**
+   * Alerts when something is done that can nucleate a supersaturated solution.
+   * @param {NucleationCause} cause
+   * @param {boolean} didCrystallize
+   * @private
+   */
+  alertNucleated( cause, didCrystallize ) {
+    this.supersaturationUtterance.alert = this.precipitateAmountDescriber.getNucleationAlertString( cause, didCrystallize );
+    phet.joist.sim.utteranceQueue.addToBack( this.supersaturationUtterance );
+  }
+
+  /**
+   * Alerts when there is a change in temperature. Temperature changes continuously while the heater/cooler is in use,
+   * so this only alerts when saturation or the descriptive temperature region changes.
+   * @private
+   */
+  alertTemperatureChanged() {
+    if ( this.temperatureDescriber.saturationChangedByTemperature ) {
+      this.alertNewlySaturated();
+    }
+    else if ( this.temperatureDescriber.temperatureRegionChanged ) {
+      this.temperatureUtterance.alert = this.temperatureDescriber.getTemperatureChangedAlertString();
+      phet.joist.sim.utteranceQueue.addToBack( this.temperatureUtterance );
+    }
+  }
+
+  /**
+   * Alerts when evaporation has changed the volume. Evaporation changes the volume on every step while time is playing,
+   * so this only alerts when saturation or a descriptive region changes.
+   * @private
+   */
+  alertEvaporated() {
+    if ( this.concentrationDescriber.saturationValueChanged ) {
+      this.alertNewlySaturated();
+    }
+    else if ( this.solution.isSaturated() ) {
+      if ( this.volumeDescriber.getRegionChanged() || this.precipitateAmountDescriber.precipiateAmountRegionChanged ) {
+        this.evaporationUtterance.alert = StringUtils.fillIn( evaporationSaturatedAlertPatternString, {
+          solvent: this.soluteDescriber.getCurrentSolventName( true ),
+          volume: this.volumeDescriber.getCurrentVolume( true ),
+          solids: this.precipitateAmountDescriber.getCurrentPrecipitateAmountDescription()
+        } );
+        phet.joist.sim.utteranceQueue.addToBack( this.evaporationUtterance );
+      }
+    }
+    else if ( this.volumeDescriber.getRegionChanged() || this.concentrationDescriber.concentrationRegionChanged ) {
+      this.evaporationUtterance.alert = StringUtils.fillIn( evaporationAlertPatternString, {
+        solvent: this.soluteDescriber.getCurrentSolventName( true ),
+        volume: this.volumeDescriber.getCurrentVolume( true ),
+        concentration: this.concentrationDescriber.getCurrentConcentrationClause()
+      } );
+      phet.joist.sim.utteranceQueue.addToBack( this.evaporationUtterance );
+    }
+  }
+
+  /**
+   * Alerts when the pH meter's probe is moved into or out of the solution.
+   * @param {string} description - what the meter is reading, see PHDescriber.getDescription
+   * @public
+   */
+  alertPHMeterChanged( description ) {
+    this.pHMeterUtterance.alert = description;
+    phet.joist.sim.utteranceQueue.addToBack( this.pHMeterUtterance );
+  }
+
+  /**
+   * Alerts when mixing over time is turned on or off, or when the solution has become evenly mixed.
+   * @param {string} alert - see MixingDescriber
+   * @public
+   */
+  alertMixingChanged( alert ) {
+    this.mixingUtterance.alert = alert;
+    phet.joist.sim.utteranceQueue.addToBack( this.mixingUtterance );
+  }
+
+  /**
+   * Alerts when the magnifier's lens is moved over or away from the solution, or the bottom of the beaker.
+   * @param {string} description - see MagnifierDescriber
+   * @public
+   */
+  alertMagnifierChanged( description ) {
+    this.magnifierUtterance.alert = description;
+    phet.joist.sim.utteranceQueue.addToBack( this.magnifierUtterance );
+  }
+
+  /**
+   * Alerts when the conductivity tester's probes are moved into or out of the solution.
+   * @param {string} description - how brightly the bulb glows, see ConductivityDescriber.getDescription
+   * @public
+   */
+  alertConductivityTesterChanged( description ) {
+    this.conductivityTesterUtterance.alert = description;
+    phet.joist.sim.utteranceQueue.addToBack( this.conductivityTesterUtterance );
+  }
+
   /**
    * Alerts when there is a change in the valuesVisibleProperty
    * @param {Property.<boolean>} valuesVisibleProperty
@@ -203,6 +439,20 @@ class MolarityAlertManager {
     phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
   }
 
+  /**
+   * In kinetic mode, when SoluteAmountProperty or VolumeProperty changes, creates an alert. The solids have not changed
+   * yet, so this describes what will happen to them over time.
+   * @param {StringsFromSliderChange} changeStrings
+   * @private
+   */
+  alertSliderKinetic( changeStrings ) {
+    this.sliderUtterance.alert = StringUtils.fillIn( kineticSliderAlertPatternString, {
+      quantityChange: changeStrings.quantityChangeString,
+      dissolutionChange: this.precipitateAmountDescriber.getDissolutionFutureString()
+    } );
+    phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
+  }
+
   /**
    * When quantitative descriptions are used, and SoluteAmountProperty or VolumeProperty changes, creates an alert.
    * @private
@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The 'Titration' screen. Conforms to the contract specified in joist/Screen.
+ *
+ * @author agent
+ */
+
+import Screen from '../../../joist/js/Screen.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import molarityStrings from '../molarity-strings.js';
+import molarity from '../molarity.js';
+import TitrationModel from './model/TitrationModel.js';
+import TitrationScreenView from './view/TitrationScreenView.js';
+
+const screenTitrationString = molarityStrings.screen.titration;
+
+/**
+ * @param {SoluteCatalog} soluteCatalog
+ * @param {Tandem} tandem
+ * @constructor
+ */
+function TitrationScreen( soluteCatalog, tandem ) {
+
+  const options = {
+    name: screenTitrationString,
+    tandem: tandem
+  };
+
+  Screen.call( this,
+    function() { return new TitrationModel( soluteCatalog, tandem.createTandem( 'model' ) ); },
+    function( model ) { return new TitrationScreenView( model, tandem.createTandem( 'view' ) ); },
+    options
+  );
+}
+
+molarity.register( 'TitrationScreen', TitrationScreen );
+
+inherit( Screen, TitrationScreen );
+export default TitrationScreen;
@@ -0,0 +1,72 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model of an acid-base indicator, a weak acid whose acid and base forms have different colors. Like Solvent, this is
+ * an immutable data structure.
+ *
+ * The indicator is added in such a small amount that it does not change the pH of the solution. The fraction of it
+ * that is in its base form follows from the Henderson-Hasselbalch equation, 1 / ( 1 + 10^( pKa - pH ) ), so its color
+ * changes over about 2 pH units, centered on its pKa. A form that is colorless shows the color of the solution.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import PhetioObject from '../../../../tandem/js/PhetioObject.js';
+import molarity from '../../molarity.js';
+import IndicatorIO from './IndicatorIO.js';
+
+class Indicator extends PhetioObject {
+
+  /**
+   * @param {string} name - title case
+   * @param {string} lowercaseName - for interactive descriptions
+   * @param {number} pKa - of the indicator's acid form
+   * @param {Color|null} acidColor - null if the acid form is colorless
+   * @param {Color|null} baseColor - null if the base form is colorless
+   * @param {Object} [options]
+   */
+  constructor( name, lowercaseName, pKa, acidColor, baseColor, options ) {
+
+    options = merge( {
+      phetioType: IndicatorIO
+    }, options );
+
+    assert && assert( acidColor || baseColor, 'at least one form of the indicator must be colored' );
+
+    super( options );
+
+    // @public (read-only)
+    this.name = name;
+    this.lowercaseName = lowercaseName;
+    this.pKa = pKa;
+    this.acidColor = acidColor;
+    this.baseColor = baseColor;
+  }
+
+  /**
+   * Gets the fraction of the indicator that is in its base form.
+   * @param {number} pH
+   * @returns {number} 0 to 1
+   * @public
+   */
+  getBaseFraction( pH ) {
+    return 1 / ( 1 + Math.pow( 10, this.pKa - pH ) );
+  }
+
+  /**
+   * Gets the color of a solution that the indicator has been added to.
+   * @param {number} pH - of the solution
+   * @param {Color} solutionColor - of the solution without the indicator, shown through a colorless form
+   * @returns {Color}
+   * @public
+   */
+  getColor( pH, solutionColor ) {
+    return Color.interpolateRGBA( this.acidColor || solutionColor, this.baseColor || solutionColor,
+      this.getBaseFraction( pH ) );
+  }
+}
+
+molarity.register( 'Indicator', Indicator );
+export default Indicator;
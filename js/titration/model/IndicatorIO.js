@@ -0,0 +1,22 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * IO type for Indicator
+ *
+ * @author agent
+ */
+
+import ObjectIO from '../../../../tandem/js/types/ObjectIO.js';
+import ReferenceIO from '../../../../tandem/js/types/ReferenceIO.js';
+import molarity from '../../molarity.js';
+
+// Objects are statically created, use reference equality to look up instances for toStateObject/fromStateObject
+class IndicatorIO extends ReferenceIO {}
+
+IndicatorIO.documentation = 'An acid-base indicator';
+IndicatorIO.validator = { isValidValue: v => v instanceof phet.molarity.Indicator };
+IndicatorIO.typeName = 'IndicatorIO';
+ObjectIO.validateSubtype( IndicatorIO );
+
+molarity.register( 'IndicatorIO', IndicatorIO );
+export default IndicatorIO;
@@ -0,0 +1,53 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The indicators that are available on the Titration screen. Indicators are PhET-iO instrumented, so they are created
+ * by the screen's model.
+ *
+ * pKa values are at 25 degrees C, from standard tables. Each indicator suits titrations whose equivalence point is
+ * near its pKa: phenolphthalein for weak acids, bromothymol blue for strong acids and bases, and methyl red for weak
+ * bases.
+ *
+ * @author agent
+ */
+
+import Color from '../../../../scenery/js/util/Color.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import Indicator from './Indicator.js';
+
+const bromothymolBlueString = molarityStrings.bromothymolBlue;
+const methylRedString = molarityStrings.methylRed;
+const phenolphthaleinString = molarityStrings.phenolphthalein;
+
+// a11y strings
+const bromothymolBlueLowercaseString = molarityStrings.a11y.bromothymolBlueLowercase;
+const methylRedLowercaseString = molarityStrings.a11y.methylRedLowercase;
+const phenolphthaleinLowercaseString = molarityStrings.a11y.phenolphthaleinLowercase;
+
+const TitrationIndicators = {
+
+  /**
+   * Creates the indicators, in the order that they appear in the Indicator combo box.
+   * @param {Tandem} tandem - parent tandem of the indicators
+   * @returns {Indicator[]}
+   * @public
+   */
+  createIndicators: function( tandem ) {
+    return [
+      new Indicator( phenolphthaleinString, phenolphthaleinLowercaseString, 9.4, null, new Color( 255, 40, 160 ), {
+        tandem: tandem.createTandem( 'phenolphthalein' )
+      } ),
+      new Indicator( bromothymolBlueString, bromothymolBlueLowercaseString, 7.1, new Color( 245, 220, 0 ),
+        new Color( 0, 90, 220 ), {
+          tandem: tandem.createTandem( 'bromothymolBlue' )
+        } ),
+      new Indicator( methylRedString, methylRedLowercaseString, 5.0, new Color( 230, 30, 30 ), new Color( 250, 220, 0 ), {
+        tandem: tandem.createTandem( 'methylRed' )
+      } )
+    ];
+  }
+};
+
+molarity.register( 'TitrationIndicators', TitrationIndicators );
+export default TitrationIndicators;
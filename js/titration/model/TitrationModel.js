@@ -0,0 +1,217 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Model container for the 'Titration' screen.
+ *
+ * A burette adds titrant of known concentration to a fixed volume of analyte in the beaker. The analyte is one of the
+ * acids or bases in the solute catalog, and the titrant is the strongest base (for an acid) or the strongest acid (for
+ * a base) in the catalog, or in the bundled catalog if the catalog has none. The beaker holds a mixture of the two, so
+ * its pH is computed by Solution, see Solution.computePH. Only the first dissociation of each acid is modeled, so the
+ * equivalence point is where the titrant has added as many moles as there are moles of analyte, V = M1V1 / M2.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import PropertyIO from '../../../../axon/js/PropertyIO.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import MolaritySolvents from '../../molarity/model/MolaritySolvents.js';
+import SoluteCatalog from '../../molarity/model/SoluteCatalog.js';
+import Solution from '../../molarity/model/Solution.js';
+import IndicatorIO from './IndicatorIO.js';
+import TitrationIndicators from './TitrationIndicators.js';
+
+// constants
+const EQUIVALENCE_VOLUME_TOLERANCE = 1E-9; // liters, so that floating-point error does not hide the equivalence point
+
+class TitrationModel {
+
+  /**
+   * @param {SoluteCatalog} soluteCatalog
+   * @param {Tandem} tandem
+   */
+  constructor( soluteCatalog, tandem ) {
+
+    const catalogSolutes = soluteCatalog.createSolutes( tandem );
+
+    // @private the titrants, the strongest acid and base in the catalog. A catalog may have no acid or no base, so
+    // either may come from the bundled catalog instead.
+    this.acidTitrant = getStrongest( catalogSolutes, 'ka' ) ||
+                       SoluteCatalog.DEFAULT.createStrongest( 'ka', tandem.createTandem( 'acidTitrant' ) );
+    this.baseTitrant = getStrongest( catalogSolutes, 'kb' ) ||
+                       SoluteCatalog.DEFAULT.createStrongest( 'kb', tandem.createTandem( 'baseTitrant' ) );
+
+    // @public the solutes in the catalog, and the titrants if they are not
+    this.solutes = _.uniq( catalogSolutes.concat( [ this.acidTitrant, this.baseTitrant ] ) );
+
+    // @public (read-only) the solutes that can be titrated, the acids and bases in the catalog and the titrants
+    this.analytes = this.solutes.filter( solute => solute.ka !== null || solute.kb !== null );
+
+    // @public (read-only) pH is modeled in water, the only solvent on this screen
+    this.water = MolaritySolvents.createWater( tandem );
+
+    // @public (read-only) the indicators that can be added to the solution
+    this.indicators = TitrationIndicators.createIndicators( tandem );
+
+    // @public
+    this.indicatorProperty = new Property( this.indicators[ 0 ], {
+      validValues: this.indicators,
+      tandem: tandem.createTandem( 'indicatorProperty' ),
+      phetioType: PropertyIO( IndicatorIO )
+    } );
+
+    // @public concentration of the analyte, before any titrant is added
+    this.analyteConcentrationProperty = new NumberProperty( MolarityConstants.ANALYTE_CONCENTRATION_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'analyteConcentrationProperty' ),
+      units: 'moles/liter',
+      range: MolarityConstants.ANALYTE_CONCENTRATION_RANGE
+    } );
+
+    // @public concentration of the titrant in the burette
+    this.titrantConcentrationProperty = new NumberProperty( MolarityConstants.TITRANT_CONCENTRATION_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'titrantConcentrationProperty' ),
+      units: 'moles/liter',
+      range: MolarityConstants.TITRANT_CONCENTRATION_RANGE
+    } );
+
+    // @public volume of titrant that the burette has added to the analyte
+    this.titrantVolumeProperty = new NumberProperty( MolarityConstants.TITRANT_VOLUME_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'titrantVolumeProperty' ),
+      units: 'liters',
+      range: MolarityConstants.TITRANT_VOLUME_RANGE
+    } );
+
+    // @public rate at which titrant flows from the burette, set by its valve
+    this.flowRateProperty = new NumberProperty( MolarityConstants.TITRANT_FLOW_RATE_RANGE.defaultValue, {
+      tandem: tandem.createTandem( 'flowRateProperty' ),
+      units: 'liters/second',
+      range: MolarityConstants.TITRANT_FLOW_RATE_RANGE
+    } );
+
+    // @public (read-only) the solution in the beaker, a mixture of the analyte and the titrant. Its solute is the
+    // analyte, and its solute amount and volume are derived from the Properties above, so only its solute is set directly.
+    this.solution = new Solution( this.water, this.solutes, this.analytes[ 0 ], 0, MolarityConstants.ANALYTE_VOLUME,
+      MolarityConstants.TEMPERATURE_RANGE.defaultValue, tandem.createTandem( 'solution' ) );
+    this.solution.isMixtureProperty.value = true;
+
+    // @public (read-only) DerivedProperty.<Solute> the solute in the burette, which neutralizes the analyte
+    this.titrantProperty = new DerivedProperty( [ this.solution.soluteProperty ],
+      analyte => ( analyte.ka !== null ) ? this.baseTitrant : this.acidTitrant );
+
+    // @public (read-only) DerivedProperty.<number|null> volume of titrant at the equivalence point, in liters, null if
+    // there is no analyte to neutralize
+    this.equivalenceVolumeProperty = new DerivedProperty(
+      [ this.analyteConcentrationProperty, this.titrantConcentrationProperty ],
+      ( analyteConcentration, titrantConcentration ) => ( analyteConcentration === 0 ) ? null :
+                                                        analyteConcentration * MolarityConstants.ANALYTE_VOLUME / titrantConcentration );
+
+    // @public (read-only) DerivedProperty.<boolean> whether enough titrant has been added to neutralize the analyte
+    this.isPastEquivalencePointProperty = new DerivedProperty(
+      [ this.titrantVolumeProperty, this.equivalenceVolumeProperty ],
+      ( titrantVolume, equivalenceVolume ) => equivalenceVolume !== null &&
+                                              titrantVolume >= equivalenceVolume - EQUIVALENCE_VOLUME_TOLERANCE );
+
+    // @public (read-only) BooleanProperty
+    this.resetInProgressProperty = new BooleanProperty( false );
+
+    // The solution is consistent with any saved state, so this is safe when PhET-iO state is set.
+    Property.multilink( [ this.analyteConcentrationProperty, this.titrantConcentrationProperty,
+      this.titrantVolumeProperty, this.solution.soluteProperty ], () => this.updateSolution() );
+  }
+
+  /**
+   * Mixes the titrant that has been added with the analyte.
+   * @private
+   */
+  updateSolution() {
+    const analyte = this.solution.soluteProperty.value;
+    const titrant = this.titrantProperty.value;
+
+    this.solution.volumeProperty.value = MolarityConstants.ANALYTE_VOLUME + this.titrantVolumeProperty.value;
+    this.solution.soluteAmountProperty.value = this.analyteConcentrationProperty.value * MolarityConstants.ANALYTE_VOLUME;
+
+    // the analyte's component tracks the solute amount, and everything but the titrant is removed from the mixture
+    const titrantAmount = this.titrantConcentrationProperty.value * this.titrantVolumeProperty.value;
+    this.solution.components.forEach( component => {
+      if ( component.solute !== analyte ) {
+        component.amountProperty.value = ( component.solute === titrant ) ? titrantAmount : 0;
+      }
+    } );
+  }
+
+  /**
+   * Computes the pH that the solution has, or would have, after some volume of titrant has been added, for plotting
+   * the titration curve. This is the same as the solution's pH for the volume that has been added.
+   * @param {number} titrantVolume - liters
+   * @returns {number}
+   * @public
+   */
+  computePH( titrantVolume ) {
+    const volume = MolarityConstants.ANALYTE_VOLUME + titrantVolume;
+    const dissolvedSolutes = [ {
+      solute: this.solution.soluteProperty.value,
+      concentration: this.analyteConcentrationProperty.value * MolarityConstants.ANALYTE_VOLUME / volume
+    }, {
+      solute: this.titrantProperty.value,
+      concentration: this.titrantConcentrationProperty.value * titrantVolume / volume
+    } ];
+    return Solution.computePH( dissolvedSolutes.filter( dissolved => dissolved.concentration > 0 ),
+      this.water.autoionizationConstant );
+  }
+
+  /**
+   * Refills the burette, and starts a new titration with fresh analyte.
+   * @public
+   */
+  refill() {
+    this.flowRateProperty.reset();
+    this.titrantVolumeProperty.reset();
+  }
+
+  /**
+   * Steps the model, adding titrant from the burette while its valve is open.
+   * @param {number} dt - time step, in seconds
+   * @public
+   */
+  step( dt ) {
+    const flowRate = this.flowRateProperty.value;
+    const titrantVolumeProperty = this.titrantVolumeProperty;
+    if ( flowRate > 0 && titrantVolumeProperty.value < MolarityConstants.TITRANT_VOLUME_RANGE.max ) {
+      titrantVolumeProperty.value = MolarityConstants.TITRANT_VOLUME_RANGE.constrainValue(
+        titrantVolumeProperty.value + ( flowRate * dt ) );
+    }
+  }
+
+  // @public Resets all model elements
+  reset() {
+    this.resetInProgressProperty.set( true );
+    this.solution.reset();
+    this.solution.isMixtureProperty.value = true;
+    this.indicatorProperty.reset();
+    this.analyteConcentrationProperty.reset();
+    this.titrantConcentrationProperty.reset();
+    this.titrantVolumeProperty.reset();
+    this.flowRateProperty.reset();
+
+    // resetting the solution removes the titrant, and the Properties above may not have changed
+    this.updateSolution();
+    this.resetInProgressProperty.set( false );
+  }
+}
+
+/**
+ * Gets the strongest acid or base of some solutes.
+ * @param {Solute[]} solutes
+ * @param {string} constant - 'ka' for the strongest acid, 'kb' for the strongest base
+ * @returns {Solute|null} null if there is no acid or base of that kind
+ */
+const getStrongest = ( solutes, constant ) => {
+  return _.maxBy( solutes.filter( solute => solute[ constant ] !== null ), solute => solute[ constant ] ) || null;
+};
+
+molarity.register( 'TitrationModel', TitrationModel );
+export default TitrationModel;
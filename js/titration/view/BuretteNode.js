@@ -0,0 +1,205 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A burette, a graduated glass tube of titrant with a valve at its bottom. The tube is read from the top, so its scale
+ * shows the volume of titrant that has been added. Titrant streams from the tip while the valve is open, and the
+ * screen sets how far the stream falls, see setStreamLength. The burette's origin is at its tip.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import Solution from '../../molarity/model/Solution.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+
+const buretteString = molarityStrings.burette;
+const closedString = molarityStrings.closed;
+const openString = molarityStrings.open;
+const valveString = molarityStrings.valve;
+
+// a11y strings
+const buretteHelpTextString = molarityStrings.a11y.titration.buretteHelpText;
+const valveClosedString = molarityStrings.a11y.titration.valveClosed;
+const valveOpenPatternString = molarityStrings.a11y.titration.valveOpenPattern;
+
+// constants
+const TUBE_SIZE = new Dimension2( 24, 300 );
+const TIP_LENGTH = 30;
+const TIP_WIDTH = 6;
+const STOPCOCK_SIZE = new Dimension2( 40, 10 );
+const STREAM_WIDTH = 3;
+const TICK_SPACING = 0.05; // liters
+const TICKS_PER_LABEL = 2;
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const TICK_LABEL_MAX_WIDTH = 40; // constrain for i18n, determined empirically
+const GLASS_STROKE = 'rgb( 120, 120, 120 )';
+
+class BuretteNode extends Node {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( model, tandem, options ) {
+
+    options = merge( {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: buretteString,
+      descriptionContent: buretteHelpTextString
+    }, options );
+
+    super( options );
+
+    const volumeRange = MolarityConstants.TITRANT_VOLUME_RANGE;
+    const flowRateRange = MolarityConstants.TITRANT_FLOW_RATE_RANGE;
+
+    // the tube, above the stopcock and tip, read from the top
+    const tubeBottom = -TIP_LENGTH - STOPCOCK_SIZE.height;
+    const tubeTop = tubeBottom - TUBE_SIZE.height;
+    const volumeToY = volume => Utils.linear( volumeRange.min, volumeRange.max, tubeTop, tubeBottom, volume );
+
+    const titrantNode = new Rectangle( 0, 0, 1, 1 );
+    const tubeNode = new Rectangle( -TUBE_SIZE.width / 2, tubeTop, TUBE_SIZE.width, TUBE_SIZE.height, {
+      stroke: GLASS_STROKE,
+      lineWidth: 2
+    } );
+
+    // graduations on the tube, labeled in liters of titrant added
+    const ticksShape = new Shape();
+    const tickLabelsParent = new Node();
+    const numberOfTicks = Utils.roundSymmetric( volumeRange.getLength() / TICK_SPACING );
+    for ( let i = 0; i <= numberOfTicks; i++ ) {
+      const volume = volumeRange.min + i * TICK_SPACING;
+      const isLabeled = ( i % TICKS_PER_LABEL === 0 );
+      const tickLength = isLabeled ? TUBE_SIZE.width / 2 : TUBE_SIZE.width / 4;
+      ticksShape.moveTo( -TUBE_SIZE.width / 2, volumeToY( volume ) )
+        .lineTo( -TUBE_SIZE.width / 2 + tickLength, volumeToY( volume ) );
+      if ( isLabeled ) {
+        tickLabelsParent.addChild( new Text( Utils.toFixed( volume, MolarityConstants.RANGE_DECIMAL_PLACES ), {
+          font: TICK_LABEL_FONT,
+          maxWidth: TICK_LABEL_MAX_WIDTH,
+          right: -TUBE_SIZE.width / 2 - 4,
+          centerY: volumeToY( volume )
+        } ) );
+      }
+    }
+    const ticksNode = new Path( ticksShape, {
+      stroke: 'black',
+      lineWidth: 1
+    } );
+
+    // the stopcock, and the tip below it
+    const stopcockNode = new Rectangle( -STOPCOCK_SIZE.width / 2, -TIP_LENGTH - STOPCOCK_SIZE.height,
+      STOPCOCK_SIZE.width, STOPCOCK_SIZE.height, {
+        cornerRadius: 3,
+        fill: 'rgb( 60, 60, 60 )'
+      } );
+    const tipNode = new Path( new Shape()
+      .moveTo( -TUBE_SIZE.width / 4, -TIP_LENGTH )
+      .lineTo( TUBE_SIZE.width / 4, -TIP_LENGTH )
+      .lineTo( TIP_WIDTH / 2, 0 )
+      .lineTo( -TIP_WIDTH / 2, 0 )
+      .close(), {
+      stroke: GLASS_STROKE,
+      lineWidth: 1
+    } );
+
+    // @private the stream of titrant, which falls from the tip
+    this.streamNode = new Rectangle( -STREAM_WIDTH / 2, 0, STREAM_WIDTH, 0, {
+      stroke: GLASS_STROKE,
+      lineWidth: 0.5
+    } );
+
+    // the valve, to the right of the stopcock
+    const valveTitleNode = new Text( valveString, {
+      font: new PhetFont( { size: 16, weight: 'bold' } ),
+      maxWidth: 120, // constrain for i18n, determined empirically
+      tandem: tandem.createTandem( 'valveTitleNode' )
+    } );
+    const valveSlider = new HSlider( model.flowRateProperty, flowRateRange, {
+      trackSize: new Dimension2( 100, 5 ),
+      thumbSize: new Dimension2( 15, 30 ),
+      majorTickLength: 12,
+      tandem: tandem.createTandem( 'valveSlider' ),
+
+      // a11y
+      accessibleName: valveString,
+      keyboardStep: flowRateRange.getLength() / 10,
+      shiftKeyboardStep: flowRateRange.getLength() / 20,
+      a11yCreateAriaValueText: getAriaValueText
+    } );
+    valveSlider.addMajorTick( flowRateRange.min, new Text( closedString, {
+      font: TICK_LABEL_FONT,
+      maxWidth: TICK_LABEL_MAX_WIDTH
+    } ) );
+    valveSlider.addMajorTick( flowRateRange.max, new Text( openString, {
+      font: TICK_LABEL_FONT,
+      maxWidth: TICK_LABEL_MAX_WIDTH
+    } ) );
+    const valveControl = new VBox( {
+      spacing: 4,
+      children: [ valveTitleNode, valveSlider ],
+      left: STOPCOCK_SIZE.width / 2 + 10,
+      centerY: stopcockNode.centerY
+    } );
+
+    this.children = [ this.streamNode, titrantNode, tubeNode, ticksNode, tickLabelsParent, tipNode, stopcockNode,
+      valveControl ];
+
+    // the titrant that is left in the burette, and its stream, in the titrant's color
+    Property.multilink( [ model.titrantProperty, model.titrantConcentrationProperty, model.titrantVolumeProperty ],
+      ( titrant, titrantConcentration, titrantVolume ) => {
+        const color = Solution.computeColor( titrant, titrantConcentration );
+        titrantNode.fill = color;
+        this.streamNode.fill = color;
+        titrantNode.setRect( -TUBE_SIZE.width / 2, volumeToY( titrantVolume ), TUBE_SIZE.width,
+          tubeBottom - volumeToY( titrantVolume ) );
+      } );
+
+    // titrant only streams from the tip while the valve is open, until the burette is empty
+    Property.multilink( [ model.flowRateProperty, model.titrantVolumeProperty ], ( flowRate, titrantVolume ) => {
+      this.streamNode.visible = ( flowRate > 0 && titrantVolume < volumeRange.max );
+    } );
+  }
+
+  /**
+   * Sets how far the stream of titrant falls from the tip, to the surface of the solution.
+   * @param {number} length - in this Node's coordinate frame
+   * @public
+   */
+  setStreamLength( length ) {
+    this.streamNode.setRect( -STREAM_WIDTH / 2, 0, STREAM_WIDTH, Math.max( 0, length ) );
+  }
+}
+
+/**
+ * Gets the aria-valuetext for how far the valve is open.
+ * @param {number} flowRate - liters per second
+ * @returns {string}
+ */
+const getAriaValueText = flowRate => ( flowRate === 0 ) ? valveClosedString :
+                                     StringUtils.fillIn( valveOpenPatternString, {
+                                       rate: Utils.toFixed( flowRate, MolarityConstants.TITRANT_FLOW_RATE_DECIMAL_PLACES )
+                                     } );
+
+molarity.register( 'BuretteNode', BuretteNode );
+export default BuretteNode;
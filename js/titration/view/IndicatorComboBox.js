@@ -0,0 +1,78 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Combo box for choosing the acid-base indicator that is in the solution.
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+const indicatorString = molarityStrings.indicator;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+
+// a11y strings
+const indicatorComboBoxHelpTextString = molarityStrings.a11y.titration.indicatorComboBoxHelpText;
+
+// constants
+const ITEM_FONT = new PhetFont( 20 );
+const ITEM_MAX_WIDTH = 170; // constrain for i18n, determined empirically
+
+class IndicatorComboBox extends ComboBox {
+
+  /**
+   * @param {Indicator[]} indicators
+   * @param {Property.<Indicator>} indicatorProperty
+   * @param {Node} listParent parent node for the popup list
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( indicators, indicatorProperty, listParent, tandem, options ) {
+
+    options = merge( {
+
+      // 'Indicator' label
+      labelNode: new Text( StringUtils.format( pattern0LabelString, indicatorString ), {
+        font: new PhetFont( 22 ),
+        maxWidth: 100
+      } ),
+      listPosition: 'above',
+      cornerRadius: 5,
+      xMargin: 8,
+      yMargin: 4,
+      highlightFill: 'rgb( 218, 255, 255 )',
+
+      // a11y
+      accessibleName: indicatorString,
+      helpText: indicatorComboBoxHelpTextString
+    }, options );
+
+    assert && assert( !options.tandem, 'tandem is a required constructor parameter' );
+    options.tandem = tandem;
+
+    super( indicators.map( createItem ), indicatorProperty, listParent, options );
+  }
+}
+
+/**
+ * Creates an item for the combo box.
+ * @param {Indicator} indicator
+ * @returns {ComboBoxItem}
+ */
+const createItem = indicator => new ComboBoxItem( new Text( indicator.name, {
+  font: ITEM_FONT,
+  maxWidth: ITEM_MAX_WIDTH
+} ), indicator, {
+  tandemName: indicator.tandem.name + 'Item',
+  a11yLabel: indicator.name
+} );
+
+molarity.register( 'IndicatorComboBox', IndicatorComboBox );
+export default IndicatorComboBox;
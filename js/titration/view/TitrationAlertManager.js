@@ -0,0 +1,60 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TitrationAlertManager is responsible for adding the Titration screen's alerts to the utteranceQueue. It provides the
+ * alertSolutionQuantityChanged method that VerticalSlider expects of an alert manager.
+ *
+ * @author agent
+ */
+
+import ActivationUtterance from '../../../../utterance-queue/js/ActivationUtterance.js';
+import ValueChangeUtterance from '../../../../utterance-queue/js/ValueChangeUtterance.js';
+import molarity from '../../molarity.js';
+
+class TitrationAlertManager {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {TitrationDescriber} titrationDescriber
+   */
+  constructor( model, titrationDescriber ) {
+
+    // @private
+    this.titrationDescriber = titrationDescriber;
+
+    // @private - utterances with specific jobs so that duplicates are overwritten in the queue.
+    this.sliderUtterance = new ValueChangeUtterance();
+    this.analyteUtterance = new ActivationUtterance();
+    this.equivalencePointUtterance = new ActivationUtterance();
+
+    // An alert is read out when the analyte is changed, but not when it is changed by Reset All.
+    model.solution.soluteProperty.lazyLink( () => {
+      if ( !model.resetInProgressProperty.value ) {
+        this.analyteUtterance.alert = this.titrationDescriber.getAnalyteChangedAlertString();
+        phet.joist.sim.utteranceQueue.addToBack( this.analyteUtterance );
+      }
+    } );
+
+    // An alert is read out when the titration reaches its equivalence point, usually while titrant is flowing.
+    model.isPastEquivalencePointProperty.lazyLink( isPastEquivalencePoint => {
+      if ( isPastEquivalencePoint && !model.resetInProgressProperty.value ) {
+        this.equivalencePointUtterance.alert = this.titrationDescriber.getEquivalencePointReachedAlertString();
+        phet.joist.sim.utteranceQueue.addToBack( this.equivalencePointUtterance );
+      }
+    } );
+  }
+
+  /**
+   * Alert when a slider on the Titration screen has changed a value. Every slider on this screen changes the pH, or
+   * where the equivalence point is, so the alert describes both.
+   * @param {TitrationDescriber} describer
+   * @public
+   */
+  alertSolutionQuantityChanged( describer ) {
+    this.sliderUtterance.alert = describer.getSolutionChangedString();
+    phet.joist.sim.utteranceQueue.addToBack( this.sliderUtterance );
+  }
+}
+
+molarity.register( 'TitrationAlertManager', TitrationAlertManager );
+export default TitrationAlertManager;
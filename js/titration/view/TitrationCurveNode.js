@@ -0,0 +1,225 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The titration curve, a live plot of the solution's pH against the volume of titrant that has been added. The curve
+ * is drawn up to the volume that has been added, and the equivalence point is marked once it has been reached.
+ *
+ * The curve is computed from the model, not recorded as titrant is added, so it is consistent with any saved state and
+ * redrawn when the analyte or the concentrations change partway through a titration. See TitrationModel.computePH.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+
+const equivalencePointString = molarityStrings.equivalencePoint;
+const noReadingString = molarityStrings.noReading;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const pattern0Value1UnitsString = molarityStrings.pattern[ '0value' ][ '1units' ];
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const patternPH0ValueString = molarityStrings.pattern.pH[ '0value' ];
+const pHString = molarityStrings.pH;
+const titrantAddedString = molarityStrings.titrantAdded;
+const titrationCurveString = molarityStrings.titrationCurve;
+const unitsLitersString = molarityStrings.units.liters;
+
+// constants
+const PLOT_SIZE = new Dimension2( 360, 240 );
+const NUMBER_OF_SAMPLES = 200; // points that the curve is sampled at, across a full burette of titrant
+const PH_TICK_SPACING = 2;
+const VOLUME_TICK_SPACING = 0.1; // liters
+const VOLUME_TICK_DECIMAL_PLACES = 1;
+const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+const READOUT_FONT = new PhetFont( 16 );
+const AXIS_LABEL_FONT = new PhetFont( 14 );
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const CURVE_COLOR = 'rgb( 30, 90, 200 )';
+const EQUIVALENCE_POINT_COLOR = 'rgb( 220, 0, 120 )';
+
+class TitrationCurveNode extends Node {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {TitrationDescriber} titrationDescriber
+   * @param {Tandem} tandem
+   * @param {Object} [options]
+   */
+  constructor( model, titrationDescriber, tandem, options ) {
+
+    options = merge( {
+      tandem: tandem,
+
+      // a11y
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: titrationCurveString
+    }, options );
+
+    super( options );
+
+    const volumeRange = MolarityConstants.TITRANT_VOLUME_RANGE;
+    const pHRange = MolarityConstants.PH_RANGE;
+    const volumeToX = volume => Utils.linear( volumeRange.min, volumeRange.max, 0, PLOT_SIZE.width, volume );
+    const pHToY = pH => Utils.linear( pHRange.min, pHRange.max, PLOT_SIZE.height, 0,
+      pHRange.constrainValue( pH ) );
+
+    // grid, with tick labels on the axes
+    const gridShape = new Shape();
+    const tickLabelsParent = new Node();
+    for ( let pH = pHRange.min; pH <= pHRange.max; pH += PH_TICK_SPACING ) {
+      gridShape.moveTo( 0, pHToY( pH ) ).lineTo( PLOT_SIZE.width, pHToY( pH ) );
+      tickLabelsParent.addChild( new Text( pH, {
+        font: TICK_LABEL_FONT,
+        right: -4,
+        centerY: pHToY( pH )
+      } ) );
+    }
+    const numberOfVolumeTicks = Utils.roundSymmetric( volumeRange.getLength() / VOLUME_TICK_SPACING );
+    for ( let i = 0; i <= numberOfVolumeTicks; i++ ) {
+      const volume = volumeRange.min + i * VOLUME_TICK_SPACING;
+      gridShape.moveTo( volumeToX( volume ), 0 ).lineTo( volumeToX( volume ), PLOT_SIZE.height );
+      tickLabelsParent.addChild( new Text( Utils.toFixed( volume, VOLUME_TICK_DECIMAL_PLACES ), {
+        font: TICK_LABEL_FONT,
+        centerX: volumeToX( volume ),
+        top: PLOT_SIZE.height + 4
+      } ) );
+    }
+    const backgroundNode = new Rectangle( 0, 0, PLOT_SIZE.width, PLOT_SIZE.height, {
+      fill: 'white',
+      stroke: 'black'
+    } );
+    const gridNode = new Path( gridShape, {
+      stroke: 'rgb( 220, 220, 220 )',
+      lineWidth: 1
+    } );
+
+    // axis labels
+    const xAxisLabelNode = new Text( StringUtils.format( pattern0Value1UnitsString, titrantAddedString,
+      StringUtils.format( patternParentheses0TextString, unitsLitersString ) ), {
+      font: AXIS_LABEL_FONT,
+      maxWidth: PLOT_SIZE.width,
+      centerX: PLOT_SIZE.width / 2,
+      top: tickLabelsParent.bottom + 4
+    } );
+    const yAxisLabelNode = new Text( pHString, {
+      font: AXIS_LABEL_FONT,
+      maxWidth: PLOT_SIZE.height,
+      rotation: -Math.PI / 2,
+      right: tickLabelsParent.left - 4,
+      centerY: PLOT_SIZE.height / 2
+    } );
+
+    // the curve, and where the titration is now
+    const curveNode = new Path( null, {
+      stroke: CURVE_COLOR,
+      lineWidth: 2
+    } );
+    const currentPointNode = new Circle( 4, { fill: CURVE_COLOR } );
+
+    // the equivalence point, marked once it has been reached
+    const equivalenceLineNode = new Path( null, {
+      stroke: EQUIVALENCE_POINT_COLOR,
+      lineDash: [ 4, 4 ]
+    } );
+    const equivalencePointNode = new Circle( 5, { fill: EQUIVALENCE_POINT_COLOR } );
+
+    const plotNode = new Node( {
+      children: [ backgroundNode, gridNode, equivalenceLineNode, curveNode, equivalencePointNode, currentPointNode ],
+      clipArea: Shape.rectangle( 0, 0, PLOT_SIZE.width, PLOT_SIZE.height )
+    } );
+
+    // title and readouts, above the plot
+    const titleNode = new Text( titrationCurveString, {
+      font: TITLE_FONT,
+      maxWidth: PLOT_SIZE.width / 2,
+      left: 0,
+      bottom: -30,
+      tandem: tandem.createTandem( 'titleNode' )
+    } );
+    const pHReadoutNode = new Text( '', {
+      font: READOUT_FONT,
+      maxWidth: PLOT_SIZE.width / 3
+    } );
+    const equivalenceReadoutNode = new Text( '', {
+      font: READOUT_FONT,
+      fill: EQUIVALENCE_POINT_COLOR,
+      maxWidth: PLOT_SIZE.width
+    } );
+
+    // a11y - the description of the curve
+    const descriptionNode = new Node( { tagName: 'p' } );
+
+    this.children = [ plotNode, tickLabelsParent, xAxisLabelNode, yAxisLabelNode, titleNode, pHReadoutNode,
+      equivalenceReadoutNode, descriptionNode ];
+
+    // {Vector2[]} the curve across a full burette, in view coordinates, recomputed when the titration changes
+    let samples = [];
+    Property.multilink( [ model.analyteConcentrationProperty, model.titrantConcentrationProperty,
+      model.solution.soluteProperty ], () => {
+      samples = _.range( 0, NUMBER_OF_SAMPLES + 1 ).map( i => {
+        const volume = volumeRange.min + ( i / NUMBER_OF_SAMPLES ) * volumeRange.getLength();
+        return new Vector2( volumeToX( volume ), pHToY( model.computePH( volume ) ) );
+      } );
+    } );
+
+    // The model updates the solution before these Properties' other listeners are called.
+    Property.multilink( [ model.analyteConcentrationProperty, model.titrantConcentrationProperty,
+      model.titrantVolumeProperty, model.solution.soluteProperty ], () => {
+      const titrantVolume = model.titrantVolumeProperty.value;
+      const pH = model.solution.getPH();
+      const currentPoint = new Vector2( volumeToX( titrantVolume ), pHToY( pH ) );
+
+      // the curve, up to the volume that has been added
+      const shape = new Shape().moveToPoint( samples[ 0 ] );
+      samples.forEach( sample => {
+        if ( sample.x < currentPoint.x ) {
+          shape.lineToPoint( sample );
+        }
+      } );
+      curveNode.shape = shape.lineToPoint( currentPoint );
+      currentPointNode.center = currentPoint;
+
+      pHReadoutNode.text = StringUtils.format( patternPH0ValueString, Utils.toFixed( pH, MolarityConstants.PH_DECIMAL_PLACES ) );
+      pHReadoutNode.right = PLOT_SIZE.width;
+      pHReadoutNode.bottom = titleNode.bottom;
+
+      const equivalenceVolume = model.equivalenceVolumeProperty.value;
+      const isPastEquivalencePoint = model.isPastEquivalencePointProperty.value;
+      equivalenceLineNode.visible = equivalencePointNode.visible = isPastEquivalencePoint;
+      if ( isPastEquivalencePoint ) {
+        const x = volumeToX( equivalenceVolume );
+        equivalenceLineNode.shape = Shape.lineSegment( x, 0, x, PLOT_SIZE.height );
+        equivalencePointNode.center = new Vector2( x, pHToY( model.computePH( equivalenceVolume ) ) );
+      }
+      const equivalenceValueString = isPastEquivalencePoint ?
+                                     StringUtils.format( pattern0Value1UnitsString,
+                                       Utils.toFixed( equivalenceVolume, MolarityConstants.SOLUTION_VOLUME_DECIMAL_PLACES ),
+                                       unitsLitersString ) :
+                                     noReadingString;
+      equivalenceReadoutNode.text = StringUtils.format( pattern0Value1UnitsString,
+        StringUtils.format( pattern0LabelString, equivalencePointString ), equivalenceValueString );
+      equivalenceReadoutNode.left = 0;
+      equivalenceReadoutNode.bottom = -6;
+
+      descriptionNode.innerContent = titrationDescriber.getCurveDescription();
+    } );
+  }
+}
+
+molarity.register( 'TitrationCurveNode', TitrationCurveNode );
+export default TitrationCurveNode;
@@ -0,0 +1,70 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that holds the PDOM content for the screen summary in the Titration screen.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+
+// a11y strings
+const screenSummaryControlAreaString = molarityStrings.a11y.titration.screenSummary.controlArea;
+const screenSummaryPlayAreaPatternString = molarityStrings.a11y.titration.screenSummary.playAreaPattern;
+const screenSummarySimInteractionHintString = molarityStrings.a11y.titration.screenSummary.simInteractionHint;
+
+class TitrationScreenSummaryNode extends Node {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {TitrationDescriber} titrationDescriber
+   */
+  constructor( model, titrationDescriber ) {
+
+    super();
+
+    // First paragraph of the screen summary -- static regardless of state of sim, describes the play area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: StringUtils.fillIn( screenSummaryPlayAreaPatternString, {
+        numberOfAnalytes: model.analytes.length
+      } )
+    } ) );
+
+    // Second paragraph of the screen summary -- static regardless of state of sim, describes the control area
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummaryControlAreaString
+    } ) );
+
+    // Third paragraph of the screen summary -- dynamic depending on the state of the sim so keep a reference to it.
+    const stateOfSimNode = new Node( {
+      tagName: 'p'
+    } );
+    this.addChild( stateOfSimNode );
+
+    // Fourth paragraph of the screen summary -- static regardless of state of sim, gives the interaction hint
+    this.addChild( new Node( {
+      tagName: 'p',
+      innerContent: screenSummarySimInteractionHintString
+    } ) );
+
+    // Updates the third paragraph of the screen summary when sim Properties change. The solution is derived from these
+    // Properties, and the model updates it first.
+    Property.multilink( [
+      model.analyteConcentrationProperty,
+      model.titrantConcentrationProperty,
+      model.titrantVolumeProperty,
+      model.solution.soluteProperty
+    ], () => {
+      stateOfSimNode.innerContent = titrationDescriber.getCurrentStateOfSimString();
+    } );
+  }
+}
+
+molarity.register( 'TitrationScreenSummaryNode', TitrationScreenSummaryNode );
+export default TitrationScreenSummaryNode;
@@ -0,0 +1,272 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * View for the 'Titration' screen.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import ScreenView from '../../../../joist/js/ScreenView.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import molarityStrings from '../../molarity-strings.js';
+import molarity from '../../molarity.js';
+import MolarityConstants from '../../molarity/MolarityConstants.js';
+import BeakerNode from '../../molarity/view/BeakerNode.js';
+import SoluteComboBox from '../../molarity/view/SoluteComboBox.js';
+import SolutionNode from '../../molarity/view/SolutionNode.js';
+import VerticalSlider from '../../molarity/view/VerticalSlider.js';
+import BuretteNode from './BuretteNode.js';
+import IndicatorComboBox from './IndicatorComboBox.js';
+import TitrationAlertManager from './TitrationAlertManager.js';
+import TitrationCurveNode from './TitrationCurveNode.js';
+import TitrationScreenSummaryNode from './TitrationScreenSummaryNode.js';
+import TitrationDescriber from './describers/TitrationDescriber.js';
+
+const analyteConcentrationString = molarityStrings.analyteConcentration;
+const analyteString = molarityStrings.analyte;
+const highString = molarityStrings.high;
+const lowString = molarityStrings.low;
+const molarityLabelString = molarityStrings.molarity.label;
+const pattern0LabelString = molarityStrings.pattern[ '0label' ];
+const patternParentheses0TextString = molarityStrings.pattern.parentheses[ '0text' ];
+const refillBuretteString = molarityStrings.refillBurette;
+const titrantConcentrationString = molarityStrings.titrantConcentration;
+const unitsMolarityString = molarityStrings.units.molarity;
+const zeroString = molarityStrings.zero;
+
+// a11y strings
+const beakerString = molarityStrings.a11y.titration.beaker;
+const refillBuretteHelpTextString = molarityStrings.a11y.titration.refillBuretteHelpText;
+const sliderHelpTextString = molarityStrings.a11y.titration.sliderHelpText;
+const titrationControlsString = molarityStrings.a11y.titration.titrationControls;
+
+// constants
+const BEAKER_SCALE = 0.55; // the beaker is drawn smaller than on the Molarity screen, so that the burette fits above it
+const SLIDER_TRACK_WIDTH = 12;
+const BURETTE_TIP_Y_SPACING = 10; // between the burette's tip and the top of the beaker
+
+class TitrationScreenView extends ScreenView {
+
+  /**
+   * @param {TitrationModel} model
+   * @param {Tandem} tandem
+   */
+  constructor( model, tandem ) {
+
+    // a11y - initializes the describer and alert manager to generate and update all PDOM and alert content.
+    const titrationDescriber = new TitrationDescriber( model );
+    const alertManager = new TitrationAlertManager( model, titrationDescriber );
+
+    super( {
+      layoutBounds: new Bounds2( 0, 0, 1100, 700 ),
+      tandem: tandem,
+      screenSummaryContent: new TitrationScreenSummaryNode( model, titrationDescriber )
+    } );
+
+    // Values are always visible on this screen, and descriptions are quantitative.
+    const valuesVisibleProperty = new BooleanProperty( true );
+    const useQuantitativeDescriptionsProperty = valuesVisibleProperty;
+
+    // beaker, with the solution inside of it, in the color of the indicator
+    const beakerDescriptionNode = new Node( { tagName: 'p' } );
+    Property.multilink( [
+      model.analyteConcentrationProperty,
+      model.titrantConcentrationProperty,
+      model.titrantVolumeProperty,
+      model.solution.soluteProperty,
+      model.indicatorProperty
+    ], () => {
+      beakerDescriptionNode.innerContent = titrationDescriber.getBeakerDescription();
+    } );
+    const beakerNode = new BeakerNode( model.solution, MolarityConstants.SOLUTION_VOLUME_RANGE.max, valuesVisibleProperty,
+      tandem.createTandem( 'beakerNode' ), {
+        labelContent: beakerString,
+        descriptionNode: beakerDescriptionNode
+      } );
+    const cylinderSize = beakerNode.getCylinderSize();
+    const cylinderEndHeight = beakerNode.getCylinderEndHeight();
+    const scaledCylinderSize = cylinderSize.timesScalar( BEAKER_SCALE );
+    const solutionNode = new SolutionNode( cylinderSize, cylinderEndHeight, model.solution,
+      MolarityConstants.SOLUTION_VOLUME_RANGE.max, tandem.createTandem( 'solutionNode' ), {
+        indicatorProperty: model.indicatorProperty
+      } );
+
+    // The beaker and its contents share a coordinate frame, scaled as a group.
+    const beakerParent = new Node( {
+      children: [ solutionNode, beakerNode ],
+      scale: BEAKER_SCALE
+    } );
+
+    // burette, above the beaker
+    const buretteNode = new BuretteNode( model, tandem.createTandem( 'buretteNode' ) );
+
+    // the titration curve
+    const curveNode = new TitrationCurveNode( model, titrationDescriber, tandem.createTandem( 'curveNode' ) );
+
+    // analyte and indicator controls
+    const comboBoxListParent = new Node();
+    const analyteComboBox = new SoluteComboBox( model.analytes, model.solution.soluteProperty, comboBoxListParent,
+      tandem.createTandem( 'analyteComboBox' ), {
+        labelNode: new Text( StringUtils.format( pattern0LabelString, analyteString ), {
+          font: new PhetFont( 22 ),
+          maxWidth: 100
+        } ),
+        maxWidth: 400,
+
+        // a11y
+        accessibleName: analyteString
+      } );
+    const indicatorComboBox = new IndicatorComboBox( model.indicators, model.indicatorProperty, comboBoxListParent,
+      tandem.createTandem( 'indicatorComboBox' ) );
+
+    // slider for controlling the concentration of the analyte, before any titrant is added
+    const analyteConcentrationSlider = new VerticalSlider( analyteConcentrationString,
+      StringUtils.format( patternParentheses0TextString, molarityLabelString ),
+      zeroString, highString,
+      model.analyteConcentrationProperty,
+      MolarityConstants.ANALYTE_CONCENTRATION_RANGE,
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES,
+      unitsMolarityString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, titrationDescriber, {
+        tandem: tandem.createTandem( 'analyteConcentrationSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: analyteConcentrationString,
+          a11yCreateAriaValueText: () => titrationDescriber.getConcentrationValueText( model.analyteConcentrationProperty.value )
+        }
+      } );
+
+    // slider for controlling the concentration of the titrant in the burette
+    const titrantConcentrationSlider = new VerticalSlider( titrantConcentrationString,
+      StringUtils.format( patternParentheses0TextString, molarityLabelString ),
+      lowString, highString,
+      model.titrantConcentrationProperty,
+      MolarityConstants.TITRANT_CONCENTRATION_RANGE,
+      MolarityConstants.CONCENTRATION_DECIMAL_PLACES,
+      unitsMolarityString,
+      valuesVisibleProperty,
+      useQuantitativeDescriptionsProperty, alertManager, titrationDescriber, {
+        tandem: tandem.createTandem( 'titrantConcentrationSlider' ),
+        sliderOptions: {
+          trackSize: new Dimension2( SLIDER_TRACK_WIDTH, scaledCylinderSize.height ),
+
+          // a11y
+          accessibleName: titrantConcentrationString,
+          a11yCreateAriaValueText: () => titrationDescriber.getConcentrationValueText( model.titrantConcentrationProperty.value )
+        }
+      } );
+
+    // Refill Burette button
+    const refillButton = new TextPushButton( refillBuretteString, {
+      font: new PhetFont( 18 ),
+      maxWidth: 200,
+      listener: () => model.refill(),
+      tandem: tandem.createTandem( 'refillButton' ),
+
+      // a11y
+      helpText: refillBuretteHelpTextString
+    } );
+
+    // Reset All button
+    const resetAllButton = new ResetAllButton( {
+      listener: () => model.reset(),
+      scale: 1.32,
+      tandem: tandem.createTandem( 'resetAllButton' )
+    } );
+
+    // a11y - heading and accessible order for slider controls section of PDOM
+    const titrationControlsNode = new Node( {
+      tagName: 'div',
+      labelTagName: 'h3',
+      labelContent: titrationControlsString,
+      descriptionContent: sliderHelpTextString
+    } );
+    titrationControlsNode.accessibleOrder = [ analyteConcentrationSlider, titrantConcentrationSlider ];
+
+    // a11y - heading and accessible order for play area section of PDOM
+    this.pdomPlayAreaNode.accessibleOrder = [
+      beakerNode,
+      buretteNode,
+      curveNode,
+      titrationControlsNode,
+      analyteComboBox,
+      indicatorComboBox,
+      comboBoxListParent
+    ];
+
+    // a11y - contains PDOM heading for Control Area, and orders the PDOM for included elements
+    this.pdomControlAreaNode.accessibleOrder = [
+      refillButton,
+      resetAllButton
+    ];
+
+    // layout for things that don't have a location in the model
+    {
+      analyteConcentrationSlider.left = 0;
+      analyteConcentrationSlider.top = 0;
+      // to the right of the Analyte Concentration slider, with the cylinder aligned to the top of the slider track
+      beakerParent.left = analyteConcentrationSlider.right - 10;
+      beakerParent.top = analyteConcentrationSlider.top - 6;
+      // tip centered above the beaker's cylinder
+      buretteNode.x = beakerParent.x + ( scaledCylinderSize.width / 2 );
+      buretteNode.y = beakerParent.y - BURETTE_TIP_Y_SPACING;
+      // to the right of the beaker and the burette's valve
+      titrantConcentrationSlider.left = Math.max( beakerParent.right, buretteNode.right ) + 10;
+      titrantConcentrationSlider.top = analyteConcentrationSlider.top;
+      // below the beaker
+      analyteComboBox.centerX = beakerParent.x + ( scaledCylinderSize.width / 2 );
+      analyteComboBox.top = Math.max( beakerParent.bottom, analyteConcentrationSlider.bottom ) + 30;
+      // to the right of the Titrant Concentration slider, at the top of the burette
+      curveNode.left = titrantConcentrationSlider.right + 70;
+      curveNode.top = buretteNode.top;
+      // below the curve
+      indicatorComboBox.left = curveNode.left;
+      indicatorComboBox.top = curveNode.bottom + 30;
+      // at the bottom right, to the right of the combo boxes
+      resetAllButton.right = curveNode.right;
+      resetAllButton.centerY = analyteComboBox.centerY;
+      refillButton.right = resetAllButton.left - 20;
+      refillButton.centerY = resetAllButton.centerY;
+    }
+
+    // The stream of titrant falls from the burette's tip to the surface of the solution.
+    model.solution.volumeProperty.link( volume => {
+      const solutionHeight = Utils.linear( 0, MolarityConstants.SOLUTION_VOLUME_RANGE.max, 0, cylinderSize.height, volume );
+      buretteNode.setStreamLength( BURETTE_TIP_Y_SPACING + BEAKER_SCALE * ( cylinderSize.height - solutionHeight ) );
+    } );
+
+    // center everything on the screen
+    this.addChild( new Node( {
+      children: [
+        buretteNode,
+        beakerParent,
+        analyteConcentrationSlider,
+        titrantConcentrationSlider,
+        curveNode,
+        analyteComboBox,
+        indicatorComboBox,
+        refillButton,
+        resetAllButton,
+        comboBoxListParent,
+        titrationControlsNode
+      ],
+      center: this.layoutBounds.center
+    } ) );
+  }
+}
+
+molarity.register( 'TitrationScreenView', TitrationScreenView );
+export default TitrationScreenView;
@@ -0,0 +1,175 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TitrationDescriber is responsible for generating strings about the Titration screen: the solution in the beaker, the
+ * titration curve, and the equivalence point. Descriptions on this screen are always quantitative, since the values
+ * are always shown.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../../dot/js/Utils.js';
+import StringUtils from '../../../../../phetcommon/js/util/StringUtils.js';
+import molarityStrings from '../../../molarity-strings.js';
+import molarity from '../../../molarity.js';
+import MolarityConstants from '../../../molarity/MolarityConstants.js';
+import PHDescriber from '../../../molarity/view/describers/PHDescriber.js';
+import QuantitativeDescriber from '../../../molarity/view/describers/QuantitativeDescriber.js';
+
+// a11y strings
+const analyteChangedAlertPatternString = molarityStrings.a11y.titration.analyteChangedAlertPattern;
+const beakerNoAnalytePatternString = molarityStrings.a11y.titration.beakerNoAnalytePattern;
+const beakerPatternString = molarityStrings.a11y.titration.beakerPattern;
+const curveDescriptionPatternString = molarityStrings.a11y.titration.curveDescriptionPattern;
+const equivalencePointAheadPatternString = molarityStrings.a11y.titration.equivalencePointAheadPattern;
+const equivalencePointPatternString = molarityStrings.a11y.titration.equivalencePointPattern;
+const equivalencePointReachedAlertPatternString = molarityStrings.a11y.titration.equivalencePointReachedAlertPattern;
+const noEquivalencePointString = molarityStrings.a11y.titration.noEquivalencePoint;
+const screenSummaryCurrentStateOfSimPatternString = molarityStrings.a11y.titration.screenSummary.currentStateOfSimPattern;
+const solutionChangedPatternString = molarityStrings.a11y.titration.solutionChangedPattern;
+
+class TitrationDescriber {
+
+  /**
+   * @param {TitrationModel} model
+   */
+  constructor( model ) {
+
+    // @private
+    this.model = model;
+    this.solution = model.solution;
+  }
+
+  /**
+   * Describes what is in the beaker.
+   * @public
+   * @returns {string} - e.g. "Holds 0.250 liters of acetic acid solution at 0.100 molar, with 0.100 liters of sodium
+   *                     hydroxide added. The solution has phenolphthalein in it, and is pH 4.93, acidic."
+   */
+  getBeakerDescription() {
+    const analyteConcentration = this.model.analyteConcentrationProperty.value;
+    const pH = this.solution.getPH();
+    return StringUtils.fillIn( ( analyteConcentration === 0 ) ? beakerNoAnalytePatternString : beakerPatternString, {
+      analyteVolume: QuantitativeDescriber.getVolumeString( MolarityConstants.ANALYTE_VOLUME ),
+      analyte: this.solution.soluteProperty.value.lowercaseName,
+      concentration: QuantitativeDescriber.getConcentrationString( analyteConcentration ),
+      titrantVolume: QuantitativeDescriber.getVolumeString( this.model.titrantVolumeProperty.value ),
+      titrant: this.model.titrantProperty.value.lowercaseName,
+      indicator: this.model.indicatorProperty.value.lowercaseName,
+      pH: getPHString( pH ),
+      acidity: PHDescriber.getAcidityString( pH )
+    } );
+  }
+
+  /**
+   * Describes the titration curve, from where it starts to where the titration is now.
+   * @public
+   * @returns {string} - e.g. "Plots pH against the volume of titrant added, from pH 2.88 with no titrant to pH 4.93
+   *                     with 0.100 liters added. Equivalence point expected at 0.250 liters of titrant."
+   */
+  getCurveDescription() {
+    return StringUtils.fillIn( curveDescriptionPatternString, {
+      startPH: getPHString( this.model.computePH( 0 ) ),
+      pH: getPHString( this.solution.getPH() ),
+      titrantVolume: QuantitativeDescriber.getVolumeString( this.model.titrantVolumeProperty.value ),
+      equivalencePoint: this.getEquivalencePointString()
+    } );
+  }
+
+  /**
+   * Describes where the equivalence point is, or where it is expected if it has not been reached.
+   * @public
+   * @returns {string} - e.g. "Equivalence point at 0.250 liters of titrant, pH 8.72."
+   */
+  getEquivalencePointString() {
+    const equivalenceVolume = this.model.equivalenceVolumeProperty.value;
+    if ( equivalenceVolume === null ) {
+      return noEquivalencePointString;
+    }
+    else if ( this.model.isPastEquivalencePointProperty.value ) {
+      return StringUtils.fillIn( equivalencePointPatternString, {
+        equivalenceVolume: QuantitativeDescriber.getVolumeString( equivalenceVolume ),
+        pH: getPHString( this.model.computePH( equivalenceVolume ) )
+      } );
+    }
+    else {
+      return StringUtils.fillIn( equivalencePointAheadPatternString, {
+        equivalenceVolume: QuantitativeDescriber.getVolumeString( equivalenceVolume )
+      } );
+    }
+  }
+
+  /**
+   * Describes the pH of the solution, and the equivalence point, after the solution has changed.
+   * @public
+   * @returns {string} - e.g. "pH 4.93, acidic. Equivalence point expected at 0.250 liters of titrant."
+   */
+  getSolutionChangedString() {
+    const pH = this.solution.getPH();
+    return StringUtils.fillIn( solutionChangedPatternString, {
+      pH: getPHString( pH ),
+      acidity: PHDescriber.getAcidityString( pH ),
+      equivalencePoint: this.getEquivalencePointString()
+    } );
+  }
+
+  /**
+   * Creates the alert for when the titration reaches its equivalence point.
+   * @public
+   * @returns {string} - e.g. "Equivalence point reached at 0.250 liters of titrant, pH 8.72."
+   */
+  getEquivalencePointReachedAlertString() {
+    const equivalenceVolume = this.model.equivalenceVolumeProperty.value;
+    return StringUtils.fillIn( equivalencePointReachedAlertPatternString, {
+      equivalenceVolume: QuantitativeDescriber.getVolumeString( equivalenceVolume ),
+      pH: getPHString( this.model.computePH( equivalenceVolume ) )
+    } );
+  }
+
+  /**
+   * Creates the alert for when the analyte has changed.
+   * @public
+   * @returns {string} - e.g. "Now ammonia, titrated with hydrochloric acid. pH 11.12, strongly basic. ..."
+   */
+  getAnalyteChangedAlertString() {
+    return StringUtils.fillIn( analyteChangedAlertPatternString, {
+      analyte: this.solution.soluteProperty.value.lowercaseName,
+      titrant: this.model.titrantProperty.value.lowercaseName,
+      solutionChange: this.getSolutionChangedString()
+    } );
+  }
+
+  /**
+   * Describes the current state of the titration, for the screen summary.
+   * @public
+   * @returns {string} - e.g. "Currently, the solution is pH 4.93, acidic, with 0.100 liters of titrant added. ..."
+   */
+  getCurrentStateOfSimString() {
+    const pH = this.solution.getPH();
+    return StringUtils.fillIn( screenSummaryCurrentStateOfSimPatternString, {
+      pH: getPHString( pH ),
+      acidity: PHDescriber.getAcidityString( pH ),
+      titrantVolume: QuantitativeDescriber.getVolumeString( this.model.titrantVolumeProperty.value ),
+      equivalencePoint: this.getEquivalencePointString()
+    } );
+  }
+
+  /**
+   * Gets the aria-valuetext for a slider that controls a concentration.
+   * @param {number} concentration - M
+   * @public
+   * @returns {string} - e.g. "0.100 molar"
+   */
+  getConcentrationValueText( concentration ) {
+    return QuantitativeDescriber.getConcentrationString( concentration );
+  }
+}
+
+/**
+ * @param {number} pH
+ * @returns {string}
+ */
+const getPHString = pH => Utils.toFixed( pH, MolarityConstants.PH_DECIMAL_PLACES );
+
+molarity.register( 'TitrationDescriber', TitrationDescriber );
+export default TitrationDescriber;